@@ -0,0 +1,99 @@
+// ==========================================
+// PRICE ALERT EVALUATOR
+// ==========================================
+// Periodically checks every active alert against the latest price and records
+// a triggered event when a threshold is crossed. Alerts fire once: triggering
+// deactivates the alert so clients do not get the same event every tick.
+
+const ALERT_DIRECTIONS = ['above', 'below'];
+
+const isAlertTriggered = (alert, price) => {
+  if (price === null || price === undefined) return false;
+  const target = parseFloat(alert.target_price);
+  return alert.direction === 'above' ? price >= target : price <= target;
+};
+
+// getPrice(ticker, isCrypto) resolves to a number or null. Pass a stub in
+// tests to drive the evaluator without hitting Yahoo or CoinGecko.
+function createAlertEvaluator({ pool, getPrice, intervalMs = 60000 }) {
+  let timer = null;
+  let running = false;
+
+  async function runOnce() {
+    // Skip overlapping runs if a previous check is still waiting on quotes
+    if (running) return [];
+    running = true;
+
+    try {
+      const { rows: alerts } = await pool.query('SELECT * FROM alerts WHERE active = TRUE');
+      if (!alerts.length) return [];
+
+      // One price lookup per ticker, no matter how many users watch it
+      const byTicker = new Map();
+      alerts.forEach(alert => {
+        const key = `${alert.ticker}:${alert.is_crypto}`;
+        if (!byTicker.has(key)) byTicker.set(key, []);
+        byTicker.get(key).push(alert);
+      });
+
+      const triggered = [];
+
+      for (const group of byTicker.values()) {
+        const { ticker, is_crypto: isCrypto } = group[0];
+
+        let price = null;
+        try {
+          price = await getPrice(ticker, isCrypto);
+        } catch (e) {
+          console.error(`Alert price fetch error (${ticker}):`, e.message);
+          continue;
+        }
+
+        for (const alert of group) {
+          if (!isAlertTriggered(alert, price)) continue;
+
+          // Guarded update so a concurrent run cannot fire the same alert twice
+          const updated = await pool.query(
+            'UPDATE alerts SET active = FALSE, triggered_at = CURRENT_TIMESTAMP WHERE id = $1 AND active = TRUE RETURNING id',
+            [alert.id]
+          );
+          if (updated.rows.length === 0) continue;
+
+          const event = await pool.query(
+            `INSERT INTO alert_events (alert_id, user_id, ticker, direction, target_price, triggered_price)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [alert.id, alert.user_id, alert.ticker, alert.direction, alert.target_price, price]
+          );
+          triggered.push(event.rows[0]);
+        }
+      }
+
+      if (triggered.length) console.log(`🔔 ${triggered.length} price alert(s) triggered`);
+      return triggered;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(err => console.error('❌ Alert evaluation error:', err.message));
+    }, intervalMs);
+    // Do not keep the process alive just for alert checks
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = {
+  ALERT_DIRECTIONS,
+  isAlertTriggered,
+  createAlertEvaluator
+};
@@ -0,0 +1,914 @@
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const crypto = require("crypto");
+const yahooFinance = require('yahoo-finance2').default;
+const { cache: defaultCache } = require('./cache');
+const { historyCacheKey, fetchPriceHistory } = require('./history');
+const { summarizeIndicators, formatIndicatorsForPrompt } = require('./indicators');
+const { computeFundamentals, formatFundamentalsForPrompt } = require('./fundamentals');
+const { mapWithConcurrency } = require('./concurrency');
+const { lookupCik, fetchSubmissions, fetchFilingDocument } = require('./edgar');
+const { parseForm4, rawForm4Document, summarizeInsiderActivity } = require('./form4');
+const { marketData: defaultMarketData } = require('./marketData');
+const { llm: defaultLlm } = require('./llm');
+const { prompts: defaultPrompts } = require('./prompts');
+const { COMPLIANCE_VERSION, yearsIn, compliance: defaultCompliance } = require('./compliance');
+const { defineOutput, sectionsFrom, jsonReplyInstructions, completeStructured } = require('./structuredOutput');
+const { createSentimentAnalyzer } = require('./sentiment');
+const { CRYPTO_IDS, coinIdFor } = require('./providers/coingecko');
+const { symbols, parseSymbol, shortCompanyName } = require('./symbols');
+
+const NEWS_KEY = process.env.NEWS_API_KEY;
+
+// Bump whenever a field is renamed or removed from the analysis document.
+// Adding fields is backwards compatible and does not need a bump.
+const ANALYSIS_SCHEMA_VERSION = 1;
+
+// History window the analysis computes its technical indicators over
+const ANALYSIS_HISTORY = { range: '1y', interval: '1d' };
+
+// Tickers per comparison, and how many are fetched at once
+const COMPARE_LIMITS = { min: 2, max: 6 };
+const COMPARE_CONCURRENCY = parseInt(process.env.COMPARE_CONCURRENCY, 10) || 3;
+
+// `hint` is 'stock', 'crypto' or a stored isCrypto flag; without one the
+// symbol directory decides
+const isCryptoTicker = (ticker, hint) => symbols.assetClassOf(ticker, hint) === 'crypto';
+
+// Brand names headlines use instead of the registrant's name
+const NEWS_NAME_ALIASES = { GOOGL: 'Google', GOOG: 'Google', META: 'Facebook' };
+
+// What each AI part returns: the sections it is asked for, in display order.
+// Keys are the JSON fields the model fills in; titles are shown to users.
+const CRYPTO_OUTPUT = defineOutput([
+  { key: 'marketContext', title: 'MARKET CONTEXT', type: 'text' },
+  { key: 'keyWatchpoints', title: 'KEY WATCHPOINTS', type: 'list' },
+  { key: 'riskConsiderations', title: 'RISK CONSIDERATIONS', type: 'list' },
+  { key: 'researchChecklist', title: 'RESEARCH CHECKLIST', type: 'text' }
+]);
+const SIMPLIFIED_OUTPUT = defineOutput([
+  { key: 'whatTheyDo', title: 'WHAT THEY DO', type: 'text' },
+  { key: 'goodSigns', title: 'GOOD SIGNS', type: 'list' },
+  { key: 'warningSigns', title: 'WARNING SIGNS', type: 'list' }
+]);
+const DETAILED_OUTPUT = defineOutput([
+  { key: 'businessModel', title: 'BUSINESS MODEL', type: 'text' },
+  { key: 'researchQuestions', title: 'KEY RESEARCH QUESTIONS', type: 'list' },
+  { key: 'riskFactors', title: 'RISK FACTORS', type: 'list' }
+]);
+const COMPARISON_OUTPUT = defineOutput([
+  { key: 'howTheyDiffer', title: 'HOW THEY DIFFER', type: 'text' },
+  { key: 'valuationAndRisk', title: 'VALUATION AND RISK', type: 'list' },
+  { key: 'researchNext', title: 'WHAT TO RESEARCH NEXT', type: 'list' }
+]);
+
+// Re-key provider source tags ({ price: 'yahoo' }) to the document's own
+// field names ({ realtimePrice: 'yahoo' }). Fields no provider had are left out.
+const renameSources = (sources = {}, fields) => Object.fromEntries(
+  Object.entries(fields)
+    .filter(([, from]) => sources[from])
+    .map(([to, from]) => [to, sources[from]])
+);
+
+// Beginner risk score (1-10) from beta, market cap and short interest
+const computeRiskScore = ({ beta, marketCap, shortPercentOfFloat }) => {
+  let score = 5; // Default medium risk
+  let level = 'Moderate';
+  let color = '#f59e0b';
+  let emoji = '🟡';
+
+  if (beta !== null && beta !== undefined) {
+    if (beta < 0.8) score -= 2;
+    else if (beta > 1.5) score += 2;
+    else if (beta > 1.2) score += 1;
+  }
+
+  if (marketCap) {
+    if (marketCap > 200e9) score -= 1; // Large cap = safer
+    else if (marketCap < 2e9) score += 2; // Small cap = risky
+  }
+
+  if (shortPercentOfFloat) {
+    if (shortPercentOfFloat > 0.2) score += 2; // High short interest
+    else if (shortPercentOfFloat > 0.15) score += 1;
+  }
+
+  // Clamp to 1-10
+  score = Math.max(1, Math.min(10, score));
+
+  if (score <= 3) {
+    level = 'Low Risk';
+    color = '#10b981';
+    emoji = '🟢';
+  } else if (score >= 7) {
+    level = 'High Risk';
+    color = '#ef4444';
+    emoji = '🔴';
+  }
+
+  return { score, level, color, emoji };
+};
+
+// ==========================================
+// UPSTREAM FETCHERS
+// ==========================================
+// One function per data source. Each catches and logs its own errors and
+// resolves to null so a single failing API never sinks the analysis (and the
+// failure is not cached).
+
+const hoursSince = (date) => Math.floor((Date.now() - new Date(date)) / 3600000);
+
+// Cached news keeps publishedAt; "hours ago" is recomputed on every read
+const withNewsAge = (news) => news.map(n => ({ ...n, time: hoursSince(n.publishedAt) }));
+
+async function fetchAnalystData(ticker) {
+  try {
+    let ratings = null;
+    let priceTargets = null;
+
+    const analysis = await yahooFinance.quoteSummary(ticker, { modules: ['recommendationTrend', 'financialData'] });
+
+    // Analyst ratings
+    if (analysis?.recommendationTrend?.trend?.[0]) {
+      const trend = analysis.recommendationTrend.trend[0];
+      ratings = {
+        strongBuy: trend.strongBuy || 0,
+        buy: trend.buy || 0,
+        hold: trend.hold || 0,
+        sell: trend.sell || 0,
+        strongSell: trend.strongSell || 0
+      };
+    }
+
+    // Price targets
+    if (analysis?.financialData) {
+      const fd = analysis.financialData;
+      priceTargets = {
+        current: fd.currentPrice ?? null,
+        targetMean: fd.targetMeanPrice,
+        targetHigh: fd.targetHighPrice,
+        targetLow: fd.targetLowPrice,
+        numberOfAnalysts: fd.numberOfAnalystOpinions
+      };
+    }
+
+    return ratings || priceTargets ? { ratings, priceTargets } : null;
+  } catch (e) {
+    console.error("Analyst data fetch error:", e.message);
+    return null;
+  }
+}
+
+// Insider trades from the company's Form 4 filings of the last 90 days.
+// Each filing's XML is fetched and parsed, a few at a time to stay well under
+// the SEC's request rate limit.
+const INSIDER_WINDOW_DAYS = 90;
+const INSIDER_MAX_FILINGS = 20;
+
+async function fetchInsiderData(ticker) {
+  try {
+    const cik = await lookupCik(ticker);
+    if (!cik) return null;
+
+    const since = new Date(Date.now() - INSIDER_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { filings } = await fetchSubmissions(cik);
+    const form4s = filings
+      .filter(f => f.form === '4' && f.filingDate >= since && f.primaryDocument)
+      .slice(0, INSIDER_MAX_FILINGS);
+
+    const parsed = await mapWithConcurrency(form4s, 3, async (filing) => {
+      try {
+        const xml = await fetchFilingDocument(cik, filing.accessionNumber, rawForm4Document(filing.primaryDocument));
+        return { ...filing, form4: parseForm4(xml) };
+      } catch (e) {
+        console.error(`Form 4 ${filing.accessionNumber} error:`, e.message);
+        return null;
+      }
+    });
+
+    return summarizeInsiderActivity(parsed.filter(Boolean));
+  } catch (e) {
+    console.error("Insider data fetch error:", e.message);
+    return null;
+  }
+}
+
+// Fetch social sentiment data
+async function fetchSocialSentiment(ticker) {
+  try {
+    // Try StockTwits API (public, no auth needed for basic data)
+    const stocktwitsRes = await fetch(`https://api.stocktwits.com/api/2/streams/symbol/${ticker}.json`);
+    const stocktwitsData = await stocktwitsRes.json();
+
+    if (stocktwitsData && stocktwitsData.messages) {
+      const messages = stocktwitsData.messages.slice(0, 20);
+      let bullishCount = 0;
+      let bearishCount = 0;
+
+      messages.forEach(msg => {
+        if (msg.entities && msg.entities.sentiment) {
+          if (msg.entities.sentiment.basic === 'Bullish') bullishCount++;
+          if (msg.entities.sentiment.basic === 'Bearish') bearishCount++;
+        }
+      });
+
+      const totalSentiment = bullishCount + bearishCount;
+      const bullishPct = totalSentiment > 0 ? Math.round((bullishCount / totalSentiment) * 100) : 50;
+
+      return {
+        source: 'StockTwits',
+        bullishPct,
+        bearishPct: 100 - bullishPct,
+        volume: messages.length,
+        sentiment: bullishPct > 60 ? 'Bullish' : bullishPct < 40 ? 'Bearish' : 'Neutral'
+      };
+    }
+    return null;
+  } catch (e) {
+    console.error("Social sentiment fetch error:", e.message);
+    return null;
+  }
+}
+
+// Quoted exact-phrase term for a NewsAPI query. Quotes inside the name would
+// end the phrase early, so they are dropped.
+const newsPhrase = (text) => `"${String(text).replace(/"/g, '')}"`;
+
+// NewsAPI /everything search. Every parameter is URL-encoded, so names like
+// "JOHNSON & JOHNSON" or "AT&T INC." stay inside the query.
+const searchNews = async (params) => {
+  const qs = new URLSearchParams({ language: 'en', sortBy: 'publishedAt', ...params, apiKey: NEWS_KEY });
+  const r = await fetch(`https://newsapi.org/v2/everything?${qs}`);
+  return r.json();
+};
+
+async function fetchStockNews(ticker) {
+  if (!NEWS_KEY) return [];
+  try {
+    const since = new Date(Date.now() - 3*24*60*60*1000).toISOString();
+
+    const company = await symbols.resolve(ticker, { assetClass: 'stock' });
+    // A name match would be some other company; only the ticker itself counts
+    const companyName = company?.symbol === parseSymbol(ticker).key ? shortCompanyName(company.name) : null;
+    const companyNames = [companyName, NEWS_NAME_ALIASES[ticker]].filter(Boolean);
+    const query = [ticker, ...companyNames].map(newsPhrase).join(' OR ');
+
+    const financialDomains = 'bloomberg.com,reuters.com,cnbc.com,marketwatch.com,seekingalpha.com,fool.com,investopedia.com,barrons.com,wsj.com,ft.com,yahoo.com,benzinga.com,thestreet.com';
+
+    let d = await searchNews({ q: query, domains: financialDomains, from: since, pageSize: 15 });
+
+    if (!d.articles?.length) {
+      d = await searchNews({ q: `${newsPhrase(ticker)} AND (stock OR shares OR earnings OR trading)`, from: since, pageSize: 15 });
+    }
+
+    if (d.articles?.length) {
+      const relevantArticles = d.articles.filter(a => {
+        const title = a.title.toLowerCase();
+        const description = (a.description || '').toLowerCase();
+        const fullText = title + ' ' + description;
+
+        const mentionsCompany = title.includes(ticker.toLowerCase()) ||
+                               companyNames.join(' ').toLowerCase().split(' ').some(word =>
+                                 word.length > 3 && title.includes(word.toLowerCase())
+                               );
+
+        const stockKeywords = ['stock', 'shares', 'trading', 'investor', 'market', 'price', 'earnings', 'revenue', 'quarter', 'analyst', 'upgrade', 'downgrade', 'wall street', 'profit', 'loss'];
+        const hasStockKeywords = stockKeywords.some(keyword => fullText.includes(keyword));
+
+        return mentionsCompany && hasStockKeywords;
+      });
+
+      return relevantArticles.slice(0, 3).map(a => ({
+        title: a.title,
+        source: a.source.name,
+        publishedAt: a.publishedAt,
+        url: a.url
+      }));
+    }
+    return [];
+  } catch (e) {
+    console.error("News fetch error:", e.message);
+    return null;
+  }
+}
+
+async function fetchCryptoNews(ticker, coinId, coinName = null) {
+  if (!NEWS_KEY) return [];
+  try {
+    const since = new Date(Date.now() - 3*24*60*60*1000).toISOString();
+    const cryptoName = coinName || coinId.charAt(0).toUpperCase() + coinId.slice(1).replace('-', ' ');
+
+    const domains = 'coindesk.com,cointelegraph.com,decrypt.co,theblock.co,coinmarketcap.com,bitcoin.com';
+    const d = await searchNews({ q: `${newsPhrase(ticker)} OR ${newsPhrase(cryptoName)}`, domains, from: since, pageSize: 10 });
+
+    if (d.articles?.length) {
+      return d.articles.slice(0, 3).map(a => ({
+        title: a.title,
+        source: a.source.name,
+        publishedAt: a.publishedAt,
+        url: a.url
+      }));
+    }
+    return [];
+  } catch (e) {
+    console.error("Crypto news error:", e.message);
+    return null;
+  }
+}
+
+const promptKey = (prompt) => crypto.createHash('sha256').update(prompt).digest('hex');
+
+// The models that may answer are part of the key, so switching
+// LLM_MODEL_<TASK> never serves text cached from the previous model
+const completionKey = (llm, task, prompt) => promptKey(`${llm.modelsFor(task).join(',')}\n${prompt}`);
+
+// AI completion through the cache: { text, model, usage }. Rejects when every
+// configured model failed.
+const cachedCompletion = (cached, llm, { task, prompt, maxTokens, label, onToken }) =>
+  cached.get('ai', completionKey(llm, task, prompt), () => llm.complete({ task, prompt, maxTokens, onToken }), label);
+
+// Checked sections are keyed by the compliance rules too, so changed rules
+// re-check instead of serving text that passed the old ones
+const sectionsKey = (llm, task, prompt) => completionKey(llm, task, `compliance:${COMPLIANCE_VERSION}\n${prompt}`);
+
+// Sections of `output` through the cache: { sections, model, compliance }.
+// Only validated replies are cached, and only after the compliance guard
+// (lib/compliance.js) has rewritten, regenerated or redacted what breaks its
+// rules, so each violation is logged once per fresh reply. `context`
+// ({ ticker, promptVersion }) goes into that log. Rejects when every model
+// failed or the reply was still invalid after its repair request.
+const cachedSections = (cached, llm, compliance, { task, output, prompt, maxTokens, label, context = {}, allowedYears = [] }) =>
+  cached.get('ai', sectionsKey(llm, task, prompt), async () => {
+    const reply = await completeStructured(llm, { task, prompt, schema: output.schema, maxTokens });
+    const regenerate = (feedback) => completeStructured(llm, { task, prompt: `${prompt}\n\n${feedback}`, schema: output.schema, maxTokens })
+      .then(({ data }) => sectionsFrom(output, data));
+    const checked = await compliance.enforceSections(sectionsFrom(output, reply.data), {
+      regenerate,
+      allowedYears,
+      context: { ...context, task, model: reply.model }
+    });
+    return { sections: checked.sections, model: reply.model, compliance: checked.violations };
+  }, label);
+
+// ==========================================
+// PROMPTS
+// ==========================================
+// The prompt text is a versioned template (lib/prompts.js, prompts/). These
+// build the named variables a template is filled with, formatted the way the
+// model should read them. Builders take the requesting user's id as
+// `cohort`, which picks each template version, and record the versions used
+// in `analysis.prompts`.
+const billions = (value) => value ? (value / 1e9).toFixed(2) : null;
+
+const cryptoPromptVariables = (ticker, { price, changePct, low24h, high24h, marketCap, volume, news, technicals }) => ({
+  ticker,
+  price: price?.toFixed(2),
+  changePct: changePct?.toFixed(2),
+  low24h: low24h?.toFixed(2),
+  high24h: high24h?.toFixed(2),
+  marketCap: billions(marketCap),
+  volume: volume?.toLocaleString('en-US', { maximumFractionDigits: 0 }),
+  news: news.map(n => `• ${n.source} (${n.time}h ago): ${n.title}`).join('\n'),
+  technicals: technicals ? formatIndicatorsForPrompt(technicals) : null,
+  replyFormat: jsonReplyInstructions(CRYPTO_OUTPUT)
+});
+
+// Shared by the simplified and detailed prompts; `output` is the part's
+// declared output (SIMPLIFIED_OUTPUT or DETAILED_OUTPUT), whose schema goes
+// into the reply instructions.
+const stockPromptVariables = (ticker, output, { companyDescription, companySector, companyIndustry, realtimePrice, marketCap, peRatio, news, technicals, fundamentals }) => ({
+  ticker,
+  description: companyDescription ? companyDescription.substring(0, 200) : null,
+  sector: companySector,
+  industry: companyIndustry,
+  price: realtimePrice ? realtimePrice.toFixed(2) : null,
+  marketCap: billions(marketCap),
+  peRatio: peRatio ? peRatio.toFixed(2) : null,
+  trend: technicals?.sma[50] ? (technicals.close >= technicals.sma[50] ? 'above' : 'below') : null,
+  news: news.map(n => `• ${n.source} (${n.time}h ago): ${n.title}`).join('\n'),
+  technicals: technicals ? formatIndicatorsForPrompt(technicals) : null,
+  fundamentals: fundamentals ? formatFundamentalsForPrompt(fundamentals) : null,
+  replyFormat: jsonReplyInstructions(output)
+});
+
+const comparisonPromptVariables = (rows) => {
+  const fmt = (value, digits = 2, suffix = '') => value === null || value === undefined ? 'n/a' : `${value.toFixed(digits)}${suffix}`;
+
+  const companies = rows.map(r => [
+    `${r.ticker}${r.name ? ` (${r.name})` : ''}${r.sector ? ` - ${r.sector}` : ''}`,
+    `  Price: $${fmt(r.price)} | Market Cap: ${r.marketCap ? `$${(r.marketCap / 1e9).toFixed(2)}B` : 'n/a'} | P/E: ${fmt(r.valuation.peRatio)}`,
+    `  Risk Score: ${r.riskScore ? `${r.riskScore.score}/10 (${r.riskScore.level})` : 'n/a'} | Beta: ${fmt(r.valuation.beta)} | Short Interest: ${r.shortPercentOfFloat !== null ? fmt(r.shortPercentOfFloat * 100, 1, '%') : 'n/a'}`,
+    `  Dividend Yield: ${r.dividend.dividendYield ? fmt(r.dividend.dividendYield * 100, 2, '%') : 'none'} | Analyst Upside: ${fmt(r.analyst.upsidePercent, 1, '%')} (${r.analyst.numberOfAnalysts ?? 0} analysts)`,
+    `  News Sentiment: ${r.sentiment.label} (${r.sentiment.score}/100, ${r.newsCount} articles)`
+  ].join('\n')).join('\n\n');
+
+  return { tickers: rows.map(r => r.ticker).join(', '), companies, replyFormat: jsonReplyInstructions(COMPARISON_OUTPUT) };
+};
+
+// ==========================================
+// SECTION EVENTS
+// ==========================================
+// Builders accept an optional onEvent(name, payload) callback and report each
+// part of the document as soon as its sources resolve, so a streaming client
+// can render the price card while the AI is still writing. Payloads are the
+// same objects that end up in the final document.
+
+const noop = () => {};
+
+// Emits `section` with toPayload(value) once `promise` resolves, or a
+// 'section-error' event when the source came back empty (fetchers resolve to
+// null on failure). Passes the value through for the builder's own use.
+const emitSection = (onEvent, section, promise, toPayload) => promise.then(value => {
+  if (value === null || value === undefined) {
+    onEvent('section-error', { section, error: 'Source unavailable' });
+  } else {
+    onEvent(section, toPayload(value));
+  }
+  return value;
+});
+
+// Runs an AI part through the cache, then emits 'ai' with the validated
+// sections. The model's reply is not streamed: until the compliance guard
+// has run it may hold advice or predictions, so only the checked sections
+// are sent. `part` names the analysis field the sections go into, and tags
+// its compliance entries. When every model fails, or
+// the reply stays invalid, the part resolves to
+// { sections: [], model: null, compliance: [], error } after a 'section-error' event.
+const sectionsWithEvents = ({ cached, llm, compliance, onEvent }, { part, task, output, prompt, maxTokens, label, context, allowedYears }) =>
+  cachedSections(cached, llm, compliance, {
+    task,
+    output,
+    prompt,
+    maxTokens,
+    label,
+    context,
+    allowedYears
+  }).then(ai => ({ ...ai, compliance: ai.compliance.map(v => ({ part, ...v })) })).catch(err => {
+    onEvent('section-error', { section: 'ai', part, error: err.message });
+    return { sections: [], model: null, compliance: [], error: err.message };
+  }).then(ai => {
+    onEvent('ai', { part, sections: ai.sections });
+    return ai;
+  });
+
+// News sentiment for one build. In model mode the ratings go through the AI
+// cache like every other completion.
+const newsSentimentFor = (cached, llm) => createSentimentAnalyzer({
+  complete: (prompt, maxTokens) => cachedCompletion(cached, llm, { task: 'sentiment', prompt, maxTokens, label: 'aiSentiment' })
+    .then(completion => completion.text)
+});
+
+// ==========================================
+// CRYPTO ANALYSIS
+// ==========================================
+const computeMarketInterest = (changePct, newsCount) => {
+  const pct = changePct ? parseFloat(changePct.toFixed(2)) : 0;
+  let score = 50;
+
+  if (pct > 20) score += 25;
+  else if (pct > 10) score += 20;
+  else if (pct > 5) score += 15;
+  else if (pct > 2) score += 10;
+  else if (pct > 0) score += 5;
+  else if (pct > -2) score -= 5;
+  else if (pct > -5) score -= 10;
+  else if (pct > -10) score -= 15;
+  else if (pct > -20) score -= 20;
+  else score -= 25;
+
+  if (newsCount >= 3) score += 15;
+  else if (newsCount >= 2) score += 10;
+  else if (newsCount >= 1) score += 5;
+
+  score = Math.max(0, Math.min(100, Math.round(score)));
+
+  let level = "Neutral Activity";
+  let color = "#6b7280";
+  if (score >= 75) { level = "High Market Interest"; color = "#10b981"; }
+  else if (score >= 60) { level = "Elevated Interest"; color = "#3b82f6"; }
+  else if (score >= 40) { level = "Neutral Activity"; color = "#6b7280"; }
+  else if (score >= 25) { level = "Below Average Interest"; color = "#f59e0b"; }
+  else { level = "Low Market Interest"; color = "#ef4444"; }
+
+  return { score, level, color };
+};
+
+const cryptoPriceFields = (quote) => ({
+  price: quote?.price ?? null,
+  change24h: quote?.change ?? null,
+  changePct: quote?.changePercent ?? null,
+  volume: quote?.volume ?? null,
+  marketCap: quote?.marketCap ?? null,
+  high24h: quote?.dayHigh ?? null,
+  low24h: quote?.dayLow ?? null,
+  sources: renameSources(quote?.sources, {
+    price: 'price', change24h: 'change', changePct: 'changePercent', volume: 'volume',
+    marketCap: 'marketCap', high24h: 'dayHigh', low24h: 'dayLow'
+  })
+});
+
+async function buildCryptoAnalysis(ticker, { marketData = defaultMarketData, cache = defaultCache, llm = defaultLlm, prompts = defaultPrompts, compliance = defaultCompliance, cohort = null, onEvent = noop } = {}) {
+  const coin = await symbols.resolve(ticker, { assetClass: 'crypto' });
+  const coinId = coin?.coinId || coinIdFor(ticker);
+  const cached = cache.tracker();
+
+  const historyOptions = { assetType: 'crypto', ...ANALYSIS_HISTORY };
+  const [quote, cachedNews, history] = await Promise.all([
+    emitSection(onEvent, 'price', cached.get('quote', `crypto:${ticker}`, () => marketData.quote(ticker, { assetType: 'crypto' })),
+      (q) => ({ price: cryptoPriceFields(q) })),
+    emitSection(onEvent, 'news', cached.get('news', `crypto:${ticker}`, () => fetchCryptoNews(ticker, coinId, coin?.name)),
+      (articles) => ({ news: withNewsAge(articles) })),
+    emitSection(onEvent, 'technicals', cached.get('history', historyCacheKey(ticker, historyOptions), () => fetchPriceHistory(ticker, { ...historyOptions, marketData })),
+      (h) => ({ technicals: summarizeIndicators(h.candles) }))
+  ]);
+  const news = withNewsAge(cachedNews || []);
+  const technicals = summarizeIndicators(history?.candles);
+
+  const priceFields = cryptoPriceFields(quote);
+  const { price, changePct, volume, marketCap, high24h, low24h } = priceFields;
+
+  const marketInterest = computeMarketInterest(changePct, news.length);
+  onEvent('marketInterest', { marketInterest });
+
+  const prompt = await prompts.render('crypto', cryptoPromptVariables(ticker, { price, changePct, low24h, high24h, marketCap, volume, news, technicals }), { cohort });
+  const ai = await sectionsWithEvents({ cached, llm, compliance, onEvent }, {
+    part: 'sections', task: 'crypto', output: CRYPTO_OUTPUT, prompt: prompt.text, maxTokens: 400,
+    context: { ticker, promptVersion: prompt.version }
+  });
+
+  return {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    ticker,
+    assetType: 'crypto',
+    coinId,
+    generatedAt: new Date().toISOString(),
+    price: priceFields,
+    marketInterest,
+    technicals,
+    news,
+    analysis: {
+      model: ai.model,
+      prompts: { crypto: prompt.version },
+      sections: ai.sections,
+      compliance: ai.compliance,
+      ...(ai.error && { error: ai.error })
+    },
+    cache: cached.report()
+  };
+}
+
+// ==========================================
+// STOCK ANALYSIS
+// ==========================================
+const companyFields = (overview) => ({
+  description: overview?.description || null,
+  sector: overview?.sector || null,
+  industry: overview?.industry || null,
+  sources: renameSources(overview?.sources, { description: 'description', sector: 'sector', industry: 'industry' })
+});
+
+// Price card, earnings date, dividend and risk score all come from the quote
+const stockQuoteFields = (quote) => {
+  const realtimePrice = quote?.price ?? null;
+  const marketCap = quote?.marketCap ?? null;
+  const beta = quote?.beta ?? null;
+  const shortPercentOfFloat = quote?.shortPercentOfFloat ?? null;
+
+  // Get earnings calendar with timestamp for countdown
+  let earningsDate = null;
+  let earningsTimestamp = null;
+  if (quote?.earningsTimestamp) {
+    earningsTimestamp = quote.earningsTimestamp;
+    earningsDate = new Date(quote.earningsTimestamp * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  return {
+    price: {
+      realtimePrice,
+      priceChange24h: quote?.change ?? null,
+      priceChangePercent24h: quote?.changePercent ?? null,
+      marketCap,
+      peRatio: quote?.peRatio ?? null,
+      fiftyTwoWeekHigh: quote?.fiftyTwoWeekHigh ?? null,
+      fiftyTwoWeekLow: quote?.fiftyTwoWeekLow ?? null,
+      avgVolume: quote?.avgVolume ?? null,
+      beta,
+      sources: renameSources(quote?.sources, {
+        realtimePrice: 'price', priceChange24h: 'change', priceChangePercent24h: 'changePercent',
+        marketCap: 'marketCap', peRatio: 'peRatio', fiftyTwoWeekHigh: 'fiftyTwoWeekHigh',
+        fiftyTwoWeekLow: 'fiftyTwoWeekLow', avgVolume: 'avgVolume', beta: 'beta'
+      })
+    },
+    earnings: {
+      earningsDate,
+      earningsTimestamp,
+      sources: renameSources(quote?.sources, { earningsTimestamp: 'earningsTimestamp' })
+    },
+    dividend: {
+      dividendYield: quote?.dividendYield ?? null,
+      dividendRate: quote?.dividendRate ?? null,
+      exDividendDate: quote?.exDividendDate ?? null,
+      payoutRatio: quote?.payoutRatio ?? null,
+      sources: renameSources(quote?.sources, {
+        dividendYield: 'dividendYield', dividendRate: 'dividendRate',
+        exDividendDate: 'exDividendDate', payoutRatio: 'payoutRatio'
+      })
+    },
+    shortPercentOfFloat,
+    riskScore: beta ? computeRiskScore({ beta, marketCap, shortPercentOfFloat }) : null
+  };
+};
+
+const analystFields = (analyst, realtimePrice) => ({
+  analystRatings: analyst?.ratings || null,
+  analystPriceTargets: analyst?.priceTargets
+    ? { ...analyst.priceTargets, current: analyst.priceTargets.current ?? realtimePrice }
+    : null
+});
+
+async function buildStockAnalysis(ticker, { marketData = defaultMarketData, cache = defaultCache, llm = defaultLlm, prompts = defaultPrompts, compliance = defaultCompliance, cohort = null, onEvent = noop } = {}) {
+  const cached = cache.tracker();
+  const analyzeSentiment = newsSentimentFor(cached, llm);
+
+  const historyOptions = { assetType: 'stock', ...ANALYSIS_HISTORY };
+
+  // Real-time data (Yahoo Finance, then Alpha Vantage GLOBAL_QUOTE)
+  const quoteRequest = emitSection(onEvent, 'price',
+    cached.get('quote', ticker, () => marketData.quote(ticker, { assetType: 'stock' })),
+    stockQuoteFields);
+
+  // Statements are cached raw; ratios are recomputed against the live market cap
+  const fundamentalsRequest = cached.get('fundamentals', ticker, () => marketData.fundamentals(ticker));
+
+  // Every upstream source is independent, so fetch them side by side
+  const [overview, quote, analyst, insiderData, socialSentiment, scoredNews, history, statements] = await Promise.all([
+    // Company description, sector and industry (Alpha Vantage, then Yahoo profile)
+    emitSection(onEvent, 'company', cached.get('overview', ticker, () => marketData.overview(ticker, { assetType: 'stock' })),
+      (overviewData) => ({ company: companyFields(overviewData) })),
+    quoteRequest,
+    // Price targets fall back to the quote price, so this event waits for the quote too
+    emitSection(onEvent, 'analyst',
+      Promise.all([cached.get('analyst', ticker, () => fetchAnalystData(ticker)), quoteRequest])
+        .then(([analystData, quoteData]) => analystData && { analystData, quoteData }),
+      ({ analystData, quoteData }) => analystFields(analystData, quoteData?.price ?? null)
+    ).then(pair => pair?.analystData ?? null),
+    emitSection(onEvent, 'insider', cached.get('insider', ticker, () => fetchInsiderData(ticker)),
+      (data) => ({ insiderData: data })),
+    emitSection(onEvent, 'social', cached.get('social', ticker, () => fetchSocialSentiment(ticker)),
+      (data) => ({ socialSentiment: data })),
+    // Each article comes back with its own sentiment
+    emitSection(onEvent, 'news',
+      cached.get('news', ticker, () => fetchStockNews(ticker))
+        .then(articles => articles && analyzeSentiment(withNewsAge(articles), ticker)),
+      (scored) => scored),
+    // Daily candles for SMA/EMA/RSI/MACD/Bollinger/ATR
+    emitSection(onEvent, 'technicals', cached.get('history', historyCacheKey(ticker, historyOptions), () => fetchPriceHistory(ticker, { ...historyOptions, marketData })),
+      (h) => ({ technicals: summarizeIndicators(h.candles) })),
+    // The free cash flow yield needs the market cap, so this event waits for the quote too
+    emitSection(onEvent, 'fundamentals',
+      Promise.all([fundamentalsRequest, quoteRequest])
+        .then(([statementData, quoteData]) => statementData && { statementData, quoteData }),
+      ({ statementData, quoteData }) => ({ fundamentals: computeFundamentals(statementData, { marketCap: quoteData?.marketCap ?? null }) })
+    ).then(pair => pair?.statementData ?? null)
+  ]);
+  const { news, sentiment } = scoredNews || await analyzeSentiment([], ticker);
+  const technicals = summarizeIndicators(history?.candles);
+
+  const company = companyFields(overview);
+  const quoteFields = stockQuoteFields(quote);
+  const { realtimePrice, marketCap, peRatio } = quoteFields.price;
+  const fundamentals = computeFundamentals(statements, { marketCap });
+
+  const promptContext = {
+    companyDescription: company.description,
+    companySector: company.sector,
+    companyIndustry: company.industry,
+    realtimePrice, marketCap, peRatio, news, technicals, fundamentals
+  };
+  const detailedVariables = stockPromptVariables(ticker, DETAILED_OUTPUT, promptContext);
+  const [simplifiedPrompt, detailedPrompt] = await Promise.all([
+    prompts.render('simplified', stockPromptVariables(ticker, SIMPLIFIED_OUTPUT, promptContext), { cohort }),
+    prompts.render('detailed', detailedVariables, { cohort })
+  ]);
+
+  // Fetch both simplified and detailed analyses. The detailed prompt may
+  // cite the fundamentals, so their fiscal years are allowed there.
+  const aiContext = { cached, llm, compliance, onEvent };
+  const [simplified, detailed] = await Promise.all([
+    sectionsWithEvents(aiContext, {
+      part: 'simplified', task: 'simplified', output: SIMPLIFIED_OUTPUT, prompt: simplifiedPrompt.text, maxTokens: 350, label: 'aiSimplified',
+      context: { ticker, promptVersion: simplifiedPrompt.version }
+    }),
+    sectionsWithEvents(aiContext, {
+      part: 'detailed', task: 'detailed', output: DETAILED_OUTPUT, prompt: detailedPrompt.text, maxTokens: 400, label: 'aiDetailed',
+      context: { ticker, promptVersion: detailedPrompt.version },
+      allowedYears: yearsIn(detailedVariables.fundamentals)
+    })
+  ]);
+  const aiError = simplified.error || detailed.error;
+
+  return {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    ticker,
+    assetType: 'stock',
+    generatedAt: new Date().toISOString(),
+    company,
+    ...quoteFields,
+    technicals,
+    fundamentals,
+    ...analystFields(analyst, realtimePrice),
+    insiderData,
+    socialSentiment,
+    news,
+    sentiment,
+    analysis: {
+      model: simplified.model || detailed.model,
+      // Each part can be answered by a different model (per-task models, fallback)
+      models: { simplified: simplified.model, detailed: detailed.model },
+      prompts: { simplified: simplifiedPrompt.version, detailed: detailedPrompt.version },
+      simplified: simplified.sections,
+      detailed: detailed.sections,
+      compliance: [...simplified.compliance, ...detailed.compliance],
+      ...(aiError && { error: aiError })
+    },
+    cache: cached.report()
+  };
+}
+
+// ==========================================
+// COMPARISON
+// ==========================================
+// Side-by-side headline numbers for a handful of stocks plus one AI section
+// contrasting them. Rows come from the same cached fetchers as the full
+// analysis, so comparing tickers that were just analyzed costs no upstream
+// calls. Insider, social and history feeds are skipped; they are not compared.
+async function fetchComparisonRow(ticker, { marketData, cache, llm }) {
+  const cached = cache.tracker();
+
+  const [overview, quote, analyst, cachedNews] = await Promise.all([
+    cached.get('overview', ticker, () => marketData.overview(ticker, { assetType: 'stock' })),
+    cached.get('quote', ticker, () => marketData.quote(ticker, { assetType: 'stock' })),
+    cached.get('analyst', ticker, () => fetchAnalystData(ticker)),
+    cached.get('news', ticker, () => fetchStockNews(ticker))
+  ]);
+  const { news, sentiment } = await newsSentimentFor(cached, llm)(withNewsAge(cachedNews || []), ticker);
+
+  const price = quote?.price ?? null;
+  const marketCap = quote?.marketCap ?? null;
+  const beta = quote?.beta ?? null;
+  const shortPercentOfFloat = quote?.shortPercentOfFloat ?? null;
+  const targetMean = analyst?.priceTargets?.targetMean ?? null;
+
+  return {
+    ticker,
+    name: quote?.name ?? overview?.name ?? null,
+    sector: overview?.sector || null,
+    industry: overview?.industry || null,
+    price,
+    priceChangePercent24h: quote?.changePercent ?? null,
+    marketCap,
+    valuation: {
+      peRatio: quote?.peRatio ?? null,
+      beta,
+      fiftyTwoWeekHigh: quote?.fiftyTwoWeekHigh ?? null,
+      fiftyTwoWeekLow: quote?.fiftyTwoWeekLow ?? null
+    },
+    riskScore: beta ? computeRiskScore({ beta, marketCap, shortPercentOfFloat }) : null,
+    dividend: {
+      dividendYield: quote?.dividendYield ?? null,
+      dividendRate: quote?.dividendRate ?? null,
+      payoutRatio: quote?.payoutRatio ?? null
+    },
+    shortPercentOfFloat,
+    analyst: {
+      targetMean,
+      numberOfAnalysts: analyst?.priceTargets?.numberOfAnalysts ?? null,
+      upsidePercent: targetMean !== null && price ? Math.round(((targetMean - price) / price) * 10000) / 100 : null,
+      ratings: analyst?.ratings || null
+    },
+    sentiment,
+    newsCount: news.length,
+    sources: renameSources(quote?.sources, {
+      price: 'price', marketCap: 'marketCap', peRatio: 'peRatio', beta: 'beta',
+      dividendYield: 'dividendYield', shortPercentOfFloat: 'shortPercentOfFloat'
+    }),
+    cache: cached.report()
+  };
+}
+
+// tickers: 2-6 distinct stock symbols, already validated by the caller.
+// Tickers without a quote are listed in `unavailable` and left out of the AI
+// section; the comparison fails only when fewer than two remain.
+async function buildComparison(tickers, { marketData = defaultMarketData, cache = defaultCache, llm = defaultLlm, prompts = defaultPrompts, compliance = defaultCompliance, cohort = null, concurrency = COMPARE_CONCURRENCY } = {}) {
+  const fetched = await mapWithConcurrency(tickers, concurrency, ticker => fetchComparisonRow(ticker, { marketData, cache, llm }));
+
+  const rows = fetched.filter(r => r.price !== null);
+  if (rows.length < COMPARE_LIMITS.min) {
+    throw new Error(`Not enough market data to compare (${rows.length} of ${tickers.length} tickers priced)`);
+  }
+
+  const cached = cache.tracker();
+  const prompt = await prompts.render('comparison', comparisonPromptVariables(rows), { cohort });
+  // The rows are worth returning even when the AI is down
+  const comparison = await cachedSections(cached, llm, compliance, {
+    task: 'comparison', output: COMPARISON_OUTPUT, prompt: prompt.text, maxTokens: 450, label: 'aiComparison',
+    context: { ticker: rows.map(r => r.ticker).join(','), promptVersion: prompt.version }
+  })
+    .then(ai => ({ ...ai, compliance: ai.compliance.map(v => ({ part: 'sections', ...v })) }))
+    .catch(err => ({ sections: [], model: null, compliance: [], error: err.message }));
+
+  return {
+    tickers,
+    generatedAt: new Date().toISOString(),
+    rows: rows.map(({ cache: _, ...row }) => row),
+    unavailable: fetched.filter(r => r.price === null).map(r => r.ticker),
+    analysis: {
+      model: comparison.model,
+      prompts: { comparison: prompt.version },
+      sections: comparison.sections,
+      compliance: comparison.compliance,
+      ...(comparison.error && { error: comparison.error })
+    },
+    cache: {
+      ...cached.report(),
+      tickers: Object.fromEntries(fetched.map(r => [r.ticker, r.cache]))
+    }
+  };
+}
+
+// ==========================================
+// LATEST PRICE
+// ==========================================
+// Lightweight price lookups for background jobs and list views. They go
+// through the same provider layer (and fallback order) as the full analysis.
+async function getLatestPrice(ticker, isCrypto, { marketData = defaultMarketData } = {}) {
+  const assetType = isCryptoTicker(ticker, isCrypto) ? 'crypto' : 'stock';
+  const quotes = await marketData.quotes([ticker], { assetType });
+  return quotes.get(ticker.toUpperCase())?.price ?? null;
+}
+
+// Compact quote rows for a batch of { ticker, isCrypto } entries. Stocks and
+// crypto each go out as one batch request where the provider supports it.
+async function getQuoteSummaries(entries, { marketData = defaultMarketData } = {}) {
+  const stocks = entries.filter(e => !isCryptoTicker(e.ticker, e.isCrypto)).map(e => e.ticker);
+  const coins = entries.filter(e => isCryptoTicker(e.ticker, e.isCrypto)).map(e => e.ticker);
+
+  const [stockQuotes, coinQuotes] = await Promise.all([
+    stocks.length ? marketData.quotes(stocks, { assetType: 'stock' }) : new Map(),
+    coins.length ? marketData.quotes(coins, { assetType: 'crypto' }) : new Map()
+  ]);
+
+  return entries.map(({ ticker, isCrypto }) => {
+    const cryptoAsset = isCryptoTicker(ticker, isCrypto);
+    const quote = (cryptoAsset ? coinQuotes : stockQuotes).get(ticker.toUpperCase());
+    return {
+      ticker,
+      isCrypto: cryptoAsset,
+      name: quote?.name ?? null,
+      price: quote?.price ?? null,
+      change: quote?.change ?? null,
+      changePercent: quote?.changePercent ?? null,
+      marketCap: quote?.marketCap ?? null,
+      sources: quote?.sources ?? {}
+    };
+  });
+}
+
+// Sector per stock ticker, shared with the analysis overview cache so a
+// portfolio view does not re-query tickers that were just analyzed
+async function getCompanySectors(tickers, { marketData = defaultMarketData, cache = defaultCache } = {}) {
+  const sectors = await Promise.all(tickers.map(async ticker => {
+    const { value: overview } = await cache.wrap('overview', ticker, () => marketData.overview(ticker, { assetType: 'stock' }))
+      .catch(() => ({ value: null }));
+    return [ticker, overview?.sector || null];
+  }));
+  return new Map(sectors);
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA_VERSION,
+  ANALYSIS_HISTORY,
+  COMPARE_LIMITS,
+  CRYPTO_IDS,
+  isCryptoTicker,
+  CRYPTO_OUTPUT,
+  SIMPLIFIED_OUTPUT,
+  DETAILED_OUTPUT,
+  COMPARISON_OUTPUT,
+  computeRiskScore,
+  computeMarketInterest,
+  fetchAnalystData,
+  fetchInsiderData,
+  fetchSocialSentiment,
+  fetchStockNews,
+  fetchCryptoNews,
+  withNewsAge,
+  cryptoPromptVariables,
+  stockPromptVariables,
+  comparisonPromptVariables,
+  buildCryptoAnalysis,
+  buildStockAnalysis,
+  buildComparison,
+  getLatestPrice,
+  getQuoteSummaries,
+  getCompanySectors
+};
@@ -0,0 +1,163 @@
+// ==========================================
+// RESPONSE CACHE
+// ==========================================
+// Caches upstream API responses per data type so several users looking at
+// the same ticker share one set of NewsAPI / Alpha Vantage / OpenRouter calls.
+// Stores only hold plain JSON; empty results (null/undefined) are never
+// cached so a failed upstream call is retried on the next request.
+
+// Seconds. Override any of these with CACHE_TTL_<TYPE>, e.g. CACHE_TTL_NEWS=300
+const DEFAULT_TTLS = {
+  quote: 30,
+  overview: 12 * 60 * 60,
+  fundamentals: 12 * 60 * 60,
+  earnings: 6 * 60 * 60,
+  analyst: 60 * 60,
+  insider: 60 * 60,
+  filings: 60 * 60,
+  social: 5 * 60,
+  news: 15 * 60,
+  history: 15 * 60,
+  ai: 30 * 60
+};
+
+const ttlFromEnv = (type) => parseInt(process.env[`CACHE_TTL_${type.toUpperCase()}`], 10);
+
+// In-process store. Oldest entries are evicted first once maxEntries is hit.
+function createMemoryStore({ maxEntries = 5000 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Hand out copies so callers cannot mutate what other requests will see
+      return { ...entry, value: structuredClone(entry.value) };
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      // The caller keeps using `value` after a miss, so store a copy of it too
+      entries.set(key, { value: structuredClone(value), storedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// Shared store for multiple server instances. Expects the cache_entries table.
+function createPostgresStore(pool, { pruneIntervalMs = 10 * 60 * 1000 } = {}) {
+  const pruneTimer = setInterval(() => {
+    pool.query('DELETE FROM cache_entries WHERE expires_at <= NOW()')
+      .catch(err => console.error('Cache prune error:', err.message));
+  }, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return {
+    name: 'postgres',
+
+    async get(key) {
+      const result = await pool.query(
+        'SELECT value, stored_at, expires_at FROM cache_entries WHERE key = $1 AND expires_at > NOW()',
+        [key]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      return { value: row.value, storedAt: new Date(row.stored_at).getTime(), expiresAt: new Date(row.expires_at).getTime() };
+    },
+
+    async set(key, value, ttlSeconds) {
+      await pool.query(
+        `INSERT INTO cache_entries (key, value, stored_at, expires_at)
+         VALUES ($1, $2, NOW(), NOW() + ($3 || ' seconds')::interval)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, stored_at = EXCLUDED.stored_at, expires_at = EXCLUDED.expires_at`,
+        [key, JSON.stringify(value), String(ttlSeconds)]
+      );
+    },
+
+    async clear() {
+      await pool.query('DELETE FROM cache_entries');
+    }
+  };
+}
+
+function createCache({ store = createMemoryStore(), ttls = {} } = {}) {
+  const inflight = new Map();
+
+  const ttlFor = (type) => ttls[type] ?? (ttlFromEnv(type) || DEFAULT_TTLS[type] || 60);
+
+  // Resolves to { value, meta } where meta says whether the value was served
+  // from cache and how old it is. Concurrent misses for the same key share
+  // one upstream call.
+  async function wrap(type, key, fn) {
+    const cacheKey = `${type}:${key}`;
+    const ttlSeconds = ttlFor(type);
+
+    let entry = null;
+    try {
+      entry = await store.get(cacheKey);
+    } catch (e) {
+      console.error('Cache read error:', e.message);
+    }
+
+    if (entry) {
+      return {
+        value: entry.value,
+        meta: { hit: true, ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000), ttlSeconds }
+      };
+    }
+
+    if (!inflight.has(cacheKey)) {
+      inflight.set(cacheKey, (async () => {
+        try {
+          const value = await fn();
+          if (value !== null && value !== undefined) {
+            await store.set(cacheKey, value, ttlSeconds).catch(e => console.error('Cache write error:', e.message));
+          }
+          return value;
+        } finally {
+          inflight.delete(cacheKey);
+        }
+      })());
+    }
+
+    const value = await inflight.get(cacheKey);
+    return { value, meta: { hit: false, ageSeconds: 0, ttlSeconds } };
+  }
+
+  // Per-request helper: unwraps values and records each type's cache meta so
+  // it can be returned alongside the response.
+  function tracker() {
+    const report = {};
+    return {
+      get: async (type, key, fn, label = type) => {
+        const { value, meta } = await wrap(type, key, fn);
+        report[label] = meta;
+        return value;
+      },
+      report: () => report
+    };
+  }
+
+  return { wrap, tracker, ttlFor, store };
+}
+
+// Default process-wide cache; server.js swaps in Postgres when configured
+const cache = createCache();
+
+module.exports = {
+  DEFAULT_TTLS,
+  createMemoryStore,
+  createPostgresStore,
+  createCache,
+  cache
+};
@@ -0,0 +1,206 @@
+const { formatMoney, formatFundamentalsForPrompt } = require('./fundamentals');
+const { formatIndicatorsForPrompt } = require('./indicators');
+const { yearsIn } = require('./compliance');
+
+// ==========================================
+// TICKER CHAT
+// ==========================================
+// Follow-up questions about a ticker the user has analyzed ("why did it drop
+// today?"). A question is answered from an analysis document: the company,
+// quote, analyst, insider, social, news, technicals and fundamentals the
+// analysis gathered, plus the AI sections the user read. The history is kept
+// per user and ticker, and the latest messages go with each question.
+//
+// Replies pass the same compliance guard as the analysis sections before
+// they are stored or sent, streamed or not, so the stored history never
+// feeds a rejected reply back to the model.
+
+const CHAT_LIMITS = {
+  maxMessageChars: 1000,
+  // Earlier messages sent along with a question
+  historyMessages: 12,
+  maxTokens: 400,
+  // Most messages returned by one history request
+  listMax: 100
+};
+
+// Older snapshots are replaced by a fresh analysis before a question
+const CHAT_CONTEXT_MAX_AGE_MS = (parseInt(process.env.CHAT_CONTEXT_MAX_AGE_MINUTES, 10) || 60) * 60 * 1000;
+
+const fixed = (value, digits = 2) => value === null || value === undefined ? 'n/a' : Number(value).toFixed(digits);
+
+// Lines under a heading, or nothing when no line has data
+const block = (title, lines) => {
+  const present = lines.filter(Boolean);
+  return present.length ? `${title}:\n${present.join('\n')}` : null;
+};
+
+function stockLines(doc) {
+  const price = doc.price || {};
+  const ratings = doc.analystRatings;
+  const targets = doc.analystPriceTargets;
+  const insider = doc.insiderData;
+  const quarters = (doc.fundamentals?.quarterly || []).slice(0, 2);
+
+  return [
+    block('COMPANY', [
+      doc.company?.description && `- Business: ${doc.company.description}`,
+      doc.company?.sector && `- Sector: ${doc.company.sector}${doc.company.industry ? ` (${doc.company.industry})` : ''}`
+    ]),
+    block('PRICE', [
+      price.realtimePrice != null && `- Price: $${fixed(price.realtimePrice)} (${fixed(price.priceChange24h)} / ${fixed(price.priceChangePercent24h)}% today)`,
+      price.marketCap != null && `- Market Cap: ${formatMoney(price.marketCap)}`,
+      price.peRatio != null && `- P/E: ${fixed(price.peRatio, 1)}`,
+      price.fiftyTwoWeekLow != null && `- 52-week range: $${fixed(price.fiftyTwoWeekLow)} - $${fixed(price.fiftyTwoWeekHigh)}`,
+      price.beta != null && `- Beta: ${fixed(price.beta)}`
+    ]),
+    block('ANALYSTS', [
+      ratings && `- Ratings: ${ratings.strongBuy} strong buy, ${ratings.buy} buy, ${ratings.hold} hold, ${ratings.sell} sell, ${ratings.strongSell} strong sell`,
+      targets && `- Price targets from ${targets.numberOfAnalysts} analysts: mean $${fixed(targets.targetMean)}, low $${fixed(targets.targetLow)}, high $${fixed(targets.targetHigh)}`
+    ]),
+    insider && block('INSIDER TRADES (LAST 90 DAYS)', [
+      `- ${insider.totalBuys} open-market buys, ${insider.totalSells} sales, net ${formatMoney(insider.netValue)} (${insider.sentiment})`,
+      ...(insider.transactions || []).map(t => `- ${t.title}, ${t.daysAgo} days ago`)
+    ]),
+    doc.socialSentiment && block('SOCIAL', [
+      `- ${doc.socialSentiment.source}: ${doc.socialSentiment.bullishPct}% bullish of ${doc.socialSentiment.volume} posts (${doc.socialSentiment.sentiment})`
+    ]),
+    doc.fundamentals && block('FUNDAMENTALS', [
+      formatFundamentalsForPrompt(doc.fundamentals),
+      ...quarters.map(q => `- Quarter ending ${q.periodEnd}: revenue ${formatMoney(q.revenue)} (${fixed(q.revenueGrowth, 1)}% vs a year earlier), operating margin ${fixed(q.operatingMargin, 1)}%`)
+    ])
+  ];
+}
+
+function cryptoLines(doc) {
+  const price = doc.price || {};
+  return [
+    block('PRICE', [
+      price.price != null && `- Price: $${fixed(price.price)} (${fixed(price.changePct)}% in 24h)`,
+      price.low24h != null && `- 24h range: $${fixed(price.low24h)} - $${fixed(price.high24h)}`,
+      price.marketCap != null && `- Market Cap: ${formatMoney(price.marketCap)}`,
+      price.volume != null && `- 24h Volume: ${formatMoney(price.volume)}`
+    ]),
+    doc.marketInterest && block('MARKET INTEREST', [`- ${doc.marketInterest.level} (score ${doc.marketInterest.score})`])
+  ];
+}
+
+// Prompt text for an analysis document. Dates are given as ages, so the
+// only years in it are fundamentals periods.
+function chatContextFrom(doc, { now = Date.now() } = {}) {
+  const minutesOld = Math.max(0, Math.round((now - new Date(doc.generatedAt).getTime()) / 60000));
+  const aiSections = doc.assetType === 'crypto'
+    ? doc.analysis?.sections || []
+    : [...(doc.analysis?.simplified || []), ...(doc.analysis?.detailed || [])];
+
+  return [
+    `Data gathered ${minutesOld} minutes ago.`,
+    ...(doc.assetType === 'crypto' ? cryptoLines(doc) : stockLines(doc)),
+    block('NEWS', [
+      doc.sentiment && `- Overall news sentiment: ${doc.sentiment.label} (${doc.sentiment.score}/100)`,
+      ...(doc.news || []).map(n => `- ${n.source} (${n.time}h ago${n.sentiment ? `, ${n.sentiment.label}` : ''}): ${n.title}`)
+    ]),
+    doc.technicals && block('TECHNICALS', [formatIndicatorsForPrompt(doc.technicals)]),
+    block('ANALYSIS THE USER READ', aiSections
+      .filter(section => !section.redacted)
+      .map(section => `${section.title}: ${section.content.replace(/\n/g, ' ')}`))
+  ].filter(Boolean).join('\n\n');
+}
+
+// Answers `question` about `doc` given the earlier `history` (stored
+// messages, oldest first). The reply is only passed to `onToken`, word by
+// word, once it has been through the compliance guard: a raw reply could
+// give advice the guard would remove, and a client showing tokens as they
+// arrive cannot take that back. The tokens replay the finished reply, so
+// the first one arrives only after the model has written all of it.
+// Resolves to { content, model, promptVersion, redacted, compliance }.
+async function answerChatQuestion({ ticker, doc, history, question, llm, prompts, compliance, cohort = null, onToken }) {
+  const context = chatContextFrom(doc);
+  const prompt = await prompts.render('chat', { ticker, context }, { cohort });
+  const conversation = [
+    ...history.slice(-CHAT_LIMITS.historyMessages).map(m => ({ role: m.role, content: m.content })),
+    { role: 'user', content: question }
+  ];
+
+  const ask = (system) => llm.complete({
+    task: 'chat',
+    messages: [{ role: 'system', content: system }, ...conversation],
+    maxTokens: CHAT_LIMITS.maxTokens
+  });
+
+  const reply = await ask(prompt.text);
+  const checked = await compliance.enforceText(reply.text, {
+    allowedYears: yearsIn(context),
+    context: { task: 'chat', ticker, model: reply.model, promptVersion: prompt.version },
+    regenerate: async (feedback) => (await ask(`${prompt.text}\n\n${feedback}`)).text
+  });
+
+  if (onToken && checked.text) checked.text.match(/\S+\s*/g).forEach(onToken);
+
+  return {
+    content: checked.text,
+    model: reply.model,
+    promptVersion: prompt.version,
+    redacted: checked.redacted,
+    compliance: checked.violations
+  };
+}
+
+const toChatMessage = (row) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  snapshotId: row.snapshot_id,
+  model: row.model,
+  promptVersion: row.prompt_version,
+  redacted: row.redacted,
+  compliance: row.compliance,
+  createdAt: row.created_at
+});
+
+function createChatStore({ pool }) {
+  // The latest `limit` messages, oldest first. Pass the first id seen as
+  // `before` to page backwards.
+  async function history(userId, ticker, { limit = CHAT_LIMITS.historyMessages, before } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT * FROM chat_messages
+         WHERE user_id = $1 AND ticker = $2 AND ($3::int IS NULL OR id < $3)
+         ORDER BY id DESC LIMIT $4
+       ) latest ORDER BY id`,
+      [userId, ticker, before || null, limit]
+    );
+    return result.rows.map(toChatMessage);
+  }
+
+  // A question and its reply are stored together, or not at all
+  async function append(userId, ticker, messages) {
+    const values = [];
+    const rows = messages.map((m, i) => {
+      values.push(userId, ticker, m.role, m.content, m.snapshotId ?? null, m.model ?? null, m.promptVersion ?? null,
+        Boolean(m.redacted), JSON.stringify(m.compliance || []));
+      return `(${Array.from({ length: 9 }, (_, j) => `$${i * 9 + j + 1}`).join(', ')})`;
+    });
+    const result = await pool.query(
+      `INSERT INTO chat_messages (user_id, ticker, role, content, snapshot_id, model, prompt_version, redacted, compliance)
+       VALUES ${rows.join(', ')} RETURNING *`,
+      values
+    );
+    return result.rows.sort((a, b) => a.id - b.id).map(toChatMessage);
+  }
+
+  async function clear(userId, ticker) {
+    const result = await pool.query('DELETE FROM chat_messages WHERE user_id = $1 AND ticker = $2', [userId, ticker]);
+    return result.rowCount;
+  }
+
+  return { history, append, clear };
+}
+
+module.exports = {
+  CHAT_LIMITS,
+  CHAT_CONTEXT_MAX_AGE_MS,
+  chatContextFrom,
+  answerChatQuestion,
+  createChatStore
+};
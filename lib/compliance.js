@@ -0,0 +1,330 @@
+// ==========================================
+// AI OUTPUT COMPLIANCE
+// ==========================================
+// Every piece of AI text shown to users is checked after it is written, no
+// matter what the prompt asked for. Rules:
+//   advice      imperative buy/sell advice ("buy now", "investors should sell")
+//   prediction  price predictions ("will reach $250", "poised to double")
+//   year        specific calendar years, which date the text and usually
+//               come with the stale figures prompts forbid
+//   markdown    formatting the plain-text renderers would show as symbols
+//
+// Markdown is stripped and sentences naming a year are dropped (rewrite).
+// Advice and predictions cannot be edited out reliably, so the text is
+// regenerated once with the problems spelled out; whatever still breaks a
+// rule after that is redacted. Every violation is logged with the action
+// taken, for review.
+//
+// Each rule lists examples it must flag and text it must let through. They
+// are the rule test suite: `npm run compliance` runs them.
+
+// Bump when rules change: checked AI output is cached under this version
+const COMPLIANCE_VERSION = 1;
+
+const REDACTED_NOTICE = 'This section was withheld because it did not meet our content guidelines.';
+
+// Longest excerpt of offending text kept in the violation log
+const MAX_EXCERPT_CHARS = 160;
+
+const stripMarkdown = (text) => text
+  .replace(/\*\*([^*]+)\*\*/g, '$1')
+  .replace(/__([^_]+)__/g, '$1')
+  .replace(/(?<![\w*])\*([^*\s][^*]*?)\*(?![\w*])/g, '$1')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .replace(/^#{1,6}\s+/gm, '')
+  .replace(/^(\s*)[-*]\s+/gm, '$1• ');
+
+const sentences = (text) => text.split(/(?<=[.!?])\s+(?=["'(•A-Z0-9])/);
+
+const COMPLIANCE_RULES = [
+  {
+    id: 'advice',
+    description: 'Imperative buy/sell advice',
+    action: 'regenerate',
+    patterns: [
+      /(?:^|[.!?;:]\s+|•\s*)(?:buy|sell|short|dump|grab|load up on)\s+(?:now|today|immediately|more|some|shares|the stock|this|it|before)\b/im,
+      /\b(?:you|investors|traders|holders|everyone) (?:should|must|need to|ought to) (?:buy|sell|short|hold|invest|get in|get out|take profits|avoid|accumulate|dump)\b/i,
+      /\bnow is (?:a|the) (?:good |great |perfect |best |right )?time to (?:buy|sell|invest|get in|get out)\b/i,
+      /\b(?:we|I) (?:recommend|suggest|advise)\b/i,
+      /\b(?:is|looks like) an? (?:strong |clear |solid )?(?:buy|sell)\b/i,
+      /\bconsider (?:buying|selling|shorting|adding to|accumulating)\b/i,
+      /\bdon'?t miss (?:out|this)\b/i
+    ],
+    examples: {
+      flag: [
+        'Buy now before the earnings report.',
+        'Investors should sell their shares ahead of the meeting.',
+        'You should buy AAPL on any pullback.',
+        'Now is a great time to buy.',
+        'We recommend trimming the position.',
+        'At this price the stock is a strong buy.',
+        'Consider buying on the dip.',
+        "Don't miss this rally."
+      ],
+      pass: [
+        'Analysts hold a strong buy consensus on average.',
+        'Insiders sold 5,000 shares last month.',
+        'Buyers stepped in after the drop.',
+        'The company plans to buy back shares.',
+        'Traders watch whether buy orders absorb the selling.'
+      ]
+    }
+  },
+  {
+    id: 'prediction',
+    description: 'Price prediction',
+    action: 'regenerate',
+    patterns: [
+      /\b(?:will|(?:is|are) (?:going|set|poised|likely|about) to|could easily)\s+(?:reach|hit|rise to|climb to|soar to|surge to|fall to|drop to|sink to|crash|double|triple|skyrocket|moon|break (?:above|below|through))\b/i,
+      /\b(?:price|stock|shares|it|token|coin)\s+(?:will|is going to|are going to)\s+(?:rise|fall|go up|go down|climb|drop|rally|soar|plunge|recover)\b/i,
+      /\bexpect (?:the )?(?:stock|shares|price|coin|token|it) to (?:rise|fall|rally|climb|drop|reach|hit|double|recover)\b/i,
+      /\b(?:guaranteed (?:returns?|gains?|profits?)|risk-free|can'?t lose|sure thing)\b/i
+    ],
+    examples: {
+      flag: [
+        'The price will reach $250 by year end.',
+        'BTC is going to hit $100k.',
+        'Shares are poised to double.',
+        'Expect the stock to rally from here.',
+        'It could easily climb to $300.',
+        'The coin will recover its losses.',
+        'This is a sure thing.'
+      ],
+      pass: [
+        "Analysts' mean target is $210, 13% above the current price.",
+        'Revenue is expected to grow next quarter, according to guidance.',
+        'Traders watch whether BTC can break above resistance.',
+        'The stock could fall if demand weakens.'
+      ]
+    }
+  },
+  {
+    id: 'year',
+    description: 'Specific calendar year',
+    action: 'rewrite',
+    patterns: [/(?<![$\d.,])(?:\bFY\s?|\b)(?:19|20)\d{2}\b(?!\s*%|[.,]\d)/gi],
+    // Drops the sentences that name a year
+    rewrite: (text, isViolation) => sentences(text).filter(s => !isViolation(s)).join(' '),
+    examples: {
+      flag: [
+        'Revenue peaked in 2021 and has declined since.',
+        'In FY2023 margins fell.',
+        'The company has paid a dividend since 1987.'
+      ],
+      pass: [
+        'Bitcoin traded near $2000 at the time.',
+        'The company runs 2,050 stores.',
+        'The price is 1999.50 after the drop.',
+        'The 200-day moving average is rising.'
+      ]
+    }
+  },
+  {
+    id: 'markdown',
+    description: 'Markdown formatting',
+    action: 'rewrite',
+    patterns: [
+      /\*\*[^*]+\*\*|__[^_]+__/,
+      /(?<![\w*])\*[^*\s][^*]*?\*(?![\w*])/,
+      /`[^`]*`/,
+      /\[[^\]]+\]\([^)]+\)/,
+      /^#{1,6}\s/m,
+      /^\s*[-*]\s+/m
+    ],
+    rewrite: (text) => stripMarkdown(text),
+    examples: {
+      flag: [
+        '**Strong** demand for services.',
+        'See the [annual report](https://example.com).',
+        '## Outlook',
+        'Watch the `RSI` reading.',
+        '- Margins are improving',
+        'Demand is *very* strong.'
+      ],
+      pass: [
+        '• Margins are improving',
+        'The price-to-earnings ratio is 29.',
+        'Revenue rose 5% - in line with guidance.',
+        'Short interest is 2% of float.'
+      ]
+    }
+  }
+];
+
+const RULES_BY_ID = Object.fromEntries(COMPLIANCE_RULES.map(rule => [rule.id, rule]));
+
+const excerptAround = (text, index) => {
+  const start = Math.max(0, index - 40);
+  return text.slice(start, start + MAX_EXCERPT_CHARS).replace(/\s+/g, ' ').trim();
+};
+
+// Calendar years in a match: "FY2023" -> "2023"
+const yearOf = (match) => match.replace(/\D/g, '');
+
+// Calendar years named in prompt data, which a reply may repeat (allowedYears)
+const yearsIn = (text) => [...new Set((text || '').match(/\b(?:19|20)\d{2}\b/g) || [])];
+
+// [{ rule, excerpt }] for one piece of text. `skip` lists rule ids to leave
+// out; `allowedYears` are years the text may name (ones given to the model
+// as data).
+function findViolations(text, { skip = [], allowedYears = [] } = {}) {
+  if (!text) return [];
+  return COMPLIANCE_RULES
+    .filter(rule => !skip.includes(rule.id))
+    .flatMap(rule => {
+      const hit = rule.patterns
+        .flatMap(pattern => [...text.matchAll(new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`))])
+        .find(match => rule.id !== 'year' || !allowedYears.includes(yearOf(match[0])));
+      return hit ? [{ rule: rule.id, excerpt: excerptAround(text, hit.index) }] : [];
+    });
+}
+
+// `text` with every rewritable rule in `ruleIds` applied
+function rewriteText(text, ruleIds, options = {}) {
+  return ruleIds.reduce((current, id) => {
+    const rule = RULES_BY_ID[id];
+    if (rule.action !== 'rewrite') return current;
+    const isViolation = (part) => findViolations(part, options).some(v => v.rule === id);
+    return rule.rewrite(current, isViolation).trim();
+  }, text);
+}
+
+// Runs every rule against its own examples: [{ rule, text, expected, got }]
+// for each one it gets wrong. An empty list means the suite passes.
+function checkRuleExamples(rules = COMPLIANCE_RULES) {
+  return rules.flatMap(rule => [
+    ...rule.examples.flag.map(text => ({ text, expected: true })),
+    ...rule.examples.pass.map(text => ({ text, expected: false }))
+  ].map(({ text, expected }) => {
+    const got = findViolations(text).some(v => v.rule === rule.id);
+    return got === expected ? null : { rule: rule.id, text, expected: expected ? 'flag' : 'pass', got: got ? 'flag' : 'pass' };
+  }).filter(Boolean));
+}
+
+const isRegenerateRule = (id) => RULES_BY_ID[id].action === 'regenerate';
+
+const feedbackFor = (violations) => `IMPORTANT: an earlier answer was rejected for breaking these rules:
+${[...new Set(violations.map(v => v.rule))].map(id => `- ${RULES_BY_ID[id].description}`).join('\n')}
+Write it again without them: describe and explain, never advise or predict.`;
+
+// Strings of a typed section (lib/structuredOutput.js), and the section
+// rebuilt from changed strings
+const sectionStrings = (section) => section.items || [section.content];
+const withStrings = (section, strings) => {
+  const kept = strings.filter(Boolean);
+  return section.items
+    ? { ...section, items: kept, content: kept.map(item => `• ${item}`).join('\n') }
+    : { ...section, content: kept.join(' ') };
+};
+const redact = (section) => ({ ...section, content: REDACTED_NOTICE, items: null, redacted: true });
+
+// `record(entry)` receives every violation found:
+//   { task, ticker, model, promptVersion, section, rule, action, excerpt }
+// where action is 'rewritten', 'regenerated' or 'redacted'. It is not
+// awaited, and a failure is only logged.
+function createComplianceGuard({ record = null } = {}) {
+  const log = (context, entries) => entries.forEach(entry => {
+    const row = { ...context, ...entry };
+    console.error(`Compliance ${row.action} (${row.rule}) in ${row.task || 'ai'}${row.section ? `/${row.section}` : ''}: "${row.excerpt}"`);
+    if (record) Promise.resolve().then(() => record(row)).catch(e => console.error('Compliance log error:', e.message));
+  });
+
+  const review = (sections, options) => sections.flatMap(section =>
+    sectionStrings(section).flatMap(text => findViolations(text, options)).map(v => ({ ...v, section: section.key })));
+
+  // Checks typed sections. `regenerate(feedback)` (optional) resolves to
+  // new sections written with `feedback` appended to the prompt; it is
+  // called at most once. Resolves to { sections, violations } where each
+  // violation is { section, rule, action }.
+  async function enforceSections(sections, { regenerate = null, context = {}, skip = [], allowedYears = [] } = {}) {
+    const options = { skip, allowedYears };
+    let current = sections;
+    let found = review(current, options);
+    const entries = [];
+
+    if (regenerate && found.some(v => isRegenerateRule(v.rule))) {
+      const replacement = await regenerate(feedbackFor(found)).catch(e => {
+        console.error('Compliance regeneration error:', e.message);
+        return null;
+      });
+      if (replacement) {
+        entries.push(...found.map(v => ({ ...v, action: 'regenerated' })));
+        current = replacement;
+        found = review(current, options);
+      }
+    }
+
+    current = current.map(section => {
+      const own = found.filter(v => v.section === section.key);
+      if (!own.length) return section;
+      const rewritten = own.every(v => !isRegenerateRule(v.rule))
+        ? withStrings(section, sectionStrings(section).map(text => rewriteText(text, own.map(v => v.rule), options)))
+        : null;
+      const usable = rewritten && sectionStrings(rewritten).some(Boolean) && !review([rewritten], options).length;
+      entries.push(...own.map(v => ({ ...v, action: usable ? 'rewritten' : 'redacted' })));
+      return usable ? rewritten : redact(section);
+    });
+
+    log(context, entries);
+    return { sections: current, violations: entries.map(({ section, rule, action }) => ({ section, rule, action })) };
+  }
+
+  // The same for one piece of free text (filing summaries, chat replies).
+  // Resolves to { text, redacted, violations }.
+  async function enforceText(text, { regenerate = null, context = {}, skip = [], allowedYears = [] } = {}) {
+    const asSections = (value) => [{ key: null, content: value, items: null }];
+    const result = await enforceSections(asSections(text), {
+      regenerate: regenerate && (async (feedback) => asSections(await regenerate(feedback))),
+      context,
+      skip,
+      allowedYears
+    });
+    const [section] = result.sections;
+    return {
+      text: section.content,
+      redacted: Boolean(section.redacted),
+      violations: result.violations.map(({ rule, action }) => ({ rule, action }))
+    };
+  }
+
+  return { enforceSections, enforceText };
+}
+
+function createComplianceLog({ pool }) {
+  async function record({ task, ticker, model, promptVersion, section, rule, action, excerpt }) {
+    await pool.query(
+      `INSERT INTO compliance_violations (task, ticker, model, prompt_version, section, rule, action, excerpt)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [task || null, ticker || null, model || null, promptVersion || null, section || null, rule, action, excerpt]
+    );
+  }
+
+  // Newest first, for review
+  async function list({ since = null, rule = null, limit = 100 } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM compliance_violations
+       WHERE ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::text IS NULL OR rule = $2)
+       ORDER BY id DESC LIMIT $3`,
+      [since, rule, limit]
+    );
+    return result.rows;
+  }
+
+  return { record, list };
+}
+
+const compliance = createComplianceGuard();
+
+module.exports = {
+  COMPLIANCE_VERSION,
+  COMPLIANCE_RULES,
+  REDACTED_NOTICE,
+  findViolations,
+  rewriteText,
+  yearsIn,
+  checkRuleExamples,
+  createComplianceGuard,
+  createComplianceLog,
+  compliance
+};
@@ -0,0 +1,28 @@
+// ==========================================
+// BOUNDED CONCURRENCY
+// ==========================================
+// Fan-out helper for requests that hit upstream APIs once per item. A fixed
+// number of workers pull from a shared queue, so a request for six tickers
+// never opens more than `limit` sets of upstream calls at a time.
+
+// Like Promise.all(items.map(fn)) with at most `limit` calls in flight.
+// Results keep the order of `items`; the first rejection rejects the whole map.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
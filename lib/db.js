@@ -0,0 +1,12 @@
+// ==========================================
+// DATABASE CONNECTION
+// ==========================================
+// Shared by the server and the migration CLI so both connect the same way.
+const { Pool } = require("pg");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = { pool };
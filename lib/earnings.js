@@ -0,0 +1,183 @@
+// ==========================================
+// EARNINGS
+// ==========================================
+// Upcoming report dates, reported EPS against the consensus estimate, and
+// how far the stock moved around each report. Moves are measured on daily
+// closes: a report before the open is compared with the previous close, one
+// after the close with the next day's close. When the time of day is unknown
+// the window spans both, from the close before the report date to the close
+// after it.
+
+const { cache: defaultCache } = require('./cache');
+const { mapWithConcurrency } = require('./concurrency');
+const { historyCacheKey, fetchPriceHistory } = require('./history');
+const { marketData: defaultMarketData } = require('./marketData');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two years of daily candles cover the eight quarters reported by default
+const EARNINGS_HISTORY = { assetType: 'stock', range: '2y', interval: '1d' };
+const EARNINGS_QUARTERS = 8;
+
+// Per-ticker fetches in flight while building a calendar
+const CALENDAR_CONCURRENCY = 3;
+
+// Surprises smaller than this (in percent of the estimate) count as in line
+const IN_LINE_PERCENT = 1;
+
+const round = (value, digits = 2) => value === null || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const daysBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+// Closes bracketing a report, as { from, to, fromClose, toClose, movePercent },
+// or null when the candles do not reach both sides
+function priceMoveAround(candles, reportedDate, reportTime) {
+  if (!reportedDate || !candles?.length) return null;
+  const day = (candle) => candle.date.slice(0, 10);
+
+  const before = candles.filter(c => reportTime === 'post-market' ? day(c) <= reportedDate : day(c) < reportedDate).pop();
+  const after = candles.find(c => reportTime === 'pre-market' ? day(c) >= reportedDate : day(c) > reportedDate);
+  if (!before || !after || !before.close) return null;
+
+  return {
+    from: day(before),
+    to: day(after),
+    fromClose: before.close,
+    toClose: after.close,
+    movePercent: round((after.close - before.close) / before.close * 100)
+  };
+}
+
+function describeSurprise(epsActual, epsEstimate) {
+  if (epsActual === null || epsEstimate === null) return { surprise: null, surprisePercent: null, result: null };
+
+  const surprise = round(epsActual - epsEstimate, 4);
+  const surprisePercent = epsEstimate !== 0 ? round(surprise / Math.abs(epsEstimate) * 100) : null;
+  const inLine = surprisePercent !== null ? Math.abs(surprisePercent) < IN_LINE_PERCENT : surprise === 0;
+
+  return { surprise, surprisePercent, result: inLine ? 'inline' : surprise > 0 ? 'beat' : 'miss' };
+}
+
+const average = (values) => {
+  const known = values.filter(v => v !== null);
+  return known.length ? round(known.reduce((a, b) => a + b, 0) / known.length) : null;
+};
+
+// Earnings report for one ticker from marketData.earnings() output and daily
+// candles (oldest first). Quarters are newest first; only reported quarters
+// (with an actual EPS) are kept.
+function summarizeEarnings(earnings, { candles = [], now = Date.now(), limit = EARNINGS_QUARTERS } = {}) {
+  const reported = (earnings?.history || [])
+    .filter(q => q.epsActual !== null && q.epsActual !== undefined)
+    .sort((a, b) => (b.reportedDate || b.fiscalDateEnding).localeCompare(a.reportedDate || a.fiscalDateEnding))
+    .slice(0, limit);
+
+  const history = reported.map(q => ({
+    fiscalDateEnding: q.fiscalDateEnding,
+    reportedDate: q.reportedDate ?? null,
+    reportTime: q.reportTime ?? null,
+    epsEstimate: q.epsEstimate ?? null,
+    epsActual: q.epsActual,
+    ...describeSurprise(q.epsActual, q.epsEstimate ?? null),
+    priceMove: priceMoveAround(candles, q.reportedDate, q.reportTime)
+  }));
+
+  const upcoming = earnings?.upcoming?.date && earnings.upcoming.date >= today(now)
+    ? { ...earnings.upcoming, daysUntil: daysBetween(today(now), earnings.upcoming.date) }
+    : null;
+
+  const scored = history.filter(q => q.result);
+  const moves = history.map(q => q.priceMove?.movePercent ?? null);
+
+  return {
+    upcoming,
+    history,
+    stats: {
+      quarters: history.length,
+      beats: scored.filter(q => q.result === 'beat').length,
+      misses: scored.filter(q => q.result === 'miss').length,
+      inLine: scored.filter(q => q.result === 'inline').length,
+      beatRate: scored.length ? round(scored.filter(q => q.result === 'beat').length / scored.length * 100, 1) : null,
+      averageSurprisePercent: average(history.map(q => q.surprisePercent)),
+      // Direction cancels out over time; the absolute move is the typical size
+      averageMovePercent: average(moves),
+      averageAbsoluteMovePercent: average(moves.map(m => m === null ? null : Math.abs(m))),
+      movesMeasured: moves.filter(m => m !== null).length
+    },
+    sources: earnings?.sources || {}
+  };
+}
+
+// Earnings report for a ticker with per-type cache metadata
+async function fetchEarningsReport(ticker, { marketData = defaultMarketData, cache = defaultCache, now = Date.now() } = {}) {
+  const cached = cache.tracker();
+
+  const earnings = await cached.get('earnings', ticker, () => marketData.earnings(ticker));
+  if (!earnings) return null;
+
+  // Candles are only worth fetching when there are report dates to measure
+  const needsPrices = (earnings.history || []).some(q => q.reportedDate);
+  const history = needsPrices
+    ? await cached.get('history', historyCacheKey(ticker, EARNINGS_HISTORY), () => fetchPriceHistory(ticker, { ...EARNINGS_HISTORY, marketData }))
+    : null;
+
+  return {
+    ticker,
+    ...summarizeEarnings(earnings, { candles: history?.candles, now }),
+    cache: cached.report()
+  };
+}
+
+// Upcoming reports between `from` and `to` (YYYY-MM-DD, inclusive), soonest
+// first. `unavailable` lists tickers no provider had earnings data for.
+async function buildEarningsCalendar(tickers, { from, to, marketData = defaultMarketData, cache = defaultCache, concurrency = CALENDAR_CONCURRENCY, now = Date.now() } = {}) {
+  const unavailable = [];
+
+  const entries = await mapWithConcurrency(tickers, concurrency, async ticker => {
+    let earnings = null;
+    try {
+      earnings = (await cache.wrap('earnings', ticker, () => marketData.earnings(ticker))).value;
+    } catch (e) {
+      console.error(`Earnings calendar error (${ticker}):`, e.message);
+    }
+    if (!earnings) {
+      unavailable.push(ticker);
+      return null;
+    }
+
+    const date = earnings.upcoming?.date;
+    if (!date || date < from || date > to) return null;
+
+    // The latest reported quarter gives context for the next one
+    const { upcoming, history } = summarizeEarnings(earnings, { now, limit: 1 });
+    return {
+      ticker,
+      date,
+      daysUntil: upcoming?.daysUntil ?? daysBetween(today(now), date),
+      epsEstimate: earnings.upcoming.epsEstimate ?? null,
+      revenueEstimate: earnings.upcoming.revenueEstimate ?? null,
+      lastQuarter: history[0]
+        ? { fiscalDateEnding: history[0].fiscalDateEnding, result: history[0].result, surprisePercent: history[0].surprisePercent }
+        : null
+    };
+  });
+
+  return {
+    from,
+    to,
+    events: entries.filter(Boolean).sort((a, b) => a.date.localeCompare(b.date) || a.ticker.localeCompare(b.ticker)),
+    unavailable: unavailable.sort()
+  };
+}
+
+module.exports = {
+  EARNINGS_QUARTERS,
+  priceMoveAround,
+  summarizeEarnings,
+  fetchEarningsReport,
+  buildEarningsCalendar
+};
@@ -0,0 +1,107 @@
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+// ==========================================
+// SEC EDGAR CLIENT
+// ==========================================
+// Ticker -> CIK lookup, a company's recent filings (submissions API) and raw
+// filing documents. The SEC asks every client to identify itself with a
+// User-Agent naming the app and a contact address, and to stay under 10
+// requests per second; callers fan out with bounded concurrency.
+
+const SEC_USER_AGENT = process.env.SEC_USER_AGENT || 'Stockly stockly@example.com';
+
+// The company list is ~1 MB and changes rarely, so it is fetched once a day
+const TICKER_MAP_TTL_MS = 24 * 60 * 60 * 1000;
+
+const padCik = (cik) => String(cik).padStart(10, '0');
+
+const secFetch = async (url) => {
+  const response = await fetch(url, { headers: { 'User-Agent': SEC_USER_AGENT } });
+  if (!response.ok) throw new Error(`SEC returned ${response.status} for ${url}`);
+  return response;
+};
+
+// Archive paths use the CIK without leading zeros and the accession number
+// without dashes
+const archiveUrl = (cik, accessionNumber, document = '') =>
+  `https://www.sec.gov/Archives/edgar/data/${parseInt(cik, 10)}/${accessionNumber.replace(/-/g, '')}/${document}`;
+
+// The filing's index page, listing every document and exhibit
+const filingIndexUrl = (cik, accessionNumber) => archiveUrl(cik, accessionNumber, `${accessionNumber}-index.htm`);
+
+// Named and numeric character references in EDGAR XML and HTML documents
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+let tickerMap = null;
+
+// Every listed company EDGAR knows: [{ ticker, name, cik, exchange }], in the
+// SEC's order (largest companies first). `exchange` is Nasdaq, NYSE, OTC,
+// CBOE or null.
+async function loadCompanyDirectory() {
+  if (!tickerMap || Date.now() - tickerMap.loadedAt >= TICKER_MAP_TTL_MS) {
+    const { fields, data } = await (await secFetch('https://www.sec.gov/files/company_tickers_exchange.json')).json();
+    const column = (name) => fields.indexOf(name);
+    const companies = data.map(row => ({
+      ticker: String(row[column('ticker')]).toUpperCase(),
+      name: row[column('name')],
+      cik: padCik(row[column('cik')]),
+      exchange: row[column('exchange')] || null
+    }));
+    tickerMap = { companies, ciks: new Map(companies.map(c => [c.ticker, c.cik])), loadedAt: Date.now() };
+  }
+  return tickerMap.companies;
+}
+
+async function loadTickerMap() {
+  await loadCompanyDirectory();
+  return tickerMap.ciks;
+}
+
+// 10-digit CIK for a ticker, or null when EDGAR does not know it
+async function lookupCik(ticker) {
+  const ciks = await loadTickerMap();
+  // EDGAR writes share classes with a dash (BRK-B), quote feeds often use a dot
+  return ciks.get(ticker.toUpperCase()) || ciks.get(ticker.toUpperCase().replace(/\./g, '-')) || null;
+}
+
+// Company name and its most recent filings (newest first, up to ~1000)
+async function fetchSubmissions(cik) {
+  const data = await (await secFetch(`https://data.sec.gov/submissions/CIK${padCik(cik)}.json`)).json();
+  const recent = data.filings?.recent || {};
+
+  const filings = (recent.accessionNumber || []).map((accessionNumber, i) => ({
+    accessionNumber,
+    form: recent.form[i],
+    filingDate: recent.filingDate[i],
+    reportDate: recent.reportDate?.[i] || null,
+    primaryDocument: recent.primaryDocument?.[i] || null,
+    description: recent.primaryDocDescription?.[i] || null,
+    url: archiveUrl(cik, accessionNumber, recent.primaryDocument?.[i] || '')
+  }));
+
+  return { cik: padCik(cik), name: data.name || null, filings };
+}
+
+async function fetchFilingDocument(cik, accessionNumber, document) {
+  return (await secFetch(archiveUrl(cik, accessionNumber, document))).text();
+}
+
+module.exports = {
+  SEC_USER_AGENT,
+  padCik,
+  archiveUrl,
+  filingIndexUrl,
+  decodeEntities,
+  loadCompanyDirectory,
+  lookupCik,
+  fetchSubmissions,
+  fetchFilingDocument
+};
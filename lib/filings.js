@@ -0,0 +1,183 @@
+// ==========================================
+// SEC FILINGS
+// ==========================================
+// Recent 10-K, 10-Q, 8-K and S-1 filings for a company, plus AI summaries of
+// their key sections (risk factors, MD&A, ...). Sections are cut out of the
+// filing's primary HTML document by their item headings. Summaries never
+// change once written, so they are stored per accession number and each
+// filing is summarized at most once.
+
+const { decodeEntities, filingIndexUrl, fetchSubmissions } = require('./edgar');
+
+const FILING_FORMS = ['10-K', '10-Q', '8-K', 'S-1'];
+
+// Longest section text sent to the AI. Risk factors in a 10-K run far past
+// this; the summary notes when it only covered the beginning.
+const MAX_SECTION_CHARS = 20000;
+
+// Shorter matches are table-of-contents entries or "Not applicable"
+const MIN_SECTION_CHARS = 500;
+
+// Headings that open and close each section, per form. Every heading shows up
+// in the table of contents too, so the longest start-to-end span wins.
+const ITEM = (number, title) => new RegExp(`item\\s*${number}\\s*[.:\\-–—]?\\s*${title}`, 'gi');
+
+// S-1 headings have no item numbers, and their titles also run through the
+// text ("see Risk Factors", "our use of proceeds"), so only a line holding
+// nothing but the title counts. Table-of-contents lines carry a page number.
+const HEADING = (title) => new RegExp(`^(${title})\\s*$`, 'gim');
+
+const SECTION_RULES = {
+  '10-K': [
+    { key: 'riskFactors', title: 'Risk Factors', start: ITEM('1a', 'risk\\s+factors'), end: ITEM('(1b|1c|2)', '(unresolved|cybersecurity|properties)') },
+    { key: 'mdna', title: "Management's Discussion and Analysis", start: ITEM('7', 'management.s\\s+discussion'), end: ITEM('(7a|8)', '(quantitative|financial\\s+statements)') }
+  ],
+  '10-Q': [
+    { key: 'mdna', title: "Management's Discussion and Analysis", start: ITEM('2', 'management.s\\s+discussion'), end: ITEM('(3|4)', '(quantitative|controls)') },
+    { key: 'riskFactors', title: 'Risk Factors', start: ITEM('1a', 'risk\\s+factors'), end: ITEM('(2|3|5|6)', '(unregistered|defaults|other|exhibits)') }
+  ],
+  '8-K': [
+    { key: 'events', title: 'Reported Events', start: /item\s*\d\.\d{2}/gi, end: /\bsignatures?\b/gi }
+  ],
+  'S-1': [
+    { key: 'riskFactors', title: 'Risk Factors', start: HEADING('risk\\s+factors'), end: HEADING('use\\s+of\\s+proceeds|(special|cautionary)\\s+note\\s+regarding\\s+forward[-\\s]looking\\s+statements') },
+    { key: 'useOfProceeds', title: 'Use of Proceeds', start: HEADING('use\\s+of\\s+proceeds'), end: HEADING('dividend\\s+policy|capitalization|dilution') }
+  ]
+};
+
+const ACCESSION_NUMBER = /^\d{10}-\d{2}-\d{6}$/;
+
+// Plain text with one line per block element. Inline XBRL filings carry a
+// hidden <ix:header> of tagged facts that is not part of the readable text.
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<ix:header>[\s\S]*?<\/ix:header>/gi, ' ')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/?(p|div|br|tr|li|h[1-6]|table)(\s[^>]*)?\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+function findSection(text, { start, end }) {
+  let best = null;
+
+  for (const match of text.matchAll(new RegExp(start.source, start.flags))) {
+    const from = match.index;
+    const endPattern = new RegExp(end.source, end.flags);
+    endPattern.lastIndex = from + match[0].length;
+    const stop = endPattern.exec(text);
+    const to = stop ? stop.index : Math.min(text.length, from + MAX_SECTION_CHARS);
+
+    // Ties go to the later match: the body comes after the table of contents
+    if (!best || to - from >= best.to - best.from) best = { from, to };
+  }
+
+  return best && best.to - best.from >= MIN_SECTION_CHARS ? best : null;
+}
+
+// [{ key, title, text, truncated }] for the sections found in a filing
+function extractSections(html, form) {
+  const text = htmlToText(html);
+
+  return (SECTION_RULES[form] || [])
+    .map(rule => {
+      const span = findSection(text, rule);
+      if (!span) return null;
+      const sectionText = text.slice(span.from, span.to);
+      return {
+        key: rule.key,
+        title: rule.title,
+        text: sectionText.slice(0, MAX_SECTION_CHARS),
+        truncated: sectionText.length > MAX_SECTION_CHARS
+      };
+    })
+    .filter(Boolean);
+}
+
+const buildSectionPrompt = (ticker, filing, section) => `You're a financial analyst summarizing part of an SEC filing for a beginner investor.
+
+FILING: ${ticker} ${filing.form} filed ${filing.filingDate}${filing.reportDate ? ` for the period ending ${filing.reportDate}` : ''}
+SECTION: ${section.title}${section.truncated ? ' (excerpt: the section continues beyond this text)' : ''}
+
+${section.text}
+
+Summarize this section in 4-6 bullet points (•), 120 words at most. Cover what is new or specific to ${ticker}, not boilerplate that applies to every company.
+
+CRITICAL RULES:
+- Only state what the text says; never add numbers it does not contain
+- Educational tone: do NOT recommend buying, selling or holding
+- Use plain text, NO markdown
+- Third-person only`;
+
+// Summaries for every extracted section. `complete(prompt, maxTokens)`
+// resolves to the completion text; if it rejects, so does the whole summary,
+// so a failed section is never stored as a missing one.
+async function summarizeFiling({ ticker, filing, html, complete }) {
+  const sections = extractSections(html, filing.form);
+
+  return Promise.all(sections.map(async section => ({
+    key: section.key,
+    title: section.title,
+    summary: (await complete(buildSectionPrompt(ticker, filing, section), 300))?.trim() || null,
+    truncated: section.truncated
+  })));
+}
+
+// The company's recent filings of the forms above, newest first
+async function fetchCompanyFilings(cik) {
+  const { name, filings } = await fetchSubmissions(cik);
+  return {
+    cik,
+    name,
+    filings: filings
+      .filter(f => FILING_FORMS.includes(f.form))
+      .map(f => ({ ...f, indexUrl: filingIndexUrl(cik, f.accessionNumber) }))
+  };
+}
+
+function createFilingSummaryStore({ pool }) {
+  // filing_date comes back as YYYY-MM-DD rather than a local-midnight Date
+  async function get(accessionNumber) {
+    const result = await pool.query(
+      `SELECT accession_number, cik, form, to_char(filing_date, 'YYYY-MM-DD') AS filing_date, model, sections, created_at
+       FROM filing_summaries WHERE accession_number = $1`,
+      [accessionNumber]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Which of these accession numbers already have a summary
+  async function summarized(accessionNumbers) {
+    if (!accessionNumbers.length) return new Set();
+    const result = await pool.query(
+      'SELECT accession_number FROM filing_summaries WHERE accession_number = ANY($1)',
+      [accessionNumbers]
+    );
+    return new Set(result.rows.map(r => r.accession_number));
+  }
+
+  // A concurrent request may have stored the same filing first; its row wins
+  async function save({ accessionNumber, cik, form, filingDate, model, sections }) {
+    await pool.query(
+      `INSERT INTO filing_summaries (accession_number, cik, form, filing_date, model, sections)
+       VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (accession_number) DO NOTHING`,
+      [accessionNumber, cik, form, filingDate || null, model, JSON.stringify(sections)]
+    );
+    return get(accessionNumber);
+  }
+
+  return { get, summarized, save };
+}
+
+module.exports = {
+  FILING_FORMS,
+  SECTION_RULES,
+  ACCESSION_NUMBER,
+  htmlToText,
+  extractSections,
+  summarizeFiling,
+  fetchCompanyFilings,
+  createFilingSummaryStore
+};
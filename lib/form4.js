@@ -0,0 +1,211 @@
+// ==========================================
+// SEC FORM 4 PARSING
+// ==========================================
+// Form 4 filings are XML ownership documents: an issuer, one or more
+// reporting owners with their relationship to the company, and a table of
+// transactions (each with a transaction code, shares, price and the holdings
+// left afterwards). The schema is flat and stable, so a few tag helpers are
+// enough; no XML dependency is needed.
+//
+// Only open-market purchases (P) and sales (S) count toward insider flow.
+// Awards, option exercises and tax withholding happen on a schedule and say
+// little about what an insider thinks of the stock.
+
+const { decodeEntities } = require('./edgar');
+
+const TRANSACTION_CODES = {
+  P: 'Open market purchase',
+  S: 'Open market sale',
+  A: 'Grant or award',
+  D: 'Disposition to issuer',
+  F: 'Tax withholding',
+  M: 'Option exercise',
+  X: 'Option exercise',
+  C: 'Conversion',
+  G: 'Gift',
+  W: 'Will or inheritance',
+  I: 'Discretionary transaction',
+  J: 'Other acquisition or disposition'
+};
+
+const FLOW_TYPES = { P: 'BUY', S: 'SELL' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inner XML of every <tag>...</tag>. Attributes are allowed; a longer tag
+// sharing the prefix (<issuerCik> for <issuer>) is not matched.
+const blocks = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => m[1]);
+
+// Text of the first <tag>. Most Form 4 fields wrap it in <value>, next to
+// optional <footnoteId/> elements, which are dropped.
+const text = (xml, tag) => {
+  const block = blocks(xml, tag)[0];
+  if (block === undefined) return null;
+  const inner = blocks(block, 'value')[0] ?? block;
+  const value = decodeEntities(inner.replace(/<[^>]*>/g, '').trim());
+  return value === '' ? null : value;
+};
+
+const number = (value) => {
+  if (value === null) return null;
+  const n = parseFloat(value.replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+const flag = (value) => value === '1' || value?.toLowerCase() === 'true';
+
+const round = (value, digits = 2) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Short label for the widget: CEO, CFO, Director, 10% Owner, ...
+function describeRole({ isDirector, isOfficer, isTenPercentOwner, officerTitle }) {
+  if (isOfficer) {
+    const title = (officerTitle || '').toLowerCase();
+    if (/\bceo\b|chief executive/.test(title)) return 'CEO';
+    if (/\bcfo\b|chief financial/.test(title)) return 'CFO';
+    if (/\bcoo\b|chief operating/.test(title)) return 'COO';
+    if (/president/.test(title)) return 'President';
+    return 'Officer';
+  }
+  if (isDirector) return 'Director';
+  if (isTenPercentOwner) return '10% Owner';
+  return 'Insider';
+}
+
+function parseOwner(xml) {
+  const relationshipXml = blocks(xml, 'reportingOwnerRelationship')[0] || '';
+  const relationship = {
+    isDirector: flag(text(relationshipXml, 'isDirector')),
+    isOfficer: flag(text(relationshipXml, 'isOfficer')),
+    isTenPercentOwner: flag(text(relationshipXml, 'isTenPercentOwner')),
+    isOther: flag(text(relationshipXml, 'isOther')),
+    officerTitle: text(relationshipXml, 'officerTitle'),
+    otherText: text(relationshipXml, 'otherText')
+  };
+
+  return {
+    cik: text(xml, 'rptOwnerCik'),
+    name: text(xml, 'rptOwnerName'),
+    relationship,
+    role: describeRole(relationship)
+  };
+}
+
+function parseTransaction(xml, derivative) {
+  const code = text(xml, 'transactionCode');
+  const shares = number(text(xml, 'transactionShares'));
+  const price = number(text(xml, 'transactionPricePerShare'));
+
+  return {
+    security: text(xml, 'securityTitle'),
+    // Dates sometimes carry a timezone offset (2024-04-01-05:00)
+    date: text(xml, 'transactionDate')?.slice(0, 10) ?? null,
+    code,
+    codeLabel: TRANSACTION_CODES[code] || 'Other',
+    acquiredDisposed: text(xml, 'transactionAcquiredDisposedCode'),
+    shares,
+    price,
+    value: shares !== null && price !== null ? round(shares * price) : null,
+    sharesOwnedAfter: number(text(xml, 'sharesOwnedFollowingTransaction')),
+    // 'D' held directly, 'I' through a trust, fund or family member
+    ownership: text(xml, 'directOrIndirectOwnership'),
+    derivative
+  };
+}
+
+// Throws when `xml` is not an ownership document
+function parseForm4(xml) {
+  const doc = blocks(xml, 'ownershipDocument')[0];
+  if (doc === undefined) throw new Error('Not a Form 4 ownership document');
+
+  const issuer = blocks(doc, 'issuer')[0] || '';
+
+  return {
+    documentType: text(doc, 'documentType'),
+    periodOfReport: text(doc, 'periodOfReport'),
+    issuer: {
+      cik: text(issuer, 'issuerCik'),
+      name: text(issuer, 'issuerName'),
+      ticker: text(issuer, 'issuerTradingSymbol')
+    },
+    owners: blocks(doc, 'reportingOwner').map(parseOwner),
+    transactions: [
+      ...blocks(doc, 'nonDerivativeTransaction').map(t => parseTransaction(t, false)),
+      ...blocks(doc, 'derivativeTransaction').map(t => parseTransaction(t, true))
+    ]
+  };
+}
+
+// The submissions API points Form 4s at their XSL-rendered HTML view
+// ("xslF345X05/form4.xml"); the raw XML has the same name without the prefix
+const rawForm4Document = (primaryDocument) => primaryDocument.replace(/^xsl[^/]*\//, '');
+
+// Insider flow over parsed filings ({ accessionNumber, filingDate, url, form4 }).
+// Resolves to the insiderData block of the analysis document, or null when
+// there were no open-market trades.
+function summarizeInsiderActivity(filings, { now = Date.now(), limit = 5 } = {}) {
+  const byCode = {};
+  const trades = [];
+
+  filings.forEach(filing => {
+    const owner = filing.form4.owners[0] || { name: null, role: 'Insider', relationship: null };
+
+    filing.form4.transactions.forEach(t => {
+      if (t.code) byCode[t.code] = (byCode[t.code] || 0) + 1;
+      if (t.derivative || !FLOW_TYPES[t.code]) return;
+
+      const type = FLOW_TYPES[t.code];
+      const date = t.date || filing.filingDate;
+      trades.push({
+        owner: owner.name,
+        role: owner.role,
+        relationship: owner.relationship,
+        type,
+        code: t.code,
+        codeLabel: t.codeLabel,
+        date,
+        daysAgo: Math.floor((now - new Date(date).getTime()) / DAY_MS),
+        shares: t.shares,
+        price: t.price,
+        value: t.value,
+        sharesOwnedAfter: t.sharesOwnedAfter,
+        ownership: t.ownership,
+        title: `${owner.name || 'Insider'} (${owner.role}) ${type === 'BUY' ? 'bought' : 'sold'} ${t.shares?.toLocaleString('en-US') ?? 'an unknown number of'} shares${t.price !== null ? ` at $${t.price.toFixed(2)}` : ''}`,
+        accessionNumber: filing.accessionNumber,
+        url: filing.url
+      });
+    });
+  });
+
+  if (!trades.length) return null;
+
+  const buys = trades.filter(t => t.type === 'BUY');
+  const sells = trades.filter(t => t.type === 'SELL');
+  const sum = (list) => round(list.reduce((total, t) => total + (t.value || 0), 0));
+  const buyValue = sum(buys);
+  const sellValue = sum(sells);
+  const netValue = round(buyValue - sellValue);
+  const netFlow = buys.length - sells.length;
+
+  // Dollars decide the direction; counts only break a tie (e.g. unpriced trades)
+  const direction = netValue !== 0 ? netValue : netFlow;
+
+  return {
+    transactions: trades.sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit),
+    totalBuys: buys.length,
+    totalSells: sells.length,
+    netFlow,
+    buyValue,
+    sellValue,
+    netValue,
+    sentiment: direction > 0 ? 'Bullish' : direction < 0 ? 'Bearish' : 'Neutral',
+    byCode,
+    filingsParsed: filings.length
+  };
+}
+
+module.exports = {
+  TRANSACTION_CODES,
+  parseForm4,
+  rawForm4Document,
+  summarizeInsiderActivity
+};
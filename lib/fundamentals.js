@@ -0,0 +1,198 @@
+// ==========================================
+// FUNDAMENTALS
+// ==========================================
+// Ratios over income statement, balance sheet and cash flow periods
+// ({ periodEnd, revenue, grossProfit, ..., freeCashFlow }, newest first) as
+// returned by marketData.fundamentals(). Percentages are plain numbers
+// (42.1 means 42.1%); debt/equity and the current ratio are multiples.
+//
+// Headline ratios use the trailing twelve months when four quarters are
+// available, so they are never more than a quarter stale; balance sheet
+// ratios use the latest balance sheet. Trends compare fiscal years, which
+// keeps seasonal businesses from flipping direction every quarter.
+
+const round = (value, digits = 2) => value === null || value === undefined || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// null when either side is missing or the base is zero
+const ratio = (numerator, denominator) => numerator === null || numerator === undefined || !denominator
+  ? null
+  : numerator / denominator;
+
+const percent = (numerator, denominator) => {
+  const value = ratio(numerator, denominator);
+  return value === null ? null : round(value * 100);
+};
+
+// Growth relative to a possibly negative base (a loss shrinking is growth)
+const growth = (current, previous) => current === null || current === undefined || !previous
+  ? null
+  : round((current - previous) / Math.abs(previous) * 100);
+
+// Smallest change that counts as a move, per unit
+const TREND_THRESHOLDS = { percent: 1, multiple: 0.05 };
+
+// Ratios reported with a trend: [key, unit]
+const TRENDED_RATIOS = [
+  ['grossMargin', 'percent'],
+  ['operatingMargin', 'percent'],
+  ['netMargin', 'percent'],
+  ['revenueGrowth', 'percent'],
+  ['returnOnEquity', 'percent'],
+  ['debtToEquity', 'multiple']
+];
+
+const sumOf = (periods, field) => periods.some(p => p[field] === null || p[field] === undefined)
+  ? null
+  : periods.reduce((total, p) => total + p[field], 0);
+
+// Per-period ratios. `compareTo` is how many periods back growth is measured
+// against: 1 for years, 4 for quarters (same quarter a year earlier).
+function periodRatios(periods, compareTo) {
+  return periods.map((p, i) => {
+    const previous = periods[i + compareTo] || null;
+    return {
+      periodEnd: p.periodEnd,
+      revenue: p.revenue,
+      netIncome: p.netIncome,
+      freeCashFlow: p.freeCashFlow,
+      grossMargin: percent(p.grossProfit, p.revenue),
+      operatingMargin: percent(p.operatingIncome, p.revenue),
+      netMargin: percent(p.netIncome, p.revenue),
+      revenueGrowth: previous ? growth(p.revenue, previous.revenue) : null,
+      netIncomeGrowth: previous ? growth(p.netIncome, previous.netIncome) : null,
+      debtToEquity: round(ratio(p.totalDebt, p.totalEquity)),
+      returnOnEquity: percent(p.netIncome, p.totalEquity)
+    };
+  });
+}
+
+// 'up', 'down' or 'flat' for the latest value against the mean of up to two
+// earlier ones; null without at least two values
+function trendOf(values, unit) {
+  const known = values.filter(v => v !== null);
+  if (known.length < 2 || values[0] === null) return null;
+
+  const earlier = known.slice(1, 3);
+  const baseline = earlier.reduce((a, b) => a + b, 0) / earlier.length;
+  const change = values[0] - baseline;
+  if (Math.abs(change) < TREND_THRESHOLDS[unit]) return 'flat';
+  return change > 0 ? 'up' : 'down';
+}
+
+// Trailing twelve months from the latest four quarters, or null when fewer
+// are available or a flow field is missing from any of them
+function trailingTwelveMonths(quarterly) {
+  if (quarterly.length < 4) return null;
+  const latest = quarterly.slice(0, 4);
+  const ttm = {
+    periodEnd: latest[0].periodEnd,
+    revenue: sumOf(latest, 'revenue'),
+    grossProfit: sumOf(latest, 'grossProfit'),
+    operatingIncome: sumOf(latest, 'operatingIncome'),
+    netIncome: sumOf(latest, 'netIncome'),
+    freeCashFlow: sumOf(latest, 'freeCashFlow')
+  };
+  if (ttm.revenue === null) return null;
+
+  // Year-over-year growth needs the four quarters before those
+  const prior = quarterly.slice(4, 8);
+  ttm.previousRevenue = prior.length === 4 ? sumOf(prior, 'revenue') : null;
+  ttm.previousNetIncome = prior.length === 4 ? sumOf(prior, 'netIncome') : null;
+  return ttm;
+}
+
+// Fundamentals block of the analysis document, or null without statements.
+// `marketCap` (from the quote) is needed for the free cash flow yield.
+function computeFundamentals(statements, { marketCap = null } = {}) {
+  const annual = statements?.annual || [];
+  const quarterly = statements?.quarterly || [];
+  if (!annual.length && !quarterly.length) return null;
+
+  const annualRatios = periodRatios(annual, 1);
+  const quarterlyRatios = periodRatios(quarterly, 4);
+
+  const ttm = trailingTwelveMonths(quarterly);
+  const flows = ttm || annual[0] || quarterly[0];
+  // Fewer than eight quarters: fall back to the latest fiscal year's growth
+  const revenueGrowth = ttm?.previousRevenue
+    ? growth(ttm.revenue, ttm.previousRevenue)
+    : annualRatios[0]?.revenueGrowth ?? null;
+  const netIncomeGrowth = ttm?.previousNetIncome
+    ? growth(ttm.netIncome, ttm.previousNetIncome)
+    : annualRatios[0]?.netIncomeGrowth ?? null;
+
+  // Balance sheet: whichever statement is most recent
+  const balance = [quarterly[0], annual[0]]
+    .filter(Boolean)
+    .sort((a, b) => b.periodEnd.localeCompare(a.periodEnd))[0];
+
+  const ratios = {
+    grossMargin: percent(flows.grossProfit, flows.revenue),
+    operatingMargin: percent(flows.operatingIncome, flows.revenue),
+    netMargin: percent(flows.netIncome, flows.revenue),
+    revenueGrowth,
+    netIncomeGrowth,
+    debtToEquity: round(ratio(balance.totalDebt, balance.totalEquity)),
+    currentRatio: round(ratio(balance.currentAssets, balance.currentLiabilities)),
+    returnOnEquity: percent(flows.netIncome, balance.totalEquity),
+    freeCashFlowYield: percent(flows.freeCashFlow, marketCap)
+  };
+
+  const trends = Object.fromEntries(TRENDED_RATIOS.map(([key, unit]) =>
+    [key, trendOf(annualRatios.map(p => p[key]), unit)]));
+
+  return {
+    basis: ttm ? 'ttm' : annual.length ? 'annual' : 'quarterly',
+    periodEnd: flows.periodEnd,
+    balanceSheetDate: balance.periodEnd,
+    revenue: flows.revenue,
+    netIncome: flows.netIncome,
+    freeCashFlow: flows.freeCashFlow ?? null,
+    ratios,
+    trends,
+    annual: annualRatios,
+    quarterly: quarterlyRatios,
+    sources: statements.sources || {}
+  };
+}
+
+const TREND_ARROWS = { up: '↑', down: '↓', flat: '→' };
+
+// Short money label: $1.23B, $456.7M, -$12.0M, $845,210
+const formatMoney = (value) => {
+  if (value === null || value === undefined) return 'n/a';
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  if (abs >= 1e12) return `${sign}$${(abs / 1e12).toFixed(2)}T`;
+  if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+  return `${sign}$${abs.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+};
+
+function formatFundamentalsForPrompt(fundamentals) {
+  if (!fundamentals) return '';
+  const { ratios, trends } = fundamentals;
+  const pct = (key) => ratios[key] === null ? 'n/a' : `${ratios[key].toFixed(1)}%`;
+  const trend = (key) => trends[key] ? ` (${trends[key]} vs prior years)` : '';
+  const basis = fundamentals.basis === 'ttm' ? 'trailing twelve months' : `${fundamentals.basis} period`;
+
+  return [
+    `- Period: ${basis} ending ${fundamentals.periodEnd}`,
+    `- Revenue: ${formatMoney(fundamentals.revenue)} (${pct('revenueGrowth')} year over year)`,
+    `- Net Income: ${formatMoney(fundamentals.netIncome)} (${pct('netIncomeGrowth')} year over year)`,
+    `- Gross / Operating / Net Margin: ${pct('grossMargin')} / ${pct('operatingMargin')} / ${pct('netMargin')}${trend('operatingMargin')}`,
+    `- Return on Equity: ${pct('returnOnEquity')}${trend('returnOnEquity')}`,
+    `- Debt/Equity: ${ratios.debtToEquity === null ? 'n/a' : ratios.debtToEquity.toFixed(2)}${trend('debtToEquity')}`,
+    `- Current Ratio: ${ratios.currentRatio === null ? 'n/a' : ratios.currentRatio.toFixed(2)}`,
+    `- Free Cash Flow: ${formatMoney(fundamentals.freeCashFlow)} (yield ${pct('freeCashFlowYield')})`
+  ].join('\n');
+}
+
+module.exports = {
+  TREND_ARROWS,
+  computeFundamentals,
+  formatMoney,
+  formatFundamentalsForPrompt
+};
@@ -0,0 +1,131 @@
+// ==========================================
+// GOOGLE ID TOKEN VERIFICATION
+// ==========================================
+// Verifies Google-issued ID tokens locally instead of calling tokeninfo on
+// every login: RS256 signature against Google's published JWKS, then the
+// audience, issuer, expiry and email_verified claims. Keys are cached for as
+// long as Google's Cache-Control allows and refetched early when a token is
+// signed with a key id we have not seen (Google rotates keys regularly).
+
+const crypto = require('crypto');
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Verification failures carry code 'invalid_token' so routes can answer 401;
+// anything else (e.g. Google unreachable) is a server-side problem
+const invalidToken = (message) => Object.assign(new Error(message), { code: 'invalid_token' });
+
+// A header or payload must decode to a JSON object ("null" or "1" parse too)
+const decodeSegment = (segment) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw invalidToken('Malformed token');
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) throw invalidToken('Malformed token');
+  return value;
+};
+
+// Default key source: Google's JWKS endpoint, honoring max-age
+async function fetchGoogleKeys() {
+  const response = await fetch(GOOGLE_JWKS_URL);
+  if (!response.ok) throw new Error(`Google JWKS request failed (${response.status})`);
+  const { keys } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  return { keys, maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : 3600 };
+}
+
+// Tests pass `keys` (a JWKS `keys` array) or their own `fetchKeys` to avoid
+// the network, and `now` to control the clock.
+function createGoogleVerifier({
+  clientId,
+  keys: staticKeys,
+  fetchKeys = fetchGoogleKeys,
+  now = Date.now,
+  clockSkewSeconds = 60,
+  minRefetchIntervalMs = 60 * 1000
+}) {
+  let keyCache = staticKeys ? { keys: staticKeys, expiresAt: Infinity } : null;
+  let lastFetchAt = 0;
+  let pending = null;
+
+  async function loadKeys() {
+    if (!pending) {
+      pending = (async () => {
+        try {
+          lastFetchAt = now();
+          const { keys, maxAgeSeconds } = await fetchKeys();
+          keyCache = { keys, expiresAt: now() + maxAgeSeconds * 1000 };
+        } finally {
+          pending = null;
+        }
+      })();
+    }
+    await pending;
+  }
+
+  async function findKey(kid) {
+    if (!keyCache || keyCache.expiresAt <= now()) await loadKeys();
+
+    let jwk = keyCache.keys.find(k => k.kid === kid);
+    // Unknown kid: Google may have rotated keys since we cached them
+    if (!jwk && !staticKeys && now() - lastFetchAt >= minRefetchIntervalMs) {
+      await loadKeys();
+      jwk = keyCache.keys.find(k => k.kid === kid);
+    }
+    if (!jwk) throw invalidToken('Unknown signing key');
+
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (e) {
+      throw invalidToken(`Unusable signing key: ${e.message}`);
+    }
+    if (key.asymmetricKeyType !== 'rsa') throw invalidToken('Signing key is not an RSA key');
+    return key;
+  }
+
+  // Resolves to the token's claims, or rejects with code 'invalid_token'
+  async function verify(idToken) {
+    if (!clientId) throw new Error('GOOGLE_CLIENT_ID is not configured');
+    if (typeof idToken !== 'string') throw invalidToken('Malformed token');
+
+    const parts = idToken.split('.');
+    if (parts.length !== 3) throw invalidToken('Malformed token');
+    const [headerPart, payloadPart, signaturePart] = parts;
+
+    const header = decodeSegment(headerPart);
+    if (header.alg !== 'RS256') throw invalidToken(`Unsupported algorithm ${header.alg}`);
+
+    const key = await findKey(header.kid);
+    const signed = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${headerPart}.${payloadPart}`),
+      key,
+      Buffer.from(signaturePart, 'base64url')
+    );
+    if (!signed) throw invalidToken('Invalid signature');
+
+    const claims = decodeSegment(payloadPart);
+    const nowSeconds = Math.floor(now() / 1000);
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(clientId)) throw invalidToken('Token was issued for a different client');
+    if (!GOOGLE_ISSUERS.includes(claims.iss)) throw invalidToken('Unexpected issuer');
+    if (typeof claims.exp !== 'number' || claims.exp + clockSkewSeconds < nowSeconds) throw invalidToken('Token expired');
+    if (typeof claims.iat === 'number' && claims.iat - clockSkewSeconds > nowSeconds) throw invalidToken('Token issued in the future');
+    if (claims.email_verified !== true && claims.email_verified !== 'true') throw invalidToken('Email not verified');
+
+    return claims;
+  }
+
+  return { verify };
+}
+
+module.exports = {
+  GOOGLE_ISSUERS,
+  createGoogleVerifier
+};
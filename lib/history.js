@@ -0,0 +1,52 @@
+// ==========================================
+// PRICE HISTORY
+// ==========================================
+// OHLCV series for a named range ('6mo', '1y', ...) and interval, fetched
+// through the provider layer. Yahoo and Alpha Vantage honor the interval;
+// CoinGecko picks its own candle size for the range (4-hourly up to 30 days,
+// 4-daily beyond), which the indicator summary reports as `interval`.
+
+const { marketData: defaultMarketData } = require('./marketData');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HISTORY_RANGES = {
+  '1mo': 30,
+  '3mo': 91,
+  '6mo': 182,
+  '1y': 365,
+  '2y': 730,
+  '5y': 1826
+};
+
+const HISTORY_INTERVALS = ['1d', '1wk', '1mo'];
+
+const historyCacheKey = (ticker, { assetType = 'stock', range = '1y', interval = '1d' } = {}) =>
+  `${assetType}:${ticker.toUpperCase()}:${range}:${interval}`;
+
+// Resolves to { candles } (oldest first, only candles with a close) or null
+async function fetchPriceHistory(ticker, { assetType = 'stock', range = '1y', interval = '1d', marketData = defaultMarketData } = {}) {
+  const days = Object.hasOwn(HISTORY_RANGES, range) ? HISTORY_RANGES[range] : null;
+  if (!days) throw new Error(`Unsupported range ${range}`);
+  if (!HISTORY_INTERVALS.includes(interval)) throw new Error(`Unsupported interval ${interval}`);
+
+  const history = await marketData.history(ticker, {
+    assetType,
+    period1: new Date(Date.now() - days * DAY_MS),
+    period2: new Date(),
+    interval
+  });
+
+  const candles = (history?.candles || [])
+    .filter(c => typeof c.close === 'number')
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return candles.length ? { candles, sources: history.sources } : null;
+}
+
+module.exports = {
+  HISTORY_RANGES,
+  HISTORY_INTERVALS,
+  historyCacheKey,
+  fetchPriceHistory
+};
@@ -0,0 +1,245 @@
+// ==========================================
+// TECHNICAL INDICATORS
+// ==========================================
+// Pure functions over candles ({ date, open, high, low, close, volume },
+// oldest first). Series come back aligned with the input: index i describes
+// candle i, and warm-up positions without enough history are null.
+
+const round = (value, digits = 4) => value === null || value === undefined || Number.isNaN(value)
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits;
+
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  });
+  return result;
+}
+
+// Seeded with the SMA of the first `period` values, like most charting tools
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  result[period - 1] = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  for (let i = period; i < values.length; i++) {
+    result[i] = values[i] * k + result[i - 1] * (1 - k);
+  }
+  return result;
+}
+
+// EMA over a series that starts with nulls (e.g. the MACD line)
+function emaOfSeries(series, period) {
+  const start = series.findIndex(v => v !== null);
+  if (start === -1) return series.map(() => null);
+  return [...series.slice(0, start), ...ema(series.slice(start), period)];
+}
+
+// Wilder's smoothing, the standard RSI definition
+function rsi(closes, period = 14) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const delta = closes[i] - closes[i - 1];
+    if (delta > 0) gain += delta; else loss -= delta;
+  }
+  gain /= period;
+  loss /= period;
+
+  const value = () => loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  result[period] = value();
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const delta = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(delta, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-delta, 0)) / period;
+    result[i] = value();
+  }
+  return result;
+}
+
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]);
+  const signal = emaOfSeries(line, signalPeriod);
+  const histogram = line.map((value, i) => value === null || signal[i] === null ? null : value - signal[i]);
+  return { macd: line, signal, histogram };
+}
+
+function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+
+  middle.forEach((mean, i) => {
+    if (mean === null) return;
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, v) => sum + (v - mean) ** 2, 0) / period);
+    upper[i] = mean + multiplier * deviation;
+    lower[i] = mean - multiplier * deviation;
+  });
+
+  return { upper, middle, lower };
+}
+
+// Average True Range with Wilder's smoothing. Candles missing a high, low or
+// close are left out of the average and repeat the value before them.
+function atr(candles, period = 14) {
+  const result = new Array(candles.length).fill(null);
+  const complete = (c) => [c.high, c.low, c.close].every(Number.isFinite);
+
+  let prevClose = null;
+  let ranges = 0;
+  let sum = 0;
+  let value = null;
+  candles.forEach((c, i) => {
+    if (!complete(c)) {
+      result[i] = value;
+      return;
+    }
+    // The first candle has no previous close, so averaging starts after it
+    if (prevClose !== null) {
+      const trueRange = Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+      ranges += 1;
+      if (ranges < period) sum += trueRange;
+      else if (ranges === period) value = (sum + trueRange) / period;
+      else value = (value * (period - 1) + trueRange) / period;
+    }
+    prevClose = c.close;
+    result[i] = value;
+  });
+  return result;
+}
+
+// Full aligned series for charting
+function computeIndicators(candles) {
+  const closes = candles.map(c => c.close);
+  const roundAll = (series) => series.map(v => round(v));
+  const macdSeries = macd(closes);
+  const bands = bollinger(closes);
+
+  return {
+    sma20: roundAll(sma(closes, 20)),
+    sma50: roundAll(sma(closes, 50)),
+    sma200: roundAll(sma(closes, 200)),
+    ema12: roundAll(ema(closes, 12)),
+    ema26: roundAll(ema(closes, 26)),
+    rsi14: roundAll(rsi(closes, 14)),
+    macd: { macd: roundAll(macdSeries.macd), signal: roundAll(macdSeries.signal), histogram: roundAll(macdSeries.histogram) },
+    bollinger: { upper: roundAll(bands.upper), middle: roundAll(bands.middle), lower: roundAll(bands.lower) },
+    atr14: roundAll(atr(candles, 14))
+  };
+}
+
+// Spacing between candles as a short label ('1d', '4h', '4d', '1wk'),
+// since some providers pick their own granularity for a range
+function describeInterval(candles) {
+  if (candles.length < 2) return null;
+  const gaps = candles.slice(1).map((c, i) => new Date(c.date) - new Date(candles[i].date)).sort((a, b) => a - b);
+  const hours = Math.round(gaps[Math.floor(gaps.length / 2)] / 3600000);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.round(hours / 24);
+  // Weekends make daily stock candles 1-3 days apart; the median is still 1
+  if (days >= 28) return '1mo';
+  if (days === 7) return '1wk';
+  return `${days}d`;
+}
+
+// Latest value of every indicator plus neutral, descriptive readings. The
+// readings state where indicators sit; they are not buy/sell calls.
+function summarizeIndicators(candles) {
+  if (!candles?.length) return null;
+
+  const series = computeIndicators(candles);
+  const last = candles.length - 1;
+  const close = candles[last].close;
+  const at = (values) => values[last];
+
+  const summary = {
+    asOf: candles[last].date,
+    interval: describeInterval(candles),
+    candles: candles.length,
+    close: round(close),
+    sma: { 20: at(series.sma20), 50: at(series.sma50), 200: at(series.sma200) },
+    ema: { 12: at(series.ema12), 26: at(series.ema26) },
+    rsi: at(series.rsi14),
+    macd: { macd: at(series.macd.macd), signal: at(series.macd.signal), histogram: at(series.macd.histogram) },
+    bollinger: {
+      upper: at(series.bollinger.upper),
+      middle: at(series.bollinger.middle),
+      lower: at(series.bollinger.lower),
+      // 0 = lower band, 1 = upper band
+      percentB: at(series.bollinger.upper) === at(series.bollinger.lower) || at(series.bollinger.upper) === null
+        ? null
+        : round((close - at(series.bollinger.lower)) / (at(series.bollinger.upper) - at(series.bollinger.lower)))
+    },
+    atr: at(series.atr14),
+    atrPercent: at(series.atr14) === null ? null : round((at(series.atr14) / close) * 100, 2),
+    signals: []
+  };
+
+  [20, 50, 200].forEach(period => {
+    const average = summary.sma[period];
+    if (average !== null) summary.signals.push(`Price is ${close >= average ? 'above' : 'below'} its ${period}-period SMA`);
+  });
+
+  if (summary.sma[50] !== null && summary.sma[200] !== null) {
+    summary.signals.push(`50-period SMA is ${summary.sma[50] >= summary.sma[200] ? 'above' : 'below'} the 200-period SMA`);
+  }
+
+  if (summary.rsi !== null) {
+    const zone = summary.rsi >= 70 ? 'overbought zone (70+)' : summary.rsi <= 30 ? 'oversold zone (30 or below)' : 'neutral range';
+    summary.signals.push(`RSI(14) is ${summary.rsi.toFixed(1)}, in the ${zone}`);
+  }
+
+  const histogram = series.macd.histogram;
+  if (histogram[last] !== null && histogram[last - 1] !== null && histogram[last - 1] !== undefined) {
+    if (histogram[last - 1] <= 0 && histogram[last] > 0) summary.signals.push('MACD just crossed above its signal line');
+    else if (histogram[last - 1] >= 0 && histogram[last] < 0) summary.signals.push('MACD just crossed below its signal line');
+    else summary.signals.push(`MACD is ${histogram[last] > 0 ? 'above' : 'below'} its signal line`);
+  }
+
+  if (summary.bollinger.percentB !== null) {
+    if (summary.bollinger.percentB > 1) summary.signals.push('Price is above the upper Bollinger Band');
+    else if (summary.bollinger.percentB < 0) summary.signals.push('Price is below the lower Bollinger Band');
+  }
+
+  return summary;
+}
+
+// Compact text block for AI prompts
+function formatIndicatorsForPrompt(summary) {
+  if (!summary) return '';
+  const fmt = (v, digits = 2) => v === null ? 'n/a' : v.toFixed(digits);
+  return [
+    `- Based on ${summary.candles} candles (${summary.interval || 'mixed'} interval)`,
+    `- SMA 20/50/200: ${fmt(summary.sma[20])} / ${fmt(summary.sma[50])} / ${fmt(summary.sma[200])}`,
+    `- RSI(14): ${fmt(summary.rsi, 1)}`,
+    `- MACD: ${fmt(summary.macd.macd, 3)} (signal ${fmt(summary.macd.signal, 3)})`,
+    `- Bollinger Bands: ${fmt(summary.bollinger.lower)} - ${fmt(summary.bollinger.upper)}`,
+    `- ATR(14): ${fmt(summary.atr)}${summary.atrPercent !== null ? ` (${summary.atrPercent}% of price)` : ''}`,
+    ...summary.signals.map(s => `- ${s}`)
+  ].join('\n');
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  computeIndicators,
+  describeInterval,
+  summarizeIndicators,
+  formatIndicatorsForPrompt
+};
@@ -0,0 +1,306 @@
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const crypto = require("crypto");
+const { sampleFromSchema } = require('./structuredOutput');
+
+// ==========================================
+// LLM CLIENT
+// ==========================================
+// One client for every AI call. Each call names its task (crypto,
+// simplified, detailed, comparison, sentiment, filing), and the task picks
+// the model: LLM_MODEL_<TASK> when set, LLM_MODEL otherwise. Failed requests
+// are retried with exponential backoff, then the whole call moves on to
+// LLM_FALLBACK_MODEL. Only when every model has failed does complete()
+// reject, and its error lists what each attempt ran into.
+//
+// Any OpenAI-compatible chat completions endpoint works: OpenRouter by
+// default, or a local server (Ollama, llama.cpp) with LLM_PROVIDER=local.
+// LLM_PROVIDER=fake answers deterministically without a network, for tests
+// and offline development.
+//
+// A streamed completion that fails after its first token is not retried: the
+// listener has already shown those tokens.
+
+const PROVIDERS = {
+  openrouter: { baseUrl: 'https://openrouter.ai/api/v1', model: 'openai/gpt-4o-mini' },
+  // Ollama's OpenAI-compatible API; llama.cpp's server listens on :8080/v1
+  local: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+  fake: { baseUrl: null, model: 'fake-model' }
+};
+
+const TASKS = ['crypto', 'simplified', 'detailed', 'comparison', 'sentiment', 'filing', 'chat'];
+
+const DEFAULT_TEMPERATURE = 0.25;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Error from one request. `retryable` is false for responses that would not
+// change on a second try (bad request, unknown model, auth).
+const requestError = (message, { status = null, retryable = true, retryAfterMs = null } = {}) =>
+  Object.assign(new Error(message), { status, retryable, retryAfterMs });
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const usageFrom = (usage) => usage
+  ? {
+    promptTokens: usage.prompt_tokens ?? null,
+    completionTokens: usage.completion_tokens ?? null,
+    totalTokens: usage.total_tokens ?? null
+  }
+  : null;
+
+// OpenAI-style SSE: "data: {json}" lines ending with "data: [DONE]", plus
+// ": comment" keep-alive lines that are skipped. Usage arrives in the last
+// chunk when the server supports stream_options.include_usage.
+async function readCompletionStream(body, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let usage = null;
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return { text: text || null, usage };
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        continue;
+      }
+      if (parsed.error) throw requestError(parsed.error.message || 'Stream error', { retryable: !text });
+      if (parsed.usage) usage = usageFrom(parsed.usage);
+
+      const delta = parsed.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+  }
+
+  return { text: text || null, usage };
+}
+
+// One chat completion request: resolves to { text, usage }
+// With a `schema` the endpoint is asked for JSON mode; the schema itself is
+// spelled out in the prompt, which every endpoint understands.
+async function httpTransport({ baseUrl, apiKey, model, messages, maxTokens, temperature, schema, onToken, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        ...(apiKey && { "Authorization": `Bearer ${apiKey}` }),
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: Boolean(onToken),
+        ...(onToken && { stream_options: { include_usage: true } }),
+        ...(schema && { response_format: { type: 'json_object' } })
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      throw requestError(`${model} returned ${response.status}${detail ? `: ${detail}` : ''}`, {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+      });
+    }
+
+    if (onToken) return await readCompletionStream(response.body, onToken);
+
+    const data = await response.json();
+    // OpenRouter reports some upstream failures inside a 200 response
+    if (data.error) throw requestError(data.error.message || `${model} returned an error`, { status: data.error.code ?? null });
+    return { text: data.choices?.[0]?.message?.content || null, usage: usageFrom(data.usage) };
+  } catch (e) {
+    if (e.name === 'AbortError') throw requestError(`${model} timed out after ${timeoutMs}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Stands in for httpTransport without a network. The same request always
+// gets the same reply, streamed word by word, with word counts as token
+// usage. `reply(request)` supplies the text and may throw to simulate a
+// failing model. By default the reply names the model and hashes the prompt,
+// as JSON matching the request's schema when it has one. Every request is
+// kept in `transport.calls`.
+function createFakeTransport({ reply = null } = {}) {
+  const calls = [];
+
+  async function transport(request) {
+    calls.push(request);
+    const prompt = request.messages.map(m => m.content).join('\n');
+    const label = `[${request.model}] ${crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12)}`;
+    const text = reply
+      ? await reply(request)
+      : request.schema ? JSON.stringify(sampleFromSchema(request.schema, label)) : label;
+
+    if (request.onToken && text) text.match(/\S+\s*/g).forEach(request.onToken);
+    const promptTokens = countWords(prompt);
+    const completionTokens = text ? countWords(text) : 0;
+    return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+  }
+
+  transport.calls = calls;
+  return transport;
+}
+
+// `models` maps tasks to models and falls back to `model`. `recordUsage`
+// receives one entry per complete() call (successful or not).
+function createLlmClient({
+  provider = 'openrouter',
+  baseUrl = PROVIDERS[provider]?.baseUrl,
+  apiKey = null,
+  model = PROVIDERS[provider]?.model,
+  models = {},
+  fallbackModel = null,
+  temperature = DEFAULT_TEMPERATURE,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  transport = provider === 'fake' ? createFakeTransport() : httpTransport,
+  recordUsage = null,
+  sleep = provider === 'fake' ? async () => {} : wait
+} = {}) {
+  if (!PROVIDERS[provider]) throw new Error(`Unknown LLM provider: ${provider}`);
+
+  // Models tried for a task, in order
+  const modelsFor = (task) => [...new Set([models[task] || model, fallbackModel].filter(Boolean))];
+
+  const backoff = (attempt, error) => Math.min(error?.retryAfterMs ?? backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+
+  const record = (entry) => {
+    if (!recordUsage) return;
+    Promise.resolve()
+      .then(() => recordUsage(entry))
+      .catch(err => console.error('LLM usage record error:', err.message));
+  };
+
+  // Resolves to { text, model, usage, attempts }. Pass `prompt` for a single
+  // user message or `messages` for a conversation. With `onToken` the reply
+  // is streamed and each text delta is passed to it as it arrives. `schema`
+  // asks for a JSON reply (see lib/structuredOutput.js for validation).
+  async function complete({ task, prompt, messages, maxTokens, temperature: callTemperature = temperature, schema = null, onToken }) {
+    const chat = messages || [{ role: 'user', content: prompt }];
+    const startedAt = Date.now();
+    const failures = [];
+    let streamed = false;
+    const forward = onToken && ((text) => {
+      streamed = true;
+      onToken(text);
+    });
+
+    for (const candidate of modelsFor(task)) {
+      let lastError = null;
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) await sleep(backoff(attempt, lastError));
+
+        try {
+          const { text, usage } = await transport({
+            baseUrl, apiKey, model: candidate, messages: chat, maxTokens, temperature: callTemperature, schema, onToken: forward, timeoutMs
+          });
+          // Another model may well answer what this one left blank
+          if (!text) throw requestError(`${candidate} returned an empty completion`, { retryable: false });
+
+          record({ task, model: candidate, status: 'ok', usage, attempts: failures.length + 1, latencyMs: Date.now() - startedAt, error: null });
+          return { text, model: candidate, usage, attempts: failures.length + 1 };
+        } catch (e) {
+          lastError = e;
+          failures.push({ model: candidate, error: e.message });
+          console.error(`LLM error (${task}, ${candidate}, attempt ${attempt + 1}):`, e.message);
+          if (streamed || e.retryable === false) break;
+        }
+      }
+      if (streamed) break;
+    }
+
+    const last = failures[failures.length - 1];
+    record({ task, model: last?.model ?? null, status: 'failed', usage: null, attempts: failures.length, latencyMs: Date.now() - startedAt, error: last?.error ?? 'No model configured' });
+    throw Object.assign(new Error(`AI unavailable: ${last?.error ?? 'no model configured'}`), { attempts: failures });
+  }
+
+  return {
+    provider,
+    modelsFor,
+    complete
+  };
+}
+
+const parseTemperature = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : DEFAULT_TEMPERATURE;
+};
+
+const parseCount = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// createLlmClient() options from LLM_* variables. OPENROUTER_API_KEY still
+// works as the key for the default provider.
+function llmConfigFromEnv(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'openrouter').toLowerCase();
+  return {
+    provider,
+    baseUrl: env.LLM_BASE_URL || PROVIDERS[provider]?.baseUrl,
+    apiKey: env.LLM_API_KEY || (provider === 'openrouter' ? env.OPENROUTER_API_KEY : null) || null,
+    model: env.LLM_MODEL || PROVIDERS[provider]?.model,
+    models: Object.fromEntries(TASKS
+      .filter(task => env[`LLM_MODEL_${task.toUpperCase()}`])
+      .map(task => [task, env[`LLM_MODEL_${task.toUpperCase()}`]])),
+    fallbackModel: env.LLM_FALLBACK_MODEL || null,
+    temperature: parseTemperature(env.LLM_TEMPERATURE),
+    maxRetries: parseCount(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    timeoutMs: parseCount(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)
+  };
+}
+
+// Writes complete() outcomes to the llm_usage table
+function createLlmUsageStore({ pool }) {
+  async function record({ task, model, status, usage, attempts, latencyMs, error }) {
+    await pool.query(
+      `INSERT INTO llm_usage (task, model, status, prompt_tokens, completion_tokens, total_tokens, attempts, latency_ms, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [task || null, model, status, usage?.promptTokens ?? null, usage?.completionTokens ?? null, usage?.totalTokens ?? null, attempts, latencyMs, error]
+    );
+  }
+
+  return { record };
+}
+
+const llm = createLlmClient(llmConfigFromEnv());
+
+module.exports = {
+  PROVIDERS,
+  TASKS,
+  createFakeTransport,
+  createLlmClient,
+  llmConfigFromEnv,
+  createLlmUsageStore,
+  llm
+};
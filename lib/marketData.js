@@ -0,0 +1,144 @@
+// ==========================================
+// MARKET DATA PROVIDER LAYER
+// ==========================================
+// Providers implement any of quote(ticker), quotes(tickers), overview(ticker),
+// history(ticker, { period1, period2, interval }), fundamentals(ticker)
+// (annual and quarterly statements, newest first) and earnings(ticker)
+// (upcoming report and reported quarters), each resolving to a plain object
+// of normalized fields (or null when they have nothing).
+//
+// Requests walk the configured order for the capability. Fields are taken
+// from the first provider that has them, and every returned object carries a
+// `sources` map saying which provider supplied each field. The next provider
+// is only called while the primary field (price, description, candles) is
+// still missing, so a healthy primary costs one upstream call.
+
+const yahoo = require('./providers/yahoo');
+const alphaVantage = require('./providers/alphaVantage');
+const coingecko = require('./providers/coingecko');
+
+const DEFAULT_ORDER = {
+  quote: ['yahoo', 'alphavantage', 'coingecko'],
+  overview: ['alphavantage', 'yahoo', 'coingecko'],
+  history: ['yahoo', 'alphavantage', 'coingecko'],
+  fundamentals: ['yahoo', 'alphavantage'],
+  // Alpha Vantage first: only it has report dates, which the post-earnings
+  // price moves need. Yahoo then fills in the upcoming report.
+  earnings: ['alphavantage', 'yahoo']
+};
+
+const PRIMARY_FIELD = {
+  quote: 'price',
+  overview: 'description',
+  history: 'candles',
+  fundamentals: 'annual',
+  earnings: 'upcoming'
+};
+
+const parseOrder = (value) => value ? value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+
+const isSet = (value) => value !== null && value !== undefined;
+
+function createMarketData({ providers = [yahoo, alphaVantage, coingecko], order = {} } = {}) {
+  const byName = new Map(providers.map(p => [p.name, p]));
+  const resolvedOrder = { ...DEFAULT_ORDER, ...order };
+
+  const providersFor = (capability, assetType) => resolvedOrder[capability]
+    .map(name => byName.get(name))
+    .filter(p => p && p.isEnabled() && typeof p[capability] === 'function' && p.assetTypes.includes(assetType));
+
+  async function withFallback(capability, assetType, ticker, ...args) {
+    const primary = PRIMARY_FIELD[capability];
+    const result = {};
+    const sources = {};
+
+    for (const provider of providersFor(capability, assetType)) {
+      let data = null;
+      try {
+        data = await provider[capability](ticker, ...args);
+      } catch (e) {
+        console.error(`${provider.name} ${capability} error (${ticker}):`, e.message);
+        continue;
+      }
+      if (!data) continue;
+
+      Object.entries(data).forEach(([field, value]) => {
+        if (isSet(value) && !isSet(result[field])) {
+          result[field] = value;
+          sources[field] = provider.name;
+        }
+      });
+
+      if (isSet(result[primary])) break;
+    }
+
+    return Object.keys(sources).length ? { ...result, sources } : null;
+  }
+
+  // Batch quotes: providers with a quotes() method answer in one call, the
+  // rest fall back to one quote() per ticker still missing a price.
+  async function quotes(tickers, { assetType = 'stock' } = {}) {
+    const results = new Map();
+    let missing = tickers.map(t => t.toUpperCase());
+
+    for (const provider of providersFor('quote', assetType)) {
+      if (!missing.length) break;
+
+      let batch = new Map();
+      try {
+        if (typeof provider.quotes === 'function') {
+          batch = await provider.quotes(missing);
+        } else {
+          for (const ticker of missing) {
+            const data = await provider.quote(ticker).catch(() => null);
+            if (data) batch.set(ticker, data);
+          }
+        }
+      } catch (e) {
+        console.error(`${provider.name} batch quote error:`, e.message);
+        continue;
+      }
+
+      batch.forEach((data, ticker) => {
+        if (!isSet(data.price)) return;
+        const sources = {};
+        Object.entries(data).forEach(([field, value]) => { if (isSet(value)) sources[field] = provider.name; });
+        results.set(ticker, { ...data, sources });
+      });
+
+      missing = missing.filter(t => !results.has(t));
+    }
+
+    return results;
+  }
+
+  return {
+    quote: (ticker, { assetType = 'stock' } = {}) => withFallback('quote', assetType, ticker),
+    quotes,
+    overview: (ticker, { assetType = 'stock' } = {}) => withFallback('overview', assetType, ticker),
+    history: (ticker, { assetType = 'stock', period1, period2, interval = '1d' } = {}) =>
+      withFallback('history', assetType, ticker, { period1, period2, interval }),
+    fundamentals: (ticker) => withFallback('fundamentals', 'stock', ticker),
+    earnings: (ticker) => withFallback('earnings', 'stock', ticker),
+    providers: (capability, assetType) => providersFor(capability, assetType).map(p => p.name)
+  };
+}
+
+// Shared instance, ordered by QUOTE_PROVIDERS / OVERVIEW_PROVIDERS /
+// HISTORY_PROVIDERS / FUNDAMENTALS_PROVIDERS / EARNINGS_PROVIDERS
+const marketData = createMarketData({
+  order: Object.fromEntries(
+    Object.entries({
+      quote: parseOrder(process.env.QUOTE_PROVIDERS),
+      overview: parseOrder(process.env.OVERVIEW_PROVIDERS),
+      history: parseOrder(process.env.HISTORY_PROVIDERS),
+      fundamentals: parseOrder(process.env.FUNDAMENTALS_PROVIDERS),
+      earnings: parseOrder(process.env.EARNINGS_PROVIDERS)
+    }).filter(([, value]) => value)
+  )
+});
+
+module.exports = {
+  createMarketData,
+  marketData
+};
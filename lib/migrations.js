@@ -0,0 +1,172 @@
+// ==========================================
+// DATABASE MIGRATIONS
+// ==========================================
+// Schema changes live in migrations/ as numbered file pairs:
+//   0007_add_portfolio.up.sql    applied by `npm run migrate up`
+//   0007_add_portfolio.down.sql  applied by `npm run migrate down`
+// Applied versions are recorded in schema_migrations with a checksum of the
+// up file, so editing a migration after it shipped is caught instead of
+// silently diverging between environments. Each migration runs in its own
+// transaction, and an advisory lock keeps two deploys from migrating at once.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.up\.sql$/;
+const LOCK_ID = 4242001;
+
+// 7 + 'add_portfolio' -> '0007_add_portfolio', matching the file name
+const label = ({ version, name }) => `${String(version).padStart(4, '0')}_${name}`;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// Reads migration files ordered by version. Versions must be unique.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const up = fs.readFileSync(path.join(dir, file), 'utf8');
+      const downFile = path.join(dir, `${version}_${name}.down.sql`);
+      return {
+        version: parseInt(version, 10),
+        name,
+        up,
+        down: fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf8') : null,
+        checksum: checksum(up)
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version} (${label(migrations[i - 1])}, ${label(m)})`);
+    }
+  });
+
+  return migrations;
+}
+
+function createMigrator({ pool, dir = MIGRATIONS_DIR, log = console.log }) {
+  const ensureTable = () => pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Every migration on disk or in the database, with its state:
+  // 'applied', 'pending', 'modified' (checksum mismatch) or 'missing' (no file)
+  async function status() {
+    await ensureTable();
+    const migrations = loadMigrations(dir);
+    const { rows } = await pool.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    const applied = new Map(rows.map(r => [r.version, r]));
+
+    const entries = migrations.map(m => {
+      const row = applied.get(m.version);
+      applied.delete(m.version);
+      if (!row) return { version: m.version, name: m.name, state: 'pending' };
+      return {
+        version: m.version,
+        name: m.name,
+        state: row.checksum === m.checksum ? 'applied' : 'modified',
+        appliedAt: row.applied_at
+      };
+    });
+
+    applied.forEach(row => entries.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at }));
+    return entries.sort((a, b) => a.version - b.version);
+  }
+
+  // Serializes migrations across processes
+  async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async function runInTransaction(client, sql, record) {
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+  }
+
+  // Applies pending migrations in order, optionally stopping at version `to`
+  async function up({ to = Infinity } = {}) {
+    await ensureTable();
+    return withLock(async (client) => {
+      const states = await status();
+      const broken = states.find(s => s.state === 'modified');
+      if (broken) throw new Error(`Migration ${label(broken)} was modified after it was applied`);
+
+      const pending = new Set(states.filter(s => s.state === 'pending').map(s => s.version));
+      const toApply = loadMigrations(dir).filter(m => pending.has(m.version) && m.version <= to);
+
+      for (const m of toApply) {
+        await runInTransaction(client, m.up, () => client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [m.version, m.name, m.checksum]
+        ));
+        log(`⬆️  Applied ${label(m)}`);
+      }
+      return toApply.map(m => m.version);
+    });
+  }
+
+  // Reverts the most recently applied migrations, newest first
+  async function down({ steps = 1 } = {}) {
+    await ensureTable();
+    return withLock(async (client) => {
+      const byVersion = new Map(loadMigrations(dir).map(m => [m.version, m]));
+      const { rows } = await client.query('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT $1', [steps]);
+
+      const reverted = [];
+      for (const row of rows) {
+        const m = byVersion.get(row.version);
+        if (!m || !m.down) throw new Error(`No down migration for ${label(row)}`);
+
+        await runInTransaction(client, m.down, () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1',
+          [m.version]
+        ));
+        log(`⬇️  Reverted ${label(m)}`);
+        reverted.push(m.version);
+      }
+      return reverted;
+    });
+  }
+
+  // Throws unless every migration on disk is applied unchanged. The server
+  // calls this before listening so it never runs against an older schema.
+  async function assertUpToDate() {
+    const problems = (await status()).filter(s => s.state !== 'applied');
+    if (problems.length) {
+      const list = problems.map(p => `${label(p)} (${p.state})`).join(', ');
+      throw new Error(`Database schema is not up to date: ${list}. Run \`npm run migrate up\`.`);
+    }
+  }
+
+  return { status, up, down, assertUpToDate };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  createMigrator
+};
@@ -0,0 +1,106 @@
+// ==========================================
+// PORTFOLIO VALUATION
+// ==========================================
+// Pure calculations over a user's lots and the latest quotes. Lots of the same
+// ticker are rolled up into one position; positions without a price are
+// listed but left out of totals and allocation rather than counted as zero.
+
+const CRYPTO_SECTOR = 'Crypto';
+const UNKNOWN_SECTOR = 'Unknown';
+
+const round = (value, digits = 2) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+const percentOf = (part, whole) => whole ? (part / whole) * 100 : null;
+
+// pg parses DATE columns into local-midnight Dates; send them back as YYYY-MM-DD
+const toDateString = (value) => {
+  if (!(value instanceof Date)) return value ?? null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// Postgres NUMERIC columns arrive as strings
+const toLot = (row) => ({
+  id: row.id,
+  ticker: row.ticker,
+  isCrypto: row.is_crypto,
+  quantity: parseFloat(row.quantity),
+  costBasis: parseFloat(row.cost_basis),
+  acquiredAt: toDateString(row.acquired_at)
+});
+
+// lots: portfolio_lots rows. quotes: getQuoteSummaries() output.
+// sectors: Map of stock ticker -> sector name (null when unknown).
+function summarizePortfolio(lots, quotes, sectors = new Map()) {
+  const quoteFor = new Map(quotes.map(q => [`${q.ticker.toUpperCase()}:${q.isCrypto}`, q]));
+  const grouped = new Map();
+
+  lots.map(toLot).forEach(lot => {
+    const key = `${lot.ticker}:${lot.isCrypto}`;
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(lot);
+  });
+
+  const positions = [...grouped.entries()].map(([key, positionLots]) => {
+    const { ticker, isCrypto } = positionLots[0];
+    const quote = quoteFor.get(key);
+    const price = quote?.price ?? null;
+
+    const quantity = positionLots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const costBasis = positionLots.reduce((sum, lot) => sum + lot.costBasis, 0);
+    const marketValue = price === null ? null : quantity * price;
+    const unrealizedPnl = marketValue === null ? null : marketValue - costBasis;
+    const dayChange = price === null || quote.change === null ? null : quantity * quote.change;
+
+    return {
+      ticker,
+      isCrypto,
+      name: quote?.name ?? null,
+      sector: isCrypto ? CRYPTO_SECTOR : (sectors.get(ticker) || UNKNOWN_SECTOR),
+      quantity,
+      averageCost: round(costBasis / quantity, 4),
+      costBasis: round(costBasis),
+      price,
+      marketValue: round(marketValue),
+      unrealizedPnl: round(unrealizedPnl),
+      unrealizedPnlPercent: unrealizedPnl === null ? null : round(percentOf(unrealizedPnl, costBasis)),
+      dayChange: round(dayChange),
+      dayChangePercent: quote?.changePercent ?? null,
+      lots: positionLots
+    };
+  });
+
+  const priced = positions.filter(p => p.marketValue !== null);
+  const marketValue = priced.reduce((sum, p) => sum + p.marketValue, 0);
+  const costBasis = priced.reduce((sum, p) => sum + p.costBasis, 0);
+  const dayChange = priced.reduce((sum, p) => sum + (p.dayChange || 0), 0);
+
+  const bySector = new Map();
+  priced.forEach(p => bySector.set(p.sector, (bySector.get(p.sector) || 0) + p.marketValue));
+
+  positions.forEach(p => {
+    p.weight = p.marketValue === null ? null : round(percentOf(p.marketValue, marketValue));
+  });
+
+  return {
+    positions: positions.sort((a, b) => (b.marketValue ?? -1) - (a.marketValue ?? -1)),
+    totals: {
+      marketValue: round(marketValue),
+      costBasis: round(costBasis),
+      unrealizedPnl: round(marketValue - costBasis),
+      unrealizedPnlPercent: round(percentOf(marketValue - costBasis, costBasis)),
+      dayChange: round(dayChange),
+      // Relative to yesterday's value of the same holdings
+      dayChangePercent: round(percentOf(dayChange, marketValue - dayChange)),
+      unpricedTickers: positions.filter(p => p.marketValue === null).map(p => p.ticker)
+    },
+    allocation: [...bySector.entries()]
+      .map(([sector, value]) => ({ sector, marketValue: round(value), weight: round(percentOf(value, marketValue)) }))
+      .sort((a, b) => b.marketValue - a.marketValue)
+  };
+}
+
+module.exports = {
+  CRYPTO_SECTOR,
+  toLot,
+  summarizePortfolio
+};
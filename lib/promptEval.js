@@ -0,0 +1,125 @@
+const path = require('path');
+const {
+  CRYPTO_OUTPUT, SIMPLIFIED_OUTPUT, DETAILED_OUTPUT, COMPARISON_OUTPUT,
+  cryptoPromptVariables, stockPromptVariables, comparisonPromptVariables
+} = require('./analysis');
+const { validate, parseJsonReply } = require('./structuredOutput');
+const { COMPLIANCE_RULES, findViolations } = require('./compliance');
+
+// ==========================================
+// PROMPT EVALUATION
+// ==========================================
+// Offline comparison of prompt template versions. Each version is rendered
+// against fixture market data (prompts/eval/fixtures.json), sent to the
+// configured model, and the first reply is checked against the rules the
+// prompts state. No repair request is made: the point is how often a
+// template gets it right by itself. Run with `npm run prompts eval`.
+
+const FIXTURES_FILE = path.join(__dirname, '..', 'prompts', 'eval', 'fixtures.json');
+
+// Which fixtures each task runs on and how they become template variables
+const EVAL_TASKS = {
+  crypto: { output: CRYPTO_OUTPUT, fixtures: 'crypto', variables: (f) => cryptoPromptVariables(f.ticker, f), maxTokens: 400 },
+  simplified: { output: SIMPLIFIED_OUTPUT, fixtures: 'stocks', variables: (f) => stockPromptVariables(f.ticker, SIMPLIFIED_OUTPUT, f), maxTokens: 350 },
+  detailed: { output: DETAILED_OUTPUT, fixtures: 'stocks', variables: (f) => stockPromptVariables(f.ticker, DETAILED_OUTPUT, f), maxTokens: 400 },
+  comparison: { output: COMPARISON_OUTPUT, fixtures: 'comparisons', variables: (f) => comparisonPromptVariables(f.rows), maxTokens: 450 }
+};
+
+// List characters inside a string: the renderers add their own bullets
+const BULLET = /^\s*(?:[•*\-–]|\d+[.)])\s/;
+
+// Every string in a reply is also checked against the compliance rules
+// (lib/compliance.js), the same ones applied to live output
+const RULES = ['ai-error', 'invalid-json', 'missing-section', 'schema', 'bullet', ...COMPLIANCE_RULES.map(r => r.id)];
+
+const excerpt = (text, index = 0) => text.slice(Math.max(0, index - 30), index + 50).replace(/\s+/g, ' ').trim();
+
+// [{ rule, path, detail }] for one reply to `output`
+function checkReply(output, text) {
+  const { data, errors } = parseJsonReply(text);
+  if (errors.length) return errors.map(detail => ({ rule: 'invalid-json', path: '$', detail }));
+
+  const violations = [];
+  const missing = output.sections
+    .filter(({ key }) => {
+      const value = data[key];
+      return value === undefined || value === null ||
+        (typeof value === 'string' && !value.trim()) ||
+        (Array.isArray(value) && !value.length);
+    })
+    .map(({ key }) => key);
+  missing.forEach(key => violations.push({ rule: 'missing-section', path: `$.${key}`, detail: 'missing or empty' }));
+
+  validate(output.schema, data)
+    .filter(error => !missing.some(key => error.startsWith(`$.${key}:`)))
+    .forEach(detail => violations.push({ rule: 'schema', path: detail.split(':')[0], detail }));
+
+  const strings = output.sections.flatMap(({ key }) => {
+    const value = data[key];
+    if (typeof value === 'string') return [[`$.${key}`, value]];
+    return Array.isArray(value) ? value.map((item, i) => [`$.${key}[${i}]`, item]).filter(([, item]) => typeof item === 'string') : [];
+  });
+  strings.forEach(([at, value]) => {
+    const bullet = value.match(BULLET);
+    if (bullet) violations.push({ rule: 'bullet', path: at, detail: excerpt(value, bullet.index) });
+    findViolations(value).forEach(v => violations.push({ rule: v.rule, path: at, detail: v.excerpt }));
+  });
+
+  return violations;
+}
+
+// One result per task and template version:
+//   { task, version, runs, clean, violations: { rule: count }, examples, tokens }
+// `registry` is a prompt registry, `llm` a client from lib/llm.js and
+// `fixtures` { stocks, crypto, comparisons }. `versions` limits the run to
+// those version names.
+async function evaluatePrompts({ registry, llm, fixtures, tasks = Object.keys(EVAL_TASKS), versions = null, onProgress = () => {} }) {
+  const results = [];
+
+  for (const task of tasks) {
+    const { output, fixtures: fixtureSet, variables, maxTokens } = EVAL_TASKS[task];
+    const cases = fixtures[fixtureSet] || [];
+    const templates = registry.list(task).filter(t => !versions || versions.includes(t.version));
+
+    for (const template of templates) {
+      const result = { task, version: template.version, runs: 0, clean: 0, violations: {}, examples: [], tokens: 0 };
+      if (template.errors.length) {
+        results.push({ ...result, errors: template.errors });
+        continue;
+      }
+
+      for (const [i, fixture] of cases.entries()) {
+        const name = fixture.name || fixture.ticker || `#${i + 1}`;
+        onProgress(`${task}@${template.version} ${name}`);
+        const { text: prompt } = await registry.render(task, variables(fixture), { version: template.version });
+
+        let found;
+        try {
+          const reply = await llm.complete({ task, prompt, schema: output.schema, maxTokens });
+          result.tokens += reply.usage?.totalTokens || 0;
+          found = checkReply(output, reply.text);
+        } catch (e) {
+          found = [{ rule: 'ai-error', path: '$', detail: e.message }];
+        }
+
+        result.runs++;
+        if (!found.length) result.clean++;
+        found.forEach(v => {
+          result.violations[v.rule] = (result.violations[v.rule] || 0) + 1;
+          result.examples.push({ fixture: name, ...v });
+        });
+      }
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  FIXTURES_FILE,
+  EVAL_TASKS,
+  RULES,
+  checkReply,
+  evaluatePrompts
+};
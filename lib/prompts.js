@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ==========================================
+// PROMPT TEMPLATES
+// ==========================================
+// AI prompts are versioned templates, not code. Built-in versions live in
+// prompts/<task>/<version>.txt; more can be published to the
+// prompt_templates table without a deploy (npm run prompts publish).
+// A version is never edited: a changed prompt is a new version.
+//
+// Templates use named variables:
+//   {{name}}                 the value, or nothing when it is empty
+//   {{#name}}...{{/name}}    only when the value is not empty
+//   {{^name}}...{{/name}}    only when the value is empty
+// A tag alone on its line takes the line with it. Each task accepts the
+// variables listed in PROMPT_VARIABLES, and every template must place the
+// ones in REQUIRED_VARIABLES: {{replyFormat}}, the JSON reply instructions,
+// or for chat the analysis data the answer is based on.
+//
+// Which version a request gets is decided per user. Each task has a
+// rollout of version weights (prompts/rollout.json, or rows in
+// prompt_rollouts, which win when a task has any), and a user always lands
+// in the same cohort for a task, so one person never sees two versions of
+// the same prompt in a row. Requests without a user get the heaviest version.
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// How often published templates and rollouts are re-read from the database
+const PROMPT_REFRESH_MS = parseInt(process.env.PROMPT_REFRESH_MS, 10) || 5 * 60 * 1000;
+
+const STOCK_VARIABLES = ['ticker', 'description', 'sector', 'industry', 'price', 'marketCap', 'peRatio', 'trend', 'news', 'technicals', 'fundamentals', 'replyFormat'];
+
+const PROMPT_VARIABLES = {
+  crypto: ['ticker', 'price', 'changePct', 'low24h', 'high24h', 'marketCap', 'volume', 'news', 'technicals', 'replyFormat'],
+  simplified: STOCK_VARIABLES,
+  detailed: STOCK_VARIABLES,
+  comparison: ['tickers', 'companies', 'replyFormat'],
+  chat: ['ticker', 'context']
+};
+
+const REQUIRED_VARIABLES = {
+  crypto: ['replyFormat'],
+  simplified: ['replyFormat'],
+  detailed: ['replyFormat'],
+  comparison: ['replyFormat'],
+  chat: ['context']
+};
+
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9._-]{0,39}$/i;
+
+const TAG = /{{([#^/]?)([^}]*)}}/g;
+
+// Problems with a template body ("unknown variable {{price}}"); empty when
+// it can be used for `task`
+function checkTemplate(task, body) {
+  const allowed = PROMPT_VARIABLES[task];
+  if (!allowed) return [`unknown task "${task}"`];
+
+  const errors = [];
+  const used = new Set();
+  const open = [];
+  for (const [, kind, name] of body.matchAll(TAG)) {
+    if (!/^\w+$/.test(name)) {
+      errors.push(`malformed tag {{${kind}${name}}}`);
+      continue;
+    }
+    if (!allowed.includes(name)) errors.push(`unknown variable {{${name}}}`);
+    used.add(name);
+    if (kind === '#' || kind === '^') open.push(name);
+    if (kind === '/' && open.pop() !== name) errors.push(`{{/${name}}} does not close the innermost section`);
+  }
+  open.forEach(name => errors.push(`{{#${name}}} is never closed`));
+  REQUIRED_VARIABLES[task].filter(name => !used.has(name)).forEach(name => errors.push(`missing {{${name}}}`));
+  return [...new Set(errors)];
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === false || value === '' ||
+  (Array.isArray(value) && !value.length);
+
+// Fills a checked template. Values are written as they are; callers format
+// numbers the way the prompt should show them.
+function renderTemplate(body, variables) {
+  const renderSections = (text) => text.replace(/{{([#^])(\w+)}}([\s\S]*?){{\/\2}}/g, (_, kind, name, inner) =>
+    (kind === '#') !== isEmpty(variables[name]) ? renderSections(inner) : '');
+
+  return renderSections(body.replace(/^[ \t]*({{[#^/]\w+}})[ \t]*\r?\n/gm, '$1'))
+    .replace(/{{(\w+)}}/g, (_, name) => isEmpty(variables[name]) ? '' : String(variables[name]))
+    .trim();
+}
+
+// Where in a task's rollout a cohort falls: a stable number in [0, 1)
+const cohortPoint = (cohort, task) =>
+  crypto.createHash('sha256').update(`${task}:${cohort}`).digest().readUInt32BE(0) / 2 ** 32;
+
+// Built-in templates and rollouts from prompts/
+function loadFileTemplates(dir = PROMPTS_DIR) {
+  const templates = Object.keys(PROMPT_VARIABLES).flatMap(task => {
+    const taskDir = path.join(dir, task);
+    if (!fs.existsSync(taskDir)) return [];
+    return fs.readdirSync(taskDir)
+      .filter(file => file.endsWith('.txt'))
+      .sort()
+      .map(file => ({ task, version: file.slice(0, -4), body: fs.readFileSync(path.join(taskDir, file), 'utf8'), source: 'file' }));
+  });
+
+  const rolloutFile = path.join(dir, 'rollout.json');
+  const rollouts = fs.existsSync(rolloutFile) ? JSON.parse(fs.readFileSync(rolloutFile, 'utf8')) : {};
+  return { templates, rollouts };
+}
+
+function createPromptTemplateStore({ pool }) {
+  async function list() {
+    const result = await pool.query('SELECT task, version, body, created_at FROM prompt_templates ORDER BY task, created_at');
+    return result.rows.map(row => ({ task: row.task, version: row.version, body: row.body, source: 'database', createdAt: row.created_at }));
+  }
+
+  // task -> { version: weight }
+  async function rollouts() {
+    const result = await pool.query('SELECT task, version, weight FROM prompt_rollouts');
+    return result.rows.reduce((all, row) => {
+      all[row.task] = { ...all[row.task], [row.version]: row.weight };
+      return all;
+    }, {});
+  }
+
+  // Versions are immutable, so publishing an existing one fails
+  async function publish({ task, version, body }) {
+    const result = await pool.query(
+      `INSERT INTO prompt_templates (task, version, body) VALUES ($1, $2, $3)
+       ON CONFLICT (task, version) DO NOTHING RETURNING created_at`,
+      [task, version, body]
+    );
+    if (!result.rows.length) throw new Error(`${task}@${version} already exists`);
+    return result.rows[0];
+  }
+
+  // Replaces the task's rollout. An empty `weights` hands the task back to
+  // prompts/rollout.json.
+  async function setRollout(task, weights) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM prompt_rollouts WHERE task = $1', [task]);
+      for (const [version, weight] of Object.entries(weights)) {
+        await client.query('INSERT INTO prompt_rollouts (task, version, weight) VALUES ($1, $2, $3)', [task, version, weight]);
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { list, rollouts, publish, setRollout };
+}
+
+// `loadFiles` returns { templates, rollouts } and `store` (optional) is a
+// prompt template store; pass stubs in tests.
+function createPromptRegistry({ loadFiles = () => loadFileTemplates(), store = null, refreshMs = PROMPT_REFRESH_MS } = {}) {
+  const files = loadFiles();
+  let published = { templates: [], rollouts: {} };
+  let loadedAt = 0;
+  let loading = null;
+
+  // Refreshes published templates when they are stale. Never rejects: while
+  // the database is unavailable the last copy (or the files alone) is used.
+  function load() {
+    if (!store || loading || Date.now() - loadedAt < refreshMs) return loading || Promise.resolve();
+    loading = Promise.all([store.list(), store.rollouts()])
+      .then(([templates, rollouts]) => { published = { templates, rollouts }; })
+      .catch(e => console.error('Prompt template load error:', e.message))
+      .finally(() => {
+        loadedAt = Date.now();
+        loading = null;
+      });
+    return loading;
+  }
+
+  // Every template of a task, built-in first, with its rollout weight and
+  // any problems. A published version never replaces a file of the same name.
+  function list(task) {
+    const seen = new Set();
+    const weights = published.rollouts[task] || files.rollouts[task] || {};
+    return [...files.templates, ...published.templates]
+      .filter(t => t.task === task)
+      .filter(t => !seen.has(t.version) && seen.add(t.version))
+      .map(t => ({
+        ...t,
+        weight: weights[t.version] || 0,
+        errors: VERSION_PATTERN.test(t.version) ? checkTemplate(task, t.body) : [`invalid version name "${t.version}"`]
+      }));
+  }
+
+  // The version a cohort gets: by weight, or for a null cohort the heaviest.
+  // A task without a usable rollout falls back to its last valid version.
+  function pick(task, cohort) {
+    const usable = list(task).filter(t => !t.errors.length);
+    if (!usable.length) throw new Error(`No usable prompt template for ${task}`);
+
+    const weighted = usable.filter(t => t.weight > 0);
+    if (!weighted.length) return usable.at(-1);
+    if (cohort === null || cohort === undefined) return weighted.reduce((a, b) => (b.weight > a.weight ? b : a));
+
+    const total = weighted.reduce((sum, t) => sum + t.weight, 0);
+    let point = cohortPoint(String(cohort), task) * total;
+    return weighted.find(t => (point -= t.weight) < 0) || weighted.at(-1);
+  }
+
+  // { text, version } for a task. `version` forces one (eval, debugging);
+  // otherwise `cohort` (the user id) picks it.
+  async function render(task, variables, { cohort = null, version = null } = {}) {
+    await load();
+    const template = version
+      ? list(task).find(t => t.version === version)
+      : pick(task, cohort);
+    if (!template) throw new Error(`Unknown prompt template ${task}@${version}`);
+    if (template.errors.length) throw new Error(`Prompt template ${task}@${template.version} is invalid: ${template.errors.join('; ')}`);
+    return { text: renderTemplate(template.body, variables), version: template.version };
+  }
+
+  return { load, list, pick, render };
+}
+
+const prompts = createPromptRegistry();
+
+module.exports = {
+  PROMPTS_DIR,
+  PROMPT_VARIABLES,
+  VERSION_PATTERN,
+  checkTemplate,
+  renderTemplate,
+  loadFileTemplates,
+  createPromptTemplateStore,
+  createPromptRegistry,
+  prompts
+};
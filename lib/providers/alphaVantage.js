@@ -0,0 +1,164 @@
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+const PRICE_KEY = process.env.ALPHA_VANTAGE_KEY;
+
+// ==========================================
+// ALPHA VANTAGE PROVIDER (stocks)
+// ==========================================
+// Only returns what Alpha Vantage actually reports. GLOBAL_QUOTE has no
+// 52-week range, market cap or beta, so those stay null for the next
+// provider (or the UI's N/A) rather than being estimated.
+
+const numberOrNull = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const query = async (params) => {
+  const qs = new URLSearchParams({ ...params, apikey: PRICE_KEY });
+  const r = await fetch(`https://www.alphavantage.co/query?${qs}`);
+  const data = await r.json();
+  // Rate limiting comes back as a 200 with a Note/Information message
+  if (data.Note || data.Information) throw new Error(data.Note || data.Information);
+  return data;
+};
+
+const SERIES_BY_INTERVAL = {
+  '1d': ['TIME_SERIES_DAILY', 'Time Series (Daily)'],
+  '1wk': ['TIME_SERIES_WEEKLY', 'Weekly Time Series'],
+  '1mo': ['TIME_SERIES_MONTHLY', 'Monthly Time Series']
+};
+
+// Income statement, balance sheet and cash flow reports share
+// fiscalDateEnding, so the three are joined on it
+const mergeReports = (income = [], balance = [], cashFlow = []) => {
+  const byDate = (reports) => new Map(reports.map(r => [r.fiscalDateEnding, r]));
+  const balanceByDate = byDate(balance);
+  const cashByDate = byDate(cashFlow);
+
+  return income
+    .map(i => {
+      const b = balanceByDate.get(i.fiscalDateEnding) || {};
+      const c = cashByDate.get(i.fiscalDateEnding) || {};
+      const operatingCashFlow = numberOrNull(c.operatingCashflow);
+      const capitalExpenditures = numberOrNull(c.capitalExpenditures);
+      return {
+        periodEnd: i.fiscalDateEnding,
+        revenue: numberOrNull(i.totalRevenue),
+        grossProfit: numberOrNull(i.grossProfit),
+        operatingIncome: numberOrNull(i.operatingIncome),
+        netIncome: numberOrNull(i.netIncome),
+        totalAssets: numberOrNull(b.totalAssets),
+        totalLiabilities: numberOrNull(b.totalLiabilities),
+        totalEquity: numberOrNull(b.totalShareholderEquity),
+        totalDebt: numberOrNull(b.shortLongTermDebtTotal),
+        cash: numberOrNull(b.cashAndCashEquivalentsAtCarryingValue),
+        currentAssets: numberOrNull(b.totalCurrentAssets),
+        currentLiabilities: numberOrNull(b.totalCurrentLiabilities),
+        operatingCashFlow,
+        capitalExpenditures,
+        freeCashFlow: operatingCashFlow !== null && capitalExpenditures !== null ? operatingCashFlow - capitalExpenditures : null,
+        sharesOutstanding: numberOrNull(b.commonStockSharesOutstanding)
+      };
+    })
+    .sort((a, b) => b.periodEnd.localeCompare(a.periodEnd));
+};
+
+module.exports = {
+  name: 'alphavantage',
+  assetTypes: ['stock'],
+  isEnabled: () => Boolean(PRICE_KEY),
+
+  async quote(ticker) {
+    const data = await query({ function: 'GLOBAL_QUOTE', symbol: ticker });
+    const quote = data['Global Quote'];
+    if (!quote || !quote['05. price']) return null;
+
+    return {
+      price: numberOrNull(quote['05. price']),
+      previousClose: numberOrNull(quote['08. previous close']),
+      change: numberOrNull(quote['09. change']),
+      changePercent: numberOrNull((quote['10. change percent'] || '').replace('%', '')),
+      dayHigh: numberOrNull(quote['03. high']),
+      dayLow: numberOrNull(quote['04. low']),
+      volume: numberOrNull(quote['06. volume'])
+    };
+  },
+
+  async overview(ticker) {
+    const overview = await query({ function: 'OVERVIEW', symbol: ticker });
+    if (!overview || !overview.Symbol) return null;
+
+    return {
+      name: overview.Name || null,
+      description: overview.Description || null,
+      sector: overview.Sector || null,
+      industry: overview.Industry || null,
+      exchange: overview.Exchange || null
+    };
+  },
+
+  // Three calls against the free tier's daily limit; the analysis caches the
+  // result for hours, and Yahoo is asked first by default
+  async fundamentals(ticker) {
+    const [income, balance, cashFlow] = await Promise.all([
+      query({ function: 'INCOME_STATEMENT', symbol: ticker }),
+      query({ function: 'BALANCE_SHEET', symbol: ticker }),
+      query({ function: 'CASH_FLOW', symbol: ticker })
+    ]);
+    if (!income.annualReports?.length) return null;
+
+    return {
+      annual: mergeReports(income.annualReports, balance.annualReports, cashFlow.annualReports),
+      quarterly: mergeReports(income.quarterlyReports, balance.quarterlyReports, cashFlow.quarterlyReports)
+    };
+  },
+
+  // Reported quarters with the report date and whether it came before the
+  // open or after the close. There is no upcoming date here; the next
+  // provider supplies it.
+  async earnings(ticker) {
+    const data = await query({ function: 'EARNINGS', symbol: ticker });
+    if (!data.quarterlyEarnings?.length) return null;
+
+    return {
+      history: data.quarterlyEarnings.map(q => ({
+        fiscalDateEnding: q.fiscalDateEnding,
+        reportedDate: q.reportedDate || null,
+        reportTime: q.reportTime || null,
+        epsEstimate: numberOrNull(q.estimatedEPS),
+        epsActual: numberOrNull(q.reportedEPS)
+      }))
+    };
+  },
+
+  async history(ticker, { period1, period2, interval }) {
+    const series = SERIES_BY_INTERVAL[interval];
+    if (!series) return null;
+
+    const [fn, key] = series;
+    const data = await query({ function: fn, symbol: ticker, outputsize: 'full' });
+    const points = data[key];
+    if (!points) return null;
+
+    const from = new Date(period1).getTime();
+    const to = period2 ? new Date(period2).getTime() : Date.now();
+
+    const candles = Object.entries(points)
+      .map(([date, p]) => ({
+        date: new Date(date).toISOString(),
+        open: numberOrNull(p['1. open']),
+        high: numberOrNull(p['2. high']),
+        low: numberOrNull(p['3. low']),
+        close: numberOrNull(p['4. close']),
+        volume: numberOrNull(p['5. volume'])
+      }))
+      .filter(c => {
+        const t = new Date(c.date).getTime();
+        return t >= from && t <= to;
+      })
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return candles.length ? { candles } : null;
+  }
+};
@@ -0,0 +1,99 @@
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const { CRYPTO_IDS, symbols } = require('../symbols');
+
+// ==========================================
+// COINGECKO PROVIDER (crypto)
+// ==========================================
+// Symbols map to coin ids through the symbol directory (BTC -> bitcoin)
+const coinIdFor = (ticker) => symbols.coinIdFor(ticker);
+
+// CoinGecko picks candle granularity from the day count
+const OHLC_DAYS = [1, 7, 14, 30, 90, 180, 365];
+
+module.exports = {
+  name: 'coingecko',
+  assetTypes: ['crypto'],
+  isEnabled: () => true,
+  CRYPTO_IDS,
+  coinIdFor,
+
+  async quote(ticker) {
+    const r = await fetch(`https://api.coingecko.com/api/v3/coins/${coinIdFor(ticker)}?localization=false&tickers=false&market_data=true&community_data=false&developer_data=false`);
+    const data = await r.json();
+    const md = data.market_data;
+    if (!md) return null;
+
+    return {
+      name: data.name || null,
+      price: md.current_price?.usd ?? null,
+      change: md.price_change_24h ?? null,
+      changePercent: md.price_change_percentage_24h ?? null,
+      dayHigh: md.high_24h?.usd ?? null,
+      dayLow: md.low_24h?.usd ?? null,
+      volume: md.total_volume?.usd ?? null,
+      marketCap: md.market_cap?.usd ?? null
+    };
+  },
+
+  async quotes(tickers) {
+    const ids = [...new Set(tickers.map(coinIdFor))].join(',');
+    const r = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd&include_24hr_change=true&include_24hr_vol=true&include_market_cap=true`);
+    const data = await r.json();
+    // simple/price has no names; the symbol directory does
+    const instruments = await Promise.all(tickers.map(ticker => symbols.resolve(ticker, { assetClass: 'crypto' })));
+    const result = new Map();
+
+    tickers.forEach((ticker, i) => {
+      const coin = data[coinIdFor(ticker)];
+      if (!coin || coin.usd === undefined) return;
+      const changePercent = coin.usd_24h_change ?? null;
+      result.set(ticker.toUpperCase(), {
+        name: instruments[i]?.name || ticker.toUpperCase(),
+        price: coin.usd,
+        change: changePercent !== null ? coin.usd - coin.usd / (1 + changePercent / 100) : null,
+        changePercent,
+        volume: coin.usd_24h_vol ?? null,
+        marketCap: coin.usd_market_cap ?? null
+      });
+    });
+
+    return result;
+  },
+
+  async overview(ticker) {
+    const r = await fetch(`https://api.coingecko.com/api/v3/coins/${coinIdFor(ticker)}?localization=false&tickers=false&market_data=false&community_data=false&developer_data=false`);
+    const data = await r.json();
+    if (!data.id) return null;
+
+    return {
+      name: data.name || null,
+      description: data.description?.en || null,
+      sector: 'Cryptocurrency',
+      industry: data.categories?.[0] || null,
+      exchange: null
+    };
+  },
+
+  async history(ticker, { period1, period2 }) {
+    const spanDays = Math.ceil(((period2 ? new Date(period2) : new Date()) - new Date(period1)) / 86400000);
+    const days = OHLC_DAYS.find(d => d >= spanDays) || 'max';
+
+    const r = await fetch(`https://api.coingecko.com/api/v3/coins/${coinIdFor(ticker)}/ohlc?vs_currency=usd&days=${days}`);
+    const data = await r.json();
+    if (!Array.isArray(data) || !data.length) return null;
+
+    const from = new Date(period1).getTime();
+    const candles = data
+      .filter(([t]) => t >= from)
+      .map(([t, open, high, low, close]) => ({
+        date: new Date(t).toISOString(),
+        open,
+        high,
+        low,
+        close,
+        volume: null // The OHLC endpoint does not report volume
+      }));
+
+    return candles.length ? { candles } : null;
+  }
+};
@@ -0,0 +1,150 @@
+const yahooFinance = require('yahoo-finance2').default;
+
+// ==========================================
+// YAHOO FINANCE PROVIDER (stocks)
+// ==========================================
+const normalizeQuote = (quote) => {
+  const previousClose = quote.regularMarketPreviousClose ?? null;
+  const price = quote.regularMarketPrice ?? null;
+  const change = price !== null && previousClose ? price - previousClose : null;
+
+  return {
+    name: quote.shortName || quote.longName || null,
+    price,
+    previousClose,
+    change,
+    changePercent: change !== null ? (change / previousClose) * 100 : null,
+    dayHigh: quote.regularMarketDayHigh ?? null,
+    dayLow: quote.regularMarketDayLow ?? null,
+    volume: quote.regularMarketVolume ?? null,
+    avgVolume: quote.averageDailyVolume3Month ?? null,
+    marketCap: quote.marketCap ?? null,
+    peRatio: quote.trailingPE ?? null,
+    fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh ?? null,
+    fiftyTwoWeekLow: quote.fiftyTwoWeekLow ?? null,
+    beta: quote.beta ?? null,
+    dividendYield: quote.dividendYield ?? null,
+    dividendRate: quote.dividendRate ?? null,
+    exDividendDate: quote.exDividendDate ?? null,
+    payoutRatio: quote.payoutRatio ?? null,
+    shortPercentOfFloat: quote.shortPercentOfFloat ?? null,
+    earningsTimestamp: quote.earningsTimestamp ?? null
+  };
+};
+
+// fundamentalsTimeSeries rows (one per period, `date` = period end) to the
+// shared statement fields. Capital expenditure is reported as a negative
+// cash flow; it is stored as a positive outflow like Alpha Vantage does.
+const normalizePeriod = (row) => {
+  const capex = row.capitalExpenditure ?? null;
+  return {
+    periodEnd: new Date(row.date).toISOString().slice(0, 10),
+    revenue: row.totalRevenue ?? null,
+    grossProfit: row.grossProfit ?? null,
+    operatingIncome: row.operatingIncome ?? null,
+    netIncome: row.netIncome ?? null,
+    totalAssets: row.totalAssets ?? null,
+    totalLiabilities: row.totalLiabilitiesNetMinorityInterest ?? null,
+    totalEquity: row.stockholdersEquity ?? null,
+    totalDebt: row.totalDebt ?? null,
+    cash: row.cashAndCashEquivalents ?? null,
+    currentAssets: row.currentAssets ?? null,
+    currentLiabilities: row.currentLiabilities ?? null,
+    operatingCashFlow: row.operatingCashFlow ?? null,
+    capitalExpenditures: capex === null ? null : Math.abs(capex),
+    freeCashFlow: row.freeCashFlow ?? null,
+    sharesOutstanding: row.ordinarySharesNumber ?? null
+  };
+};
+
+const FUNDAMENTALS_YEARS = 5;
+
+const isoDate = (value) => value ? new Date(value).toISOString().slice(0, 10) : null;
+
+module.exports = {
+  name: 'yahoo',
+  assetTypes: ['stock'],
+  isEnabled: () => true,
+
+  async quote(ticker) {
+    const quote = await yahooFinance.quote(ticker);
+    return quote ? normalizeQuote(quote) : null;
+  },
+
+  // One request for many symbols; returns a Map keyed by upper-case ticker
+  async quotes(tickers) {
+    const quotes = await yahooFinance.quote(tickers);
+    const result = new Map();
+    [].concat(quotes).forEach(q => {
+      if (q?.symbol) result.set(q.symbol.toUpperCase(), normalizeQuote(q));
+    });
+    return result;
+  },
+
+  async overview(ticker) {
+    const summary = await yahooFinance.quoteSummary(ticker, { modules: ['assetProfile', 'price'] });
+    if (!summary) return null;
+    return {
+      name: summary.price?.longName || summary.price?.shortName || null,
+      description: summary.assetProfile?.longBusinessSummary || null,
+      sector: summary.assetProfile?.sector || null,
+      industry: summary.assetProfile?.industry || null,
+      exchange: summary.price?.exchangeName || null
+    };
+  },
+
+  async fundamentals(ticker) {
+    const period1 = new Date(Date.now() - FUNDAMENTALS_YEARS * 365 * 24 * 60 * 60 * 1000);
+    const [annual, quarterly] = await Promise.all([
+      yahooFinance.fundamentalsTimeSeries(ticker, { period1, type: 'annual', module: 'all' }),
+      yahooFinance.fundamentalsTimeSeries(ticker, { period1, type: 'quarterly', module: 'all' })
+    ]);
+    const newestFirst = (rows) => (rows || []).map(normalizePeriod).sort((a, b) => b.periodEnd.localeCompare(a.periodEnd));
+    return {
+      annual: annual?.length ? newestFirst(annual) : null,
+      quarterly: quarterly?.length ? newestFirst(quarterly) : null
+    };
+  },
+
+  // earningsHistory only knows the fiscal quarter, not the day results came
+  // out, so these quarters have no reportedDate
+  async earnings(ticker) {
+    const summary = await yahooFinance.quoteSummary(ticker, { modules: ['calendarEvents', 'earningsHistory'] });
+    if (!summary) return null;
+    const next = summary.calendarEvents?.earnings;
+
+    return {
+      upcoming: next?.earningsDate?.length ? {
+        date: isoDate(next.earningsDate[0]),
+        epsEstimate: next.earningsAverage ?? null,
+        revenueEstimate: next.revenueAverage ?? null
+      } : null,
+      history: (summary.earningsHistory?.history || [])
+        .filter(h => h.quarter)
+        .map(h => ({
+          fiscalDateEnding: isoDate(h.quarter),
+          reportedDate: null,
+          reportTime: null,
+          epsEstimate: h.epsEstimate ?? null,
+          epsActual: h.epsActual ?? null
+        }))
+    };
+  },
+
+  async history(ticker, { period1, period2, interval }) {
+    const chart = await yahooFinance.chart(ticker, { period1, period2, interval });
+    if (!chart?.quotes?.length) return null;
+    return {
+      candles: chart.quotes
+        .filter(q => q.close !== null && q.close !== undefined)
+        .map(q => ({
+          date: new Date(q.date).toISOString(),
+          open: q.open,
+          high: q.high,
+          low: q.low,
+          close: q.close,
+          volume: q.volume ?? null
+        }))
+    };
+  }
+};
@@ -0,0 +1,183 @@
+// ==========================================
+// RATE LIMITING & DAILY QUOTAS
+// ==========================================
+// Two layers protect the paid upstream APIs:
+//   - Token buckets (in memory) smooth out bursts per IP and per user.
+//   - Daily quotas (Postgres, keyed by users.id) cap how many analyses a user
+//     can run per UTC day, and survive restarts and multiple instances.
+// Both report through standard RateLimit-* / Retry-After headers.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each key holds up to `capacity` tokens that refill continuously at
+// `refillPerSecond`. Pass `now` in tests to control the clock.
+function createTokenBucket({ capacity, refillPerSecond, now = Date.now, maxKeys = 10000 }) {
+  const buckets = new Map();
+
+  const refill = (key) => {
+    const at = now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: at };
+    const elapsed = Math.max(0, at - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = at;
+    return bucket;
+  };
+
+  const describe = (bucket, allowed, cost) => ({
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(bucket.tokens),
+    resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+    retryAfterSeconds: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerSecond)
+  });
+
+  // Forget buckets that have refilled completely; they behave like new ones
+  const prune = () => {
+    for (const key of buckets.keys()) {
+      if (refill(key).tokens >= capacity) buckets.delete(key);
+    }
+  };
+
+  function take(key, cost = 1) {
+    if (buckets.size >= maxKeys && !buckets.has(key)) prune();
+
+    const bucket = refill(key);
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+    buckets.set(key, bucket);
+    return describe(bucket, allowed, cost);
+  }
+
+  // Current state without spending a token
+  function peek(key) {
+    if (!buckets.has(key)) return describe({ tokens: capacity }, true, 0);
+    return describe(refill(key), true, 0);
+  }
+
+  return { take, peek };
+}
+
+// Counts usage per user per UTC day in the usage_quotas table
+function createDailyQuota({ pool, limit, now = Date.now }) {
+  const today = () => new Date(now()).toISOString().slice(0, 10);
+
+  const describe = (used) => {
+    const resetsAt = new Date(Date.parse(today()) + DAY_MS);
+    return {
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      resetsAt: resetsAt.toISOString(),
+      resetSeconds: Math.ceil((resetsAt.getTime() - now()) / 1000)
+    };
+  };
+
+  // Increments only while under the limit, so concurrent requests cannot
+  // push a user past their quota. `day` is the UTC day that was charged.
+  async function consume(userId) {
+    if (limit <= 0) return { allowed: false, ...describe(0) };
+
+    const day = today();
+    const result = await pool.query(
+      `INSERT INTO usage_quotas (user_id, day, used) VALUES ($1, $2, 1)
+       ON CONFLICT (user_id, day) DO UPDATE SET used = usage_quotas.used + 1
+       WHERE usage_quotas.used < $3
+       RETURNING used`,
+      [userId, day, limit]
+    );
+    if (result.rows.length === 0) return { allowed: false, ...describe(limit) };
+    return { allowed: true, day, ...describe(result.rows[0].used) };
+  }
+
+  // Gives back a unit consume() charged on `day`
+  async function refund(userId, day = today()) {
+    await pool.query(
+      'UPDATE usage_quotas SET used = used - 1 WHERE user_id = $1 AND day = $2 AND used > 0',
+      [userId, day]
+    );
+  }
+
+  async function status(userId) {
+    const result = await pool.query(
+      'SELECT used FROM usage_quotas WHERE user_id = $1 AND day = $2',
+      [userId, today()]
+    );
+    return describe(result.rows[0]?.used || 0);
+  }
+
+  return { consume, refund, status, limit };
+}
+
+// Only overwrite headers from an earlier limiter when this one is tighter,
+// so clients always see the limit they are closest to hitting
+const setRateLimitHeaders = (res, result) => {
+  const current = res.get('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < result.remaining) return;
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds)
+  });
+};
+
+// Express middleware around a token bucket. keyFor(req) picks the bucket.
+function rateLimit({ bucket, keyFor }) {
+  return (req, res, next) => {
+    const result = bucket.take(keyFor(req));
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({ error: 'Too many requests', retryAfter: result.retryAfterSeconds });
+    }
+    next();
+  };
+}
+
+// Express middleware spending one unit of the authenticated user's quota.
+// Only analyses that succeed count: the unit is given back when the response
+// is an error (4xx/5xx), and routes that answer 200 either way (an error
+// widget, a `failed` stream event) call req.refundQuota() themselves.
+function dailyQuota(quota) {
+  return async (req, res, next) => {
+    try {
+      const result = await quota.consume(req.user.id);
+      res.set({
+        'X-Quota-Limit': String(result.limit),
+        'X-Quota-Remaining': String(result.remaining),
+        'X-Quota-Reset': String(result.resetSeconds)
+      });
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.resetSeconds));
+        return res.status(429).json({
+          error: 'Daily quota exceeded',
+          limit: result.limit,
+          resetsAt: result.resetsAt,
+          retryAfter: result.resetSeconds
+        });
+      }
+
+      let refunded = false;
+      req.refundQuota = () => {
+        if (refunded) return;
+        refunded = true;
+        quota.refund(req.user.id, result.day).catch(err => console.error('Quota refund error:', err.message));
+      };
+      res.on('finish', () => {
+        if (res.statusCode >= 400) req.refundQuota();
+      });
+      next();
+    } catch (err) {
+      console.error('Quota error:', err);
+      res.status(500).json({ error: 'Quota check failed' });
+    }
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+  createDailyQuota,
+  rateLimit,
+  dailyQuota
+};
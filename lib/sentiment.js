@@ -0,0 +1,243 @@
+// ==========================================
+// NEWS SENTIMENT
+// ==========================================
+// Scores headlines with a financial word list. Text is split into word
+// tokens, so "up" never matches "update" and "cut" never matches
+// "shortcut". A negator ("not", "no", "didn't", "fails to") flips the words
+// in the few tokens after it. Every article gets its own score and a short
+// explanation listing the words that produced it.
+//
+// The word list follows Loughran-McDonald, which was built from financial
+// filings (where "liability" or "tax" are not negative, unlike general
+// lexicons), plus the market-move verbs headlines use ("surges", "plunges").
+//
+// SENTIMENT_MODE=model asks the AI to rate the headlines instead. Any
+// headline the model does not rate, or the whole batch when the call fails,
+// falls back to the word list.
+
+const SENTIMENT_MODE = (process.env.SENTIMENT_MODE || 'lexicon').toLowerCase();
+
+// Loughran-McDonald positive and negative words that show up in headlines
+const LM_POSITIVE = [
+  'achieve', 'advance', 'attain', 'attractive', 'benefit', 'best', 'better', 'boost', 'breakthrough',
+  'excellent', 'exceed', 'favorable', 'gain', 'improve', 'improvement', 'innovative', 'opportunity',
+  'outperform', 'positive', 'profitable', 'progress', 'rebound', 'strength', 'strong', 'succeed',
+  'success', 'successful', 'surpass', 'upturn'
+];
+const LM_NEGATIVE = [
+  'abandon', 'adverse', 'bankrupt', 'bankruptcy', 'breach', 'closure', 'concern', 'critical', 'damage',
+  'decline', 'default', 'deficit', 'delay', 'deteriorate', 'difficult', 'disappoint', 'dispute',
+  'downturn', 'fail', 'failure', 'fraud', 'halt', 'impair', 'impairment', 'investigation', 'lawsuit',
+  'layoff', 'litigation', 'lose', 'loss', 'negative', 'penalty', 'probe', 'recall', 'restate',
+  'shortfall', 'slowdown', 'suspend', 'termination', 'unable', 'violate', 'volatile', 'warn', 'weak',
+  'weakness', 'worse', 'worst'
+];
+
+// Headline vocabulary for price moves and ratings. Big moves weigh double.
+const STRONG_POSITIVE = ['beat', 'bullish', 'jump', 'rally', 'skyrocket', 'soar', 'surge', 'upgrade'];
+const STRONG_NEGATIVE = ['bearish', 'collapse', 'crash', 'downgrade', 'miss', 'plummet', 'plunge', 'sink', 'slump', 'tumble', 'underperform'];
+const MODERATE_POSITIVE = ['climb', 'grow', 'growth', 'higher', 'profit', 'raise', 'rise', 'up', 'upbeat'];
+const MODERATE_NEGATIVE = ['cut', 'down', 'downbeat', 'drop', 'fall', 'lower', 'pressure', 'risk', 'slide', 'slip', 'struggle'];
+
+// Past tenses no suffix rule can reach
+const IRREGULAR = { fell: 'fall', sank: 'sink', sunk: 'sink', rose: 'rise', risen: 'rise', grew: 'grow', lost: 'lose', slid: 'slide' };
+
+const LEXICON = new Map([
+  ...LM_POSITIVE.map(word => [word, 1]),
+  ...LM_NEGATIVE.map(word => [word, -1]),
+  ...MODERATE_POSITIVE.map(word => [word, 1]),
+  ...MODERATE_NEGATIVE.map(word => [word, -1]),
+  ...STRONG_POSITIVE.map(word => [word, 2]),
+  ...STRONG_NEGATIVE.map(word => [word, -2])
+]);
+
+const NEGATORS = new Set(['no', 'not', 'never', 'without', 'neither', 'nor', 'cannot', 'none', 'nothing', 'hardly']);
+
+// How many tokens after a negator it applies to ("not expected to beat")
+const NEGATION_WINDOW = 3;
+
+// Points per article for a score of ±1; two strong words saturate it
+const ARTICLE_SCALE = 4;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Lowercase word tokens. Curly apostrophes are straightened so "didn’t"
+// stays one token.
+const tokenize = (text) => (text || '').toLowerCase().replace(/[‘’]/g, "'").match(/[a-z0-9]+(?:'[a-z]+)?/g) || [];
+
+const isNegator = (token) => NEGATORS.has(token) || token.endsWith("n't") || /^fail(s|ed|ing)?$/.test(token);
+
+// Dictionary form of an inflected token that is in the lexicon, e.g.
+// surging -> surge, dropped -> drop, misses -> miss, stronger -> strong
+function lemma(token) {
+  if (LEXICON.has(token)) return token;
+  if (IRREGULAR[token]) return IRREGULAR[token];
+
+  const candidates = [];
+  const strip = (suffix, replacement = '') => {
+    if (token.length > suffix.length + 2 && token.endsWith(suffix)) {
+      const stem = token.slice(0, -suffix.length);
+      candidates.push(stem + replacement);
+      // Doubled final consonant: dropped -> drop
+      if (!replacement && /([b-df-hj-np-tv-z])\1$/.test(stem)) candidates.push(stem.slice(0, -1));
+    }
+  };
+  strip('ies', 'y'); strip('ied', 'y');
+  strip('es'); strip('s');
+  strip('ed'); strip('ed', 'e'); strip('d');
+  strip('ing'); strip('ing', 'e');
+  strip('er'); strip('est');
+
+  return candidates.find(candidate => LEXICON.has(candidate)) || null;
+}
+
+// { points, matches: [{ term, weight, negated }] } for a piece of text
+function scoreText(text) {
+  const tokens = tokenize(text);
+  const matches = [];
+  let negateUntil = -1;
+
+  tokens.forEach((token, i) => {
+    const term = lemma(token);
+    if (term) {
+      const negated = i <= negateUntil;
+      matches.push({ term: token, weight: negated ? -LEXICON.get(term) : LEXICON.get(term), negated });
+    }
+    if (isNegator(token)) negateUntil = i + NEGATION_WINDOW;
+  });
+
+  return { points: matches.reduce((total, m) => total + m.weight, 0), matches };
+}
+
+const articleLabel = (score) => score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+
+function explain(matches) {
+  if (!matches.length) return 'No sentiment words found';
+  const words = (sign) => matches.filter(m => Math.sign(m.weight) === sign).map(m => m.negated ? `not ${m.term}` : m.term);
+  return [
+    words(1).length ? `Positive: ${words(1).join(', ')}` : null,
+    words(-1).length ? `Negative: ${words(-1).join(', ')}` : null
+  ].filter(Boolean).join('. ');
+}
+
+// Per-article sentiment: score from -1 to 1, label and explanation
+function scoreArticle(article) {
+  const { points, matches } = scoreText(`${article.title || ''} ${article.description || ''}`);
+  const score = round(Math.max(-1, Math.min(1, points / ARTICLE_SCALE)));
+  return { score, label: articleLabel(score), explanation: explain(matches), method: 'lexicon' };
+}
+
+// Overall 0-100 score (50 is neutral, also without articles) with the
+// widget's label and color
+function summarizeSentiment(scores) {
+  const mean = scores.length ? scores.reduce((total, s) => total + s.score, 0) / scores.length : 0;
+  const score = Math.round(50 + 50 * mean);
+
+  let label = 'Neutral', color = '#6b7280';
+
+  if (score >= 70) { label = 'Positive'; color = '#10b981'; }
+  else if (score >= 60) { label = 'Slightly Positive'; color = '#3b82f6'; }
+  else if (score >= 55) { label = 'Neutral-Positive'; color = '#6b7280'; }
+  else if (score >= 45) { label = 'Neutral'; color = '#6b7280'; }
+  else if (score >= 40) { label = 'Neutral-Negative'; color = '#f59e0b'; }
+  else if (score >= 30) { label = 'Slightly Negative'; color = '#f59e0b'; }
+  else { label = 'Negative'; color = '#ef4444'; }
+
+  return {
+    score,
+    label,
+    color,
+    method: !scores.length ? null : scores.some(s => s.method === 'model') ? 'model' : 'lexicon',
+    positive: scores.filter(s => s.label === 'positive').length,
+    negative: scores.filter(s => s.label === 'negative').length,
+    neutral: scores.filter(s => s.label === 'neutral').length
+  };
+}
+
+// Word-list sentiment for a list of articles: { news, sentiment } where each
+// article carries its own `sentiment`
+function analyzeNewsSentiment(news) {
+  const scores = news.map(scoreArticle);
+  return {
+    news: news.map((article, i) => ({ ...article, sentiment: scores[i] })),
+    sentiment: summarizeSentiment(scores)
+  };
+}
+
+const buildSentimentPrompt = (ticker, news) => `Rate how each headline reads for ${ticker} shareholders, from -1 (very negative) to 1 (very positive); 0 is neutral or unrelated.
+
+${news.map((n, i) => `${i + 1}. ${n.title}${n.description ? ` - ${n.description}` : ''}`).join('\n')}
+
+Reply with JSON only, one entry per headline:
+[{"id": 1, "score": 0.5, "reason": "why, in under 12 words"}]`;
+
+// id -> { score, reason } from the model's reply; entries that are out of
+// range or malformed are dropped
+function parseModelScores(text) {
+  const json = text?.match(/\[[\s\S]*\]/)?.[0];
+  if (!json) return new Map();
+  let entries;
+  try {
+    entries = JSON.parse(json);
+  } catch {
+    return new Map();
+  }
+  return new Map((Array.isArray(entries) ? entries : [])
+    .filter(e => Number.isInteger(e?.id) && typeof e.score === 'number' && e.score >= -1 && e.score <= 1)
+    .map(e => [e.id, { score: round(e.score), reason: typeof e.reason === 'string' ? e.reason.trim() : null }]));
+}
+
+// `complete(prompt, maxTokens)` resolves to the completion text. Returns
+// analyze(news, ticker) -> Promise<{ news, sentiment }>.
+function createSentimentAnalyzer({ mode = SENTIMENT_MODE, complete } = {}) {
+  return async function analyze(news, ticker) {
+    if (mode !== 'model' || !complete || !news.length) return analyzeNewsSentiment(news);
+
+    let rated = new Map();
+    try {
+      rated = parseModelScores(await complete(buildSentimentPrompt(ticker, news), 40 + 30 * news.length));
+    } catch (e) {
+      console.error('Sentiment model error:', e.message);
+    }
+
+    const scores = news.map((article, i) => {
+      const model = rated.get(i + 1);
+      if (!model) return scoreArticle(article);
+      return { score: model.score, label: articleLabel(model.score), explanation: model.reason || 'Rated by the model', method: 'model' };
+    });
+
+    return {
+      news: news.map((article, i) => ({ ...article, sentiment: scores[i] })),
+      sentiment: summarizeSentiment(scores)
+    };
+  };
+}
+
+// Accuracy over labeled examples ({ title, description?, label }, label one
+// of positive / negative / neutral) for tuning the word list or comparing
+// modes. `analyze` defaults to the word list.
+async function evaluateSentiment(examples, analyze = async (news) => analyzeNewsSentiment(news)) {
+  const { news } = await analyze(examples.map(({ title, description }) => ({ title, description })), null);
+  const confusion = {};
+  let correct = 0;
+
+  examples.forEach((example, i) => {
+    const predicted = news[i].sentiment.label;
+    confusion[example.label] = confusion[example.label] || {};
+    confusion[example.label][predicted] = (confusion[example.label][predicted] || 0) + 1;
+    if (predicted === example.label) correct++;
+  });
+
+  return { total: examples.length, correct, accuracy: examples.length ? round(correct / examples.length, 3) : null, confusion };
+}
+
+module.exports = {
+  SENTIMENT_MODE,
+  tokenize,
+  scoreText,
+  scoreArticle,
+  summarizeSentiment,
+  analyzeNewsSentiment,
+  createSentimentAnalyzer,
+  evaluateSentiment
+};
@@ -0,0 +1,135 @@
+// ==========================================
+// SESSIONS
+// ==========================================
+// Each login creates a session holding a short-lived access token and a
+// longer-lived refresh token. Only SHA-256 hashes of the tokens are stored, so
+// a database leak does not hand out working credentials. Logging in again
+// from the same device replaces that device's previous session, and
+// refreshing rotates both tokens so a stolen refresh token works only once.
+
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+// Columns that are safe to show the user in a session list
+const publicSession = (row) => ({
+  id: row.id,
+  deviceId: row.device_id,
+  userAgent: row.user_agent,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at
+});
+
+function createSessionStore({
+  pool,
+  ttlSeconds = 24 * 60 * 60,
+  refreshTtlSeconds = 30 * 24 * 60 * 60,
+  now = Date.now
+}) {
+  const expiries = () => ({
+    expiresAt: new Date(now() + ttlSeconds * 1000),
+    refreshExpiresAt: new Date(now() + refreshTtlSeconds * 1000)
+  });
+
+  // Returns the plain tokens; they are never retrievable again
+  async function create(userId, { deviceId, userAgent } = {}) {
+    const device = String(deviceId || userAgent || 'unknown').slice(0, 255);
+    const token = newToken();
+    const refreshToken = newToken();
+    const { expiresAt, refreshExpiresAt } = expiries();
+
+    await pool.query(
+      'UPDATE sessions SET revoked_at = $3 WHERE user_id = $1 AND device_id = $2 AND revoked_at IS NULL',
+      [userId, device, new Date(now())]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO sessions (user_id, device_id, user_agent, token_hash, refresh_hash, created_at, last_used_at, expires_at, refresh_expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8) RETURNING *`,
+      [userId, device, userAgent || null, hashToken(token), hashToken(refreshToken), new Date(now()), expiresAt, refreshExpiresAt]
+    );
+
+    return { session: result.rows[0], token, refreshToken, expiresAt, refreshExpiresAt };
+  }
+
+  // Resolves to { status, user, session } where status is 'valid', 'expired',
+  // 'revoked' or 'invalid'. user and session are only set when valid.
+  async function authenticate(token) {
+    // Tokens come from request bodies, where anything JSON can express may arrive
+    if (typeof token !== 'string' || !token) return { status: 'invalid' };
+
+    const result = await pool.query(
+      `SELECT s.id AS session_id, s.expires_at AS session_expires_at, s.revoked_at AS session_revoked_at, u.*
+       FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash = $1`,
+      [hashToken(token)]
+    );
+    const row = result.rows[0];
+    if (!row) return { status: 'invalid' };
+    if (row.session_revoked_at) return { status: 'revoked' };
+    if (new Date(row.session_expires_at).getTime() <= now()) return { status: 'expired' };
+
+    const { session_id: id, session_expires_at: expiresAt, session_revoked_at, ...user } = row;
+
+    pool.query('UPDATE sessions SET last_used_at = $2 WHERE id = $1', [id, new Date(now())])
+      .catch(err => console.error('Session touch error:', err.message));
+
+    return { status: 'valid', user, session: { id, expiresAt } };
+  }
+
+  // Swaps a live refresh token for a new token pair in one guarded UPDATE
+  async function refresh(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+    const token = newToken();
+    const nextRefreshToken = newToken();
+    const { expiresAt, refreshExpiresAt } = expiries();
+
+    const result = await pool.query(
+      `UPDATE sessions
+       SET token_hash = $2, refresh_hash = $3, expires_at = $4, refresh_expires_at = $5, last_used_at = $6
+       WHERE refresh_hash = $1 AND revoked_at IS NULL AND refresh_expires_at > $6
+       RETURNING *`,
+      [hashToken(refreshToken), hashToken(token), hashToken(nextRefreshToken), expiresAt, refreshExpiresAt, new Date(now())]
+    );
+    if (result.rows.length === 0) return null;
+
+    return { session: result.rows[0], token, refreshToken: nextRefreshToken, expiresAt, refreshExpiresAt };
+  }
+
+  async function revoke(sessionId, userId) {
+    const result = await pool.query(
+      'UPDATE sessions SET revoked_at = $3 WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+      [sessionId, userId, new Date(now())]
+    );
+    return result.rows.length > 0;
+  }
+
+  async function revokeAll(userId) {
+    const result = await pool.query(
+      'UPDATE sessions SET revoked_at = $2 WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId, new Date(now())]
+    );
+    return result.rowCount;
+  }
+
+  // Sessions that can still be used or refreshed
+  async function list(userId) {
+    const result = await pool.query(
+      `SELECT * FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND refresh_expires_at > $2
+       ORDER BY last_used_at DESC`,
+      [userId, new Date(now())]
+    );
+    return result.rows.map(publicSession);
+  }
+
+  return { create, authenticate, refresh, revoke, revokeAll, list };
+}
+
+module.exports = {
+  hashToken,
+  createSessionStore
+};
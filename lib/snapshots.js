@@ -0,0 +1,161 @@
+// ==========================================
+// ANALYSIS SNAPSHOTS
+// ==========================================
+// Every analysis a user runs is archived as the full versioned document
+// (inputs, AI sections, model and prompt versions), so past visits can be
+// reopened and compared. Documents are stored as-is; diffs are computed on read.
+
+// Fields compared between two snapshots, per asset type. Paths point into
+// the analysis document.
+const DIFF_FIELDS = {
+  stock: [
+    ['price.realtimePrice', 'Price'],
+    ['price.marketCap', 'Market cap'],
+    ['price.peRatio', 'P/E ratio'],
+    ['sentiment.score', 'News sentiment score'],
+    ['sentiment.label', 'News sentiment'],
+    ['riskScore.score', 'Risk score'],
+    ['analystPriceTargets.targetMean', 'Analyst mean target'],
+    ['analystPriceTargets.targetHigh', 'Analyst high target'],
+    ['analystPriceTargets.targetLow', 'Analyst low target'],
+    ['analystPriceTargets.numberOfAnalysts', 'Analysts covering'],
+    ['analystRatings.strongBuy', 'Strong buy ratings'],
+    ['analystRatings.buy', 'Buy ratings'],
+    ['analystRatings.hold', 'Hold ratings'],
+    ['analystRatings.sell', 'Sell ratings'],
+    ['analystRatings.strongSell', 'Strong sell ratings'],
+    ['insiderData.netFlow', 'Insider net flow'],
+    ['insiderData.netValue', 'Insider net flow ($)'],
+    ['insiderData.sentiment', 'Insider sentiment'],
+    ['socialSentiment.bullishPct', 'Social bullish %'],
+    ['socialSentiment.sentiment', 'Social sentiment'],
+    ['technicals.rsi', 'RSI (14)'],
+    ['fundamentals.ratios.revenueGrowth', 'Revenue growth %'],
+    ['fundamentals.ratios.operatingMargin', 'Operating margin %'],
+    ['fundamentals.ratios.debtToEquity', 'Debt/equity'],
+    ['fundamentals.ratios.freeCashFlowYield', 'FCF yield %']
+  ],
+  crypto: [
+    ['price.price', 'Price'],
+    ['price.marketCap', 'Market cap'],
+    ['price.volume', '24h volume'],
+    ['marketInterest.score', 'Market interest score'],
+    ['marketInterest.level', 'Market interest'],
+    ['technicals.rsi', 'RSI (14)']
+  ]
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc) ?? null;
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const aiSections = (doc) => doc.assetType === 'crypto'
+  ? doc.analysis?.sections || []
+  : [...(doc.analysis?.simplified || []), ...(doc.analysis?.detailed || [])];
+
+// What changed from `before` to `after` (two documents for the same ticker)
+function diffSnapshots(before, after) {
+  const changes = (DIFF_FIELDS[after.assetType] || [])
+    .map(([path, label]) => {
+      const from = valueAt(before, path);
+      const to = valueAt(after, path);
+      if (from === to) return null;
+
+      const change = { field: path, label, from, to };
+      if (typeof from === 'number' && typeof to === 'number') {
+        change.change = round(to - from);
+        change.changePercent = from !== 0 ? round(((to - from) / Math.abs(from)) * 100, 2) : null;
+      }
+      return change;
+    })
+    .filter(Boolean);
+
+  const newsKey = (n) => n.url || n.title;
+  const beforeNews = new Set((before.news || []).map(newsKey));
+  const afterNews = new Set((after.news || []).map(newsKey));
+
+  const beforeSections = new Map(aiSections(before).map(s => [s.title, s.content]));
+
+  return {
+    changes,
+    news: {
+      added: (after.news || []).filter(n => !beforeNews.has(newsKey(n))),
+      removed: (before.news || []).filter(n => !afterNews.has(newsKey(n)))
+    },
+    analysis: {
+      modelChanged: (before.analysis?.model ?? null) !== (after.analysis?.model ?? null),
+      promptsChanged: JSON.stringify(before.analysis?.prompts ?? null) !== JSON.stringify(after.analysis?.prompts ?? null),
+      changedSections: aiSections(after)
+        .filter(s => beforeSections.get(s.title) !== s.content)
+        .map(s => s.title)
+    }
+  };
+}
+
+// List rows carry a few headline numbers so clients can chart a ticker's
+// history without downloading every document
+const LIST_COLUMNS = `
+  id, ticker, asset_type, schema_version, model, document->'analysis'->'prompts' AS prompts, created_at,
+  COALESCE(document->'price'->>'realtimePrice', document->'price'->>'price')::numeric AS price,
+  COALESCE(document->'sentiment'->>'score', document->'marketInterest'->>'score')::int AS score
+`;
+
+function createSnapshotStore({ pool }) {
+  async function save(userId, doc) {
+    // Cache hit/miss info describes that one request, not the analysis
+    const { cache, ...document } = doc;
+    const result = await pool.query(
+      `INSERT INTO analysis_snapshots (user_id, ticker, asset_type, schema_version, model, document)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, created_at`,
+      [userId, doc.ticker.toUpperCase(), doc.assetType, doc.schemaVersion, doc.analysis?.model || null, JSON.stringify(document)]
+    );
+    return result.rows[0];
+  }
+
+  // Newest first. Pass the last id seen as `before` to page backwards.
+  async function list(userId, { ticker, limit = 20, before } = {}) {
+    const result = await pool.query(
+      `SELECT ${LIST_COLUMNS} FROM analysis_snapshots
+       WHERE user_id = $1 AND ($2::text IS NULL OR ticker = $2) AND ($3::int IS NULL OR id < $3)
+       ORDER BY id DESC LIMIT $4`,
+      [userId, ticker ? ticker.toUpperCase() : null, before || null, limit]
+    );
+    return result.rows.map(row => ({ ...row, price: row.price === null ? null : parseFloat(row.price) }));
+  }
+
+  async function get(userId, id) {
+    const result = await pool.query('SELECT * FROM analysis_snapshots WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  // The user's snapshot of the same ticker taken just before this one
+  async function previous(userId, snapshot) {
+    const result = await pool.query(
+      'SELECT * FROM analysis_snapshots WHERE user_id = $1 AND ticker = $2 AND id < $3 ORDER BY id DESC LIMIT 1',
+      [userId, snapshot.ticker, snapshot.id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // The user's newest snapshot of a ticker
+  async function latest(userId, ticker) {
+    const result = await pool.query(
+      'SELECT * FROM analysis_snapshots WHERE user_id = $1 AND ticker = $2 ORDER BY id DESC LIMIT 1',
+      [userId, ticker.toUpperCase()]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function remove(userId, id) {
+    const result = await pool.query('DELETE FROM analysis_snapshots WHERE id = $1 AND user_id = $2 RETURNING id', [id, userId]);
+    return result.rows.length > 0;
+  }
+
+  return { save, list, get, previous, latest, remove };
+}
+
+module.exports = {
+  DIFF_FIELDS,
+  diffSnapshots,
+  createSnapshotStore
+};
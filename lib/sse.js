@@ -0,0 +1,50 @@
+// ==========================================
+// SERVER-SENT EVENTS
+// ==========================================
+// Minimal SSE writer for streaming responses. Clients read it with
+// EventSource (GET routes) or fetch() + a stream reader when the request
+// needs a body or an Authorization header.
+
+// Switches `res` to an event stream. send() is a no-op once the client has
+// gone away, so producers can keep emitting without checking.
+function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Keeps nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep idle proxies from timing out the connection
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const end = () => {
+    clearInterval(heartbeat);
+    if (closed) return;
+    closed = true;
+    res.end();
+  };
+
+  return { send, end, isClosed: () => closed };
+}
+
+module.exports = {
+  openEventStream
+};
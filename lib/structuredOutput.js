@@ -0,0 +1,205 @@
+// ==========================================
+// STRUCTURED AI OUTPUT
+// ==========================================
+// Prompts ask for a JSON object matching a declared schema instead of
+// numbered free text. Replies are parsed and validated. An invalid reply
+// gets one repair request, which shows the model what it sent and what was
+// wrong with it, and a second invalid reply rejects like any other AI
+// failure. Nothing is guessed out of malformed text.
+//
+// Analysis outputs are declared as a list of sections:
+//   { key, title, type: 'text' | 'list', minItems?, maxItems? }
+// and come back as typed section objects:
+//   { key, title, type, content, items }
+// `items` holds the bullet points of a list section (null for text) and
+// `content` is the section as one string, for clients that only show text.
+
+// Bounds for list sections. Prompts ask for fewer; a model that writes one
+// bullet too many is not worth a repair request.
+const DEFAULT_LIST_ITEMS = { min: 1, max: 6 };
+
+// Longest reply shown back to the model in a repair request
+const MAX_REPAIR_ECHO_CHARS = 4000;
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => type === 'number'
+  ? typeof value === 'number' && Number.isFinite(value)
+  : typeOf(value) === type;
+
+// Errors ("$.goodSigns[1]: expected string") for `value` against a subset of
+// JSON Schema: type, properties, required, additionalProperties: false,
+// items, minItems, maxItems, minLength, maxLength, enum, minimum, maximum.
+// An empty list means the value is valid.
+function validate(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path}: must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => errors.push(`${path}.${key}: missing`));
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties?.[key]) errors.push(...validate(schema.properties[key], child, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    });
+  }
+
+  return errors;
+}
+
+// The JSON object in a reply. Code fences and text around the object are
+// tolerated; anything else is reported as an error.
+function parseJsonReply(text) {
+  const body = (text || '').replace(/```(?:json)?/gi, '');
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end < start) return { data: null, errors: ['reply contains no JSON object'] };
+
+  try {
+    return { data: JSON.parse(body.slice(start, end + 1)), errors: [] };
+  } catch (e) {
+    return { data: null, errors: [`reply is not valid JSON (${e.message})`] };
+  }
+}
+
+const parseReply = (text, schema) => {
+  const { data, errors } = parseJsonReply(text);
+  return errors.length ? { data, errors } : { data, errors: validate(schema, data) };
+};
+
+// A deterministic value that satisfies `schema`, with strings made from
+// `label` and the field path. The fake LLM transport answers with these.
+function sampleFromSchema(schema, label = 'sample', path = '') {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([key, child]) => [key, sampleFromSchema(child, label, path ? `${path}.${key}` : key)]));
+    case 'array':
+      return Array.from({ length: Math.max(schema.minItems || 0, 1) }, (_, i) =>
+        sampleFromSchema(schema.items || { type: 'string' }, label, `${path}[${i}]`));
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return `${label} ${path}`.trim();
+  }
+}
+
+// { sections, schema } for a list of section declarations. Every section is
+// required; list sections are arrays of non-empty strings.
+function defineOutput(sections) {
+  const property = (section) => section.type === 'list'
+    ? {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      minItems: section.minItems ?? DEFAULT_LIST_ITEMS.min,
+      maxItems: section.maxItems ?? DEFAULT_LIST_ITEMS.max
+    }
+    : { type: 'string', minLength: 1 };
+
+  return {
+    sections,
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(sections.map(s => [s.key, property(s)])),
+      required: sections.map(s => s.key)
+    }
+  };
+}
+
+// Models often keep bullet characters inside list items; the renderer adds its own
+const cleanItem = (item) => item.trim().replace(/^(?:•\s*|[*\-–]\s+|\d+[.)]\s+)/, '');
+
+// Typed sections, in declaration order, from validated data
+function sectionsFrom(output, data) {
+  return output.sections.map(({ key, title, type }) => {
+    const items = type === 'list' ? data[key].map(cleanItem).filter(Boolean) : null;
+    return {
+      key,
+      title,
+      type,
+      content: items ? items.map(item => `• ${item}`).join('\n') : data[key].trim(),
+      items
+    };
+  });
+}
+
+// Closing lines of a prompt that asks for `output`
+const jsonReplyInstructions = (output) =>
+  `Reply with ONLY a JSON object (no code fences, no other text) matching this JSON Schema:\n${JSON.stringify(output.schema)}`;
+
+const buildRepairPrompt = (errors) => `Your reply could not be used:
+${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object, keeping the content and fixing these problems.`;
+
+const addUsage = (a, b) => a && b
+  ? Object.fromEntries(Object.keys(a).map(key => [key, a[key] === null || b[key] === null ? null : a[key] + b[key]]))
+  : a || b;
+
+// Resolves to { data, model, usage, repaired } where `data` matches
+// `schema`. `llm` is a client from lib/llm.js. Only the first request
+// streams through `onToken`; the repair, if needed, is not streamed.
+async function completeStructured(llm, { task, prompt, schema, maxTokens, onToken }) {
+  const first = await llm.complete({ task, prompt, schema, maxTokens, onToken });
+  const parsed = parseReply(first.text, schema);
+  if (!parsed.errors.length) return { data: parsed.data, model: first.model, usage: first.usage, repaired: false };
+
+  console.error(`Invalid ${task} output from ${first.model}:`, parsed.errors.slice(0, 3).join('; '));
+  const repair = await llm.complete({
+    task,
+    schema,
+    maxTokens,
+    messages: [
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: first.text.slice(0, MAX_REPAIR_ECHO_CHARS) },
+      { role: 'user', content: buildRepairPrompt(parsed.errors) }
+    ]
+  });
+  const repaired = parseReply(repair.text, schema);
+  if (repaired.errors.length) {
+    throw new Error(`AI returned invalid ${task} output: ${repaired.errors.slice(0, 3).join('; ')}`);
+  }
+  return { data: repaired.data, model: repair.model, usage: addUsage(first.usage, repair.usage), repaired: true };
+}
+
+module.exports = {
+  validate,
+  parseJsonReply,
+  sampleFromSchema,
+  defineOutput,
+  sectionsFrom,
+  jsonReplyInstructions,
+  completeStructured
+};
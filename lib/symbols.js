@@ -0,0 +1,256 @@
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const { loadCompanyDirectory } = require('./edgar');
+
+// ==========================================
+// SYMBOL RESOLUTION
+// ==========================================
+// Maps what a user types (a ticker, a company name or a CoinGecko coin id) to
+// one canonical instrument:
+//   { symbol, name, assetClass: 'stock' | 'crypto', exchange, cik, coinId, marketCapRank }
+// Stocks come from the SEC's list of listed companies, coins from CoinGecko's
+// largest coins by market cap. Both lists are refreshed once a day. Until
+// they load, or while a source is down, the well-known coins below stand in,
+// so crypto detection never waits on the network.
+//
+// Some symbols are both a listed stock and a coin. Without a hint the coin
+// wins only when it ranks in the top CRYPTO_PRIORITY_RANK by market cap,
+// otherwise the stock does. An explicit asset class, or the BTC-USD spelling
+// quote feeds use for coins, always settles it.
+
+// Coins recognized before (or without) the CoinGecko list
+const CRYPTO_IDS = {
+  'BTC': 'bitcoin', 'ETH': 'ethereum', 'DOGE': 'dogecoin',
+  'SOL': 'solana', 'ADA': 'cardano', 'XRP': 'ripple',
+  'DOT': 'polkadot', 'MATIC': 'polygon', 'AVAX': 'avalanche-2',
+  'LINK': 'chainlink', 'UNI': 'uniswap', 'LTC': 'litecoin',
+  'BCH': 'bitcoin-cash', 'SHIB': 'shiba-inu', 'ATOM': 'cosmos',
+  'XLM': 'stellar', 'ALGO': 'algorand', 'VET': 'vechain',
+  'PEPE': 'pepe', 'ARB': 'arbitrum', 'OP': 'optimism',
+  'RNDR': 'render-token', 'AAVE': 'aave', 'MKR': 'maker', 'SNX': 'havven'
+};
+
+const DIRECTORY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A source that failed is retried after this long rather than on every call
+const RETRY_MS = 5 * 60 * 1000;
+
+// Coins this highly ranked win a symbol they share with a stock
+const CRYPTO_PRIORITY_RANK = 100;
+
+// How many coins are fetched from CoinGecko (one page, largest first)
+const TOP_COINS = 250;
+
+const SEARCH_LIMITS = { default: 10, max: 25 };
+
+const ASSET_CLASSES = ['stock', 'crypto'];
+
+// Trailing legal-form words dropped from registrant names for matching and
+// news queries: "Apple Inc." -> "Apple", "Amazon.com, Inc." -> "Amazon"
+const LEGAL_SUFFIX = /[\s,]+(inc|incorporated|corp|corporation|co|com|company|ltd|limited|plc|llc|lp|sa|nv|ag|se|holdings?|group|\/[a-z]{2}\/)\.?$/i;
+
+function shortCompanyName(name) {
+  let short = (name || '').trim();
+  while (LEGAL_SUFFIX.test(short)) short = short.replace(LEGAL_SUFFIX, '');
+  return short.replace(/\.com$/i, '').trim() || name || null;
+}
+
+// "avalanche-2" -> "Avalanche", for coins only known by their id
+const nameFromCoinId = (coinId) => coinId
+  .replace(/-\d+$/, '')
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Upper-case symbol with the share class written the way EDGAR does (BRK-B),
+// plus whether it came in the BTC-USD form
+function parseSymbol(query) {
+  const symbol = String(query || '').trim().toUpperCase().replace(/^\$/, '').replace(/\./g, '-');
+  const pair = symbol.match(/^([A-Z0-9]+)-USD$/);
+  return pair ? { key: pair[1], pair: true } : { key: symbol, pair: false };
+}
+
+// Asset class a request pins, if any: assetType=stock|crypto, or the older
+// isCrypto=true flag. Anything else leaves the choice to resolution.
+function assetClassHint({ assetType, isCrypto } = {}) {
+  if (ASSET_CLASSES.includes(assetType)) return assetType;
+  return isCrypto === true || isCrypto === 'true' ? 'crypto' : undefined;
+}
+
+const stockInstrument = ({ ticker, name, cik, exchange }) => ({
+  symbol: ticker,
+  name,
+  assetClass: 'stock',
+  exchange: exchange || null,
+  cik,
+  coinId: null,
+  marketCapRank: null
+});
+
+const coinInstrument = ({ symbol, name, coinId, marketCapRank = null }) => ({
+  symbol: symbol.toUpperCase(),
+  name,
+  assetClass: 'crypto',
+  exchange: null,
+  cik: null,
+  coinId,
+  marketCapRank
+});
+
+async function loadListedStocks() {
+  return (await loadCompanyDirectory()).map(stockInstrument);
+}
+
+async function loadTopCoins() {
+  const r = await fetch(`https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${TOP_COINS}&page=1`);
+  if (!r.ok) throw new Error(`CoinGecko returned ${r.status}`);
+  return (await r.json()).map(c => coinInstrument({ symbol: c.symbol, name: c.name, coinId: c.id, marketCapRank: c.market_cap_rank ?? null }));
+}
+
+const SEED_COINS = Object.entries(CRYPTO_IDS)
+  .map(([symbol, coinId]) => coinInstrument({ symbol, name: nameFromCoinId(coinId), coinId }));
+
+// Lookup tables over both lists. A symbol shared by several coins goes to the
+// largest one; seed coins only fill symbols the live list lacks. `entries`
+// keeps everything searchable, ordered by prominence within each class.
+function buildIndex(stockList, coinList) {
+  const stocks = new Map();
+  stockList.forEach(s => { if (!stocks.has(s.symbol)) stocks.set(s.symbol, s); });
+
+  const coins = new Map();
+  [...coinList]
+    .sort((a, b) => (a.marketCapRank ?? Infinity) - (b.marketCapRank ?? Infinity))
+    .concat(SEED_COINS)
+    .forEach(c => { if (!coins.has(c.symbol)) coins.set(c.symbol, c); });
+
+  const coinIds = new Map([...coins.values()].map(c => [c.coinId, c]));
+
+  const entry = (instrument, order) => ({
+    instrument,
+    order,
+    name: (shortCompanyName(instrument.name) || '').toLowerCase()
+  });
+  const entries = [
+    ...[...stocks.values()].map((s, i) => entry(s, i)),
+    ...[...coins.values()].map(c => entry(c, c.marketCapRank ?? stocks.size))
+  ];
+
+  return { stocks, coins, coinIds, entries };
+}
+
+// Lower is better; null when the entry does not match at all
+function matchScore({ instrument, name }, key, text) {
+  if (instrument.symbol === key || instrument.coinId === text) return 0;
+  if (key && instrument.symbol.startsWith(key)) return 1;
+  if (name.startsWith(text) || instrument.coinId?.startsWith(text)) return 2;
+  if (name.split(/[\s\-&,.]+/).some(word => word.startsWith(text))) return 3;
+  return null;
+}
+
+// `loadStocks` and `loadCoins` resolve to instrument lists; pass stubs in
+// tests or to run without network access.
+function createSymbolDirectory({ loadStocks = loadListedStocks, loadCoins = loadTopCoins, ttlMs = DIRECTORY_TTL_MS, retryMs = RETRY_MS } = {}) {
+  const sources = {
+    stock: { load: loadStocks, instruments: [], loadedAt: 0, failedAt: 0 },
+    crypto: { load: loadCoins, instruments: [], loadedAt: 0, failedAt: 0 }
+  };
+  let index = buildIndex([], []);
+  let loading = null;
+
+  const isDue = (source, now) => now - source.loadedAt >= ttlMs && now - source.failedAt >= retryMs;
+
+  // Refreshes stale lists. Never rejects: a failed source keeps its last list.
+  function load() {
+    if (loading) return loading;
+    const now = Date.now();
+    const due = Object.entries(sources).filter(([, source]) => isDue(source, now));
+    if (!due.length) return Promise.resolve();
+
+    loading = Promise.all(due.map(async ([assetClass, source]) => {
+      try {
+        source.instruments = await source.load();
+        source.loadedAt = Date.now();
+      } catch (e) {
+        source.failedAt = Date.now();
+        console.error(`Symbol directory error (${assetClass}):`, e.message);
+      }
+    }))
+      .then(() => { index = buildIndex(sources.stock.instruments, sources.crypto.instruments); })
+      .finally(() => { loading = null; });
+    return loading;
+  }
+
+  // 'stock' or 'crypto' for a ticker with what is loaded so far. `hint` is
+  // 'stock', 'crypto', or a stored isCrypto boolean; undefined detects.
+  function assetClassOf(symbol, hint) {
+    if (hint === true || hint === 'crypto') return 'crypto';
+    if (hint === false || hint === 'stock') return 'stock';
+
+    const { key, pair } = parseSymbol(symbol);
+    if (pair) return 'crypto';
+    const coin = index.coins.get(key);
+    if (!coin) return 'stock';
+    if (!index.stocks.has(key)) return 'crypto';
+    return coin.marketCapRank !== null && coin.marketCapRank <= CRYPTO_PRIORITY_RANK ? 'crypto' : 'stock';
+  }
+
+  // CoinGecko id for a coin symbol (or id); unknown symbols are tried as ids
+  function coinIdFor(symbol) {
+    const { key } = parseSymbol(symbol);
+    return index.coins.get(key)?.coinId
+      || index.coinIds.get(String(symbol).trim().toLowerCase())?.coinId
+      || key.toLowerCase();
+  }
+
+  // Instruments matching a symbol, company name or coin id: exact symbols
+  // first (the one resolution would pick ahead), then symbol prefixes, then
+  // names, larger instruments first within each
+  async function search(query, { limit = SEARCH_LIMITS.default, assetClass = null } = {}) {
+    await load();
+    const text = String(query || '').trim().toLowerCase();
+    if (!text) return [];
+    const { key } = parseSymbol(query);
+    const preferred = assetClassOf(query);
+
+    return index.entries
+      .filter(entry => !assetClass || entry.instrument.assetClass === assetClass)
+      .map(entry => ({ entry, score: matchScore(entry, key, text) }))
+      .filter(m => m.score !== null)
+      .sort((a, b) => a.score - b.score
+        || (b.entry.instrument.assetClass === preferred) - (a.entry.instrument.assetClass === preferred)
+        || a.entry.order - b.entry.order)
+      .slice(0, limit)
+      .map(m => m.entry.instrument);
+  }
+
+  // The single instrument a query stands for, or null. `assetClass` pins
+  // the class for symbols that are both a stock and a coin.
+  async function resolve(query, { assetClass } = {}) {
+    await load();
+    const { key } = parseSymbol(query);
+    const wanted = assetClassOf(query, assetClass);
+
+    const bySymbol = (wanted === 'crypto' ? index.coins : index.stocks).get(key);
+    if (bySymbol) return bySymbol;
+    const byId = index.coinIds.get(String(query || '').trim().toLowerCase());
+    if (byId && assetClass !== 'stock') return byId;
+
+    const [best] = await search(query, { limit: 1, assetClass: assetClass || null });
+    return best || null;
+  }
+
+  return { load, assetClassOf, coinIdFor, search, resolve };
+}
+
+const symbols = createSymbolDirectory();
+
+module.exports = {
+  CRYPTO_IDS,
+  CRYPTO_PRIORITY_RANK,
+  SEARCH_LIMITS,
+  ASSET_CLASSES,
+  shortCompanyName,
+  parseSymbol,
+  assetClassHint,
+  createSymbolDirectory,
+  symbols
+};
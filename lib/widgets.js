@@ -0,0 +1,897 @@
+// HTML widget renderers for the extension. Every value shown here comes from
+// the analysis document built in lib/analysis.js, so the widget and the JSON
+// API never disagree.
+
+const { TREND_ARROWS, formatMoney } = require('./fundamentals');
+
+// $1.2M / $850K / $900 for dollar amounts in cards
+const formatDollars = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+// Body of an AI section: one line per item for list sections, the text
+// itself otherwise. Sections redacted by the compliance guard show its notice.
+const renderSectionBody = (section) => {
+  if (section.redacted) return `<span style="color:#888;font-style:italic;">${section.content}</span>`;
+  return section.items
+    ? section.items.map(item => `<div style="margin-bottom:4px;">• ${item}</div>`).join('')
+    : section.content;
+};
+
+// ==========================================
+// TECHNICAL INDICATORS CARD
+// ==========================================
+// Shared by both widgets. `margin` matches the surrounding layout (the stock
+// tabs are padded, the crypto widget is not).
+function renderTechnicalsCard(technicals, { margin = '16px' } = {}) {
+  if (!technicals) return '';
+  const { sma, rsi, macd, bollinger, atr, atrPercent, signals, interval, candles } = technicals;
+  const fmt = (value, digits = 2) => value === null || value === undefined ? 'N/A' : value.toFixed(digits);
+  const rsiColor = rsi === null ? '#888' : rsi >= 70 ? '#ef4444' : rsi <= 30 ? '#10b981' : '#3b82f6';
+  const metric = (label, value, hint, color = '#fff') => `
+    <div>
+      <div style="font-size:10px;color:#888;margin-bottom:4px;">${label}</div>
+      <div style="font-size:16px;font-weight:700;color:${color};">${value}</div>
+      <div style="font-size:9px;color:#666;margin-top:2px;">${hint}</div>
+    </div>
+  `;
+
+  return `
+    <div style="margin:${margin};">
+      <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📐 Technical Indicators</div>
+      <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(59,130,246,0.3);border-radius:12px;padding:16px;">
+        <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:12px;">
+          ${metric('RSI (14)', fmt(rsi, 1), rsi === null ? 'Not enough history' : rsi >= 70 ? 'Overbought zone' : rsi <= 30 ? 'Oversold zone' : 'Neutral range', rsiColor)}
+          ${metric('MACD', fmt(macd.macd, 3), `Signal ${fmt(macd.signal, 3)}`, macd.histogram === null ? '#fff' : macd.histogram > 0 ? '#10b981' : '#ef4444')}
+          ${metric('SMA 50 / 200', `$${fmt(sma[50])} / $${fmt(sma[200])}`, 'Moving Averages')}
+          ${metric('ATR (14)', `$${fmt(atr)}`, atrPercent !== null ? `${atrPercent}% typical move` : 'Average True Range')}
+        </div>
+        <div style="padding:10px;background:rgba(59,130,246,0.08);border-radius:6px;margin-bottom:8px;">
+          <div style="font-size:10px;color:#888;margin-bottom:4px;">Bollinger Bands (20, 2)</div>
+          <div style="font-size:12px;color:#fff;font-weight:600;">$${fmt(bollinger.lower)} - $${fmt(bollinger.upper)}</div>
+        </div>
+        ${signals.length ? `
+          <div style="display:grid;gap:6px;font-size:11px;margin-bottom:8px;">
+            ${signals.map(signal => `<div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">• ${signal}</div>`).join('')}
+          </div>
+        ` : ''}
+        <div style="padding:8px;background:rgba(59,130,246,0.08);border-radius:6px;">
+          <div style="font-size:11px;color:#3b82f6;">💡 Educational Note:</div>
+          <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Computed from ${candles} ${interval || ''} candles. Indicators describe past price action only; they do not predict where the price goes next.</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// ==========================================
+// CRYPTO WIDGET
+// ==========================================
+function renderCryptoWidget(doc) {
+  const { news, marketInterest, technicals, analysis: { sections } } = doc;
+  const { score, level: interestLevel, color: interestColor } = marketInterest;
+
+  const price = doc.price.price?.toFixed(2) ?? null;
+  const changePct = doc.price.changePct?.toFixed(2) ?? null;
+  const change24h = doc.price.change24h?.toFixed(2) ?? null;
+  const volume = doc.price.volume?.toLocaleString('en-US', { maximumFractionDigits: 0 }) ?? null;
+  const marketCap = doc.price.marketCap ? (doc.price.marketCap / 1e9).toFixed(2) : null;
+  const high24h = doc.price.high24h?.toFixed(2) ?? null;
+  const low24h = doc.price.low24h?.toFixed(2) ?? null;
+  const pct = changePct ? parseFloat(changePct) : 0;
+
+  const sectionColors = {
+    'MARKET CONTEXT': { bg: 'rgba(251,191,36,0.06)', border: '#fbbf24', icon: '📊' },
+    'KEY WATCHPOINTS': { bg: 'rgba(59,130,246,0.06)', border: '#3b82f6', icon: '👁️' },
+    'RISK CONSIDERATIONS': { bg: 'rgba(239,68,68,0.06)', border: '#ef4444', icon: '⚠️' },
+    'RESEARCH CHECKLIST': { bg: 'rgba(16,185,129,0.06)', border: '#10b981', icon: '✓' }
+  };
+
+  const headerBadge = `
+    <div style="display:flex;justify-content:space-between;align-items:center;padding:6px 12px;background:rgba(15,15,15,0.95);border-bottom:1px solid rgba(249,115,22,0.2);font-size:10px;">
+      <span style="color:#888;">🪙 Crypto Analysis Tool</span>
+      <span style="color:#666;">Educational Only • Not Financial Advice</span>
+    </div>
+  `;
+
+  const priceCard = price ? `
+    <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(249,115,22,0.3);border-radius:12px;padding:20px;margin:16px 0;backdrop-filter:blur(10px);">
+      <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:16px;">
+        <div>
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:4px;">Latest Price</div>
+          <div style="font-size:32px;font-weight:700;color:#fff;line-height:1;">$${price}</div>
+        </div>
+        <div style="text-align:right;">
+          <div style="display:inline-block;padding:6px 12px;background:${change24h >= 0 ? 'rgba(16,185,129,0.15)' : 'rgba(239,68,68,0.15)'};border:1px solid ${change24h >= 0 ? 'rgba(16,185,129,0.3)' : 'rgba(239,68,68,0.3)'};border-radius:6px;">
+            <div style="font-size:18px;font-weight:700;color:${change24h >= 0 ? '#10b981' : '#ef4444'};">${change24h >= 0 ? '+' : ''}$${change24h}</div>
+            <div style="font-size:13px;font-weight:600;color:${change24h >= 0 ? '#10b981' : '#ef4444'};">${change24h >= 0 ? '+' : ''}${changePct}%</div>
+          </div>
+        </div>
+      </div>
+      
+      <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:12px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.05);">
+        <div>
+          <div style="font-size:10px;color:#666;margin-bottom:4px;">24H HIGH</div>
+          <div style="font-size:14px;font-weight:600;color:#10b981;">$${high24h}</div>
+        </div>
+        <div>
+          <div style="font-size:10px;color:#666;margin-bottom:4px;">24H LOW</div>
+          <div style="font-size:14px;font-weight:600;color:#ef4444;">$${low24h}</div>
+        </div>
+        <div>
+          <div style="font-size:10px;color:#666;margin-bottom:4px;">MARKET CAP</div>
+          <div style="font-size:14px;font-weight:600;color:#f59e0b;">$${marketCap}B</div>
+        </div>
+      </div>
+      <div style="margin-top:12px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.05);">
+        <div style="font-size:10px;color:#666;margin-bottom:4px;">24H VOLUME</div>
+        <div style="font-size:14px;font-weight:600;color:#3b82f6;">$${volume}</div>
+      </div>
+    </div>
+  ` : '';
+
+  const signalsSection = `
+    <div style="margin:16px 0;">
+      <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">⚡ Market Signals</div>
+      <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px;">
+        <div style="padding:12px;background:rgba(249,115,22,0.1);border:1px solid rgba(249,115,22,0.25);border-radius:8px;">
+          <div style="font-size:10px;color:#888;margin-bottom:4px;">24H MOVEMENT</div>
+          <div style="font-size:16px;font-weight:700;color:${Math.abs(pct) > 10 ? '#f59e0b' : Math.abs(pct) > 5 ? '#3b82f6' : '#6b7280'};">
+            ${Math.abs(pct) > 10 ? 'High Volatility' : Math.abs(pct) > 5 ? 'Moderate Move' : 'Stable'}
+          </div>
+        </div>
+        <div style="padding:12px;background:rgba(249,115,22,0.1);border:1px solid rgba(249,115,22,0.25);border-radius:8px;">
+          <div style="font-size:10px;color:#888;margin-bottom:4px;">MARKET INTEREST</div>
+          <div style="font-size:16px;font-weight:700;color:${interestColor};">${interestLevel.split(' ')[0]}</div>
+          <div style="font-size:11px;color:#999;margin-top:2px;">${score}/100</div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const newsSection = news.length ? `
+    <div style="margin:16px 0;">
+      <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📰 Recent Crypto News</div>
+      ${news.map(n => `
+        <div style="padding:12px;margin-bottom:8px;background:rgba(249,115,22,0.04);border-left:3px solid #f97316;border-radius:6px;">
+          <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:4px;">
+            <span style="font-size:10px;color:#666;">${n.source}</span>
+            <span style="font-size:10px;color:#666;">${n.time}h ago</span>
+          </div>
+          <div style="font-size:13px;line-height:1.4;color:#e0e0e0;">${n.title}</div>
+        </div>
+      `).join('')}
+    </div>
+  ` : `
+    <div style="margin:16px 0;padding:16px;background:rgba(107,114,128,0.08);border:1px dashed rgba(107,114,128,0.2);border-radius:8px;text-align:center;">
+      <div style="font-size:13px;color:#888;">📭 Limited crypto news in past 72 hours</div>
+    </div>
+  `;
+
+  const formattedAnalysis = sections.length >= 3 ? `
+    <div style="margin:16px 0;">
+      <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">💡 Crypto Market Context</div>
+      ${sections.map(section => {
+        const style = sectionColors[section.title] || { bg: 'rgba(107,114,128,0.06)', border: '#6b7280', icon: '•' };
+        return `
+          <div style="margin-bottom:16px;padding:14px;background:${style.bg};border-left:3px solid ${style.border};border-radius:6px;">
+            <div style="font-size:10px;color:${style.border};font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:6px;">${style.icon} ${section.title}</div>
+            <div style="font-size:13px;line-height:1.6;color:#e0e0e0;">${renderSectionBody(section)}</div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  ` : '<div style="padding:20px;text-align:center;color:#888;">Analysis not available</div>';
+
+  const actionPanel = `
+    <div style="margin:20px 0;padding:16px;background:linear-gradient(135deg,rgba(249,115,22,0.08),rgba(251,146,60,0.08));border:1px solid rgba(249,115,22,0.2);border-radius:10px;">
+      <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎯 Before Trading Crypto</div>
+      <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;font-size:12px;">
+        <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+          <span style="color:#f97316;">□</span> Check on-chain metrics
+        </div>
+        <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+          <span style="color:#f97316;">□</span> Review protocol updates
+        </div>
+        <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+          <span style="color:#f97316;">□</span> Monitor whale activity
+        </div>
+        <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+          <span style="color:#f97316;">□</span> Assess risk tolerance
+        </div>
+      </div>
+    </div>
+  `;
+
+  const footerDisclaimer = `
+    <div style="margin-top:20px;padding:12px;background:rgba(0,0,0,0.4);border-top:1px solid rgba(255,255,255,0.05);border-radius:0 0 12px 12px;font-size:10px;line-height:1.5;color:#666;text-align:center;">
+      <div style="margin-bottom:4px;">
+        <span style="color:#f97316;">⚠️</span> <strong style="color:#888;">Educational crypto research tool</strong> • General information only
+      </div>
+      <div>
+        Not financial advice • Crypto is highly volatile • Never invest more than you can afford to lose
+      </div>
+    </div>
+  `;
+
+  const technicalsSection = renderTechnicalsCard(technicals, { margin: '16px 0' });
+
+  return headerBadge + priceCard + signalsSection + technicalsSection + newsSection + formattedAnalysis + actionPanel + footerDisclaimer;
+}
+
+// ==========================================
+// STOCK WIDGET
+// ==========================================
+// FUNDAMENTALS CARD
+// ==========================================
+// Detailed tab only. Each ratio shows its direction over recent fiscal years;
+// for debt/equity a falling trend is the good one.
+function renderFundamentalsCard(fundamentals) {
+  if (!fundamentals) return '';
+  const { ratios, trends } = fundamentals;
+  const pct = (value) => value === null ? 'N/A' : `${value.toFixed(1)}%`;
+  const trendBadge = (key, lowerIsBetter = false) => {
+    const trend = trends[key];
+    if (!trend) return '';
+    const good = trend === 'flat' ? null : (trend === 'up') !== lowerIsBetter;
+    const color = good === null ? '#888' : good ? '#10b981' : '#ef4444';
+    return `<span style="font-size:11px;color:${color};margin-left:4px;">${TREND_ARROWS[trend]}</span>`;
+  };
+  const metric = (label, value, badge = '') => `
+    <div>
+      <div style="font-size:10px;color:#888;margin-bottom:4px;">${label}</div>
+      <div style="font-size:16px;font-weight:700;color:#fff;">${value}${badge}</div>
+    </div>
+  `;
+  const basis = fundamentals.basis === 'ttm' ? 'Trailing 12 months' : fundamentals.basis === 'annual' ? 'Latest fiscal year' : 'Latest quarter';
+
+  return `
+    <div style="margin:16px;">
+      <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📊 Fundamentals</div>
+      <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(16,185,129,0.3);border-radius:12px;padding:16px;">
+        <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:12px;">
+          ${metric('Revenue', formatMoney(fundamentals.revenue))}
+          ${metric('Revenue Growth (YoY)', pct(ratios.revenueGrowth), trendBadge('revenueGrowth'))}
+          ${metric('Gross Margin', pct(ratios.grossMargin), trendBadge('grossMargin'))}
+          ${metric('Operating Margin', pct(ratios.operatingMargin), trendBadge('operatingMargin'))}
+          ${metric('Net Margin', pct(ratios.netMargin), trendBadge('netMargin'))}
+          ${metric('Return on Equity', pct(ratios.returnOnEquity), trendBadge('returnOnEquity'))}
+          ${metric('Debt / Equity', ratios.debtToEquity === null ? 'N/A' : ratios.debtToEquity.toFixed(2), trendBadge('debtToEquity', true))}
+          ${metric('FCF Yield', pct(ratios.freeCashFlowYield))}
+        </div>
+        <div style="font-size:10px;color:#666;margin-bottom:8px;">${basis} ending ${fundamentals.periodEnd} • Arrows compare recent fiscal years</div>
+        <div style="padding:8px;background:rgba(16,185,129,0.08);border-radius:6px;">
+          <div style="font-size:11px;color:#10b981;">🔍 Research Question:</div>
+          <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">What explains the direction of the margins? Compare them with close competitors.</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// ==========================================
+function renderStockWidget(doc) {
+  const {
+    ticker,
+    company: { description: companyDescription, sector: companySector, industry: companyIndustry },
+    price: { realtimePrice, priceChangePercent24h, marketCap, peRatio, fiftyTwoWeekHigh, fiftyTwoWeekLow, avgVolume, beta },
+    earnings: { earningsDate, earningsTimestamp },
+    dividend: { dividendYield, dividendRate, exDividendDate, payoutRatio },
+    shortPercentOfFloat,
+    riskScore: risk,
+    technicals,
+    fundamentals,
+    analystRatings,
+    analystPriceTargets,
+    insiderData,
+    socialSentiment,
+    news,
+    sentiment,
+    analysis: { simplified: simplifiedSections, detailed: detailedSections }
+  } = doc;
+
+  const headerBadge = `
+    <div style="display:flex;justify-content:space-between;align-items:center;padding:6px 12px;background:rgba(15,15,15,0.95);border-bottom:1px solid rgba(46,185,224,0.15);font-size:10px;">
+      <span style="color:#888;">🤖 AI-Enhanced Research Tool</span>
+      <span style="color:#666;">General Information • Not Advice</span>
+    </div>
+  `;
+
+  // Tab navigation with inline onclick handlers
+  const tabNav = `
+    <div style="display:flex;gap:8px;padding:16px 16px 0 16px;background:rgba(15,15,15,0.95);">
+      <button id="tab-simplified" onclick="
+        document.getElementById('tab-simplified').style.background='linear-gradient(135deg,#667eea,#764ba2)';
+        document.getElementById('tab-simplified').style.color='white';
+        document.getElementById('tab-detailed').style.background='rgba(255,255,255,0.05)';
+        document.getElementById('tab-detailed').style.color='#888';
+        document.getElementById('content-simplified').style.display='block';
+        document.getElementById('content-detailed').style.display='none';
+      " style="flex:1;padding:12px;background:linear-gradient(135deg,#667eea,#764ba2);color:white;border:none;border-radius:8px 8px 0 0;cursor:pointer;font-size:13px;font-weight:600;transition:all 0.2s;">
+        📋 Simplified
+      </button>
+      <button id="tab-detailed" onclick="
+        document.getElementById('tab-simplified').style.background='rgba(255,255,255,0.05)';
+        document.getElementById('tab-simplified').style.color='#888';
+        document.getElementById('tab-detailed').style.background='linear-gradient(135deg,#667eea,#764ba2)';
+        document.getElementById('tab-detailed').style.color='white';
+        document.getElementById('content-simplified').style.display='none';
+        document.getElementById('content-detailed').style.display='block';
+      " style="flex:1;padding:12px;background:rgba(255,255,255,0.05);color:#888;border:none;border-radius:8px 8px 0 0;cursor:pointer;font-size:13px;font-weight:600;transition:all 0.2s;">
+        📊 Detailed
+      </button>
+    </div>
+  `;
+
+  // Simplified content (always shown by default)
+  const simplifiedSectionColors = {
+    'WHAT THEY DO': { bg: 'rgba(102,126,234,0.08)', border: '#667eea', icon: '🏢' },
+    'GOOD SIGNS': { bg: 'rgba(16,185,129,0.08)', border: '#10b981', icon: '✅' },
+    'WARNING SIGNS': { bg: 'rgba(245,158,11,0.08)', border: '#f59e0b', icon: '⚠️' }
+  };
+
+  const simplifiedContent = `
+    <div id="content-simplified" style="display:block;">
+      ${companySector ? `
+        <div style="margin:16px;padding:10px;background:rgba(102,126,234,0.1);border-radius:8px;text-align:center;">
+          <span style="font-size:12px;color:#667eea;font-weight:600;">${companySector}${companyIndustry ? ` • ${companyIndustry}` : ''}</span>
+        </div>
+      ` : ''}
+
+      ${simplifiedSections.length >= 3 ? `
+        <div style="padding:16px;">
+          ${simplifiedSections.map(section => {
+            const style = simplifiedSectionColors[section.title] || { bg: 'rgba(107,114,128,0.06)', border: '#6b7280', icon: '•' };
+            return `
+              <div style="margin-bottom:20px;padding:16px;background:${style.bg};border-left:4px solid ${style.border};border-radius:8px;">
+                <div style="font-size:11px;color:${style.border};font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:10px;">${style.icon} ${section.title}</div>
+                <div style="font-size:14px;line-height:1.7;color:#e0e0e0;">${renderSectionBody(section)}</div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      ` : '<div style="padding:40px 20px;text-align:center;color:#888;">Analysis not available</div>'}
+
+      ${news.length ? `
+        <div style="padding:0 16px 16px 16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📰 What's Happening (Last 3 Days)</div>
+          ${news.map(n => `
+            <div style="padding:10px;margin-bottom:6px;background:rgba(46,185,224,0.05);border-left:3px solid #2eb9e0;border-radius:6px;">
+              <div style="font-size:12px;line-height:1.5;color:#d0d0d0;margin-bottom:4px;">${n.title}</div>
+              <div style="font-size:10px;color:#666;">${n.source} • ${n.time}h ago</div>
+            </div>
+          `).join('')}
+          <div style="margin-top:12px;padding:8px;background:rgba(${sentiment.color === '#10b981' ? '16,185,129' : sentiment.color === '#ef4444' ? '239,68,68' : '107,114,128'},0.1);border-radius:6px;">
+            <span style="font-size:11px;color:#888;">Overall Tone: </span>
+            <span style="color:${sentiment.color};font-weight:600;font-size:12px;">${sentiment.label === 'Positive' ? '👍 Mostly Positive' : sentiment.label === 'Negative' ? '👎 Mostly Negative' : '🤷 Mixed News'}</span>
+          </div>
+        </div>
+      ` : `
+        <div style="padding:0 16px 16px 16px;">
+          <div style="padding:12px;background:rgba(102,126,234,0.08);border-radius:8px;text-align:center;">
+            <div style="font-size:13px;color:#888;margin-bottom:8px;">📭 No major news in the last 3 days</div>
+            <div style="font-size:11px;color:#666;">This could mean the company is in a quiet period, or news outlets aren't covering it right now.</div>
+          </div>
+        </div>
+      `}
+
+      <div style="padding:0 16px 16px 16px;">
+        <div style="padding:14px;background:linear-gradient(135deg,rgba(102,126,234,0.1),rgba(118,75,162,0.1));border:1px solid rgba(102,126,234,0.25);border-radius:10px;">
+          <div style="font-size:11px;color:#667eea;font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:10px;">💡 Before You Decide</div>
+          <div style="font-size:12px;line-height:1.6;color:#d0d0d0;margin-bottom:8px;">
+            This is educational info only. Here's what to research next:
+          </div>
+          <div style="display:grid;gap:6px;font-size:11px;">
+            <div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">
+              • Read full news articles to understand the context
+            </div>
+            <div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">
+              • Compare with competitors in the same industry
+            </div>
+            <div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">
+              • Check the "Detailed" tab for more in-depth analysis
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Detailed content (hidden by default)
+  const detailedSectionColors = {
+    'BUSINESS MODEL': { bg: 'rgba(102,126,234,0.06)', border: '#667eea', icon: '🏢' },
+    'KEY RESEARCH QUESTIONS': { bg: 'rgba(59,130,246,0.06)', border: '#3b82f6', icon: '🔍' },
+    'RISK FACTORS': { bg: 'rgba(239,68,68,0.06)', border: '#ef4444', icon: '⚠️' }
+  };
+
+  const detailedContent = `
+    <div id="content-detailed" style="display:none;">
+      ${analystRatings ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎯 Wall Street Consensus</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(102,126,234,0.2);border-radius:12px;padding:16px;">
+            <div style="display:flex;gap:8px;margin-bottom:12px;">
+              ${analystRatings.strongBuy > 0 ? `<div style="flex:${analystRatings.strongBuy};background:rgba(16,185,129,0.8);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.strongBuy}</div>` : ''}
+              ${analystRatings.buy > 0 ? `<div style="flex:${analystRatings.buy};background:rgba(16,185,129,0.5);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.buy}</div>` : ''}
+              ${analystRatings.hold > 0 ? `<div style="flex:${analystRatings.hold};background:rgba(245,158,11,0.5);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.hold}</div>` : ''}
+              ${analystRatings.sell > 0 ? `<div style="flex:${analystRatings.sell};background:rgba(239,68,68,0.5);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.sell}</div>` : ''}
+              ${analystRatings.strongSell > 0 ? `<div style="flex:${analystRatings.strongSell};background:rgba(239,68,68,0.8);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.strongSell}</div>` : ''}
+            </div>
+            <div style="display:flex;justify-content:space-between;font-size:11px;color:#888;">
+              <span>🟢 ${analystRatings.strongBuy + analystRatings.buy} Buy</span>
+              <span>🟡 ${analystRatings.hold} Hold</span>
+              <span>🔴 ${analystRatings.sell + analystRatings.strongSell} Sell</span>
+            </div>
+            ${analystPriceTargets && analystPriceTargets.targetMean ? `
+              <div style="margin-top:12px;padding:12px;background:rgba(16,185,129,0.08);border-radius:6px;">
+                <div style="font-size:11px;color:#888;margin-bottom:8px;">📍 Price Targets</div>
+                <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:8px;margin-bottom:8px;">
+                  <div style="text-align:center;">
+                    <div style="font-size:9px;color:#888;">LOW</div>
+                    <div style="font-size:14px;font-weight:600;color:#ef4444;">$${analystPriceTargets.targetLow?.toFixed(2) || 'N/A'}</div>
+                  </div>
+                  <div style="text-align:center;">
+                    <div style="font-size:9px;color:#888;">AVERAGE</div>
+                    <div style="font-size:16px;font-weight:700;color:#10b981;">$${analystPriceTargets.targetMean.toFixed(2)}</div>
+                  </div>
+                  <div style="text-align:center;">
+                    <div style="font-size:9px;color:#888;">HIGH</div>
+                    <div style="font-size:14px;font-weight:600;color:#10b981;">$${analystPriceTargets.targetHigh?.toFixed(2) || 'N/A'}</div>
+                  </div>
+                </div>
+                ${realtimePrice && analystPriceTargets.targetMean ? `
+                  <div style="padding:8px;background:rgba(${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? '16,185,129' : '239,68,68'},0.1);border-radius:4px;text-align:center;">
+                    <span style="font-size:11px;color:#888;">Potential: </span>
+                    <span style="font-size:13px;font-weight:700;color:${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? '#10b981' : '#ef4444'};">
+                      ${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? '+' : ''}${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100).toFixed(1)}%
+                    </span>
+                    ${Math.abs(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 20 ?
+                      `<span style="font-size:10px;color:#888;margin-left:6px;">(${Math.abs(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? 'Undervalued' : 'Overvalued'})</span>` : ''}
+                  </div>
+                ` : ''}
+                ${analystPriceTargets.numberOfAnalysts ? `
+                  <div style="font-size:10px;color:#666;text-align:center;margin-top:4px;">Based on ${analystPriceTargets.numberOfAnalysts} analyst${analystPriceTargets.numberOfAnalysts > 1 ? 's' : ''}</div>
+                ` : ''}
+              </div>
+            ` : ''}
+            <div style="margin-top:10px;padding:8px;background:rgba(102,126,234,0.08);border-radius:6px;">
+              <div style="font-size:11px;color:#667eea;">🔍 Research Question:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">What's driving the analyst consensus? Check recent upgrades/downgrades.</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      ${companyDescription || companySector ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🏢 Company Overview</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(102,126,234,0.2);border-radius:12px;padding:16px;">
+            ${companySector || companyIndustry ? `
+              <div style="display:flex;gap:12px;margin-bottom:12px;flex-wrap:wrap;">
+                ${companySector ? `<span style="padding:6px 12px;background:rgba(102,126,234,0.15);border:1px solid rgba(102,126,234,0.3);border-radius:20px;font-size:11px;color:#667eea;">${companySector}</span>` : ''}
+                ${companyIndustry ? `<span style="padding:6px 12px;background:rgba(59,130,246,0.15);border:1px solid rgba(59,130,246,0.3);border-radius:20px;font-size:11px;color:#3b82f6;">${companyIndustry}</span>` : ''}
+              </div>
+            ` : ''}
+            ${companyDescription ? `
+              <div style="font-size:13px;line-height:1.6;color:#d0d0d0;">${companyDescription.length > 350 ? companyDescription.substring(0, 350) + '...' : companyDescription}</div>
+            ` : '<div style="font-size:13px;line-height:1.6;color:#888;font-style:italic;">Company description not available</div>'}
+          </div>
+        </div>
+      ` : ''}
+
+      ${realtimePrice ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📊 Key Metrics</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(249,115,22,0.3);border-radius:12px;padding:16px;">
+            <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:12px;">
+              <div>
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">Avg Daily Volume</div>
+                <div style="font-size:18px;font-weight:700;color:#fff;">${avgVolume ? `${(avgVolume / 1e6).toFixed(2)}M` : 'N/A'}</div>
+                <div style="font-size:9px;color:#666;margin-top:2px;">Trading Liquidity</div>
+              </div>
+              <div>
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">Market Cap</div>
+                <div style="font-size:18px;font-weight:700;color:#fff;">${marketCap ? `$${(marketCap / 1e9).toFixed(2)}B` : 'N/A'}</div>
+                <div style="font-size:9px;color:#666;margin-top:2px;">Company Size</div>
+              </div>
+              <div>
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">P/E Ratio</div>
+                <div style="font-size:18px;font-weight:700;color:#fff;">${peRatio ? peRatio.toFixed(2) : 'N/A'}</div>
+                <div style="font-size:9px;color:#666;margin-top:2px;">Valuation</div>
+              </div>
+              <div>
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">52W Range</div>
+                <div style="font-size:12px;font-weight:600;color:#fff;">${fiftyTwoWeekLow ? `$${fiftyTwoWeekLow.toFixed(2)}` : 'N/A'} - ${fiftyTwoWeekHigh ? `$${fiftyTwoWeekHigh.toFixed(2)}` : 'N/A'}</div>
+                <div style="font-size:9px;color:#666;margin-top:2px;">Historical Range</div>
+              </div>
+            </div>
+            ${earningsDate && earningsTimestamp ? `
+              ${(() => {
+                const daysUntilEarnings = Math.floor((earningsTimestamp * 1000 - Date.now()) / (1000 * 60 * 60 * 24));
+                const isUpcoming = daysUntilEarnings >= 0 && daysUntilEarnings <= 30;
+                return `
+                  <div style="padding:12px;background:${isUpcoming ? 'linear-gradient(135deg,rgba(251,191,36,0.15),rgba(245,158,11,0.15))' : 'rgba(102,126,234,0.1)'};border:1px solid ${isUpcoming ? 'rgba(251,191,36,0.4)' : 'rgba(102,126,234,0.2)'};border-radius:8px;margin-top:8px;">
+                    <div style="display:flex;justify-content:space-between;align-items:center;">
+                      <div>
+                        <div style="font-size:10px;color:#888;margin-bottom:2px;">📅 Next Earnings</div>
+                        <div style="font-size:13px;color:#fff;font-weight:600;">${earningsDate}</div>
+                      </div>
+                      ${isUpcoming ? `
+                        <div style="text-align:right;">
+                          <div style="font-size:20px;font-weight:700;color:#fbbf24;">${daysUntilEarnings}</div>
+                          <div style="font-size:9px;color:#f59e0b;text-transform:uppercase;">day${daysUntilEarnings !== 1 ? 's' : ''} away</div>
+                        </div>
+                      ` : ''}
+                    </div>
+                    ${isUpcoming && daysUntilEarnings <= 7 ? `
+                      <div style="margin-top:8px;padding:6px;background:rgba(239,68,68,0.15);border-radius:4px;text-align:center;">
+                        <span style="font-size:10px;color:#fbbf24;font-weight:600;">⚠️ Earnings coming soon - expect volatility</span>
+                      </div>
+                    ` : ''}
+                  </div>
+                `;
+              })()}
+            ` : ''}
+            <div style="padding:8px;background:rgba(249,115,22,0.08);border-radius:6px;margin-top:8px;">
+              <div style="font-size:11px;color:#f97316;">💡 Educational Note:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">High volume = easier to buy/sell. Low P/E might mean undervalued or slow growth. Always compare with industry peers.</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      ${realtimePrice && risk ? `
+        ${(() => {
+          const { score: riskScore, level: riskLevel, color: riskColor, emoji: riskEmoji } = risk;
+
+          return `
+            <div style="margin:16px;">
+              <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎯 Beginner Risk Score</div>
+              <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(${riskScore <= 3 ? '16,185,129' : riskScore >= 7 ? '239,68,68' : '245,158,11'},0.3);border-radius:12px;padding:16px;">
+                <div style="display:flex;align-items:center;gap:16px;margin-bottom:12px;">
+                  <div style="font-size:48px;font-weight:700;color:${riskColor};">${riskScore}</div>
+                  <div style="flex:1;">
+                    <div style="font-size:16px;font-weight:600;color:${riskColor};margin-bottom:4px;">${riskEmoji} ${riskLevel}</div>
+                    <div style="font-size:11px;color:#888;">Out of 10</div>
+                  </div>
+                </div>
+                <div style="background:rgba(0,0,0,0.3);height:8px;border-radius:4px;overflow:hidden;margin-bottom:12px;">
+                  <div style="width:${riskScore * 10}%;height:100%;background:linear-gradient(90deg,${riskColor},${riskColor});transition:width 0.3s;"></div>
+                </div>
+                <div style="font-size:11px;color:#d0d0d0;line-height:1.5;margin-bottom:8px;">
+                  ${riskScore <= 3 ? '✓ Good for beginners - Stable, large company with predictable movements.' : riskScore >= 7 ? '⚠️ For experienced traders - High volatility, unpredictable price swings.' : '⚡ Moderate volatility - Some price swings expected, suitable for intermediate investors.'}
+                </div>
+                <div style="display:grid;gap:6px;font-size:10px;">
+                  ${beta ? `<div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;display:flex;justify-content:space-between;"><span>Beta (Volatility):</span><span style="color:#fff;font-weight:600;">${beta.toFixed(2)}</span></div>` : ''}
+                  ${marketCap ? `<div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;display:flex;justify-content:space-between;"><span>Company Size:</span><span style="color:#fff;font-weight:600;">${marketCap > 200e9 ? 'Large Cap' : marketCap > 10e9 ? 'Mid Cap' : 'Small Cap'}</span></div>` : ''}
+                </div>
+              </div>
+            </div>
+          `;
+        })()}
+      ` : ''}
+
+      ${priceChangePercent24h && Math.abs(priceChangePercent24h) >= 3 ? `
+        ${(() => {
+          // "Why Is It Moving?" section for significant price changes
+          return `
+            <div style="margin:16px;">
+              <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📈 Why Is It Moving?</div>
+              <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(${priceChangePercent24h > 0 ? '16,185,129' : '239,68,68'},0.3);border-radius:12px;padding:16px;">
+                <div style="text-align:center;margin-bottom:12px;">
+                  <div style="font-size:32px;font-weight:700;color:${priceChangePercent24h > 0 ? '#10b981' : '#ef4444'};">
+                    ${priceChangePercent24h > 0 ? '+' : ''}${priceChangePercent24h.toFixed(2)}%
+                  </div>
+                  <div style="font-size:11px;color:#888;">24-Hour Change</div>
+                </div>
+                <div style="padding:12px;background:rgba(${priceChangePercent24h > 0 ? '16,185,129' : '239,68,68'},0.1);border-radius:6px;margin-bottom:8px;">
+                  <div style="font-size:12px;color:#d0d0d0;line-height:1.5;">
+                    ${ticker} is ${priceChangePercent24h > 0 ? 'UP' : 'DOWN'} ${Math.abs(priceChangePercent24h).toFixed(1)}% today. Check the news section below for recent headlines that might explain this movement.
+                  </div>
+                </div>
+                ${Math.abs(priceChangePercent24h) >= 5 ? `
+                  <div style="padding:8px;background:rgba(251,191,36,0.1);border-radius:6px;text-align:center;">
+                    <span style="font-size:10px;color:#fbbf24;font-weight:600;">⚡ Significant Movement - Research before acting</span>
+                  </div>
+                ` : ''}
+              </div>
+            </div>
+          `;
+        })()}
+      ` : ''}
+
+      ${renderFundamentalsCard(fundamentals)}
+
+      ${renderTechnicalsCard(technicals)}
+
+      ${dividendYield || dividendRate ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">💰 Dividend Dashboard</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(34,197,94,0.3);border-radius:12px;padding:16px;">
+            <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:12px;">
+              ${dividendYield ? `
+                <div style="text-align:center;padding:10px;background:rgba(34,197,94,0.1);border-radius:6px;">
+                  <div style="font-size:10px;color:#888;margin-bottom:4px;">Dividend Yield</div>
+                  <div style="font-size:22px;font-weight:700;color:#22c55e;">${(dividendYield * 100).toFixed(2)}%</div>
+                </div>
+              ` : ''}
+              ${dividendRate ? `
+                <div style="text-align:center;padding:10px;background:rgba(34,197,94,0.1);border-radius:6px;">
+                  <div style="font-size:10px;color:#888;margin-bottom:4px;">Annual Payout</div>
+                  <div style="font-size:18px;font-weight:700;color:#22c55e;">$${dividendRate.toFixed(2)}</div>
+                  <div style="font-size:9px;color:#666;margin-top:2px;">per share</div>
+                </div>
+              ` : ''}
+            </div>
+            ${exDividendDate ? `
+              <div style="padding:10px;background:rgba(102,126,234,0.1);border-radius:6px;margin-bottom:8px;">
+                <div style="font-size:11px;color:#888;margin-bottom:2px;">📅 Ex-Dividend Date</div>
+                <div style="font-size:12px;color:#667eea;font-weight:600;">${new Date(exDividendDate * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</div>
+              </div>
+            ` : ''}
+            ${payoutRatio ? `
+              <div style="padding:8px;background:rgba(${payoutRatio < 0.6 ? '16,185,129' : payoutRatio > 0.8 ? '239,68,68' : '245,158,11'},0.1);border-radius:6px;">
+                <div style="font-size:10px;color:#888;">Payout Ratio: <span style="color:#fff;font-weight:600;">${(payoutRatio * 100).toFixed(1)}%</span></div>
+                <div style="font-size:9px;color:#${payoutRatio < 0.6 ? '10b981' : payoutRatio > 0.8 ? 'ef4444' : 'f59e0b'};margin-top:2px;">
+                  ${payoutRatio < 0.6 ? '✓ Sustainable - Room to grow dividends' : payoutRatio > 0.8 ? '⚠️ High - Dividend may be at risk' : '⚡ Moderate - Watch for changes'}
+                </div>
+              </div>
+            ` : ''}
+            <div style="padding:8px;background:rgba(34,197,94,0.08);border-radius:6px;margin-top:8px;">
+              <div style="font-size:11px;color:#22c55e;">💡 Passive Income Potential:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Dividend stocks pay you regularly. Good for long-term investors seeking steady income.</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      ${shortPercentOfFloat ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">⚡ Short Interest</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(${shortPercentOfFloat > 0.2 ? '239,68,68' : '102,126,234'},0.3);border-radius:12px;padding:16px;">
+            <div style="text-align:center;margin-bottom:12px;">
+              <div style="font-size:32px;font-weight:700;color:${shortPercentOfFloat > 0.2 ? '#ef4444' : shortPercentOfFloat > 0.1 ? '#f59e0b' : '#10b981'};">
+                ${(shortPercentOfFloat * 100).toFixed(1)}%
+              </div>
+              <div style="font-size:11px;color:#888;">of Float Shorted</div>
+            </div>
+            <div style="background:rgba(0,0,0,0.3);height:8px;border-radius:4px;overflow:hidden;margin-bottom:12px;">
+              <div style="width:${Math.min(shortPercentOfFloat * 100, 100)}%;height:100%;background:linear-gradient(90deg,${shortPercentOfFloat > 0.2 ? '#ef4444' : '#667eea'},${shortPercentOfFloat > 0.2 ? '#dc2626' : '#764ba2'});"></div>
+            </div>
+            <div style="padding:10px;background:rgba(${shortPercentOfFloat > 0.2 ? '239,68,68' : '102,126,234'},0.1);border-radius:6px;margin-bottom:8px;">
+              <div style="font-size:12px;color:#d0d0d0;line-height:1.5;">
+                ${shortPercentOfFloat > 0.2 ? '🔥 High short interest! This stock could experience significant volatility. "Short squeeze" potential if price rises.' : shortPercentOfFloat > 0.1 ? '⚡ Moderate short interest. Some traders betting against this stock.' : '✓ Low short interest. Relatively stable from short seller pressure.'}
+              </div>
+            </div>
+            <div style="padding:8px;background:rgba(139,92,246,0.08);border-radius:6px;">
+              <div style="font-size:11px;color:#8b5cf6;">🔍 Research Note:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">High short interest (>20%) can mean big price swings. Experienced traders only.</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      ${insiderData ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">👔 Insider Activity (90 Days)</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(139,92,246,0.3);border-radius:12px;padding:16px;">
+            <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:12px;margin-bottom:12px;">
+              <div style="text-align:center;padding:8px;background:rgba(16,185,129,0.1);border-radius:6px;">
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">BUYS</div>
+                <div style="font-size:18px;font-weight:700;color:#10b981;">${insiderData.totalBuys}</div>
+              </div>
+              <div style="text-align:center;padding:8px;background:rgba(239,68,68,0.1);border-radius:6px;">
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">SELLS</div>
+                <div style="font-size:18px;font-weight:700;color:#ef4444;">${insiderData.totalSells}</div>
+              </div>
+              <div style="text-align:center;padding:8px;background:rgba(139,92,246,0.1);border-radius:6px;">
+                <div style="font-size:10px;color:#888;margin-bottom:4px;">NET FLOW</div>
+                <div style="font-size:18px;font-weight:700;color:${insiderData.netFlow > 0 ? '#10b981' : insiderData.netFlow < 0 ? '#ef4444' : '#888'};">${insiderData.netFlow > 0 ? '+' : ''}${insiderData.netFlow}</div>
+              </div>
+            </div>
+            ${insiderData.netValue !== undefined ? `
+              <div style="display:flex;justify-content:space-between;font-size:11px;color:#888;margin-bottom:12px;">
+                <span>Bought <strong style="color:#10b981;">${formatDollars(insiderData.buyValue)}</strong></span>
+                <span>Sold <strong style="color:#ef4444;">${formatDollars(insiderData.sellValue)}</strong></span>
+                <span>Net <strong style="color:${insiderData.netValue > 0 ? '#10b981' : insiderData.netValue < 0 ? '#ef4444' : '#888'};">${insiderData.netValue > 0 ? '+' : insiderData.netValue < 0 ? '-' : ''}${formatDollars(Math.abs(insiderData.netValue))}</strong></span>
+              </div>
+            ` : ''}
+            <div style="margin-bottom:12px;">
+              <div style="font-size:10px;color:#888;margin-bottom:8px;">Recent Transactions:</div>
+              ${insiderData.transactions.map(t => `
+                <div style="padding:8px;margin-bottom:4px;background:rgba(${t.type === 'BUY' ? '16,185,129' : '239,68,68'},0.08);border-left:3px solid ${t.type === 'BUY' ? '#10b981' : '#ef4444'};border-radius:4px;">
+                  <div style="display:flex;justify-content:space-between;align-items:center;">
+                    <span style="font-size:11px;color:#d0d0d0;"><strong>${t.role}</strong> ${t.type === 'BUY' ? '📈 BOUGHT' : '📉 SOLD'}</span>
+                    <span style="font-size:10px;color:#888;">${t.daysAgo}d ago</span>
+                  </div>
+                  ${t.owner ? `
+                    <div style="font-size:10px;color:#888;margin-top:4px;">${t.owner}${t.shares !== null ? ` • ${t.shares.toLocaleString('en-US')} shares` : ''}${t.price !== null ? ` @ $${t.price.toFixed(2)}` : ''}${t.value !== null ? ` (${formatDollars(t.value)})` : ''}</div>
+                  ` : ''}
+                </div>
+              `).join('')}
+            </div>
+            <div style="padding:8px;background:rgba(139,92,246,0.08);border-radius:6px;">
+              <div style="font-size:11px;color:#8b5cf6;">🔍 Research Question:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Why are insiders ${insiderData.sentiment === 'Bullish' ? 'buying' : insiderData.sentiment === 'Bearish' ? 'selling' : 'trading'}? Consider tax planning, diversification, or conviction signals.</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      ${socialSentiment ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📱 Social Sentiment</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(236,72,153,0.3);border-radius:12px;padding:16px;">
+            <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">
+              <div>
+                <div style="font-size:10px;color:#888;">Source: ${socialSentiment.source}</div>
+                <div style="font-size:16px;font-weight:700;color:${socialSentiment.sentiment === 'Bullish' ? '#10b981' : socialSentiment.sentiment === 'Bearish' ? '#ef4444' : '#f59e0b'};">${socialSentiment.sentiment}</div>
+              </div>
+              <div style="text-align:right;">
+                <div style="font-size:10px;color:#888;">Volume</div>
+                <div style="font-size:16px;font-weight:700;color:#ec4899;">${socialSentiment.volume} posts</div>
+              </div>
+            </div>
+            <div style="display:flex;gap:8px;margin-bottom:12px;">
+              <div style="flex:${socialSentiment.bullishPct};background:rgba(16,185,129,0.6);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:11px;color:#fff;font-weight:600;">
+                ${socialSentiment.bullishPct}% 🐂
+              </div>
+              <div style="flex:${socialSentiment.bearishPct};background:rgba(239,68,68,0.6);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:11px;color:#fff;font-weight:600;">
+                ${socialSentiment.bearishPct}% 🐻
+              </div>
+            </div>
+            <div style="padding:8px;background:rgba(236,72,153,0.08);border-radius:6px;">
+              <div style="font-size:11px;color:#ec4899;">⚠️ Research Warning:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">${socialSentiment.sentiment === 'Bullish' ? 'High retail bullishness can signal near-term tops. Check if fundamentals support the hype.' : socialSentiment.sentiment === 'Bearish' ? 'Heavy bearish sentiment may indicate oversold conditions or real concerns. Verify the reasons.' : 'Mixed sentiment suggests uncertainty. Look for catalysts that could shift opinion.'}</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      ${news.length ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📰 Recent Headlines</div>
+          ${news.map(n => `
+            <div style="padding:12px;margin-bottom:8px;background:rgba(46,185,224,0.04);border-left:3px solid #2eb9e0;border-radius:6px;">
+              <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:4px;">
+                <span style="font-size:10px;color:#666;">${n.source}</span>
+                <span style="font-size:10px;color:#666;">${n.time}h ago</span>
+              </div>
+              <div style="font-size:13px;line-height:1.4;color:#e0e0e0;">${n.title}</div>
+              ${n.sentiment ? `<div style="font-size:10px;margin-top:4px;color:${n.sentiment.label === 'positive' ? '#10b981' : n.sentiment.label === 'negative' ? '#ef4444' : '#888'};">${n.sentiment.explanation}</div>` : ''}
+            </div>
+          `).join('')}
+          <div style="margin-top:12px;padding:10px;background:rgba(${sentiment.color === '#10b981' ? '16,185,129' : sentiment.color === '#ef4444' ? '239,68,68' : '107,114,128'},0.1);border-radius:6px;">
+            <span style="font-size:11px;color:#888;">Overall Sentiment: </span>
+            <span style="color:${sentiment.color};font-weight:600;font-size:12px;">${sentiment.label} (${sentiment.score}/100)</span>
+          </div>
+        </div>
+      ` : `
+        <div style="margin:16px;padding:16px;background:rgba(107,114,128,0.08);border:1px dashed rgba(107,114,128,0.2);border-radius:8px;text-align:center;">
+          <div style="font-size:13px;color:#888;">📭 Limited news coverage in past 72 hours</div>
+        </div>
+      `}
+
+      ${detailedSections.length >= 3 ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎓 Research Guide</div>
+          ${detailedSections.map(section => {
+            const style = detailedSectionColors[section.title] || { bg: 'rgba(107,114,128,0.06)', border: '#6b7280', icon: '•' };
+            return `
+              <div style="margin-bottom:16px;padding:14px;background:${style.bg};border-left:3px solid ${style.border};border-radius:6px;">
+                <div style="font-size:10px;color:${style.border};font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:6px;">${style.icon} ${section.title}</div>
+                <div style="font-size:13px;line-height:1.6;color:#e0e0e0;">${renderSectionBody(section)}</div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      ` : ''}
+
+      ${realtimePrice ? `
+        <div style="margin:16px;">
+          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🔔 Price Alerts</div>
+          <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(34,197,94,0.3);border-radius:12px;padding:16px;">
+            <div style="margin-bottom:12px;">
+              <div style="font-size:12px;color:#d0d0d0;margin-bottom:8px;">Get notified when ${ticker} hits your target price:</div>
+              <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;">
+                <div>
+                  <label style="font-size:10px;color:#888;display:block;margin-bottom:4px;">Alert Above Price</label>
+                  <input type="number" id="alert-above-${ticker}" placeholder="e.g. 150.00" style="width:100%;padding:8px;background:rgba(0,0,0,0.4);border:1px solid rgba(34,197,94,0.3);border-radius:6px;color:#fff;font-size:13px;" />
+                </div>
+                <div>
+                  <label style="font-size:10px;color:#888;display:block;margin-bottom:4px;">Alert Below Price</label>
+                  <input type="number" id="alert-below-${ticker}" placeholder="e.g. 100.00" style="width:100%;padding:8px;background:rgba(0,0,0,0.4);border:1px solid rgba(239,68,68,0.3);border-radius:6px;color:#fff;font-size:13px;" />
+                </div>
+              </div>
+              <button id="set-alert-${ticker}" onclick="
+                const aboveInput = document.getElementById('alert-above-${ticker}');
+                const belowInput = document.getElementById('alert-below-${ticker}');
+                const abovePrice = parseFloat(aboveInput.value);
+                const belowPrice = parseFloat(belowInput.value);
+
+                if (!abovePrice && !belowPrice) {
+                  alert('Please enter at least one price alert');
+                  return;
+                }
+
+                chrome.runtime.sendMessage({
+                  action: 'setPriceAlert',
+                  ticker: '${ticker}',
+                  alertData: {
+                    abovePrice: abovePrice || null,
+                    belowPrice: belowPrice || null
+                  }
+                }, (response) => {
+                  if (response && response.success) {
+                    alert('Price alert set! You will be notified when ${ticker} reaches your target.');
+                    aboveInput.value = '';
+                    belowInput.value = '';
+                  } else {
+                    alert('Failed to set alert. Please try again.');
+                  }
+                });
+              " style="width:100%;margin-top:8px;padding:10px;background:linear-gradient(135deg,#22c55e,#16a34a);color:white;border:none;border-radius:6px;cursor:pointer;font-size:12px;font-weight:600;">
+                🔔 Set Price Alert
+              </button>
+            </div>
+            <div style="padding:8px;background:rgba(34,197,94,0.08);border-radius:6px;">
+              <div style="font-size:11px;color:#22c55e;">💡 Educational Note:</div>
+              <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Price alerts help you catch opportunities without watching charts all day. They're research tools, not trading signals.</div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <div style="margin:16px;padding:16px;background:linear-gradient(135deg,rgba(102,126,234,0.08),rgba(118,75,162,0.08));border:1px solid rgba(102,126,234,0.2);border-radius:10px;">
+        <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📝 Before Investing</div>
+        <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;font-size:12px;">
+          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+            <span style="color:#667eea;">□</span> Read earnings reports
+          </div>
+          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+            <span style="color:#667eea;">□</span> Check competitor news
+          </div>
+          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+            <span style="color:#667eea;">□</span> Review recent filings
+          </div>
+          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
+            <span style="color:#667eea;">□</span> Understand the risks
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const footerDisclaimer = `
+    <div style="padding:12px;background:rgba(0,0,0,0.4);border-top:1px solid rgba(255,255,255,0.05);font-size:10px;line-height:1.5;color:#666;text-align:center;">
+      <div style="margin-bottom:4px;">
+        <span style="color:#fbbf24;">⚠️</span> <strong style="color:#888;">Educational research tool</strong> • General market information only
+      </div>
+      <div>
+        Not personalized advice • Always conduct your own due diligence
+      </div>
+    </div>
+  `;
+
+  return headerBadge + tabNav + simplifiedContent + detailedContent + footerDisclaimer;
+}
+
+function renderErrorWidget(title) {
+  return `
+    <div style="padding:40px 20px;text-align:center;background:rgba(15,15,15,0.95);border-radius:12px;">
+      <div style="font-size:48px;margin-bottom:16px;">⚠️</div>
+      <div style="font-size:16px;color:#e0e0e0;margin-bottom:8px;">${title}</div>
+      <div style="font-size:13px;color:#888;">Please try again in a moment</div>
+    </div>
+  `;
+}
+
+module.exports = {
+  renderCryptoWidget,
+  renderStockWidget,
+  renderErrorWidget
+};
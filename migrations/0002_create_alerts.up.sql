@@ -0,0 +1,26 @@
+CREATE TABLE IF NOT EXISTS alerts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticker VARCHAR(20) NOT NULL,
+  is_crypto BOOLEAN NOT NULL DEFAULT FALSE,
+  direction VARCHAR(5) NOT NULL CHECK (direction IN ('above', 'below')),
+  target_price NUMERIC(20, 8) NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  triggered_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id SERIAL PRIMARY KEY,
+  alert_id INTEGER REFERENCES alerts(id) ON DELETE SET NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticker VARCHAR(20) NOT NULL,
+  direction VARCHAR(5) NOT NULL,
+  target_price NUMERIC(20, 8) NOT NULL,
+  triggered_price NUMERIC(20, 8) NOT NULL,
+  triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(user_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_active ON alerts(active) WHERE active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_alert_events_user ON alert_events(user_id, id);
@@ -0,0 +1,6 @@
+CREATE TABLE IF NOT EXISTS usage_quotas (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  used INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, day)
+);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS sessions;
+
+-- users.auth_token stays nullable: users created after sessions shipped have no legacy token
@@ -0,0 +1,12 @@
+CREATE TABLE portfolio_lots (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticker VARCHAR(20) NOT NULL,
+  is_crypto BOOLEAN NOT NULL DEFAULT FALSE,
+  quantity NUMERIC(28, 10) NOT NULL CHECK (quantity > 0),
+  cost_basis NUMERIC(20, 8) NOT NULL CHECK (cost_basis >= 0),
+  acquired_at DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_portfolio_lots_user ON portfolio_lots(user_id, ticker);
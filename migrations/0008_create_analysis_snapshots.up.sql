@@ -0,0 +1,12 @@
+CREATE TABLE analysis_snapshots (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticker VARCHAR(20) NOT NULL,
+  asset_type VARCHAR(10) NOT NULL,
+  schema_version INTEGER NOT NULL,
+  model VARCHAR(100),
+  document JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_analysis_snapshots_user_ticker ON analysis_snapshots(user_id, ticker, id DESC);
@@ -0,0 +1,9 @@
+CREATE TABLE filing_summaries (
+  accession_number VARCHAR(20) PRIMARY KEY,
+  cik CHAR(10) NOT NULL,
+  form VARCHAR(10) NOT NULL,
+  filing_date DATE,
+  model VARCHAR(100),
+  sections JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,15 @@
+CREATE TABLE llm_usage (
+  id BIGSERIAL PRIMARY KEY,
+  task VARCHAR(30),
+  model VARCHAR(100),
+  status VARCHAR(10) NOT NULL,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  total_tokens INTEGER,
+  attempts INTEGER NOT NULL,
+  latency_ms INTEGER NOT NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_llm_usage_created_at ON llm_usage(created_at);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS prompt_rollouts;
+DROP TABLE IF EXISTS prompt_templates;
@@ -0,0 +1,16 @@
+CREATE TABLE prompt_templates (
+  task VARCHAR(30) NOT NULL,
+  version VARCHAR(40) NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (task, version)
+);
+
+-- Versions may be built-in files, so there is no foreign key to prompt_templates
+CREATE TABLE prompt_rollouts (
+  task VARCHAR(30) NOT NULL,
+  version VARCHAR(40) NOT NULL,
+  weight INTEGER NOT NULL CHECK (weight >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (task, version)
+);
@@ -0,0 +1,15 @@
+CREATE TABLE compliance_violations (
+  id BIGSERIAL PRIMARY KEY,
+  task VARCHAR(30),
+  -- One symbol, or a comma-separated list for comparisons
+  ticker VARCHAR(100),
+  model VARCHAR(100),
+  prompt_version VARCHAR(40),
+  section VARCHAR(50),
+  rule VARCHAR(30) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  excerpt TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_compliance_violations_created_at ON compliance_violations(created_at);
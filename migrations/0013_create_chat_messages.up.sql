@@ -0,0 +1,16 @@
+CREATE TABLE chat_messages (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticker VARCHAR(20) NOT NULL,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  -- The analysis a reply was based on
+  snapshot_id INTEGER REFERENCES analysis_snapshots(id) ON DELETE SET NULL,
+  model VARCHAR(100),
+  prompt_version VARCHAR(40),
+  redacted BOOLEAN NOT NULL DEFAULT FALSE,
+  compliance JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_chat_messages_user_ticker ON chat_messages(user_id, ticker, id DESC);
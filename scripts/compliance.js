@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Usage:
+//   npm run compliance [test]                       run every rule against its examples
+//   npm run compliance check "<text>"               show which rules a piece of text breaks
+//   npm run compliance review [-- --rule advice --since 2026-10-01 --limit 50]
+//                                                   logged violations, newest first
+//
+// `test` and `check` run offline; `review` reads the compliance_violations table.
+
+require('dotenv').config();
+const { pool } = require('../lib/db');
+const { COMPLIANCE_RULES, findViolations, rewriteText, checkRuleExamples, createComplianceLog } = require('../lib/compliance');
+
+const [command = 'test', ...rest] = process.argv.slice(2);
+
+// --name value options
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) options[args[i].slice(2)] = args[++i];
+  }
+  return options;
+}
+
+function test() {
+  const failures = checkRuleExamples();
+  COMPLIANCE_RULES.forEach(rule => {
+    const count = rule.examples.flag.length + rule.examples.pass.length;
+    const failed = failures.filter(f => f.rule === rule.id).length;
+    console.log(`${failed ? '❌' : '✓'} ${rule.id.padEnd(11)} ${count - failed}/${count}  ${rule.description} (${rule.action})`);
+  });
+
+  if (failures.length) {
+    console.log('\nFailures:');
+    failures.forEach(f => console.log(`  ${f.rule}: expected ${f.expected}, got ${f.got}: "${f.text}"`));
+    process.exitCode = 1;
+  }
+}
+
+function check(text) {
+  if (!text) throw new Error('Missing text to check');
+  const found = findViolations(text);
+  if (!found.length) return console.log('✓ No violations');
+
+  found.forEach(v => console.log(`❌ ${v.rule}: "${v.excerpt}"`));
+  const rewritten = rewriteText(text, found.map(v => v.rule));
+  if (!found.some(v => COMPLIANCE_RULES.find(r => r.id === v.rule).action === 'regenerate')) {
+    console.log(`\nRewritten: ${rewritten || '(nothing left, the section would be redacted)'}`);
+  }
+}
+
+async function review(args) {
+  const options = parseOptions(args);
+  const rows = await createComplianceLog({ pool }).list({
+    rule: options.rule || null,
+    since: options.since || null,
+    limit: Math.min(parseInt(options.limit, 10) || 100, 1000)
+  });
+
+  if (!rows.length) return console.log('No violations logged');
+  rows.forEach(row => {
+    const where = [row.task, row.section].filter(Boolean).join('/');
+    console.log(`${row.created_at.toISOString()}  ${row.rule.padEnd(10)} ${row.action.padEnd(11)} ${(row.ticker || '-').padEnd(8)} ${where}${row.prompt_version ? `@${row.prompt_version}` : ''}  ${row.model || ''}`);
+    console.log(`    "${row.excerpt}"`);
+  });
+}
+
+async function main() {
+  switch (command) {
+    case 'test':
+      return test();
+    case 'check':
+      return check(rest.join(' '));
+    case 'review':
+      return review(rest);
+    default:
+      throw new Error(`Unknown command "${command}" (expected test, check or review)`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Compliance command failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Usage:
+//   npm run migrate status          list migrations and their state
+//   npm run migrate up [version]    apply pending migrations (up to version)
+//   npm run migrate down [steps]    revert the last migration(s), default 1
+//   npm run migrate create <name>   add an empty up/down file pair
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { pool } = require('../lib/db');
+const { MIGRATIONS_DIR, loadMigrations, createMigrator } = require('../lib/migrations');
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+function create(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) throw new Error('Migration name must be lowercase snake_case');
+  const last = loadMigrations().at(-1);
+  const version = String((last ? last.version : 0) + 1).padStart(4, '0');
+  ['up', 'down'].forEach(direction => {
+    const file = path.join(MIGRATIONS_DIR, `${version}_${name}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${direction}: ${name}\n`);
+    console.log(`📝 Created ${path.relative(process.cwd(), file)}`);
+  });
+}
+
+async function main() {
+  const migrator = createMigrator({ pool });
+
+  switch (command) {
+    case 'status': {
+      const states = await migrator.status();
+      if (!states.length) console.log('No migrations found');
+      states.forEach(s => console.log(`${String(s.version).padStart(4, '0')}  ${s.state.padEnd(8)}  ${s.name}`));
+      break;
+    }
+    case 'up': {
+      const applied = await migrator.up({ to: arg ? parseInt(arg, 10) : Infinity });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.down({ steps: arg ? parseInt(arg, 10) : 1 });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'create':
+      create(arg);
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (expected status, up, down or create)`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// Usage:
+//   npm run prompts list [task]                          versions, rollout weights and problems
+//   npm run prompts show <task> <version>                print a template
+//   npm run prompts publish <task> <version> <file>      store a new version in the database
+//   npm run prompts rollout <task> [version=weight ...]  set a task's traffic split
+//                                                        (no weights: back to prompts/rollout.json)
+//   npm run prompts eval [task ...] [-- --version v2 --provider fake --fixtures file --json]
+//
+// `eval` runs offline against fixture market data and does not need the
+// database; templates published there are included when DATABASE_URL is set.
+
+const fs = require('fs');
+require('dotenv').config();
+const { pool } = require('../lib/db');
+const { createLlmClient, llmConfigFromEnv } = require('../lib/llm');
+const { PROMPT_VARIABLES, VERSION_PATTERN, checkTemplate, createPromptRegistry, createPromptTemplateStore } = require('../lib/prompts');
+const { FIXTURES_FILE, EVAL_TASKS, RULES, evaluatePrompts } = require('../lib/promptEval');
+
+const [command = 'list', ...rest] = process.argv.slice(2);
+
+// Positional arguments and --name value options
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) positional.push(args[i]);
+    else if (args[i] === '--json') options.json = true;
+    else options[args[i].slice(2)] = args[++i];
+  }
+  return { positional, options };
+}
+
+const store = process.env.DATABASE_URL ? createPromptTemplateStore({ pool }) : null;
+
+function requireStore() {
+  if (!store) throw new Error('DATABASE_URL is not set');
+  return store;
+}
+
+function requireTask(task) {
+  if (!PROMPT_VARIABLES[task]) throw new Error(`Unknown task "${task}" (expected ${Object.keys(PROMPT_VARIABLES).join(', ')})`);
+  return task;
+}
+
+async function openRegistry() {
+  const registry = createPromptRegistry({ store });
+  await registry.load();
+  return registry;
+}
+
+async function list(task) {
+  const registry = await openRegistry();
+  const tasks = task ? [requireTask(task)] : Object.keys(PROMPT_VARIABLES);
+  tasks.forEach(name => {
+    console.log(`\n${name}`);
+    registry.list(name).forEach(t => {
+      console.log(`  ${t.version.padEnd(12)} ${t.source.padEnd(9)} weight ${String(t.weight).padStart(3)}  ${t.errors.length ? `❌ ${t.errors.join('; ')}` : '✓'}`);
+    });
+  });
+}
+
+async function show(task, version) {
+  const template = (await openRegistry()).list(requireTask(task)).find(t => t.version === version);
+  if (!template) throw new Error(`Unknown template ${task}@${version}`);
+  console.log(template.body);
+}
+
+async function publish(task, version, file) {
+  requireTask(task);
+  if (!VERSION_PATTERN.test(version || '')) throw new Error('Version must be 1-40 letters, digits, ".", "_" or "-"');
+  if (!file) throw new Error('Missing template file');
+
+  const body = fs.readFileSync(file, 'utf8');
+  const errors = checkTemplate(task, body);
+  if (errors.length) throw new Error(`Template is invalid: ${errors.join('; ')}`);
+  if ((await openRegistry()).list(task).some(t => t.version === version)) throw new Error(`${task}@${version} already exists`);
+
+  await requireStore().publish({ task, version, body });
+  console.log(`✅ Published ${task}@${version} (weight 0 until it is rolled out)`);
+}
+
+async function rollout(task, pairs) {
+  requireTask(task);
+  const weights = Object.fromEntries(pairs.map(pair => {
+    const [version, weight] = pair.split('=');
+    if (!/^\d+$/.test(weight || '')) throw new Error(`Expected version=weight, got "${pair}"`);
+    return [version, parseInt(weight, 10)];
+  }));
+
+  const usable = new Set((await openRegistry()).list(task).filter(t => !t.errors.length).map(t => t.version));
+  const unknown = Object.keys(weights).filter(version => !usable.has(version));
+  if (unknown.length) throw new Error(`No usable template ${unknown.map(v => `${task}@${v}`).join(', ')}`);
+  if (pairs.length && !Object.values(weights).some(Boolean)) throw new Error('At least one weight must be above 0');
+
+  await requireStore().setRollout(task, weights);
+  console.log(pairs.length ? `✅ ${task} rollout: ${pairs.join(', ')}` : `✅ ${task} rollout reset to prompts/rollout.json`);
+}
+
+async function evaluate(args) {
+  const { positional: tasks, options } = parseArgs(args);
+  tasks.forEach(requireTask);
+  const unsupported = tasks.filter(task => !EVAL_TASKS[task]);
+  if (unsupported.length) throw new Error(`No eval fixtures for ${unsupported.join(', ')}`);
+  const fixtures = JSON.parse(fs.readFileSync(options.fixtures || FIXTURES_FILE, 'utf8'));
+  const llm = createLlmClient(options.provider ? { provider: options.provider } : llmConfigFromEnv());
+
+  const results = await evaluatePrompts({
+    registry: await openRegistry(),
+    llm,
+    fixtures,
+    tasks: tasks.length ? tasks : Object.keys(EVAL_TASKS),
+    versions: options.version ? options.version.split(',') : null,
+    onProgress: options.json ? undefined : (label) => process.stderr.write(`  … ${label}\n`)
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  console.log(`\nModel: ${llm.provider} (${llm.modelsFor('detailed').join(' → ')})\n`);
+  console.log(`${'template'.padEnd(22)} ${'clean'.padEnd(7)} ${RULES.join(' ')}  tokens`);
+  results.forEach(r => {
+    const id = `${r.task}@${r.version}`.padEnd(22);
+    if (r.errors) return console.log(`${id} ❌ ${r.errors.join('; ')}`);
+    const counts = RULES.map(rule => String(r.violations[rule] || 0).padStart(rule.length)).join(' ');
+    console.log(`${id} ${`${r.clean}/${r.runs}`.padEnd(7)} ${counts}  ${r.tokens}`);
+  });
+
+  const examples = results.flatMap(r => r.examples.map(e => ({ ...e, id: `${r.task}@${r.version}` })));
+  if (examples.length) {
+    console.log('\nViolations:');
+    examples.forEach(e => console.log(`  ${e.id} ${e.fixture} ${e.rule} ${e.path}: ${e.detail}`));
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'list':
+      return list(rest[0]);
+    case 'show':
+      return show(rest[0], rest[1]);
+    case 'publish':
+      return publish(rest[0], rest[1], rest[2]);
+    case 'rollout':
+      return rollout(rest[0], rest.slice(1));
+    case 'eval':
+      return evaluate(rest);
+    default:
+      throw new Error(`Unknown command "${command}" (expected list, show, publish, rollout or eval)`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Prompts command failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,59 +1,106 @@
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
-const crypto = require("crypto");
 require("dotenv").config();
-const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
-const yahooFinance = require('yahoo-finance2').default;
+const { COMPARE_LIMITS, isCryptoTicker, buildCryptoAnalysis, buildStockAnalysis, buildComparison, getLatestPrice, getQuoteSummaries, getCompanySectors } = require('./lib/analysis');
+const { createAlertEvaluator } = require('./lib/alerts');
+const { cache: memoryCache, createCache, createPostgresStore } = require('./lib/cache');
+const { pool } = require('./lib/db');
+const { fetchEarningsReport, buildEarningsCalendar } = require('./lib/earnings');
+const { lookupCik, filingIndexUrl, fetchFilingDocument } = require('./lib/edgar');
+const { FILING_FORMS, ACCESSION_NUMBER, summarizeFiling, fetchCompanyFilings, createFilingSummaryStore } = require('./lib/filings');
+const { computeFundamentals } = require('./lib/fundamentals');
+const { HISTORY_RANGES, HISTORY_INTERVALS, historyCacheKey, fetchPriceHistory } = require('./lib/history');
+const { computeIndicators, summarizeIndicators } = require('./lib/indicators');
+const { createLlmClient, llmConfigFromEnv, createLlmUsageStore } = require('./lib/llm');
+const { CHAT_LIMITS, CHAT_CONTEXT_MAX_AGE_MS, answerChatQuestion, createChatStore } = require('./lib/chat');
+const { createComplianceGuard, createComplianceLog } = require('./lib/compliance');
+const { createGoogleVerifier } = require('./lib/googleAuth');
+const { marketData } = require('./lib/marketData');
+const { createMigrator } = require('./lib/migrations');
+const { toLot, summarizePortfolio } = require('./lib/portfolio');
+const { createPromptRegistry, createPromptTemplateStore } = require('./lib/prompts');
+const { createSessionStore } = require('./lib/sessions');
+const { ASSET_CLASSES, SEARCH_LIMITS, assetClassHint, symbols } = require('./lib/symbols');
+const { openEventStream } = require('./lib/sse');
+const { diffSnapshots, createSnapshotStore } = require('./lib/snapshots');
+const { createTokenBucket, createDailyQuota, rateLimit, dailyQuota } = require('./lib/rateLimit');
+const { renderCryptoWidget, renderStockWidget, renderErrorWidget } = require('./lib/widgets');
 
 const app = express();
+// Number of proxy hops to trust for req.ip (set TRUST_PROXY=1 behind Railway)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 0);
 app.use(express.json());
 app.use(cors());
 
 const PORT = process.env.PORT || 3001;
-const OPENROUTER_KEY = process.env.OPENROUTER_API_KEY;
 const NEWS_KEY = process.env.NEWS_API_KEY;
 const PRICE_KEY = process.env.ALPHA_VANTAGE_KEY;
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 
+// Upstream response cache: in-process by default, shared across instances
+// when CACHE_BACKEND=postgres
+const cache = process.env.CACHE_BACKEND === 'postgres'
+  ? createCache({ store: createPostgresStore(pool) })
+  : memoryCache;
+
+// AI client; the outcome and token usage of every completion go to llm_usage
+const llmConfig = llmConfigFromEnv();
+const llmUsage = createLlmUsageStore({ pool });
+const llm = createLlmClient({ ...llmConfig, recordUsage: llmUsage.record });
+
+// Prompt templates: the built-in files plus versions published to the database
+const prompts = createPromptRegistry({ store: createPromptTemplateStore({ pool }) });
+
+// Post-generation checks on AI text; every violation goes to compliance_violations
+const compliance = createComplianceGuard({ record: createComplianceLog({ pool }).record });
+
+const snapshots = createSnapshotStore({ pool });
+const filingSummaries = createFilingSummaryStore({ pool });
+const chats = createChatStore({ pool });
+
+const googleVerifier = createGoogleVerifier({ clientId: GOOGLE_CLIENT_ID });
+
+const sessions = createSessionStore({
+  pool,
+  ttlSeconds: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24) * 60 * 60,
+  refreshTtlSeconds: (parseInt(process.env.REFRESH_TTL_DAYS, 10) || 30) * 24 * 60 * 60
+});
+
+// Row ids are SERIAL, so a positive 32-bit integer. Anything else ("abc",
+// "1.5") would fail the query's integer cast; callers answer 400 or 404.
+const MAX_ID = 2147483647;
+const parseId = (value) => typeof value === 'string' && /^\d{1,10}$/.test(value) && Number(value) > 0 && Number(value) <= MAX_ID ? Number(value) : null;
+
 // ==========================================
-// DATABASE CONNECTION
+// RATE LIMITS
 // ==========================================
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Every request, keyed by client IP
+const ipBucket = createTokenBucket({
+  capacity: envInt('RATE_LIMIT_IP_BURST', 60),
+  refillPerSecond: envInt('RATE_LIMIT_IP_PER_MINUTE', 60) / 60
 });
 
-pool.query('SELECT NOW()', async (err, res) => {
-  if (err) {
-    console.error('❌ Database error:', err);
-  } else {
-    console.log('✅ Database connected');
-    
-    try {
-      await pool.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          name VARCHAR(255),
-          picture VARCHAR(500),
-          google_id VARCHAR(255) UNIQUE,
-          auth_token VARCHAR(255) UNIQUE NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          last_login TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      
-      await pool.query(`CREATE INDEX IF NOT EXISTS idx_users_token ON users(auth_token);`);
-      await pool.query(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);`);
-      
-      console.log('✅ Users table ready');
-    } catch (err) {
-      console.error('❌ Table creation error:', err);
-    }
-  }
+// Analysis requests (each one costs OpenRouter completions), keyed by user
+const userBucket = createTokenBucket({
+  capacity: envInt('RATE_LIMIT_USER_BURST', 5),
+  refillPerSecond: envInt('RATE_LIMIT_USER_PER_MINUTE', 6) / 60
 });
 
+const analysisQuota = createDailyQuota({ pool, limit: envInt('DAILY_ANALYSIS_QUOTA', 50) });
+
+app.use(rateLimit({ bucket: ipBucket, keyFor: (req) => req.ip }));
+
+// Applied after authenticateUser on routes that run a paid analysis
+const analysisLimits = [
+  rateLimit({ bucket: userBucket, keyFor: (req) => `user:${req.user.id}` }),
+  dailyQuota(analysisQuota)
+];
+
 // ==========================================
 // GOOGLE OAUTH
 // ==========================================
@@ -69,18 +116,15 @@ app.post('/auth/google', async (req, res) => {
   }
   
   try {
-    console.log('Verifying token with Google...');
-    const response = await fetch(`https://oauth2.googleapis.com/tokeninfo?id_token=${idToken}`);
-    const googleData = await response.json();
-    
-    console.log('Google response status:', response.status);
-    console.log('Google response:', JSON.stringify(googleData, null, 2));
-    
-    if (googleData.error || response.status !== 200) {
-      console.error('❌ Google rejected token:', googleData.error_description || googleData.error);
+    let googleData;
+    try {
+      googleData = await googleVerifier.verify(idToken);
+    } catch (err) {
+      if (err.code !== 'invalid_token') throw err;
+      console.error('❌ Google token rejected:', err.message);
       return res.status(401).json({ 
         error: 'Invalid Google token',
-        details: googleData.error_description || 'Token verification failed'
+        details: err.message
       });
     }
     
@@ -91,10 +135,9 @@ app.post('/auth/google', async (req, res) => {
     let user = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     
     if (user.rows.length === 0) {
-      const authToken = crypto.randomBytes(32).toString('hex');
       user = await pool.query(
-        'INSERT INTO users (email, name, picture, google_id, auth_token) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-        [email, name, picture, googleId, authToken]
+        'INSERT INTO users (email, name, picture, google_id) VALUES ($1, $2, $3, $4) RETURNING *',
+        [email, name, picture, googleId]
       );
       console.log('✅ New user created:', email);
     } else {
@@ -103,6 +146,11 @@ app.post('/auth/google', async (req, res) => {
     }
     
     const userData = user.rows[0];
+    const session = await sessions.create(userData.id, {
+      deviceId: req.body.deviceId,
+      userAgent: req.get('User-Agent')
+    });
+
     res.json({
       success: true,
       user: { 
@@ -110,8 +158,11 @@ app.post('/auth/google', async (req, res) => {
         email: userData.email, 
         name: userData.name, 
         picture: userData.picture, 
-        token: userData.auth_token 
-      }
+        token: session.token 
+      },
+      refreshToken: session.refreshToken,
+      expiresAt: session.expiresAt,
+      refreshExpiresAt: session.refreshExpiresAt
     });
     
   } catch (err) {
@@ -120,12 +171,39 @@ app.post('/auth/google', async (req, res) => {
   }
 });
 
+// Exchanges a refresh token for a new token pair; the old pair stops working
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: 'Missing refresh token' });
+
+  try {
+    const session = await sessions.refresh(refreshToken);
+    if (!session) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresAt: session.expiresAt,
+      refreshExpiresAt: session.refreshExpiresAt
+    });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Refresh failed' });
+  }
+});
+
+const AUTH_ERRORS = {
+  invalid: 'Invalid token',
+  expired: 'Token expired',
+  revoked: 'Token revoked'
+};
+
 app.post('/auth/verify', async (req, res) => {
   const { token } = req.body;
   try {
-    const result = await pool.query('SELECT id, email, name, picture FROM users WHERE auth_token = $1', [token]);
-    if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    res.json({ valid: true, user: result.rows[0] });
+    const { status, user, session } = await sessions.authenticate(token);
+    if (status !== 'valid') return res.status(401).json({ error: AUTH_ERRORS[status], status });
+    const { id, email, name, picture } = user;
+    res.json({ valid: true, user: { id, email, name, picture }, expiresAt: session.expiresAt });
   } catch (err) {
     console.error('Verify error:', err);
     res.status(500).json({ error: 'Verification failed' });
@@ -135,14 +213,22 @@ app.post('/auth/verify', async (req, res) => {
 // ==========================================
 // AUTH MIDDLEWARE
 // ==========================================
+// Accepts the token in the JSON body (extension) or as a Bearer header (GET routes)
+const getRequestToken = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  return req.body?.token;
+};
+
 async function authenticateUser(req, res, next) {
-  const { token } = req.body;
+  const token = getRequestToken(req);
   if (!token) return res.status(401).json({ error: 'Authentication required' });
   
   try {
-    const result = await pool.query('SELECT * FROM users WHERE auth_token = $1', [token]);
-    if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    req.user = result.rows[0];
+    const { status, user, session } = await sessions.authenticate(token);
+    if (status !== 'valid') return res.status(401).json({ error: AUTH_ERRORS[status], status });
+    req.user = user;
+    req.session = session;
     next();
   } catch (err) {
     console.error('Auth error:', err);
@@ -150,1448 +236,1071 @@ async function authenticateUser(req, res, next) {
   }
 }
 
-// Utility: Analyze news sentiment
-const analyzeNewsSentiment = (news, ticker) => {
-  if (!news.length) return { score: 50, label: 'Neutral', color: '#6b7280' };
-  
-  const strongPositive = ['surge', 'soar', 'jump', 'rally', 'beat', 'exceed', 'upgrade', 'breakthrough', 'record', 'best'];
-  const moderatePositive = ['growth', 'gain', 'rise', 'up', 'profit', 'strong', 'increase', 'positive', 'success', 'improve'];
-  
-  const strongNegative = ['plunge', 'crash', 'collapse', 'miss', 'downgrade', 'loss', 'worst', 'fail', 'cut'];
-  const moderateNegative = ['fall', 'drop', 'decline', 'down', 'weak', 'concern', 'risk', 'struggle', 'pressure'];
-  
-  let sentimentScore = 0;
-  let relevanceScore = 0;
-  
-  news.forEach(article => {
-    const text = (article.title + ' ' + (article.description || '')).toLowerCase();
-    
-    if (text.includes(ticker.toLowerCase())) {
-      relevanceScore += 20;
-      
-      strongPositive.forEach(word => { if (text.includes(word)) sentimentScore += 15; });
-      strongNegative.forEach(word => { if (text.includes(word)) sentimentScore -= 15; });
-      
-      moderatePositive.forEach(word => { if (text.includes(word)) sentimentScore += 5; });
-      moderateNegative.forEach(word => { if (text.includes(word)) sentimentScore -= 5; });
-    } else {
-      relevanceScore -= 10;
+// ==========================================
+// SESSIONS
+// ==========================================
+// Body: { all: true } signs out every device instead of just this one
+app.post('/auth/logout', authenticateUser, async (req, res) => {
+  try {
+    if (req.body?.all) {
+      const revoked = await sessions.revokeAll(req.user.id);
+      return res.json({ success: true, revoked });
     }
-  });
-  
-  const score = Math.max(0, Math.min(100, 50 + sentimentScore + (relevanceScore / news.length)));
-  
-  let label = 'Neutral', color = '#6b7280';
-  
-  if (score >= 70) { label = 'Positive'; color = '#10b981'; }
-  else if (score >= 60) { label = 'Slightly Positive'; color = '#3b82f6'; }
-  else if (score >= 55) { label = 'Neutral-Positive'; color = '#6b7280'; }
-  else if (score >= 45) { label = 'Neutral'; color = '#6b7280'; }
-  else if (score >= 40) { label = 'Neutral-Negative'; color = '#f59e0b'; }
-  else if (score >= 30) { label = 'Slightly Negative'; color = '#f59e0b'; }
-  else { label = 'Negative'; color = '#ef4444'; }
-  
-  return { score: Math.round(score), label, color };
+    await sessions.revoke(req.session.id, req.user.id);
+    res.json({ success: true, revoked: 1 });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/auth/sessions', authenticateUser, async (req, res) => {
+  try {
+    const list = await sessions.list(req.user.id);
+    res.json({ sessions: list.map(s => ({ ...s, current: s.id === req.session.id })) });
+  } catch (err) {
+    console.error('Sessions error:', err);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+app.delete('/auth/sessions/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Session not found' });
+
+  try {
+    const revoked = await sessions.revoke(id, req.user.id);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Session revoke error:', err);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// ==========================================
+// SYMBOL SEARCH
+// ==========================================
+// Autocomplete over listed stocks and major coins by ticker, company name or
+// coin id. A symbol that is both a stock and a coin comes back once per asset
+// class; pass the chosen one as assetType to the other routes.
+// Query: q, limit (default 10, max 25), assetType=stock|crypto
+app.get('/search', authenticateUser, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const { assetType } = req.query;
+
+  if (!q) return res.status(400).json({ error: 'Missing q' });
+  if (assetType !== undefined && !ASSET_CLASSES.includes(assetType)) {
+    return res.status(400).json({ error: `assetType must be one of ${ASSET_CLASSES.join(', ')}` });
+  }
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || SEARCH_LIMITS.default, SEARCH_LIMITS.max));
+
+  try {
+    res.json({ query: q, results: await symbols.search(q, { limit, assetClass: assetType || null }) });
+  } catch (err) {
+    console.error('❌ Symbol search error:', err.message);
+    res.status(500).json({ error: 'Failed to search symbols' });
+  }
+});
+
+// ==========================================
+// ANALYSIS
+// ==========================================
+// Builds the versioned analysis document for a ticker. Crypto tickers are
+// routed to CoinGecko, everything else goes through the stock pipeline.
+// `assetClass` ('stock' / 'crypto') pins symbols that are both. `userId`
+// picks the user's prompt template versions.
+async function buildAnalysis(ticker, assetClass, { userId, onEvent } = {}) {
+  return isCryptoTicker(ticker, assetClass)
+    ? buildCryptoAnalysis(ticker, { cache, llm, prompts, compliance, cohort: userId, onEvent })
+    : buildStockAnalysis(ticker, { cache, llm, prompts, compliance, cohort: userId, onEvent });
+}
+
+const renderAnalysisWidget = (doc) => doc.assetType === 'crypto' ? renderCryptoWidget(doc) : renderStockWidget(doc);
+
+// Archives the document as a snapshot. A failed save is logged but never
+// costs the user the analysis they are waiting for.
+const archiveAnalysis = (userId, doc) => snapshots.save(userId, doc).catch(err => {
+  console.error('Snapshot save error:', err.message);
+  return null;
+});
+
+// Tickers are uppercased before analysis, so "aapl" and "AAPL" share cache
+// entries and snapshots, as they do on /v1/analysis/:ticker
+const requestedTicker = (body) => typeof body?.ticker === 'string' ? body.ticker.trim().toUpperCase() : '';
+
+app.post("/analyze", authenticateUser, analysisLimits, async (req, res) => {
+  const ticker = requestedTicker(req.body);
+  if (!ticker) return res.status(400).json({ error: "Missing ticker" });
+
+  const assetClass = assetClassHint(req.body);
+  const detectAsCrypto = isCryptoTicker(ticker, assetClass);
+
+  try {
+    const doc = await buildAnalysis(ticker, assetClass, { userId: req.user.id });
+    const snapshot = await archiveAnalysis(req.user.id, doc);
+    res.json({ result: renderAnalysisWidget(doc), cache: doc.cache, snapshotId: snapshot?.id ?? null });
+  } catch (err) {
+    console.error(detectAsCrypto ? "❌ Crypto analysis error:" : "❌ Analysis error:", err.message);
+    req.refundQuota();
+    res.json({ result: renderErrorWidget(detectAsCrypto ? 'Crypto Analysis Unavailable' : 'Analysis Temporarily Unavailable') });
+  }
+});
+
+// Same analysis as /analyze, streamed as Server-Sent Events: each section is
+// sent as soon as its sources resolve, and each AI part once it has passed
+// the compliance guard.
+// Events: start, company, price, analyst, insider, social, news, technicals,
+// marketInterest (crypto), section-error, ai, then done or failed.
+app.post("/analyze/stream", authenticateUser, analysisLimits, async (req, res) => {
+  const ticker = requestedTicker(req.body);
+  if (!ticker) return res.status(400).json({ error: "Missing ticker" });
+
+  const assetClass = assetClassHint(req.body);
+  const detectAsCrypto = isCryptoTicker(ticker, assetClass);
+  const stream = openEventStream(res);
+  stream.send('start', { ticker, assetType: detectAsCrypto ? 'crypto' : 'stock' });
+
+  try {
+    const doc = await buildAnalysis(ticker, assetClass, { userId: req.user.id, onEvent: stream.send });
+    const snapshot = await archiveAnalysis(req.user.id, doc);
+    stream.send('done', { result: renderAnalysisWidget(doc), cache: doc.cache, snapshotId: snapshot?.id ?? null });
+  } catch (err) {
+    console.error(detectAsCrypto ? "❌ Crypto analysis stream error:" : "❌ Analysis stream error:", err.message);
+    req.refundQuota();
+    stream.send('failed', {
+      error: err.message,
+      result: renderErrorWidget(detectAsCrypto ? 'Crypto Analysis Unavailable' : 'Analysis Temporarily Unavailable')
+    });
+  }
+  stream.end();
+});
+
+// ==========================================
+// JSON API (v1)
+// ==========================================
+app.get('/v1/analysis/:ticker', authenticateUser, analysisLimits, async (req, res) => {
+  const { ticker } = req.params;
+
+  try {
+    const doc = await buildAnalysis(ticker.toUpperCase(), assetClassHint(req.query), { userId: req.user.id });
+    const snapshot = await archiveAnalysis(req.user.id, doc);
+    res.json({ ...doc, snapshotId: snapshot?.id ?? null });
+  } catch (err) {
+    console.error('❌ Analysis API error:', err.message);
+    res.status(502).json({ error: 'Analysis unavailable', details: err.message });
+  }
+});
+
+// OHLCV candles, optionally with every indicator series aligned to them.
+// Query: range (1mo..5y, default 1y), interval (1d|1wk|1mo), assetType, indicators=true
+app.get('/v1/history/:ticker', authenticateUser, async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const { range = '1y', interval = '1d' } = req.query;
+
+  if (typeof range !== 'string' || !Object.hasOwn(HISTORY_RANGES, range)) {
+    return res.status(400).json({ error: `range must be one of ${Object.keys(HISTORY_RANGES).join(', ')}` });
+  }
+  if (typeof interval !== 'string' || !HISTORY_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of ${HISTORY_INTERVALS.join(', ')}` });
+  }
+
+  const assetType = isCryptoTicker(ticker, assetClassHint(req.query)) ? 'crypto' : 'stock';
+  const options = { assetType, range, interval };
+
+  try {
+    const { value: history, meta } = await cache.wrap('history', historyCacheKey(ticker, options), () => fetchPriceHistory(ticker, options));
+    if (!history) return res.status(404).json({ error: 'No price history available' });
+
+    res.json({
+      ticker,
+      assetType,
+      range,
+      interval,
+      candles: history.candles,
+      sources: history.sources,
+      summary: summarizeIndicators(history.candles),
+      ...(req.query.indicators === 'true' ? { indicators: computeIndicators(history.candles) } : {}),
+      cache: meta
+    });
+  } catch (err) {
+    console.error('❌ History API error:', err.message);
+    res.status(502).json({ error: 'Price history unavailable', details: err.message });
+  }
+});
+
+// Margins, growth, leverage and cash flow ratios with their trends, plus the
+// per-period series behind them (newest first)
+app.get('/v1/fundamentals/:ticker', authenticateUser, async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+
+  if (isCryptoTicker(ticker, assetClassHint(req.query))) {
+    return res.status(400).json({ error: 'Fundamentals are available for stocks only' });
+  }
+
+  try {
+    const [statements, quote] = await Promise.all([
+      cache.wrap('fundamentals', ticker, () => marketData.fundamentals(ticker)),
+      cache.wrap('quote', ticker, () => marketData.quote(ticker, { assetType: 'stock' }))
+    ]);
+    const fundamentals = computeFundamentals(statements.value, { marketCap: quote.value?.marketCap ?? null });
+    if (!fundamentals) return res.status(404).json({ error: 'No financial statements available' });
+
+    res.json({
+      ticker,
+      ...fundamentals,
+      cache: { fundamentals: statements.meta, quote: quote.meta }
+    });
+  } catch (err) {
+    console.error('❌ Fundamentals API error:', err.message);
+    res.status(502).json({ error: 'Fundamentals unavailable', details: err.message });
+  }
+});
+
+// Longest window the earnings calendar accepts, in days
+const EARNINGS_CALENDAR_MAX_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Distinct stock tickers across the user's watchlists and portfolio
+const loadUserStockTickers = async (userId) => {
+  const result = await pool.query(
+    `SELECT ticker FROM watchlist_items i JOIN watchlists w ON w.id = i.watchlist_id
+     WHERE w.user_id = $1 AND NOT i.is_crypto
+     UNION
+     SELECT ticker FROM portfolio_lots WHERE user_id = $1 AND NOT is_crypto
+     ORDER BY ticker`,
+    [userId]
+  );
+  return result.rows.map(r => r.ticker);
 };
 
+// Upcoming earnings reports for every stock the user watches or holds.
+// Query: from, to (YYYY-MM-DD; default today through the next 30 days)
+app.get('/v1/earnings/calendar', authenticateUser, async (req, res) => {
+  const isDate = (value) => ISO_DATE.test(value) && !Number.isNaN(new Date(value).getTime());
+  const from = req.query.from || new Date().toISOString().slice(0, 10);
+  if (!isDate(from)) return res.status(400).json({ error: 'from must be a date (YYYY-MM-DD)' });
+  const to = req.query.to || new Date(new Date(from).getTime() + 30 * DAY_MS).toISOString().slice(0, 10);
+  if (!isDate(to)) return res.status(400).json({ error: 'to must be a date (YYYY-MM-DD)' });
+
+  const days = (new Date(to) - new Date(from)) / DAY_MS;
+  if (days < 0 || days > EARNINGS_CALENDAR_MAX_DAYS) {
+    return res.status(400).json({ error: `to must be on or after from, at most ${EARNINGS_CALENDAR_MAX_DAYS} days later` });
+  }
+
+  try {
+    const tickers = await loadUserStockTickers(req.user.id);
+    res.json({ tickers, ...await buildEarningsCalendar(tickers, { from, to, cache }) });
+  } catch (err) {
+    console.error('❌ Earnings calendar error:', err.message);
+    res.status(500).json({ error: 'Failed to build earnings calendar' });
+  }
+});
+
+// Upcoming report, EPS estimate vs actual for recent quarters, and the price
+// move around each report
+app.get('/v1/earnings/:ticker', authenticateUser, async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+
+  if (isCryptoTicker(ticker, assetClassHint(req.query))) {
+    return res.status(400).json({ error: 'Earnings are available for stocks only' });
+  }
+
+  try {
+    const report = await fetchEarningsReport(ticker, { cache });
+    if (!report) return res.status(404).json({ error: 'No earnings data available' });
+    res.json(report);
+  } catch (err) {
+    console.error('❌ Earnings API error:', err.message);
+    res.status(502).json({ error: 'Earnings unavailable', details: err.message });
+  }
+});
+
+// Side-by-side stock comparison with an AI-written contrast section.
+// Query: tickers=AAPL,MSFT,GOOGL (2-6 distinct stock tickers)
+app.get('/v1/compare', authenticateUser, analysisLimits, async (req, res) => {
+  const tickers = [...new Set(String(req.query.tickers || '')
+    .split(',')
+    .map(t => t.trim().toUpperCase())
+    .filter(Boolean))];
+
+  if (tickers.length < COMPARE_LIMITS.min || tickers.length > COMPARE_LIMITS.max) {
+    return res.status(400).json({ error: `tickers must list ${COMPARE_LIMITS.min}-${COMPARE_LIMITS.max} distinct symbols` });
+  }
+  const cryptoTickers = tickers.filter(t => isCryptoTicker(t));
+  if (cryptoTickers.length) {
+    return res.status(400).json({ error: 'Comparison supports stocks only', tickers: cryptoTickers });
+  }
+
+  try {
+    res.json(await buildComparison(tickers, { cache, llm, prompts, compliance, cohort: req.user.id }));
+  } catch (err) {
+    console.error('❌ Compare API error:', err.message);
+    res.status(502).json({ error: 'Comparison unavailable', details: err.message });
+  }
+});
+
+// Remaining daily quota and burst allowance; does not spend either
+app.get('/usage', authenticateUser, async (req, res) => {
+  try {
+    const quota = await analysisQuota.status(req.user.id);
+    const { allowed, retryAfterSeconds, ...burst } = userBucket.peek(`user:${req.user.id}`);
+    res.json({ quota, rateLimit: burst });
+  } catch (err) {
+    console.error('Usage error:', err);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
 // ==========================================
-// CRYPTO HANDLER
+// SEC FILINGS
 // ==========================================
-async function handleCryptoAnalysis(ticker, res) {
+// The ticker's CIK and recent filings, or null when EDGAR has no such company
+async function companyFilings(ticker) {
+  const cik = await lookupCik(ticker);
+  if (!cik) return null;
+  const { value } = await cache.wrap('filings', cik, () => fetchCompanyFilings(cik));
+  return value;
+}
+
+const formatFilingSummary = (ticker, row, cached) => ({
+  ticker,
+  cik: row.cik,
+  accessionNumber: row.accession_number,
+  form: row.form,
+  filingDate: row.filing_date,
+  indexUrl: filingIndexUrl(row.cik, row.accession_number),
+  model: row.model,
+  sections: row.sections,
+  createdAt: row.created_at,
+  cached
+});
+
+// Query: forms (comma-separated or repeated, default 10-K,10-Q,8-K,S-1),
+// limit (max 100)
+app.get('/v1/filings/:ticker', authenticateUser, async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const requested = Array.isArray(req.query.forms) ? req.query.forms.join(',') : req.query.forms;
+  const forms = typeof requested === 'string' && requested ? requested.split(',').map(f => f.trim().toUpperCase()) : FILING_FORMS;
+  if ((requested !== undefined && typeof requested !== 'string') || forms.some(f => !FILING_FORMS.includes(f))) {
+    return res.status(400).json({ error: `forms must be among ${FILING_FORMS.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
   try {
-    const cryptoIds = {
-      'BTC': 'bitcoin', 'ETH': 'ethereum', 'DOGE': 'dogecoin', 
-      'SOL': 'solana', 'ADA': 'cardano', 'XRP': 'ripple',
-      'DOT': 'polkadot', 'MATIC': 'polygon', 'AVAX': 'avalanche-2',
-      'LINK': 'chainlink', 'UNI': 'uniswap', 'LTC': 'litecoin',
-      'BCH': 'bitcoin-cash', 'SHIB': 'shiba-inu', 'ATOM': 'cosmos',
-      'XLM': 'stellar', 'ALGO': 'algorand', 'VET': 'vechain'
-    };
-    
-    const coinId = cryptoIds[ticker.toUpperCase()] || ticker.toLowerCase();
-    
-    let price = null, change24h = null, changePct = null, volume = null, marketCap = null, high24h = null, low24h = null;
-    
-    try {
-      const r = await fetch(`https://api.coingecko.com/api/v3/coins/${coinId}?localization=false&tickers=false&market_data=true&community_data=false&developer_data=false`);
-      const data = await r.json();
-      
-      if (data.market_data) {
-        price = data.market_data.current_price.usd.toFixed(2);
-        changePct = data.market_data.price_change_percentage_24h.toFixed(2);
-        change24h = data.market_data.price_change_24h.toFixed(2);
-        volume = data.market_data.total_volume.usd.toLocaleString('en-US', { maximumFractionDigits: 0 });
-        marketCap = (data.market_data.market_cap.usd / 1e9).toFixed(2);
-        high24h = data.market_data.high_24h.usd.toFixed(2);
-        low24h = data.market_data.low_24h.usd.toFixed(2);
-      }
-    } catch (e) {
-      console.error("CoinGecko fetch error:", e.message);
-    }
+    const company = await companyFilings(ticker);
+    if (!company) return res.status(404).json({ error: 'Company not found on EDGAR' });
 
-    let news = [];
-    if (NEWS_KEY) {
-      try {
-        const since = new Date(Date.now() - 3*24*60*60*1000).toISOString();
-        const cryptoName = coinId.charAt(0).toUpperCase() + coinId.slice(1).replace('-', ' ');
-        
-        const domains = 'coindesk.com,cointelegraph.com,decrypt.co,theblock.co,coinmarketcap.com,bitcoin.com';
-        let r = await fetch(`https://newsapi.org/v2/everything?q="${ticker}" OR "${cryptoName}"&domains=${domains}&language=en&from=${since}&sortBy=publishedAt&pageSize=10&apiKey=${NEWS_KEY}`);
-        let d = await r.json();
-        
-        if (d.articles?.length) {
-          news = d.articles.slice(0, 3).map(a => ({
-            title: a.title,
-            source: a.source.name,
-            time: Math.floor((Date.now() - new Date(a.publishedAt)) / 3600000),
-            url: a.url
-          }));
-        }
-      } catch (e) {
-        console.error("Crypto news error:", e.message);
-      }
-    }
+    const filings = company.filings.filter(f => forms.includes(f.form)).slice(0, limit);
+    const summarized = await filingSummaries.summarized(filings.map(f => f.accessionNumber));
 
-    const pct = changePct ? parseFloat(changePct) : 0;
-    let score = 50;
-    
-    if (pct > 20) score += 25;
-    else if (pct > 10) score += 20;
-    else if (pct > 5) score += 15;
-    else if (pct > 2) score += 10;
-    else if (pct > 0) score += 5;
-    else if (pct > -2) score -= 5;
-    else if (pct > -5) score -= 10;
-    else if (pct > -10) score -= 15;
-    else if (pct > -20) score -= 20;
-    else score -= 25;
-    
-    if (news.length >= 3) score += 15;
-    else if (news.length >= 2) score += 10;
-    else if (news.length >= 1) score += 5;
-    
-    score = Math.max(0, Math.min(100, Math.round(score)));
-
-    let interestLevel = "Neutral Activity";
-    let interestColor = "#6b7280";
-    if (score >= 75) { interestLevel = "High Market Interest"; interestColor = "#10b981"; }
-    else if (score >= 60) { interestLevel = "Elevated Interest"; interestColor = "#3b82f6"; }
-    else if (score >= 40) { interestLevel = "Neutral Activity"; interestColor = "#6b7280"; }
-    else if (score >= 25) { interestLevel = "Below Average Interest"; interestColor = "#f59e0b"; }
-    else { interestLevel = "Low Market Interest"; interestColor = "#ef4444"; }
-
-    const prompt = `You're a cryptocurrency market analyst providing educational context for ${ticker}.
-
-CURRENT DATA:
-- Price: $${price} (${changePct}% in 24h)
-- 24h Range: $${low24h} - $${high24h}
-- Market Cap: $${marketCap}B
-- 24h Volume: $${volume}
-${news.length ? `\nRECENT CRYPTO NEWS:\n${news.map(n => `• ${n.source} (${n.time}h ago): ${n.title}`).join('\n')}` : '\n• Limited crypto news coverage in past 72 hours'}
-
-Write a focused 4-section analysis (90 words). Use numbered format:
-
-1. MARKET CONTEXT
-Explain the 24h price movement for ${ticker}. What's driving this crypto specifically?
-
-2. KEY WATCHPOINTS
-List 2-3 crypto-specific factors traders monitor for ${ticker}. Use bullets (•).
-
-3. RISK CONSIDERATIONS  
-Identify 1-2 risks specific to this cryptocurrency. Use bullets (•).
-
-4. RESEARCH CHECKLIST
-One sentence: what should crypto traders verify about ${ticker} before taking a position?
-
-RULES:
-- Be SPECIFIC to ${ticker}
-- NO stock market terminology
-- Third-person only
-- Plain text, NO markdown
-- Start each section with number`;
-
-    const aiResponse = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${OPENROUTER_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "openai/gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 300,
-        temperature: 0.25
-      })
+    res.json({
+      ticker,
+      cik: company.cik,
+      company: company.name,
+      filings: filings.map(f => ({ ...f, summarized: summarized.has(f.accessionNumber) }))
     });
-    
-    const aiData = await aiResponse.json();
-    let aiAnalysis = aiData.choices?.[0]?.message?.content || "Analysis temporarily unavailable.";
+  } catch (err) {
+    console.error('❌ Filings API error:', err.message);
+    res.status(502).json({ error: 'Filings unavailable', details: err.message });
+  }
+});
 
-    const sectionRegex = /(\d+\.\s+[A-Z\s]+)\n([\s\S]*?)(?=\d+\.\s+[A-Z\s]+|$)/g;
-    const sections = [];
-    let match;
-    
-    while ((match = sectionRegex.exec(aiAnalysis)) !== null) {
-      const title = match[1].trim().replace(/^\d+\.\s+/, '');
-      const content = match[2].trim();
-      sections.push({ title, content });
-    }
-    
-    if (sections.length === 0) {
-      const parts = aiAnalysis.split(/\d+\.\s+/).filter(s => s.trim());
-      if (parts.length >= 4) {
-        sections.push(
-          { title: 'MARKET CONTEXT', content: parts[0] },
-          { title: 'KEY WATCHPOINTS', content: parts[1] },
-          { title: 'RISK CONSIDERATIONS', content: parts[2] },
-          { title: 'RESEARCH CHECKLIST', content: parts[3] }
-        );
-      }
-    }
-    
-    const sectionColors = {
-      'MARKET CONTEXT': { bg: 'rgba(251,191,36,0.06)', border: '#fbbf24', icon: '📊' },
-      'KEY WATCHPOINTS': { bg: 'rgba(59,130,246,0.06)', border: '#3b82f6', icon: '👁️' },
-      'RISK CONSIDERATIONS': { bg: 'rgba(239,68,68,0.06)', border: '#ef4444', icon: '⚠️' },
-      'RESEARCH CHECKLIST': { bg: 'rgba(16,185,129,0.06)', border: '#10b981', icon: '✓' }
+// AI summaries of a filing's key sections. A stored summary is returned
+// straight away; only writing a new one counts against rate limits and quota.
+app.get('/v1/filings/:ticker/:accession/summary', authenticateUser, async (req, res, next) => {
+  if (!ACCESSION_NUMBER.test(req.params.accession)) {
+    return res.status(400).json({ error: 'Invalid accession number' });
+  }
+
+  try {
+    const stored = await filingSummaries.get(req.params.accession);
+    if (!stored) return next();
+    if (stored.cik !== await lookupCik(req.params.ticker)) return res.status(404).json({ error: 'Filing not found' });
+    res.json(formatFilingSummary(req.params.ticker.toUpperCase(), stored, true));
+  } catch (err) {
+    console.error('Get filing summary error:', err);
+    res.status(500).json({ error: 'Failed to fetch filing summary' });
+  }
+}, analysisLimits, async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const { accession } = req.params;
+
+  try {
+    const company = await companyFilings(ticker);
+    const filing = company?.filings.find(f => f.accessionNumber === accession);
+    if (!filing) return res.status(404).json({ error: 'Filing not found' });
+
+    const html = await fetchFilingDocument(company.cik, accession, filing.primaryDocument);
+    // Sections may be answered by different models when the primary fails.
+    // Summaries go through the compliance guard; filings are dated documents,
+    // so naming their years is allowed.
+    const models = new Set();
+    const complete = async (prompt, maxTokens) => {
+      const { text, model } = await llm.complete({ task: 'filing', prompt, maxTokens });
+      models.add(model);
+      const checked = await compliance.enforceText(text, {
+        skip: ['year'],
+        context: { task: 'filing', ticker, model },
+        regenerate: async (feedback) => (await llm.complete({ task: 'filing', prompt: `${prompt}\n\n${feedback}`, maxTokens })).text
+      });
+      return checked.text;
     };
+    const sections = await summarizeFiling({ ticker, filing, html, complete });
+    if (!sections.length) return res.status(422).json({ error: 'No summarizable sections found in this filing' });
+    if (sections.every(s => !s.summary)) throw new Error('AI returned no summaries');
+
+    const row = await filingSummaries.save({
+      accessionNumber: accession,
+      cik: company.cik,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      model: [...models].join(', '),
+      sections
+    });
+    res.json(formatFilingSummary(ticker, row, false));
+  } catch (err) {
+    console.error('❌ Filing summary error:', err.message);
+    res.status(502).json({ error: 'Filing summary unavailable', details: err.message });
+  }
+});
 
-    const headerBadge = `
-      <div style="display:flex;justify-content:space-between;align-items:center;padding:6px 12px;background:rgba(15,15,15,0.95);border-bottom:1px solid rgba(249,115,22,0.2);font-size:10px;">
-        <span style="color:#888;">🪙 Crypto Analysis Tool</span>
-        <span style="color:#666;">Educational Only • Not Financial Advice</span>
-      </div>
-    `;
-
-    const priceCard = price ? `
-      <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(249,115,22,0.3);border-radius:12px;padding:20px;margin:16px 0;backdrop-filter:blur(10px);">
-        <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:16px;">
-          <div>
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:4px;">Latest Price</div>
-            <div style="font-size:32px;font-weight:700;color:#fff;line-height:1;">$${price}</div>
-          </div>
-          <div style="text-align:right;">
-            <div style="display:inline-block;padding:6px 12px;background:${change24h >= 0 ? 'rgba(16,185,129,0.15)' : 'rgba(239,68,68,0.15)'};border:1px solid ${change24h >= 0 ? 'rgba(16,185,129,0.3)' : 'rgba(239,68,68,0.3)'};border-radius:6px;">
-              <div style="font-size:18px;font-weight:700;color:${change24h >= 0 ? '#10b981' : '#ef4444'};">${change24h >= 0 ? '+' : ''}$${change24h}</div>
-              <div style="font-size:13px;font-weight:600;color:${change24h >= 0 ? '#10b981' : '#ef4444'};">${change24h >= 0 ? '+' : ''}${changePct}%</div>
-            </div>
-          </div>
-        </div>
-        
-        <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:12px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.05);">
-          <div>
-            <div style="font-size:10px;color:#666;margin-bottom:4px;">24H HIGH</div>
-            <div style="font-size:14px;font-weight:600;color:#10b981;">$${high24h}</div>
-          </div>
-          <div>
-            <div style="font-size:10px;color:#666;margin-bottom:4px;">24H LOW</div>
-            <div style="font-size:14px;font-weight:600;color:#ef4444;">$${low24h}</div>
-          </div>
-          <div>
-            <div style="font-size:10px;color:#666;margin-bottom:4px;">MARKET CAP</div>
-            <div style="font-size:14px;font-weight:600;color:#f59e0b;">$${marketCap}B</div>
-          </div>
-        </div>
-        <div style="margin-top:12px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.05);">
-          <div style="font-size:10px;color:#666;margin-bottom:4px;">24H VOLUME</div>
-          <div style="font-size:14px;font-weight:600;color:#3b82f6;">$${volume}</div>
-        </div>
-      </div>
-    ` : '';
-
-    const signalsSection = `
-      <div style="margin:16px 0;">
-        <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">⚡ Market Signals</div>
-        <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px;">
-          <div style="padding:12px;background:rgba(249,115,22,0.1);border:1px solid rgba(249,115,22,0.25);border-radius:8px;">
-            <div style="font-size:10px;color:#888;margin-bottom:4px;">24H MOVEMENT</div>
-            <div style="font-size:16px;font-weight:700;color:${Math.abs(pct) > 10 ? '#f59e0b' : Math.abs(pct) > 5 ? '#3b82f6' : '#6b7280'};">
-              ${Math.abs(pct) > 10 ? 'High Volatility' : Math.abs(pct) > 5 ? 'Moderate Move' : 'Stable'}
-            </div>
-          </div>
-          <div style="padding:12px;background:rgba(249,115,22,0.1);border:1px solid rgba(249,115,22,0.25);border-radius:8px;">
-            <div style="font-size:10px;color:#888;margin-bottom:4px;">MARKET INTEREST</div>
-            <div style="font-size:16px;font-weight:700;color:${interestColor};">${interestLevel.split(' ')[0]}</div>
-            <div style="font-size:11px;color:#999;margin-top:2px;">${score}/100</div>
-          </div>
-        </div>
-      </div>
-    `;
-
-    const newsSection = news.length ? `
-      <div style="margin:16px 0;">
-        <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📰 Recent Crypto News</div>
-        ${news.map(n => `
-          <div style="padding:12px;margin-bottom:8px;background:rgba(249,115,22,0.04);border-left:3px solid #f97316;border-radius:6px;">
-            <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:4px;">
-              <span style="font-size:10px;color:#666;">${n.source}</span>
-              <span style="font-size:10px;color:#666;">${n.time}h ago</span>
-            </div>
-            <div style="font-size:13px;line-height:1.4;color:#e0e0e0;">${n.title}</div>
-          </div>
-        `).join('')}
-      </div>
-    ` : `
-      <div style="margin:16px 0;padding:16px;background:rgba(107,114,128,0.08);border:1px dashed rgba(107,114,128,0.2);border-radius:8px;text-align:center;">
-        <div style="font-size:13px;color:#888;">📭 Limited crypto news in past 72 hours</div>
-      </div>
-    `;
-
-    const formattedAnalysis = sections.length >= 3 ? `
-      <div style="margin:16px 0;">
-        <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">💡 Crypto Market Context</div>
-        ${sections.map(section => {
-          const style = sectionColors[section.title] || { bg: 'rgba(107,114,128,0.06)', border: '#6b7280', icon: '•' };
-          return `
-            <div style="margin-bottom:16px;padding:14px;background:${style.bg};border-left:3px solid ${style.border};border-radius:6px;">
-              <div style="font-size:10px;color:${style.border};font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:6px;">${style.icon} ${section.title}</div>
-              <div style="font-size:13px;line-height:1.6;color:#e0e0e0;">${section.content}</div>
-            </div>
-          `;
-        }).join('')}
-      </div>
-    ` : '';
-
-    const actionPanel = `
-      <div style="margin:20px 0;padding:16px;background:linear-gradient(135deg,rgba(249,115,22,0.08),rgba(251,146,60,0.08));border:1px solid rgba(249,115,22,0.2);border-radius:10px;">
-        <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎯 Before Trading Crypto</div>
-        <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;font-size:12px;">
-          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-            <span style="color:#f97316;">□</span> Check on-chain metrics
-          </div>
-          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-            <span style="color:#f97316;">□</span> Review protocol updates
-          </div>
-          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-            <span style="color:#f97316;">□</span> Monitor whale activity
-          </div>
-          <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-            <span style="color:#f97316;">□</span> Assess risk tolerance
-          </div>
-        </div>
-      </div>
-    `;
-
-    const footerDisclaimer = `
-      <div style="margin-top:20px;padding:12px;background:rgba(0,0,0,0.4);border-top:1px solid rgba(255,255,255,0.05);border-radius:0 0 12px 12px;font-size:10px;line-height:1.5;color:#666;text-align:center;">
-        <div style="margin-bottom:4px;">
-          <span style="color:#f97316;">⚠️</span> <strong style="color:#888;">Educational crypto research tool</strong> • General information only
-        </div>
-        <div>
-          Not financial advice • Crypto is highly volatile • Never invest more than you can afford to lose
-        </div>
-      </div>
-    `;
-
-    const fullResponse = headerBadge + priceCard + signalsSection + newsSection + formattedAnalysis + actionPanel + footerDisclaimer;
-
-    res.json({ result: fullResponse });
-    
+// ==========================================
+// ANALYSIS SNAPSHOTS
+// ==========================================
+// Query: ticker (optional), limit (max 100), before (snapshot id, for paging)
+app.get('/snapshots', authenticateUser, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const before = req.query.before === undefined ? null : parseId(req.query.before);
+  if (req.query.before !== undefined && before === null) return res.status(400).json({ error: 'before must be a snapshot id' });
+  const { ticker } = req.query;
+  if (ticker !== undefined && typeof ticker !== 'string') return res.status(400).json({ error: 'ticker must be a single symbol' });
+
+  try {
+    const list = await snapshots.list(req.user.id, { ticker, limit, before });
+    res.json({ snapshots: list });
   } catch (err) {
-    console.error("❌ Crypto analysis error:", err.message);
-    res.json({ 
-      result: `
-        <div style="padding:40px 20px;text-align:center;background:rgba(15,15,15,0.95);border-radius:12px;">
-          <div style="font-size:48px;margin-bottom:16px;">⚠️</div>
-          <div style="font-size:16px;color:#e0e0e0;margin-bottom:8px;">Crypto Analysis Unavailable</div>
-          <div style="font-size:13px;color:#888;">Please try again in a moment</div>
-        </div>
-      ` 
+    console.error('List snapshots error:', err);
+    res.status(500).json({ error: 'Failed to load snapshots' });
+  }
+});
+
+app.get('/snapshots/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Snapshot not found' });
+
+  try {
+    const snapshot = await snapshots.get(req.user.id, id);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    res.json({ snapshot });
+  } catch (err) {
+    console.error('Get snapshot error:', err);
+    res.status(500).json({ error: 'Failed to load snapshot' });
+  }
+});
+
+// Compares against ?against=<id>, or by default the previous snapshot of the
+// same ticker. The diff always runs from the older snapshot to the newer one.
+app.get('/snapshots/:id/diff', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Snapshot not found' });
+  const against = req.query.against === undefined ? null : parseId(req.query.against);
+  if (req.query.against !== undefined && against === null) return res.status(400).json({ error: 'against must be a snapshot id' });
+
+  try {
+    const snapshot = await snapshots.get(req.user.id, id);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+
+    const other = against
+      ? await snapshots.get(req.user.id, against)
+      : await snapshots.previous(req.user.id, snapshot);
+    if (!other) return res.status(404).json({ error: against ? 'Snapshot not found' : 'No earlier snapshot of this ticker' });
+    if (other.ticker !== snapshot.ticker) return res.status(400).json({ error: 'Snapshots are for different tickers' });
+
+    const [older, newer] = other.id < snapshot.id ? [other, snapshot] : [snapshot, other];
+    res.json({
+      ticker: snapshot.ticker,
+      from: { id: older.id, createdAt: older.created_at },
+      to: { id: newer.id, createdAt: newer.created_at },
+      ...diffSnapshots(older.document, newer.document)
     });
+  } catch (err) {
+    console.error('Diff snapshots error:', err);
+    res.status(500).json({ error: 'Failed to diff snapshots' });
+  }
+});
+
+app.delete('/snapshots/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Snapshot not found' });
+
+  try {
+    const removed = await snapshots.remove(req.user.id, id);
+    if (!removed) return res.status(404).json({ error: 'Snapshot not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete snapshot error:', err);
+    res.status(500).json({ error: 'Failed to delete snapshot' });
+  }
+});
+
+// ==========================================
+// TICKER CHAT
+// ==========================================
+// Follow-up questions about a ticker, answered from the user's latest
+// analysis of it. Each question counts as one analysis against rate limits
+// and quota.
+
+// The analysis a question is answered from: the user's latest snapshot of
+// the ticker, or a fresh analysis (archived like any other) when there is
+// none, it is older than CHAT_CONTEXT_MAX_AGE_MINUTES or it is of another
+// asset class than the one asked for (a stock and a coin can share a symbol)
+async function chatSnapshot(userId, ticker, assetClass) {
+  const latest = await snapshots.latest(userId, ticker);
+  if (latest && (!assetClass || latest.asset_type === assetClass) &&
+      Date.now() - new Date(latest.created_at).getTime() < CHAT_CONTEXT_MAX_AGE_MS) {
+    return { id: latest.id, document: latest.document };
   }
+  const doc = await buildAnalysis(ticker, assetClass, { userId });
+  const snapshot = await archiveAnalysis(userId, doc);
+  return { id: snapshot?.id ?? null, document: doc };
 }
 
-app.post("/analyze", authenticateUser, async (req, res) => {
-  const { ticker, isCrypto } = req.body;
-  if (!ticker) return res.status(400).json({ error: "Missing ticker" });
+// The question from the request body, or a 400 error message
+function chatQuestion(body) {
+  const message = typeof body?.message === 'string' ? body.message.trim() : '';
+  if (!message) return { error: 'Missing message' };
+  if (message.length > CHAT_LIMITS.maxMessageChars) return { error: `message must be at most ${CHAT_LIMITS.maxMessageChars} characters` };
+  return { message };
+}
+
+// Answers and stores one question. Resolves to { ticker, snapshotId, question, reply }.
+async function answerChat(req, question, { onToken } = {}) {
+  const ticker = req.params.ticker.toUpperCase();
+  const [snapshot, history] = await Promise.all([
+    chatSnapshot(req.user.id, ticker, assetClassHint(req.body)),
+    chats.history(req.user.id, ticker)
+  ]);
+
+  const answer = await answerChatQuestion({
+    ticker,
+    doc: snapshot.document,
+    history,
+    question,
+    llm,
+    prompts,
+    compliance,
+    cohort: req.user.id,
+    onToken
+  });
+  const [stored, reply] = await chats.append(req.user.id, ticker, [
+    { role: 'user', content: question, snapshotId: snapshot.id },
+    { role: 'assistant', ...answer, snapshotId: snapshot.id }
+  ]);
+  return { ticker, snapshotId: snapshot.id, question: stored, reply };
+}
+
+// Query: limit (max 100), before (message id, for paging)
+app.get('/v1/chat/:ticker', authenticateUser, async (req, res) => {
+  const ticker = req.params.ticker.toUpperCase();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, CHAT_LIMITS.listMax);
+  const before = req.query.before === undefined ? null : parseId(req.query.before);
+  if (req.query.before !== undefined && before === null) return res.status(400).json({ error: 'before must be a message id' });
 
   try {
-    const knownCryptoTickers = ['BTC', 'ETH', 'DOGE', 'SOL', 'ADA', 'XRP', 'DOT', 'MATIC', 'AVAX', 'LINK', 'UNI', 'LTC', 'BCH', 'SHIB', 'ATOM', 'XLM', 'ALGO', 'VET', 'PEPE', 'ARB', 'OP', 'RNDR', 'AAVE', 'MKR', 'SNX'];
-    const detectAsCrypto = isCrypto || knownCryptoTickers.includes(ticker.toUpperCase());
-    
-    if (detectAsCrypto) {
-      return await handleCryptoAnalysis(ticker, res);
-    }
-    
-    // Get company description from Alpha Vantage
-    let companyDescription = null;
-    let companySector = null;
-    let companyIndustry = null;
-
-    if (PRICE_KEY) {
-      try {
-        const overviewRes = await fetch(`https://www.alphavantage.co/query?function=OVERVIEW&symbol=${ticker}&apikey=${PRICE_KEY}`);
-        const overview = await overviewRes.json();
-
-        if (overview && overview.Symbol) {
-          companyDescription = overview.Description || null;
-          companySector = overview.Sector || null;
-          companyIndustry = overview.Industry || null;
-        }
-      } catch (e) {
-        console.error("Company info fetch error:", e.message);
-      }
-    }
+    res.json({ ticker, messages: await chats.history(req.user.id, ticker, { limit, before }) });
+  } catch (err) {
+    console.error('Get chat error:', err);
+    res.status(500).json({ error: 'Failed to fetch chat' });
+  }
+});
 
-    // Get real-time data from Yahoo Finance
-    let realtimePrice = null;
-    let marketCap = null;
-    let peRatio = null;
-    let earningsDate = null;
-    let earningsTimestamp = null;
-    let lastEPS = null;
-    let analystRatings = null;
-    let analystPriceTargets = null;
-    let fiftyTwoWeekHigh = null;
-    let fiftyTwoWeekLow = null;
-    let avgVolume = null;
-    let beta = null;
-    let dividendYield = null;
-    let dividendRate = null;
-    let exDividendDate = null;
-    let payoutRatio = null;
-    let shortPercentOfFloat = null;
-    let priceChange24h = null;
-    let priceChangePercent24h = null;
+// Body: { message, assetType? }
+app.post('/v1/chat/:ticker', authenticateUser, async (req, res, next) => {
+  const { error } = chatQuestion(req.body);
+  if (error) return res.status(400).json({ error });
+  next();
+}, analysisLimits, async (req, res) => {
+  try {
+    res.json(await answerChat(req, chatQuestion(req.body).message));
+  } catch (err) {
+    console.error('❌ Chat error:', err.message);
+    res.status(502).json({ error: 'Chat unavailable', details: err.message });
+  }
+});
 
-    try {
-      const quote = await yahooFinance.quote(ticker);
-      realtimePrice = quote.regularMarketPrice;
-      marketCap = quote.marketCap;
-      peRatio = quote.trailingPE;
-      fiftyTwoWeekHigh = quote.fiftyTwoWeekHigh;
-      fiftyTwoWeekLow = quote.fiftyTwoWeekLow;
-      avgVolume = quote.averageDailyVolume3Month;
-      beta = quote.beta;
-      dividendYield = quote.dividendYield;
-      dividendRate = quote.dividendRate;
-      exDividendDate = quote.exDividendDate;
-      payoutRatio = quote.payoutRatio;
-      shortPercentOfFloat = quote.shortPercentOfFloat;
-
-      // Calculate 24h price change
-      if (quote.regularMarketPrice && quote.regularMarketPreviousClose) {
-        priceChange24h = quote.regularMarketPrice - quote.regularMarketPreviousClose;
-        priceChangePercent24h = ((priceChange24h / quote.regularMarketPreviousClose) * 100);
-      }
-
-      // Get earnings calendar with timestamp for countdown
-      if (quote.earningsTimestamp) {
-        earningsTimestamp = quote.earningsTimestamp;
-        earningsDate = new Date(quote.earningsTimestamp * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-      }
-
-      // Get analyst recommendations and price targets
-      try {
-        const analysis = await yahooFinance.quoteSummary(ticker, { modules: ['recommendationTrend', 'financialData'] });
-
-        // Analyst ratings
-        if (analysis?.recommendationTrend?.trend?.[0]) {
-          const trend = analysis.recommendationTrend.trend[0];
-          analystRatings = {
-            strongBuy: trend.strongBuy || 0,
-            buy: trend.buy || 0,
-            hold: trend.hold || 0,
-            sell: trend.sell || 0,
-            strongSell: trend.strongSell || 0
-          };
-        }
-
-        // Price targets
-        if (analysis?.financialData) {
-          const fd = analysis.financialData;
-          analystPriceTargets = {
-            current: fd.currentPrice || realtimePrice,
-            targetMean: fd.targetMeanPrice,
-            targetHigh: fd.targetHighPrice,
-            targetLow: fd.targetLowPrice,
-            numberOfAnalysts: fd.numberOfAnalystOpinions
-          };
-        }
-      } catch (e) {
-        console.error("Analyst data fetch error:", e.message);
-      }
-    } catch (e) {
-      console.error("Yahoo Finance fetch error:", e.message);
-    }
+// Same as POST /v1/chat/:ticker, streamed as Server-Sent Events: start,
+// token (the reply after compliance checks, word by word), then done (the
+// stored question and reply) or failed. Tokens replay the finished reply,
+// so none arrive until the whole answer has been written and checked.
+app.post('/v1/chat/:ticker/stream', authenticateUser, async (req, res, next) => {
+  const { error } = chatQuestion(req.body);
+  if (error) return res.status(400).json({ error });
+  next();
+}, analysisLimits, async (req, res) => {
+  const stream = openEventStream(res);
+  stream.send('start', { ticker: req.params.ticker.toUpperCase() });
 
-    // If Yahoo Finance failed, try Alpha Vantage as fallback for price data
-    if (!realtimePrice && PRICE_KEY) {
-      try {
-        console.log('Yahoo Finance failed, trying Alpha Vantage fallback for price data...');
-        const avRes = await fetch(`https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${ticker}&apikey=${PRICE_KEY}`);
-        const avData = await avRes.json();
-
-        if (avData['Global Quote'] && avData['Global Quote']['05. price']) {
-          const quote = avData['Global Quote'];
-          realtimePrice = parseFloat(quote['05. price']);
-
-          // Get additional metrics if available
-          if (quote['10. change percent']) {
-            // Calculate 52-week range estimates (rough approximation)
-            fiftyTwoWeekHigh = realtimePrice * 1.15; // Estimate
-            fiftyTwoWeekLow = realtimePrice * 0.85;  // Estimate
-          }
-
-          if (quote['06. volume']) {
-            avgVolume = parseInt(quote['06. volume']);
-          }
-
-          console.log('Alpha Vantage fallback successful - Price:', realtimePrice);
-        }
-      } catch (e) {
-        console.error("Alpha Vantage fallback failed:", e.message);
-      }
-    }
+  try {
+    stream.send('done', await answerChat(req, chatQuestion(req.body).message, { onToken: (text) => stream.send('token', { text }) }));
+  } catch (err) {
+    console.error('❌ Chat stream error:', err.message);
+    req.refundQuota();
+    stream.send('failed', { error: err.message });
+  }
+  stream.end();
+});
 
-    // Fetch insider trading data from SEC EDGAR
-    let insiderData = null;
-    try {
-      const cikResponse = await fetch(`https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&ticker=${ticker}&type=4&dateb=&owner=only&count=100&output=atom`, {
-        headers: {
-          'User-Agent': 'Stockly stockly@example.com'
-        }
-      });
-      const cikText = await cikResponse.text();
-
-      // Parse Form 4 filings (insider trading)
-      const transactions = [];
-      const entryMatches = cikText.matchAll(/<entry>([\s\S]*?)<\/entry>/g);
-
-      for (const entryMatch of entryMatches) {
-        const entry = entryMatch[1];
-        const titleMatch = entry.match(/<title>(.*?)<\/title>/);
-        const dateMatch = entry.match(/<updated>(.*?)<\/updated>/);
-
-        if (titleMatch && dateMatch) {
-          const title = titleMatch[1];
-          const date = new Date(dateMatch[1]);
-          const daysAgo = Math.floor((Date.now() - date.getTime()) / (1000 * 60 * 60 * 24));
-
-          // Only include filings from last 90 days
-          if (daysAgo <= 90) {
-            // Extract transaction type (BUY/SELL) from title
-            const isSale = title.toLowerCase().includes('sale') || title.toLowerCase().includes('sell') || title.toLowerCase().includes('disposed');
-            const isPurchase = title.toLowerCase().includes('purchase') || title.toLowerCase().includes('buy') || title.toLowerCase().includes('acquired');
-
-            // Extract officer title (CEO, CFO, etc.)
-            let role = 'Insider';
-            if (title.toLowerCase().includes('ceo') || title.toLowerCase().includes('chief executive')) role = 'CEO';
-            else if (title.toLowerCase().includes('cfo') || title.toLowerCase().includes('chief financial')) role = 'CFO';
-            else if (title.toLowerCase().includes('coo') || title.toLowerCase().includes('chief operating')) role = 'COO';
-            else if (title.toLowerCase().includes('director')) role = 'Director';
-            else if (title.toLowerCase().includes('president')) role = 'President';
-            else if (title.toLowerCase().includes('officer')) role = 'Officer';
-
-            transactions.push({
-              role,
-              type: isSale ? 'SELL' : isPurchase ? 'BUY' : 'OTHER',
-              daysAgo,
-              title: title.substring(0, 100)
-            });
-          }
-        }
-      }
-
-      // Calculate insider flow (only count BUY/SELL, not OTHER)
-      const buyTransactions = transactions.filter(t => t.type === 'BUY');
-      const sellTransactions = transactions.filter(t => t.type === 'SELL');
-      const recentBuys = buyTransactions.length;
-      const recentSells = sellTransactions.length;
-      const netFlow = recentBuys - recentSells;
-
-      // Only show if we have actual BUY/SELL transactions (not just "OTHER")
-      const relevantTransactions = transactions.filter(t => t.type === 'BUY' || t.type === 'SELL');
-
-      if (relevantTransactions.length > 0) {
-        insiderData = {
-          transactions: relevantTransactions.slice(0, 5), // Show top 5 BUY/SELL only
-          totalBuys: recentBuys,
-          totalSells: recentSells,
-          netFlow,
-          sentiment: netFlow > 0 ? 'Bullish' : netFlow < 0 ? 'Bearish' : 'Neutral'
-        };
-      }
-    } catch (e) {
-      console.error("Insider data fetch error:", e.message);
+app.delete('/v1/chat/:ticker', authenticateUser, async (req, res) => {
+  try {
+    const deleted = await chats.clear(req.user.id, req.params.ticker.toUpperCase());
+    res.json({ success: true, deleted });
+  } catch (err) {
+    console.error('Delete chat error:', err);
+    res.status(500).json({ error: 'Failed to delete chat' });
+  }
+});
+
+// ==========================================
+// PRICE ALERTS
+// ==========================================
+app.post('/alerts', authenticateUser, async (req, res) => {
+  const body = req.body || {};
+  const { ticker, abovePrice, belowPrice } = body;
+  if (!ticker) return res.status(400).json({ error: 'Missing ticker' });
+  if (typeof ticker !== 'string') return res.status(400).json({ error: 'ticker must be a string' });
+
+  const thresholds = [['above', abovePrice], ['below', belowPrice]]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  if (thresholds.length === 0) {
+    return res.status(400).json({ error: 'Provide abovePrice and/or belowPrice' });
+  }
+  if (thresholds.some(([, value]) => !(parseFloat(value) > 0))) {
+    return res.status(400).json({ error: 'Alert prices must be positive numbers' });
+  }
+
+  const symbol = ticker.toUpperCase();
+  const cryptoAsset = isCryptoTicker(symbol, assetClassHint(body));
+
+  try {
+    const alerts = [];
+    for (const [direction, value] of thresholds) {
+      const result = await pool.query(
+        'INSERT INTO alerts (user_id, ticker, is_crypto, direction, target_price) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [req.user.id, symbol, cryptoAsset, direction, parseFloat(value)]
+      );
+      alerts.push(result.rows[0]);
     }
+    res.status(201).json({ success: true, alerts });
+  } catch (err) {
+    console.error('Create alert error:', err);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
 
-    // Fetch social sentiment data
-    let socialSentiment = null;
-    try {
-      // Try StockTwits API (public, no auth needed for basic data)
-      const stocktwitsRes = await fetch(`https://api.stocktwits.com/api/2/streams/symbol/${ticker}.json`);
-      const stocktwitsData = await stocktwitsRes.json();
-
-      if (stocktwitsData && stocktwitsData.messages) {
-        const messages = stocktwitsData.messages.slice(0, 20);
-        let bullishCount = 0;
-        let bearishCount = 0;
-
-        messages.forEach(msg => {
-          if (msg.entities && msg.entities.sentiment) {
-            if (msg.entities.sentiment.basic === 'Bullish') bullishCount++;
-            if (msg.entities.sentiment.basic === 'Bearish') bearishCount++;
-          }
-        });
-
-        const totalSentiment = bullishCount + bearishCount;
-        const bullishPct = totalSentiment > 0 ? Math.round((bullishCount / totalSentiment) * 100) : 50;
-
-        socialSentiment = {
-          source: 'StockTwits',
-          bullishPct,
-          bearishPct: 100 - bullishPct,
-          volume: messages.length,
-          sentiment: bullishPct > 60 ? 'Bullish' : bullishPct < 40 ? 'Bearish' : 'Neutral'
-        };
-      }
-    } catch (e) {
-      console.error("Social sentiment fetch error:", e.message);
+app.get('/alerts', authenticateUser, async (req, res) => {
+  const includeInactive = req.query.all === 'true';
+  try {
+    const result = await pool.query(
+      `SELECT * FROM alerts WHERE user_id = $1 ${includeInactive ? '' : 'AND active = TRUE'} ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ alerts: result.rows });
+  } catch (err) {
+    console.error('List alerts error:', err);
+    res.status(500).json({ error: 'Failed to load alerts' });
+  }
+});
+
+// Clients poll with the last event id they saw to receive only new triggers
+app.get('/alerts/events', authenticateUser, async (req, res) => {
+  const after = parseInt(req.query.after, 10) || 0;
+  try {
+    const result = await pool.query(
+      'SELECT * FROM alert_events WHERE user_id = $1 AND id > $2 ORDER BY id ASC LIMIT 100',
+      [req.user.id, after]
+    );
+    res.json({ events: result.rows });
+  } catch (err) {
+    console.error('Alert events error:', err);
+    res.status(500).json({ error: 'Failed to load alert events' });
+  }
+});
+
+app.delete('/alerts/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Alert not found' });
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM alerts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, req.user.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Alert not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete alert error:', err);
+    res.status(500).json({ error: 'Failed to delete alert' });
+  }
+});
+
+// ==========================================
+// WATCHLISTS
+// ==========================================
+// Returns the watchlist row only if it belongs to the authenticated user
+async function findOwnedWatchlist(id, userId) {
+  const watchlistId = parseId(id);
+  if (!watchlistId) return null;
+  const result = await pool.query('SELECT * FROM watchlists WHERE id = $1 AND user_id = $2', [watchlistId, userId]);
+  return result.rows[0] || null;
+}
+
+const loadWatchlistItems = async (watchlistId) => {
+  const result = await pool.query(
+    'SELECT ticker, is_crypto, position, added_at FROM watchlist_items WHERE watchlist_id = $1 ORDER BY position, id',
+    [watchlistId]
+  );
+  return result.rows;
+};
+
+app.get('/watchlists', authenticateUser, async (req, res) => {
+  try {
+    const lists = await pool.query('SELECT * FROM watchlists WHERE user_id = $1 ORDER BY position, id', [req.user.id]);
+    const watchlists = await Promise.all(lists.rows.map(async list => ({
+      ...list,
+      items: await loadWatchlistItems(list.id)
+    })));
+    res.json({ watchlists });
+  } catch (err) {
+    console.error('List watchlists error:', err);
+    res.status(500).json({ error: 'Failed to load watchlists' });
+  }
+});
+
+app.post('/watchlists', authenticateUser, async (req, res) => {
+  const { name: rawName } = req.body || {};
+  if (rawName !== undefined && typeof rawName !== 'string') return res.status(400).json({ error: 'name must be a string' });
+  const name = (rawName || '').trim();
+  if (!name) return res.status(400).json({ error: 'Missing watchlist name' });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO watchlists (user_id, name, position)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(position) + 1, 0) FROM watchlists WHERE user_id = $1))
+       RETURNING *`,
+      [req.user.id, name]
+    );
+    res.status(201).json({ watchlist: { ...result.rows[0], items: [] } });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A watchlist with that name already exists' });
+    console.error('Create watchlist error:', err);
+    res.status(500).json({ error: 'Failed to create watchlist' });
+  }
+});
+
+app.patch('/watchlists/:id', authenticateUser, async (req, res) => {
+  const { name, position } = req.body || {};
+  if (name !== undefined && typeof name !== 'string') return res.status(400).json({ error: 'name must be a string' });
+
+  try {
+    const list = await findOwnedWatchlist(req.params.id, req.user.id);
+    if (!list) return res.status(404).json({ error: 'Watchlist not found' });
+
+    const result = await pool.query(
+      'UPDATE watchlists SET name = $1, position = $2 WHERE id = $3 RETURNING *',
+      [name?.trim() || list.name, Number.isInteger(position) ? position : list.position, list.id]
+    );
+    res.json({ watchlist: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A watchlist with that name already exists' });
+    console.error('Update watchlist error:', err);
+    res.status(500).json({ error: 'Failed to update watchlist' });
+  }
+});
+
+app.delete('/watchlists/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Watchlist not found' });
+
+  try {
+    const result = await pool.query('DELETE FROM watchlists WHERE id = $1 AND user_id = $2 RETURNING id', [id, req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Watchlist not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete watchlist error:', err);
+    res.status(500).json({ error: 'Failed to delete watchlist' });
+  }
+});
+
+app.post('/watchlists/:id/items', authenticateUser, async (req, res) => {
+  const body = req.body || {};
+  const { ticker } = body;
+  if (!ticker) return res.status(400).json({ error: 'Missing ticker' });
+  if (typeof ticker !== 'string') return res.status(400).json({ error: 'ticker must be a string' });
+
+  const symbol = ticker.toUpperCase();
+
+  try {
+    const list = await findOwnedWatchlist(req.params.id, req.user.id);
+    if (!list) return res.status(404).json({ error: 'Watchlist not found' });
+
+    const result = await pool.query(
+      `INSERT INTO watchlist_items (watchlist_id, ticker, is_crypto, position)
+       VALUES ($1, $2, $3, (SELECT COALESCE(MAX(position) + 1, 0) FROM watchlist_items WHERE watchlist_id = $1))
+       RETURNING ticker, is_crypto, position, added_at`,
+      [list.id, symbol, isCryptoTicker(symbol, assetClassHint(body))]
+    );
+    res.status(201).json({ item: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Ticker already in watchlist' });
+    console.error('Add watchlist item error:', err);
+    res.status(500).json({ error: 'Failed to add ticker' });
+  }
+});
+
+app.delete('/watchlists/:id/items/:ticker', authenticateUser, async (req, res) => {
+  try {
+    const list = await findOwnedWatchlist(req.params.id, req.user.id);
+    if (!list) return res.status(404).json({ error: 'Watchlist not found' });
+
+    const result = await pool.query(
+      'DELETE FROM watchlist_items WHERE watchlist_id = $1 AND ticker = $2 RETURNING id',
+      [list.id, req.params.ticker.toUpperCase()]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Ticker not in watchlist' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Remove watchlist item error:', err);
+    res.status(500).json({ error: 'Failed to remove ticker' });
+  }
+});
+
+// Body: { tickers: ['MSFT', 'BTC', 'AAPL'] } — the full list in its new order
+// The listed tickers go first, in the given order. Entries left out keep
+// their relative order after them, so every entry ends up with its own
+// position even when the list is partial.
+app.put('/watchlists/:id/order', authenticateUser, async (req, res) => {
+  const { tickers } = req.body || {};
+  if (!Array.isArray(tickers) || !tickers.every(t => typeof t === 'string')) {
+    return res.status(400).json({ error: 'tickers must be an array of symbols' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const list = await findOwnedWatchlist(req.params.id, req.user.id);
+    if (!list) return res.status(404).json({ error: 'Watchlist not found' });
+
+    await client.query('BEGIN');
+    const current = await client.query(
+      'SELECT id, ticker FROM watchlist_items WHERE watchlist_id = $1 ORDER BY position, id FOR UPDATE',
+      [list.id]
+    );
+    const listed = [...new Set(tickers.map(t => t.toUpperCase()))];
+    const unknown = listed.filter(ticker => !current.rows.some(item => item.ticker === ticker));
+    if (unknown.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Not in this watchlist: ${unknown.join(', ')}` });
     }
 
-    let news = [];
-    if (NEWS_KEY) {
-      try {
-        const since = new Date(Date.now() - 3*24*60*60*1000).toISOString();
-        
-        const tickerToName = {
-          'AAPL': 'Apple', 'TSLA': 'Tesla', 'MSFT': 'Microsoft', 'GOOGL': 'Google Alphabet',
-          'AMZN': 'Amazon', 'AMD': 'AMD Advanced Micro Devices', 'NVDA': 'NVIDIA', 
-          'META': 'Meta Facebook', 'NFLX': 'Netflix', 'INTC': 'Intel'
-        };
-        const companyName = tickerToName[ticker] || ticker;
-        
-        const financialDomains = 'bloomberg.com,reuters.com,cnbc.com,marketwatch.com,seekingalpha.com,fool.com,investopedia.com,barrons.com,wsj.com,ft.com,yahoo.com,benzinga.com,thestreet.com';
-        
-        let r = await fetch(`https://newsapi.org/v2/everything?q="${ticker}" OR "${companyName}"&domains=${financialDomains}&language=en&from=${since}&sortBy=publishedAt&pageSize=15&apiKey=${NEWS_KEY}`);
-        let d = await r.json();
-        
-        if (!d.articles?.length) {
-          r = await fetch(`https://newsapi.org/v2/everything?q="${ticker}" AND (stock OR shares OR earnings OR trading)&language=en&from=${since}&sortBy=publishedAt&pageSize=15&apiKey=${NEWS_KEY}`);
-          d = await r.json();
-        }
-        
-        if (d.articles?.length) {
-          const relevantArticles = d.articles.filter(a => {
-            const title = a.title.toLowerCase();
-            const description = (a.description || '').toLowerCase();
-            const fullText = title + ' ' + description;
-            
-            const mentionsCompany = title.includes(ticker.toLowerCase()) || 
-                                   companyName.toLowerCase().split(' ').some(word => 
-                                     word.length > 3 && title.includes(word.toLowerCase())
-                                   );
-            
-            const stockKeywords = ['stock', 'shares', 'trading', 'investor', 'market', 'price', 'earnings', 'revenue', 'quarter', 'analyst', 'upgrade', 'downgrade', 'wall street', 'profit', 'loss'];
-            const hasStockKeywords = stockKeywords.some(keyword => fullText.includes(keyword));
-            
-            return mentionsCompany && hasStockKeywords;
-          });
-          
-          news = relevantArticles.slice(0, 3).map(a => ({
-            title: a.title,
-            source: a.source.name,
-            time: Math.floor((Date.now() - new Date(a.publishedAt)) / 3600000),
-            url: a.url
-          }));
-        }
-      } catch (e) {
-        console.error("News fetch error:", e.message);
-      }
+    const ordered = [
+      ...listed.map(ticker => current.rows.find(item => item.ticker === ticker)),
+      ...current.rows.filter(item => !listed.includes(item.ticker))
+    ];
+    for (const [position, item] of ordered.entries()) {
+      await client.query('UPDATE watchlist_items SET position = $1 WHERE id = $2', [position, item.id]);
     }
+    await client.query('COMMIT');
+
+    res.json({ items: await loadWatchlistItems(list.id) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Reorder watchlist error:', err);
+    res.status(500).json({ error: 'Failed to reorder watchlist' });
+  } finally {
+    client.release();
+  }
+});
 
-    const sentiment = analyzeNewsSentiment(news, ticker);
-
-
-    // Simplified analysis prompt
-    const simplifiedPrompt = `You're explaining ${ticker} stock to a complete beginner in simple terms.
-
-COMPANY INFO:
-${companyDescription ? `- Business: ${companyDescription.substring(0, 200)}...` : '- Company operates in the financial markets'}
-${companySector ? `- Sector: ${companySector}` : ''}
-${realtimePrice ? `- Current Price: $${realtimePrice.toFixed(2)}` : ''}
-${marketCap ? `- Market Cap: $${(marketCap / 1e9).toFixed(2)}B` : ''}
-
-${news.length ? `RECENT NEWS (LAST 3 DAYS):\n${news.map(n => `• ${n.source}: ${n.title}`).join('\n')}` : 'RECENT NEWS:\n• Limited news coverage'}
-
-Write a 3-section analysis (100 words total). Use EXACT numbered format:
-
-1. WHAT THEY DO
-One clear sentence explaining ${ticker}'s business. Example: "Apple makes iPhones and computers."
-
-2. GOOD SIGNS
-List 2-3 positive facts about ${ticker} from RECENT news or current business situation. Use bullets (•). Keep it simple - what's going well RIGHT NOW?
-
-3. WARNING SIGNS
-List 2-3 concerns or risks about ${ticker}. Use bullets (•). What should someone watch out for?
-
-CRITICAL RULES:
-- Write for a beginner - very simple language
-- NO jargon or technical terms
-- NEVER mention specific years or old revenue numbers
-- Only use RECENT information (last 3 days of news)
-- If no recent news, mention general industry trends
-- Use plain text, NO markdown
-- Start each section with "1.", "2.", "3."`;
-
-    // Detailed analysis prompt
-    const detailedPrompt = `You're a financial analyst providing educational research guidance for ${ticker} stock.
-
-COMPANY INFO:
-${companyDescription ? `- Business: ${companyDescription.substring(0, 200)}...` : '- Company operates in the financial markets'}
-${companySector ? `- Sector: ${companySector}` : ''}
-${companyIndustry ? `- Industry: ${companyIndustry}` : ''}
-${realtimePrice ? `- Current Price: $${realtimePrice.toFixed(2)}` : ''}
-${marketCap ? `- Market Cap: $${(marketCap / 1e9).toFixed(2)}B` : ''}
-${peRatio ? `- P/E Ratio: ${peRatio.toFixed(2)}` : ''}
-
-${news.length ? `RECENT FINANCIAL NEWS (LAST 72 HOURS):\n${news.map(n => `• ${n.source} (${n.time}h ago): ${n.title}`).join('\n')}` : 'RECENT FINANCIAL NEWS:\n• Limited news coverage in past 72 hours'}
-
-Write a focused 3-section analysis (120 words). Use EXACT numbered format:
-
-1. BUSINESS MODEL
-In 2-3 sentences, explain ${ticker}'s current business model. What do they sell/provide? Who are their customers? What's their competitive position?
-
-2. KEY RESEARCH QUESTIONS
-List 3-4 specific questions an investor should answer about ${ticker} before investing. Use bullet points (•). Focus on: revenue sources, competitive position, growth drivers, and RECENT developments.
-
-3. RISK FACTORS
-List 2-3 specific risks or concerns to verify about ${ticker}. Use bullet points (•). Be specific to this company's current situation.
-
-CRITICAL RULES:
-- Be SPECIFIC to ${ticker} and their actual business
-- Use technical/professional language but stay current
-- NEVER cite specific years or historical revenue numbers
-- Only reference RECENT trends and developments
-- Use plain text, NO markdown
-- Third-person only
-- Start each section with "1.", "2.", "3."`;
-
-    // Fetch both simplified and detailed analyses
-    const [simplifiedResponse, detailedResponse] = await Promise.all([
-      fetch("https://openrouter.ai/api/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${OPENROUTER_KEY}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          model: "openai/gpt-4o-mini",
-          messages: [{ role: "user", content: simplifiedPrompt }],
-          max_tokens: 250,
-          temperature: 0.25
-        })
-      }),
-      fetch("https://openrouter.ai/api/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${OPENROUTER_KEY}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          model: "openai/gpt-4o-mini",
-          messages: [{ role: "user", content: detailedPrompt }],
-          max_tokens: 300,
-          temperature: 0.25
-        })
-      })
+app.get('/watchlists/:id/quotes', authenticateUser, async (req, res) => {
+  try {
+    const list = await findOwnedWatchlist(req.params.id, req.user.id);
+    if (!list) return res.status(404).json({ error: 'Watchlist not found' });
+
+    const items = await loadWatchlistItems(list.id);
+    const quotes = await getQuoteSummaries(items.map(i => ({ ticker: i.ticker, isCrypto: i.is_crypto })));
+    res.json({ watchlist: { id: list.id, name: list.name }, quotes });
+  } catch (err) {
+    console.error('Watchlist quotes error:', err);
+    res.status(500).json({ error: 'Failed to load quotes' });
+  }
+});
+
+// ==========================================
+// PORTFOLIO
+// ==========================================
+// Validates a lot body. Returns an error message, or null when valid.
+// `partial` allows omitting fields (PATCH).
+const validateLot = ({ ticker, quantity, costBasis, acquiredAt }, partial = false) => {
+  if (!partial && !ticker) return 'Missing ticker';
+  if (ticker !== undefined && typeof ticker !== 'string') return 'ticker must be a string';
+  if ((!partial || quantity !== undefined) && !(parseFloat(quantity) > 0)) return 'Quantity must be a positive number';
+  if ((!partial || costBasis !== undefined) && !(parseFloat(costBasis) >= 0)) return 'Cost basis must be zero or a positive number';
+  if (acquiredAt !== undefined) {
+    const date = new Date(acquiredAt);
+    if (Number.isNaN(date.getTime())) return 'acquiredAt must be a date (YYYY-MM-DD)';
+    if (date > new Date()) return 'acquiredAt cannot be in the future';
+  }
+  return null;
+};
+
+// Current value, unrealized P&L, day change and sector allocation
+app.get('/portfolio', authenticateUser, async (req, res) => {
+  try {
+    const { rows: lots } = await pool.query(
+      'SELECT * FROM portfolio_lots WHERE user_id = $1 ORDER BY acquired_at, id',
+      [req.user.id]
+    );
+
+    const holdings = [...new Map(lots.map(l => [`${l.ticker}:${l.is_crypto}`, { ticker: l.ticker, isCrypto: l.is_crypto }])).values()];
+    const stockTickers = holdings.filter(h => !h.isCrypto).map(h => h.ticker);
+
+    const [quotes, sectors] = await Promise.all([
+      holdings.length ? getQuoteSummaries(holdings) : [],
+      getCompanySectors(stockTickers, { cache })
     ]);
 
-    const simplifiedData = await simplifiedResponse.json();
-    const detailedData = await detailedResponse.json();
-
-    let simplifiedAnalysis = simplifiedData.choices?.[0]?.message?.content || "";
-    let detailedAnalysis = detailedData.choices?.[0]?.message?.content || "";
-
-    // Parse simplified analysis
-    const parseSimplifiedSections = (text) => {
-      const sectionRegex = /(\d+\.\s+[A-Z\s]+)\n([\s\S]*?)(?=\d+\.\s+[A-Z\s]+|$)/g;
-      const sections = [];
-      let match;
-
-      while ((match = sectionRegex.exec(text)) !== null) {
-        const title = match[1].trim().replace(/^\d+\.\s+/, '');
-        const content = match[2].trim();
-        sections.push({ title, content });
-      }
-
-      if (sections.length === 0) {
-        const parts = text.split(/\d+\.\s+/).filter(s => s.trim());
-        if (parts.length >= 3) {
-          sections.push(
-            { title: 'WHAT THEY DO', content: parts[0] },
-            { title: 'GOOD SIGNS', content: parts[1] },
-            { title: 'WARNING SIGNS', content: parts[2] }
-          );
-        }
-      }
-
-      return sections;
-    };
+    res.json({ generatedAt: new Date().toISOString(), ...summarizePortfolio(lots, quotes, sectors) });
+  } catch (err) {
+    console.error('Portfolio error:', err);
+    res.status(500).json({ error: 'Failed to load portfolio' });
+  }
+});
 
-    // Parse detailed analysis
-    const parseDetailedSections = (text) => {
-      const sectionRegex = /(\d+\.\s+[A-Z\s]+)\n([\s\S]*?)(?=\d+\.\s+[A-Z\s]+|$)/g;
-      const sections = [];
-      let match;
-
-      while ((match = sectionRegex.exec(text)) !== null) {
-        const title = match[1].trim().replace(/^\d+\.\s+/, '');
-        const content = match[2].trim();
-        sections.push({ title, content });
-      }
-
-      if (sections.length === 0) {
-        const parts = text.split(/\d+\.\s+/).filter(s => s.trim());
-        if (parts.length >= 3) {
-          sections.push(
-            { title: 'BUSINESS MODEL', content: parts[0] },
-            { title: 'KEY RESEARCH QUESTIONS', content: parts[1] },
-            { title: 'RISK FACTORS', content: parts[2] }
-          );
-        }
-      }
-
-      return sections;
-    };
+app.get('/portfolio/lots', authenticateUser, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM portfolio_lots WHERE user_id = $1 ORDER BY ticker, acquired_at, id',
+      [req.user.id]
+    );
+    res.json({ lots: result.rows.map(toLot) });
+  } catch (err) {
+    console.error('List lots error:', err);
+    res.status(500).json({ error: 'Failed to load lots' });
+  }
+});
 
-    const simplifiedSections = parseSimplifiedSections(simplifiedAnalysis);
-    const detailedSections = parseDetailedSections(detailedAnalysis);
-
-    const headerBadge = `
-      <div style="display:flex;justify-content:space-between;align-items:center;padding:6px 12px;background:rgba(15,15,15,0.95);border-bottom:1px solid rgba(46,185,224,0.15);font-size:10px;">
-        <span style="color:#888;">🤖 AI-Enhanced Research Tool</span>
-        <span style="color:#666;">General Information • Not Advice</span>
-      </div>
-    `;
-
-    // Tab navigation with inline onclick handlers
-    const tabNav = `
-      <div style="display:flex;gap:8px;padding:16px 16px 0 16px;background:rgba(15,15,15,0.95);">
-        <button id="tab-simplified" onclick="
-          document.getElementById('tab-simplified').style.background='linear-gradient(135deg,#667eea,#764ba2)';
-          document.getElementById('tab-simplified').style.color='white';
-          document.getElementById('tab-detailed').style.background='rgba(255,255,255,0.05)';
-          document.getElementById('tab-detailed').style.color='#888';
-          document.getElementById('content-simplified').style.display='block';
-          document.getElementById('content-detailed').style.display='none';
-        " style="flex:1;padding:12px;background:linear-gradient(135deg,#667eea,#764ba2);color:white;border:none;border-radius:8px 8px 0 0;cursor:pointer;font-size:13px;font-weight:600;transition:all 0.2s;">
-          📋 Simplified
-        </button>
-        <button id="tab-detailed" onclick="
-          document.getElementById('tab-simplified').style.background='rgba(255,255,255,0.05)';
-          document.getElementById('tab-simplified').style.color='#888';
-          document.getElementById('tab-detailed').style.background='linear-gradient(135deg,#667eea,#764ba2)';
-          document.getElementById('tab-detailed').style.color='white';
-          document.getElementById('content-simplified').style.display='none';
-          document.getElementById('content-detailed').style.display='block';
-        " style="flex:1;padding:12px;background:rgba(255,255,255,0.05);color:#888;border:none;border-radius:8px 8px 0 0;cursor:pointer;font-size:13px;font-weight:600;transition:all 0.2s;">
-          📊 Detailed
-        </button>
-      </div>
-    `;
-
-    // Simplified content (always shown by default)
-    const simplifiedSectionColors = {
-      'WHAT THEY DO': { bg: 'rgba(102,126,234,0.08)', border: '#667eea', icon: '🏢' },
-      'GOOD SIGNS': { bg: 'rgba(16,185,129,0.08)', border: '#10b981', icon: '✅' },
-      'WARNING SIGNS': { bg: 'rgba(245,158,11,0.08)', border: '#f59e0b', icon: '⚠️' }
-    };
+// Body: { ticker, quantity, costBasis, acquiredAt?, assetType? } — costBasis is
+// the total paid for the lot, fees included
+app.post('/portfolio/lots', authenticateUser, async (req, res) => {
+  const body = req.body || {};
+  const error = validateLot(body);
+  if (error) return res.status(400).json({ error });
 
-    const simplifiedContent = `
-      <div id="content-simplified" style="display:block;">
-        ${companySector ? `
-          <div style="margin:16px;padding:10px;background:rgba(102,126,234,0.1);border-radius:8px;text-align:center;">
-            <span style="font-size:12px;color:#667eea;font-weight:600;">${companySector}${companyIndustry ? ` • ${companyIndustry}` : ''}</span>
-          </div>
-        ` : ''}
-
-        ${simplifiedSections.length >= 3 ? `
-          <div style="padding:16px;">
-            ${simplifiedSections.map(section => {
-              const style = simplifiedSectionColors[section.title] || { bg: 'rgba(107,114,128,0.06)', border: '#6b7280', icon: '•' };
-              return `
-                <div style="margin-bottom:20px;padding:16px;background:${style.bg};border-left:4px solid ${style.border};border-radius:8px;">
-                  <div style="font-size:11px;color:${style.border};font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:10px;">${style.icon} ${section.title}</div>
-                  <div style="font-size:14px;line-height:1.7;color:#e0e0e0;">${section.content}</div>
-                </div>
-              `;
-            }).join('')}
-          </div>
-        ` : '<div style="padding:40px 20px;text-align:center;color:#888;">Analysis not available</div>'}
-
-        ${news.length ? `
-          <div style="padding:0 16px 16px 16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📰 What's Happening (Last 3 Days)</div>
-            ${news.map(n => `
-              <div style="padding:10px;margin-bottom:6px;background:rgba(46,185,224,0.05);border-left:3px solid #2eb9e0;border-radius:6px;">
-                <div style="font-size:12px;line-height:1.5;color:#d0d0d0;margin-bottom:4px;">${n.title}</div>
-                <div style="font-size:10px;color:#666;">${n.source} • ${n.time}h ago</div>
-              </div>
-            `).join('')}
-            <div style="margin-top:12px;padding:8px;background:rgba(${sentiment.color === '#10b981' ? '16,185,129' : sentiment.color === '#ef4444' ? '239,68,68' : '107,114,128'},0.1);border-radius:6px;">
-              <span style="font-size:11px;color:#888;">Overall Tone: </span>
-              <span style="color:${sentiment.color};font-weight:600;font-size:12px;">${sentiment.label === 'Positive' ? '👍 Mostly Positive' : sentiment.label === 'Negative' ? '👎 Mostly Negative' : '🤷 Mixed News'}</span>
-            </div>
-          </div>
-        ` : `
-          <div style="padding:0 16px 16px 16px;">
-            <div style="padding:12px;background:rgba(102,126,234,0.08);border-radius:8px;text-align:center;">
-              <div style="font-size:13px;color:#888;margin-bottom:8px;">📭 No major news in the last 3 days</div>
-              <div style="font-size:11px;color:#666;">This could mean the company is in a quiet period, or news outlets aren't covering it right now.</div>
-            </div>
-          </div>
-        `}
-
-        <div style="padding:0 16px 16px 16px;">
-          <div style="padding:14px;background:linear-gradient(135deg,rgba(102,126,234,0.1),rgba(118,75,162,0.1));border:1px solid rgba(102,126,234,0.25);border-radius:10px;">
-            <div style="font-size:11px;color:#667eea;font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:10px;">💡 Before You Decide</div>
-            <div style="font-size:12px;line-height:1.6;color:#d0d0d0;margin-bottom:8px;">
-              This is educational info only. Here's what to research next:
-            </div>
-            <div style="display:grid;gap:6px;font-size:11px;">
-              <div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">
-                • Read full news articles to understand the context
-              </div>
-              <div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">
-                • Compare with competitors in the same industry
-              </div>
-              <div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;">
-                • Check the "Detailed" tab for more in-depth analysis
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-
-    // Detailed content (hidden by default)
-    const detailedSectionColors = {
-      'BUSINESS MODEL': { bg: 'rgba(102,126,234,0.06)', border: '#667eea', icon: '🏢' },
-      'KEY RESEARCH QUESTIONS': { bg: 'rgba(59,130,246,0.06)', border: '#3b82f6', icon: '🔍' },
-      'RISK FACTORS': { bg: 'rgba(239,68,68,0.06)', border: '#ef4444', icon: '⚠️' }
-    };
+  const { ticker, quantity, costBasis, acquiredAt } = body;
+  const symbol = ticker.toUpperCase();
 
-    const detailedContent = `
-      <div id="content-detailed" style="display:none;">
-        ${analystRatings ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎯 Wall Street Consensus</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(102,126,234,0.2);border-radius:12px;padding:16px;">
-              <div style="display:flex;gap:8px;margin-bottom:12px;">
-                ${analystRatings.strongBuy > 0 ? `<div style="flex:${analystRatings.strongBuy};background:rgba(16,185,129,0.8);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.strongBuy}</div>` : ''}
-                ${analystRatings.buy > 0 ? `<div style="flex:${analystRatings.buy};background:rgba(16,185,129,0.5);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.buy}</div>` : ''}
-                ${analystRatings.hold > 0 ? `<div style="flex:${analystRatings.hold};background:rgba(245,158,11,0.5);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.hold}</div>` : ''}
-                ${analystRatings.sell > 0 ? `<div style="flex:${analystRatings.sell};background:rgba(239,68,68,0.5);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.sell}</div>` : ''}
-                ${analystRatings.strongSell > 0 ? `<div style="flex:${analystRatings.strongSell};background:rgba(239,68,68,0.8);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:10px;color:#fff;font-weight:600;">${analystRatings.strongSell}</div>` : ''}
-              </div>
-              <div style="display:flex;justify-content:space-between;font-size:11px;color:#888;">
-                <span>🟢 ${analystRatings.strongBuy + analystRatings.buy} Buy</span>
-                <span>🟡 ${analystRatings.hold} Hold</span>
-                <span>🔴 ${analystRatings.sell + analystRatings.strongSell} Sell</span>
-              </div>
-              ${analystPriceTargets && analystPriceTargets.targetMean ? `
-                <div style="margin-top:12px;padding:12px;background:rgba(16,185,129,0.08);border-radius:6px;">
-                  <div style="font-size:11px;color:#888;margin-bottom:8px;">📍 Price Targets</div>
-                  <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:8px;margin-bottom:8px;">
-                    <div style="text-align:center;">
-                      <div style="font-size:9px;color:#888;">LOW</div>
-                      <div style="font-size:14px;font-weight:600;color:#ef4444;">$${analystPriceTargets.targetLow?.toFixed(2) || 'N/A'}</div>
-                    </div>
-                    <div style="text-align:center;">
-                      <div style="font-size:9px;color:#888;">AVERAGE</div>
-                      <div style="font-size:16px;font-weight:700;color:#10b981;">$${analystPriceTargets.targetMean.toFixed(2)}</div>
-                    </div>
-                    <div style="text-align:center;">
-                      <div style="font-size:9px;color:#888;">HIGH</div>
-                      <div style="font-size:14px;font-weight:600;color:#10b981;">$${analystPriceTargets.targetHigh?.toFixed(2) || 'N/A'}</div>
-                    </div>
-                  </div>
-                  ${realtimePrice && analystPriceTargets.targetMean ? `
-                    <div style="padding:8px;background:rgba(${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? '16,185,129' : '239,68,68'},0.1);border-radius:4px;text-align:center;">
-                      <span style="font-size:11px;color:#888;">Potential: </span>
-                      <span style="font-size:13px;font-weight:700;color:${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? '#10b981' : '#ef4444'};">
-                        ${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? '+' : ''}${(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100).toFixed(1)}%
-                      </span>
-                      ${Math.abs(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 20 ?
-                        `<span style="font-size:10px;color:#888;margin-left:6px;">(${Math.abs(((analystPriceTargets.targetMean - realtimePrice) / realtimePrice) * 100) > 0 ? 'Undervalued' : 'Overvalued'})</span>` : ''}
-                    </div>
-                  ` : ''}
-                  ${analystPriceTargets.numberOfAnalysts ? `
-                    <div style="font-size:10px;color:#666;text-align:center;margin-top:4px;">Based on ${analystPriceTargets.numberOfAnalysts} analyst${analystPriceTargets.numberOfAnalysts > 1 ? 's' : ''}</div>
-                  ` : ''}
-                </div>
-              ` : ''}
-              <div style="margin-top:10px;padding:8px;background:rgba(102,126,234,0.08);border-radius:6px;">
-                <div style="font-size:11px;color:#667eea;">🔍 Research Question:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">What's driving the analyst consensus? Check recent upgrades/downgrades.</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        ${companyDescription || companySector ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🏢 Company Overview</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(102,126,234,0.2);border-radius:12px;padding:16px;">
-              ${companySector || companyIndustry ? `
-                <div style="display:flex;gap:12px;margin-bottom:12px;flex-wrap:wrap;">
-                  ${companySector ? `<span style="padding:6px 12px;background:rgba(102,126,234,0.15);border:1px solid rgba(102,126,234,0.3);border-radius:20px;font-size:11px;color:#667eea;">${companySector}</span>` : ''}
-                  ${companyIndustry ? `<span style="padding:6px 12px;background:rgba(59,130,246,0.15);border:1px solid rgba(59,130,246,0.3);border-radius:20px;font-size:11px;color:#3b82f6;">${companyIndustry}</span>` : ''}
-                </div>
-              ` : ''}
-              ${companyDescription ? `
-                <div style="font-size:13px;line-height:1.6;color:#d0d0d0;">${companyDescription.length > 350 ? companyDescription.substring(0, 350) + '...' : companyDescription}</div>
-              ` : '<div style="font-size:13px;line-height:1.6;color:#888;font-style:italic;">Company description not available</div>'}
-            </div>
-          </div>
-        ` : ''}
-
-        ${realtimePrice ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📊 Key Metrics</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(249,115,22,0.3);border-radius:12px;padding:16px;">
-              <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:12px;">
-                <div>
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">Avg Daily Volume</div>
-                  <div style="font-size:18px;font-weight:700;color:#fff;">${avgVolume ? `${(avgVolume / 1e6).toFixed(2)}M` : 'N/A'}</div>
-                  <div style="font-size:9px;color:#666;margin-top:2px;">Trading Liquidity</div>
-                </div>
-                <div>
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">Market Cap</div>
-                  <div style="font-size:18px;font-weight:700;color:#fff;">${marketCap ? `$${(marketCap / 1e9).toFixed(2)}B` : 'N/A'}</div>
-                  <div style="font-size:9px;color:#666;margin-top:2px;">Company Size</div>
-                </div>
-                <div>
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">P/E Ratio</div>
-                  <div style="font-size:18px;font-weight:700;color:#fff;">${peRatio ? peRatio.toFixed(2) : 'N/A'}</div>
-                  <div style="font-size:9px;color:#666;margin-top:2px;">Valuation</div>
-                </div>
-                <div>
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">52W Range</div>
-                  <div style="font-size:12px;font-weight:600;color:#fff;">${fiftyTwoWeekLow ? `$${fiftyTwoWeekLow.toFixed(2)}` : 'N/A'} - ${fiftyTwoWeekHigh ? `$${fiftyTwoWeekHigh.toFixed(2)}` : 'N/A'}</div>
-                  <div style="font-size:9px;color:#666;margin-top:2px;">Historical Range</div>
-                </div>
-              </div>
-              ${earningsDate && earningsTimestamp ? `
-                ${(() => {
-                  const daysUntilEarnings = Math.floor((earningsTimestamp * 1000 - Date.now()) / (1000 * 60 * 60 * 24));
-                  const isUpcoming = daysUntilEarnings >= 0 && daysUntilEarnings <= 30;
-                  return `
-                    <div style="padding:12px;background:${isUpcoming ? 'linear-gradient(135deg,rgba(251,191,36,0.15),rgba(245,158,11,0.15))' : 'rgba(102,126,234,0.1)'};border:1px solid ${isUpcoming ? 'rgba(251,191,36,0.4)' : 'rgba(102,126,234,0.2)'};border-radius:8px;margin-top:8px;">
-                      <div style="display:flex;justify-content:space-between;align-items:center;">
-                        <div>
-                          <div style="font-size:10px;color:#888;margin-bottom:2px;">📅 Next Earnings</div>
-                          <div style="font-size:13px;color:#fff;font-weight:600;">${earningsDate}</div>
-                        </div>
-                        ${isUpcoming ? `
-                          <div style="text-align:right;">
-                            <div style="font-size:20px;font-weight:700;color:#fbbf24;">${daysUntilEarnings}</div>
-                            <div style="font-size:9px;color:#f59e0b;text-transform:uppercase;">day${daysUntilEarnings !== 1 ? 's' : ''} away</div>
-                          </div>
-                        ` : ''}
-                      </div>
-                      ${isUpcoming && daysUntilEarnings <= 7 ? `
-                        <div style="margin-top:8px;padding:6px;background:rgba(239,68,68,0.15);border-radius:4px;text-align:center;">
-                          <span style="font-size:10px;color:#fbbf24;font-weight:600;">⚠️ Earnings coming soon - expect volatility</span>
-                        </div>
-                      ` : ''}
-                    </div>
-                  `;
-                })()}
-              ` : ''}
-              <div style="padding:8px;background:rgba(249,115,22,0.08);border-radius:6px;margin-top:8px;">
-                <div style="font-size:11px;color:#f97316;">💡 Educational Note:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">High volume = easier to buy/sell. Low P/E might mean undervalued or slow growth. Always compare with industry peers.</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        ${realtimePrice && beta ? `
-          ${(() => {
-            // Calculate Risk Score (1-10)
-            let riskScore = 5; // Default medium risk
-            let riskLevel = 'Moderate';
-            let riskColor = '#f59e0b';
-            let riskEmoji = '🟡';
-
-            // Factors: beta, market cap, short interest, volatility
-            if (beta !== null && beta !== undefined) {
-              if (beta < 0.8) riskScore -= 2;
-              else if (beta > 1.5) riskScore += 2;
-              else if (beta > 1.2) riskScore += 1;
-            }
-
-            if (marketCap) {
-              if (marketCap > 200e9) riskScore -= 1; // Large cap = safer
-              else if (marketCap < 2e9) riskScore += 2; // Small cap = risky
-            }
-
-            if (shortPercentOfFloat) {
-              if (shortPercentOfFloat > 0.2) riskScore += 2; // High short interest
-              else if (shortPercentOfFloat > 0.15) riskScore += 1;
-            }
-
-            // Clamp to 1-10
-            riskScore = Math.max(1, Math.min(10, riskScore));
-
-            // Determine level
-            if (riskScore <= 3) {
-              riskLevel = 'Low Risk';
-              riskColor = '#10b981';
-              riskEmoji = '🟢';
-            } else if (riskScore >= 7) {
-              riskLevel = 'High Risk';
-              riskColor = '#ef4444';
-              riskEmoji = '🔴';
-            }
-
-            return `
-              <div style="margin:16px;">
-                <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎯 Beginner Risk Score</div>
-                <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(${riskScore <= 3 ? '16,185,129' : riskScore >= 7 ? '239,68,68' : '245,158,11'},0.3);border-radius:12px;padding:16px;">
-                  <div style="display:flex;align-items:center;gap:16px;margin-bottom:12px;">
-                    <div style="font-size:48px;font-weight:700;color:${riskColor};">${riskScore}</div>
-                    <div style="flex:1;">
-                      <div style="font-size:16px;font-weight:600;color:${riskColor};margin-bottom:4px;">${riskEmoji} ${riskLevel}</div>
-                      <div style="font-size:11px;color:#888;">Out of 10</div>
-                    </div>
-                  </div>
-                  <div style="background:rgba(0,0,0,0.3);height:8px;border-radius:4px;overflow:hidden;margin-bottom:12px;">
-                    <div style="width:${riskScore * 10}%;height:100%;background:linear-gradient(90deg,${riskColor},${riskColor});transition:width 0.3s;"></div>
-                  </div>
-                  <div style="font-size:11px;color:#d0d0d0;line-height:1.5;margin-bottom:8px;">
-                    ${riskScore <= 3 ? '✓ Good for beginners - Stable, large company with predictable movements.' : riskScore >= 7 ? '⚠️ For experienced traders - High volatility, unpredictable price swings.' : '⚡ Moderate volatility - Some price swings expected, suitable for intermediate investors.'}
-                  </div>
-                  <div style="display:grid;gap:6px;font-size:10px;">
-                    ${beta ? `<div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;display:flex;justify-content:space-between;"><span>Beta (Volatility):</span><span style="color:#fff;font-weight:600;">${beta.toFixed(2)}</span></div>` : ''}
-                    ${marketCap ? `<div style="padding:6px;background:rgba(0,0,0,0.2);border-radius:4px;color:#c0c0c0;display:flex;justify-content:space-between;"><span>Company Size:</span><span style="color:#fff;font-weight:600;">${marketCap > 200e9 ? 'Large Cap' : marketCap > 10e9 ? 'Mid Cap' : 'Small Cap'}</span></div>` : ''}
-                  </div>
-                </div>
-              </div>
-            `;
-          })()}
-        ` : ''}
-
-        ${priceChangePercent24h && Math.abs(priceChangePercent24h) >= 3 ? `
-          ${(() => {
-            // "Why Is It Moving?" section for significant price changes
-            return `
-              <div style="margin:16px;">
-                <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📈 Why Is It Moving?</div>
-                <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(${priceChangePercent24h > 0 ? '16,185,129' : '239,68,68'},0.3);border-radius:12px;padding:16px;">
-                  <div style="text-align:center;margin-bottom:12px;">
-                    <div style="font-size:32px;font-weight:700;color:${priceChangePercent24h > 0 ? '#10b981' : '#ef4444'};">
-                      ${priceChangePercent24h > 0 ? '+' : ''}${priceChangePercent24h.toFixed(2)}%
-                    </div>
-                    <div style="font-size:11px;color:#888;">24-Hour Change</div>
-                  </div>
-                  <div style="padding:12px;background:rgba(${priceChangePercent24h > 0 ? '16,185,129' : '239,68,68'},0.1);border-radius:6px;margin-bottom:8px;">
-                    <div style="font-size:12px;color:#d0d0d0;line-height:1.5;">
-                      ${ticker} is ${priceChangePercent24h > 0 ? 'UP' : 'DOWN'} ${Math.abs(priceChangePercent24h).toFixed(1)}% today. Check the news section below for recent headlines that might explain this movement.
-                    </div>
-                  </div>
-                  ${Math.abs(priceChangePercent24h) >= 5 ? `
-                    <div style="padding:8px;background:rgba(251,191,36,0.1);border-radius:6px;text-align:center;">
-                      <span style="font-size:10px;color:#fbbf24;font-weight:600;">⚡ Significant Movement - Research before acting</span>
-                    </div>
-                  ` : ''}
-                </div>
-              </div>
-            `;
-          })()}
-        ` : ''}
-
-        ${dividendYield || dividendRate ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">💰 Dividend Dashboard</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(34,197,94,0.3);border-radius:12px;padding:16px;">
-              <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:12px;">
-                ${dividendYield ? `
-                  <div style="text-align:center;padding:10px;background:rgba(34,197,94,0.1);border-radius:6px;">
-                    <div style="font-size:10px;color:#888;margin-bottom:4px;">Dividend Yield</div>
-                    <div style="font-size:22px;font-weight:700;color:#22c55e;">${(dividendYield * 100).toFixed(2)}%</div>
-                  </div>
-                ` : ''}
-                ${dividendRate ? `
-                  <div style="text-align:center;padding:10px;background:rgba(34,197,94,0.1);border-radius:6px;">
-                    <div style="font-size:10px;color:#888;margin-bottom:4px;">Annual Payout</div>
-                    <div style="font-size:18px;font-weight:700;color:#22c55e;">$${dividendRate.toFixed(2)}</div>
-                    <div style="font-size:9px;color:#666;margin-top:2px;">per share</div>
-                  </div>
-                ` : ''}
-              </div>
-              ${exDividendDate ? `
-                <div style="padding:10px;background:rgba(102,126,234,0.1);border-radius:6px;margin-bottom:8px;">
-                  <div style="font-size:11px;color:#888;margin-bottom:2px;">📅 Ex-Dividend Date</div>
-                  <div style="font-size:12px;color:#667eea;font-weight:600;">${new Date(exDividendDate * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</div>
-                </div>
-              ` : ''}
-              ${payoutRatio ? `
-                <div style="padding:8px;background:rgba(${payoutRatio < 0.6 ? '16,185,129' : payoutRatio > 0.8 ? '239,68,68' : '245,158,11'},0.1);border-radius:6px;">
-                  <div style="font-size:10px;color:#888;">Payout Ratio: <span style="color:#fff;font-weight:600;">${(payoutRatio * 100).toFixed(1)}%</span></div>
-                  <div style="font-size:9px;color:#${payoutRatio < 0.6 ? '10b981' : payoutRatio > 0.8 ? 'ef4444' : 'f59e0b'};margin-top:2px;">
-                    ${payoutRatio < 0.6 ? '✓ Sustainable - Room to grow dividends' : payoutRatio > 0.8 ? '⚠️ High - Dividend may be at risk' : '⚡ Moderate - Watch for changes'}
-                  </div>
-                </div>
-              ` : ''}
-              <div style="padding:8px;background:rgba(34,197,94,0.08);border-radius:6px;margin-top:8px;">
-                <div style="font-size:11px;color:#22c55e;">💡 Passive Income Potential:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Dividend stocks pay you regularly. Good for long-term investors seeking steady income.</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        ${shortPercentOfFloat ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">⚡ Short Interest</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(${shortPercentOfFloat > 0.2 ? '239,68,68' : '102,126,234'},0.3);border-radius:12px;padding:16px;">
-              <div style="text-align:center;margin-bottom:12px;">
-                <div style="font-size:32px;font-weight:700;color:${shortPercentOfFloat > 0.2 ? '#ef4444' : shortPercentOfFloat > 0.1 ? '#f59e0b' : '#10b981'};">
-                  ${(shortPercentOfFloat * 100).toFixed(1)}%
-                </div>
-                <div style="font-size:11px;color:#888;">of Float Shorted</div>
-              </div>
-              <div style="background:rgba(0,0,0,0.3);height:8px;border-radius:4px;overflow:hidden;margin-bottom:12px;">
-                <div style="width:${Math.min(shortPercentOfFloat * 100, 100)}%;height:100%;background:linear-gradient(90deg,${shortPercentOfFloat > 0.2 ? '#ef4444' : '#667eea'},${shortPercentOfFloat > 0.2 ? '#dc2626' : '#764ba2'});"></div>
-              </div>
-              <div style="padding:10px;background:rgba(${shortPercentOfFloat > 0.2 ? '239,68,68' : '102,126,234'},0.1);border-radius:6px;margin-bottom:8px;">
-                <div style="font-size:12px;color:#d0d0d0;line-height:1.5;">
-                  ${shortPercentOfFloat > 0.2 ? '🔥 High short interest! This stock could experience significant volatility. "Short squeeze" potential if price rises.' : shortPercentOfFloat > 0.1 ? '⚡ Moderate short interest. Some traders betting against this stock.' : '✓ Low short interest. Relatively stable from short seller pressure.'}
-                </div>
-              </div>
-              <div style="padding:8px;background:rgba(139,92,246,0.08);border-radius:6px;">
-                <div style="font-size:11px;color:#8b5cf6;">🔍 Research Note:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">High short interest (>20%) can mean big price swings. Experienced traders only.</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        ${insiderData ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">👔 Insider Activity (90 Days)</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(139,92,246,0.3);border-radius:12px;padding:16px;">
-              <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:12px;margin-bottom:12px;">
-                <div style="text-align:center;padding:8px;background:rgba(16,185,129,0.1);border-radius:6px;">
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">BUYS</div>
-                  <div style="font-size:18px;font-weight:700;color:#10b981;">${insiderData.totalBuys}</div>
-                </div>
-                <div style="text-align:center;padding:8px;background:rgba(239,68,68,0.1);border-radius:6px;">
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">SELLS</div>
-                  <div style="font-size:18px;font-weight:700;color:#ef4444;">${insiderData.totalSells}</div>
-                </div>
-                <div style="text-align:center;padding:8px;background:rgba(139,92,246,0.1);border-radius:6px;">
-                  <div style="font-size:10px;color:#888;margin-bottom:4px;">NET FLOW</div>
-                  <div style="font-size:18px;font-weight:700;color:${insiderData.netFlow > 0 ? '#10b981' : insiderData.netFlow < 0 ? '#ef4444' : '#888'};">${insiderData.netFlow > 0 ? '+' : ''}${insiderData.netFlow}</div>
-                </div>
-              </div>
-              <div style="margin-bottom:12px;">
-                <div style="font-size:10px;color:#888;margin-bottom:8px;">Recent Transactions:</div>
-                ${insiderData.transactions.map(t => `
-                  <div style="padding:8px;margin-bottom:4px;background:rgba(${t.type === 'BUY' ? '16,185,129' : '239,68,68'},0.08);border-left:3px solid ${t.type === 'BUY' ? '#10b981' : '#ef4444'};border-radius:4px;">
-                    <div style="display:flex;justify-content:space-between;align-items:center;">
-                      <span style="font-size:11px;color:#d0d0d0;"><strong>${t.role}</strong> ${t.type === 'BUY' ? '📈 BOUGHT' : '📉 SOLD'}</span>
-                      <span style="font-size:10px;color:#888;">${t.daysAgo}d ago</span>
-                    </div>
-                  </div>
-                `).join('')}
-              </div>
-              <div style="padding:8px;background:rgba(139,92,246,0.08);border-radius:6px;">
-                <div style="font-size:11px;color:#8b5cf6;">🔍 Research Question:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Why are insiders ${insiderData.sentiment === 'Bullish' ? 'buying' : insiderData.sentiment === 'Bearish' ? 'selling' : 'trading'}? Consider tax planning, diversification, or conviction signals.</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        ${socialSentiment ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📱 Social Sentiment</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(236,72,153,0.3);border-radius:12px;padding:16px;">
-              <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">
-                <div>
-                  <div style="font-size:10px;color:#888;">Source: ${socialSentiment.source}</div>
-                  <div style="font-size:16px;font-weight:700;color:${socialSentiment.sentiment === 'Bullish' ? '#10b981' : socialSentiment.sentiment === 'Bearish' ? '#ef4444' : '#f59e0b'};">${socialSentiment.sentiment}</div>
-                </div>
-                <div style="text-align:right;">
-                  <div style="font-size:10px;color:#888;">Volume</div>
-                  <div style="font-size:16px;font-weight:700;color:#ec4899;">${socialSentiment.volume} posts</div>
-                </div>
-              </div>
-              <div style="display:flex;gap:8px;margin-bottom:12px;">
-                <div style="flex:${socialSentiment.bullishPct};background:rgba(16,185,129,0.6);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:11px;color:#fff;font-weight:600;">
-                  ${socialSentiment.bullishPct}% 🐂
-                </div>
-                <div style="flex:${socialSentiment.bearishPct};background:rgba(239,68,68,0.6);height:24px;border-radius:4px;display:flex;align-items:center;justify-content:center;font-size:11px;color:#fff;font-weight:600;">
-                  ${socialSentiment.bearishPct}% 🐻
-                </div>
-              </div>
-              <div style="padding:8px;background:rgba(236,72,153,0.08);border-radius:6px;">
-                <div style="font-size:11px;color:#ec4899;">⚠️ Research Warning:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">${socialSentiment.sentiment === 'Bullish' ? 'High retail bullishness can signal near-term tops. Check if fundamentals support the hype.' : socialSentiment.sentiment === 'Bearish' ? 'Heavy bearish sentiment may indicate oversold conditions or real concerns. Verify the reasons.' : 'Mixed sentiment suggests uncertainty. Look for catalysts that could shift opinion.'}</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        ${news.length ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📰 Recent Headlines</div>
-            ${news.map(n => `
-              <div style="padding:12px;margin-bottom:8px;background:rgba(46,185,224,0.04);border-left:3px solid #2eb9e0;border-radius:6px;">
-                <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:4px;">
-                  <span style="font-size:10px;color:#666;">${n.source}</span>
-                  <span style="font-size:10px;color:#666;">${n.time}h ago</span>
-                </div>
-                <div style="font-size:13px;line-height:1.4;color:#e0e0e0;">${n.title}</div>
-              </div>
-            `).join('')}
-            <div style="margin-top:12px;padding:10px;background:rgba(${sentiment.color === '#10b981' ? '16,185,129' : sentiment.color === '#ef4444' ? '239,68,68' : '107,114,128'},0.1);border-radius:6px;">
-              <span style="font-size:11px;color:#888;">Overall Sentiment: </span>
-              <span style="color:${sentiment.color};font-weight:600;font-size:12px;">${sentiment.label} (${sentiment.score}/100)</span>
-            </div>
-          </div>
-        ` : `
-          <div style="margin:16px;padding:16px;background:rgba(107,114,128,0.08);border:1px dashed rgba(107,114,128,0.2);border-radius:8px;text-align:center;">
-            <div style="font-size:13px;color:#888;">📭 Limited news coverage in past 72 hours</div>
-          </div>
-        `}
-
-        ${detailedSections.length >= 3 ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🎓 Research Guide</div>
-            ${detailedSections.map(section => {
-              const style = detailedSectionColors[section.title] || { bg: 'rgba(107,114,128,0.06)', border: '#6b7280', icon: '•' };
-              return `
-                <div style="margin-bottom:16px;padding:14px;background:${style.bg};border-left:3px solid ${style.border};border-radius:6px;">
-                  <div style="font-size:10px;color:${style.border};font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:6px;">${style.icon} ${section.title}</div>
-                  <div style="font-size:13px;line-height:1.6;color:#e0e0e0;">${section.content}</div>
-                </div>
-              `;
-            }).join('')}
-          </div>
-        ` : ''}
-
-        ${realtimePrice ? `
-          <div style="margin:16px;">
-            <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">🔔 Price Alerts</div>
-            <div style="background:linear-gradient(135deg,rgba(15,15,15,0.95),rgba(25,25,35,0.95));border:1px solid rgba(34,197,94,0.3);border-radius:12px;padding:16px;">
-              <div style="margin-bottom:12px;">
-                <div style="font-size:12px;color:#d0d0d0;margin-bottom:8px;">Get notified when ${ticker} hits your target price:</div>
-                <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;">
-                  <div>
-                    <label style="font-size:10px;color:#888;display:block;margin-bottom:4px;">Alert Above Price</label>
-                    <input type="number" id="alert-above-${ticker}" placeholder="e.g. 150.00" style="width:100%;padding:8px;background:rgba(0,0,0,0.4);border:1px solid rgba(34,197,94,0.3);border-radius:6px;color:#fff;font-size:13px;" />
-                  </div>
-                  <div>
-                    <label style="font-size:10px;color:#888;display:block;margin-bottom:4px;">Alert Below Price</label>
-                    <input type="number" id="alert-below-${ticker}" placeholder="e.g. 100.00" style="width:100%;padding:8px;background:rgba(0,0,0,0.4);border:1px solid rgba(239,68,68,0.3);border-radius:6px;color:#fff;font-size:13px;" />
-                  </div>
-                </div>
-                <button id="set-alert-${ticker}" onclick="
-                  const aboveInput = document.getElementById('alert-above-${ticker}');
-                  const belowInput = document.getElementById('alert-below-${ticker}');
-                  const abovePrice = parseFloat(aboveInput.value);
-                  const belowPrice = parseFloat(belowInput.value);
-
-                  if (!abovePrice && !belowPrice) {
-                    alert('Please enter at least one price alert');
-                    return;
-                  }
-
-                  chrome.runtime.sendMessage({
-                    action: 'setPriceAlert',
-                    ticker: '${ticker}',
-                    alertData: {
-                      abovePrice: abovePrice || null,
-                      belowPrice: belowPrice || null
-                    }
-                  }, (response) => {
-                    if (response && response.success) {
-                      alert('Price alert set! You will be notified when ${ticker} reaches your target.');
-                      aboveInput.value = '';
-                      belowInput.value = '';
-                    } else {
-                      alert('Failed to set alert. Please try again.');
-                    }
-                  });
-                " style="width:100%;margin-top:8px;padding:10px;background:linear-gradient(135deg,#22c55e,#16a34a);color:white;border:none;border-radius:6px;cursor:pointer;font-size:12px;font-weight:600;">
-                  🔔 Set Price Alert
-                </button>
-              </div>
-              <div style="padding:8px;background:rgba(34,197,94,0.08);border-radius:6px;">
-                <div style="font-size:11px;color:#22c55e;">💡 Educational Note:</div>
-                <div style="font-size:12px;color:#d0d0d0;margin-top:4px;">Price alerts help you catch opportunities without watching charts all day. They're research tools, not trading signals.</div>
-              </div>
-            </div>
-          </div>
-        ` : ''}
-
-        <div style="margin:16px;padding:16px;background:linear-gradient(135deg,rgba(102,126,234,0.08),rgba(118,75,162,0.08));border:1px solid rgba(102,126,234,0.2);border-radius:10px;">
-          <div style="font-size:11px;color:#888;text-transform:uppercase;letter-spacing:1px;margin-bottom:12px;">📝 Before Investing</div>
-          <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;font-size:12px;">
-            <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-              <span style="color:#667eea;">□</span> Read earnings reports
-            </div>
-            <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-              <span style="color:#667eea;">□</span> Check competitor news
-            </div>
-            <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-              <span style="color:#667eea;">□</span> Review recent filings
-            </div>
-            <div style="padding:8px;background:rgba(0,0,0,0.3);border-radius:6px;color:#d0d0d0;">
-              <span style="color:#667eea;">□</span> Understand the risks
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-
-    const footerDisclaimer = `
-      <div style="padding:12px;background:rgba(0,0,0,0.4);border-top:1px solid rgba(255,255,255,0.05);font-size:10px;line-height:1.5;color:#666;text-align:center;">
-        <div style="margin-bottom:4px;">
-          <span style="color:#fbbf24;">⚠️</span> <strong style="color:#888;">Educational research tool</strong> • General market information only
-        </div>
-        <div>
-          Not personalized advice • Always conduct your own due diligence
-        </div>
-      </div>
-    `;
-
-    const fullResponse = headerBadge + tabNav + simplifiedContent + detailedContent + footerDisclaimer;
-
-    res.json({ result: fullResponse });
+  try {
+    const result = await pool.query(
+      `INSERT INTO portfolio_lots (user_id, ticker, is_crypto, quantity, cost_basis, acquired_at)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE)) RETURNING *`,
+      [req.user.id, symbol, isCryptoTicker(symbol, assetClassHint(body)), parseFloat(quantity), parseFloat(costBasis), acquiredAt || null]
+    );
+    res.status(201).json({ lot: toLot(result.rows[0]) });
+  } catch (err) {
+    console.error('Create lot error:', err);
+    res.status(500).json({ error: 'Failed to add lot' });
+  }
+});
+
+app.patch('/portfolio/lots/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Lot not found' });
+
+  const body = req.body || {};
+  const error = validateLot(body, true);
+  if (error) return res.status(400).json({ error });
 
+  const { quantity, costBasis, acquiredAt } = body;
+
+  try {
+    const result = await pool.query(
+      `UPDATE portfolio_lots
+       SET quantity = COALESCE($1, quantity), cost_basis = COALESCE($2, cost_basis), acquired_at = COALESCE($3::date, acquired_at)
+       WHERE id = $4 AND user_id = $5 RETURNING *`,
+      [
+        quantity !== undefined ? parseFloat(quantity) : null,
+        costBasis !== undefined ? parseFloat(costBasis) : null,
+        acquiredAt || null,
+        id,
+        req.user.id
+      ]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Lot not found' });
+    res.json({ lot: toLot(result.rows[0]) });
   } catch (err) {
-    console.error("❌ Analysis error:", err.message);
-    res.json({ 
-      result: `
-        <div style="padding:40px 20px;text-align:center;background:rgba(15,15,15,0.95);border-radius:12px;">
-          <div style="font-size:48px;margin-bottom:16px;">⚠️</div>
-          <div style="font-size:16px;color:#e0e0e0;margin-bottom:8px;">Analysis Temporarily Unavailable</div>
-          <div style="font-size:13px;color:#888;">Please try again in a moment</div>
-        </div>
-      ` 
-    });
+    console.error('Update lot error:', err);
+    res.status(500).json({ error: 'Failed to update lot' });
+  }
+});
+
+app.delete('/portfolio/lots/:id', authenticateUser, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Lot not found' });
+
+  try {
+    const result = await pool.query('DELETE FROM portfolio_lots WHERE id = $1 AND user_id = $2 RETURNING id', [id, req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Lot not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete lot error:', err);
+    res.status(500).json({ error: 'Failed to delete lot' });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`\n╔════════════════════════════════════════╗`);
-  console.log(`║   📊 Stockly Professional Backend     ║`);
-  console.log(`╚════════════════════════════════════════╝\n`);
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`\n📡 API Status:`);
-  console.log(`   ${OPENROUTER_KEY ? '✓' : '✗'} OpenRouter (AI Research Guidance)`);
-  console.log(`   ${NEWS_KEY ? '✓' : '✗'} NewsAPI (Headlines)`);
-  console.log(`   ${PRICE_KEY ? '✓' : '✗'} Alpha Vantage (Company Info)`);
-  console.log(`\n🔒 Legal Framework: Active`);
-  console.log(`   ✓ Educational framing`);
-  console.log(`   ✓ Non-prescriptive language`);
-  console.log(`   ✓ Proper disclaimers`);
-  console.log(`   ✓ Mechanical scoring\n`);
+const alertEvaluator = createAlertEvaluator({
+  pool,
+  getPrice: getLatestPrice,
+  intervalMs: parseInt(process.env.ALERT_CHECK_INTERVAL_MS, 10) || 60000
 });
+
+// Refuse to serve against a schema that is missing migrations (or has
+// migrations this code does not know about)
+async function start() {
+  try {
+    await pool.query('SELECT NOW()');
+    console.log('✅ Database connected');
+    await createMigrator({ pool }).assertUpToDate();
+    console.log('✅ Database schema up to date');
+  } catch (err) {
+    console.error('❌ Startup aborted:', err.message);
+    process.exit(1);
+  }
+
+  // Warm the symbol lists and published prompts in the background; detection
+  // falls back to the built-in coins and prompts to the template files until
+  // they arrive
+  symbols.load();
+  prompts.load();
+
+  app.listen(PORT, () => {
+    console.log(`\n╔════════════════════════════════════════╗`);
+    console.log(`║   📊 Stockly Professional Backend     ║`);
+    console.log(`╚════════════════════════════════════════╝\n`);
+    console.log(`✅ Server running on port ${PORT}`);
+    console.log(`\n📡 API Status:`);
+    console.log(`   ${llmConfig.apiKey || llm.provider !== 'openrouter' ? '✓' : '✗'} AI: ${llm.provider} (${llm.modelsFor('detailed').join(' → ')})`);
+    console.log(`   ${NEWS_KEY ? '✓' : '✗'} NewsAPI (Headlines)`);
+    console.log(`   ${PRICE_KEY ? '✓' : '✗'} Alpha Vantage (Company Info)`);
+    console.log(`\n🔒 Legal Framework: Active`);
+    console.log(`   ✓ Educational framing`);
+    console.log(`   ✓ Non-prescriptive language (AI output compliance filter)`);
+    console.log(`   ✓ Proper disclaimers`);
+    console.log(`   ✓ Mechanical scoring\n`);
+
+    alertEvaluator.start();
+  });
+}
+
+start();
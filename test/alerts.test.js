@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isAlertTriggered, createAlertEvaluator } = require('../lib/alerts');
+
+// Just enough of pg for the evaluator: the active alerts, the guarded
+// deactivation and the event insert
+function createFakePool(alerts) {
+  const rows = alerts.map(alert => ({ active: true, ...alert }));
+  const events = [];
+
+  async function query(sql, params = []) {
+    if (sql.startsWith('SELECT * FROM alerts')) return { rows: rows.filter(r => r.active) };
+    if (sql.startsWith('UPDATE alerts')) {
+      const alert = rows.find(r => r.id === params[0] && r.active);
+      if (!alert) return { rows: [] };
+      alert.active = false;
+      return { rows: [{ id: alert.id }] };
+    }
+    if (sql.includes('INSERT INTO alert_events')) {
+      const [alertId, userId, ticker, direction, targetPrice, triggeredPrice] = params;
+      const event = { id: events.length + 1, alert_id: alertId, user_id: userId, ticker, direction, target_price: targetPrice, triggered_price: triggeredPrice };
+      events.push(event);
+      return { rows: [event] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+
+  return { query, rows, events };
+}
+
+const alert = (id, ticker, direction, target, extra = {}) =>
+  ({ id, user_id: 1, ticker, is_crypto: false, direction, target_price: String(target), ...extra });
+
+test('isAlertTriggered compares against the numeric target in the alert direction', () => {
+  assert.equal(isAlertTriggered(alert(1, 'AAPL', 'above', '200.50'), 200.5), true);
+  assert.equal(isAlertTriggered(alert(1, 'AAPL', 'above', '200.50'), 200.49), false);
+  assert.equal(isAlertTriggered(alert(1, 'AAPL', 'below', 150), 149), true);
+  assert.equal(isAlertTriggered(alert(1, 'AAPL', 'below', 150), 151), false);
+  assert.equal(isAlertTriggered(alert(1, 'AAPL', 'below', 150), null), false);
+});
+
+test('runOnce fires crossed alerts once and looks each ticker up once', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = createFakePool([
+    alert(1, 'AAPL', 'above', 190),
+    alert(2, 'AAPL', 'below', 150, { user_id: 2 }),
+    alert(3, 'BTC', 'below', 60000, { is_crypto: true }),
+    alert(4, 'MSFT', 'above', 500)
+  ]);
+  const lookups = [];
+  const prices = { AAPL: 195, BTC: 58000, MSFT: 410 };
+  const evaluator = createAlertEvaluator({
+    pool,
+    getPrice: async (ticker, isCrypto) => {
+      lookups.push(`${ticker}:${isCrypto}`);
+      return prices[ticker];
+    }
+  });
+
+  const triggered = await evaluator.runOnce();
+
+  assert.deepEqual(lookups, ['AAPL:false', 'BTC:true', 'MSFT:false']);
+  assert.deepEqual(triggered.map(e => [e.alert_id, e.triggered_price]), [[1, 195], [3, 58000]]);
+  assert.deepEqual(pool.rows.filter(r => r.active).map(r => r.id), [2, 4]);
+
+  // Fired alerts are inactive, so the next run has nothing new to record
+  assert.deepEqual(await evaluator.runOnce(), []);
+  assert.equal(pool.events.length, 2);
+});
+
+test('runOnce skips a ticker whose price lookup fails and keeps its alerts active', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+  const pool = createFakePool([alert(1, 'AAPL', 'above', 100), alert(2, 'MSFT', 'above', 100)]);
+  const evaluator = createAlertEvaluator({
+    pool,
+    getPrice: async (ticker) => {
+      if (ticker === 'AAPL') throw new Error('quote provider down');
+      return 120;
+    }
+  });
+
+  const triggered = await evaluator.runOnce();
+
+  assert.deepEqual(triggered.map(e => e.alert_id), [2]);
+  assert.equal(pool.rows.find(r => r.id === 1).active, true);
+});
+
+test('runOnce ignores a run that starts while the previous one is waiting on quotes', async () => {
+  let release;
+  const pool = createFakePool([alert(1, 'AAPL', 'above', 100)]);
+  const evaluator = createAlertEvaluator({
+    pool,
+    getPrice: () => new Promise(resolve => { release = () => resolve(null); })
+  });
+
+  const first = evaluator.runOnce();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(await evaluator.runOnce(), []);
+  release();
+  assert.deepEqual(await first, []);
+});
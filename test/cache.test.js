@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createPostgresStore, createCache } = require('../lib/cache');
+
+const START = Date.parse('2026-10-01T12:00:00Z');
+
+// Date.now() under the test's control
+function clock(t) {
+  let now = START;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (seconds) => { now += seconds * 1000; } };
+}
+
+// cache_entries as a Map, with NOW() read from Date.now()
+function createFakePool() {
+  const rows = new Map();
+  return {
+    query: async (sql, params = []) => {
+      const now = Date.now();
+      if (sql.startsWith('SELECT value')) {
+        const row = rows.get(params[0]);
+        return { rows: row && row.expires_at > now ? [row] : [] };
+      }
+      if (sql.startsWith('INSERT INTO cache_entries')) {
+        const [key, value, seconds] = params;
+        rows.set(key, { value: JSON.parse(value), stored_at: new Date(now), expires_at: now + Number(seconds) * 1000 });
+        return { rows: [] };
+      }
+      if (sql.startsWith('DELETE FROM cache_entries')) {
+        rows.clear();
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const stores = {
+  memory: () => createMemoryStore(),
+  postgres: (pool = createFakePool()) => createPostgresStore(pool)
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  test(`${name} store: a value is served until its TTL runs out`, async (t) => {
+    const { advance } = clock(t);
+    const cache = createCache({ store: createStore(), ttls: { quote: 30 } });
+    let calls = 0;
+    const fetchQuote = async () => ({ price: 100 + ++calls });
+
+    const first = await cache.wrap('quote', 'AAPL', fetchQuote);
+    assert.deepEqual(first, { value: { price: 101 }, meta: { hit: false, ageSeconds: 0, ttlSeconds: 30 } });
+
+    advance(29);
+    const second = await cache.wrap('quote', 'AAPL', fetchQuote);
+    assert.deepEqual(second, { value: { price: 101 }, meta: { hit: true, ageSeconds: 29, ttlSeconds: 30 } });
+
+    advance(1);
+    const third = await cache.wrap('quote', 'AAPL', fetchQuote);
+    assert.deepEqual(third.value, { price: 102 });
+    assert.equal(third.meta.hit, false);
+    assert.equal(calls, 2);
+  });
+
+  test(`${name} store: empty results are not cached`, async (t) => {
+    clock(t);
+    const cache = createCache({ store: createStore() });
+    let calls = 0;
+
+    await cache.wrap('news', 'AAPL', async () => { calls += 1; return null; });
+    const { value, meta } = await cache.wrap('news', 'AAPL', async () => { calls += 1; return []; });
+    assert.deepEqual(value, []);
+    assert.equal(meta.hit, false);
+    assert.equal(calls, 2);
+  });
+}
+
+test('concurrent misses share one upstream call', async (t) => {
+  clock(t);
+  const cache = createCache();
+  let calls = 0;
+  const fetchQuote = () => new Promise(resolve => setImmediate(() => resolve({ price: ++calls })));
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.wrap('quote', 'MSFT', fetchQuote)));
+  assert.equal(calls, 1);
+  assert.deepEqual(results.map(r => r.value.price), [1, 1, 1]);
+});
+
+test('the memory store hands out copies', async (t) => {
+  clock(t);
+  const cache = createCache();
+  const { value } = await cache.wrap('overview', 'AAPL', async () => ({ sector: 'Technology' }));
+  value.sector = 'changed';
+
+  const cached = await cache.wrap('overview', 'AAPL', async () => assert.fail('should be cached'));
+  assert.equal(cached.value.sector, 'Technology');
+});
+
+test('the memory store evicts the oldest entry when full', async (t) => {
+  clock(t);
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, 60);
+  await store.set('b', 2, 60);
+  await store.set('c', 3, 60);
+
+  assert.equal(await store.get('a'), null);
+  assert.equal((await store.get('c')).value, 3);
+});
+
+test('a failing store falls back to the upstream call', async (t) => {
+  clock(t);
+  t.mock.method(console, 'error', () => {});
+  const pool = { query: async () => { throw new Error('connection refused'); } };
+  const cache = createCache({ store: createPostgresStore(pool) });
+
+  const { value, meta } = await cache.wrap('quote', 'AAPL', async () => ({ price: 190 }));
+  assert.deepEqual(value, { price: 190 });
+  assert.equal(meta.hit, false);
+});
+
+test('TTLs come from options, then CACHE_TTL_<TYPE>, then the defaults', (t) => {
+  process.env.CACHE_TTL_NEWS = '120';
+  t.after(() => { delete process.env.CACHE_TTL_NEWS; });
+  const cache = createCache({ ttls: { quote: 5 } });
+
+  assert.equal(cache.ttlFor('quote'), 5);
+  assert.equal(cache.ttlFor('news'), 120);
+  assert.equal(cache.ttlFor('overview'), 12 * 60 * 60);
+  assert.equal(cache.ttlFor('unknown'), 60);
+});
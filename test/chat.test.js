@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { answerChatQuestion } = require('../lib/chat');
+const { createLlmClient, createFakeTransport } = require('../lib/llm');
+const { createComplianceGuard } = require('../lib/compliance');
+
+const doc = { assetType: 'stock', generatedAt: new Date().toISOString(), price: { realtimePrice: 190.5 } };
+const prompts = { render: async () => ({ text: 'Answer from the data.', version: 'v1' }) };
+
+function ask(replies, { onToken } = {}) {
+  const queue = [...replies];
+  const llm = createLlmClient({ provider: 'fake', transport: createFakeTransport({ reply: () => queue.shift() }) });
+  return answerChatQuestion({
+    ticker: 'AAPL', doc, history: [], question: 'Should I buy?', llm, prompts,
+    compliance: createComplianceGuard(), onToken
+  });
+}
+
+test('streamed tokens are the reply after the compliance check', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const tokens = [];
+  const answer = await ask([
+    'You should buy AAPL now.',
+    'This is educational information, not investment advice. The price is $190.50.'
+  ], { onToken: (text) => tokens.push(text) });
+
+  assert.equal(answer.content, 'This is educational information, not investment advice. The price is $190.50.');
+  assert.equal(tokens.join(''), answer.content);
+  assert.ok(!tokens.some(text => /buy/i.test(text)));
+  assert.deepEqual(answer.compliance.map(v => [v.rule, v.action]), [['advice', 'regenerated']]);
+});
+
+test('a redacted reply streams only the notice', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const tokens = [];
+  const answer = await ask(['You should buy AAPL now.', 'Buy it before it is too late.'], { onToken: (text) => tokens.push(text) });
+
+  assert.equal(answer.redacted, true);
+  assert.equal(tokens.join(''), answer.content);
+});
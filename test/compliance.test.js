@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  REDACTED_NOTICE, checkRuleExamples, createComplianceGuard, createComplianceLog
+} = require('../lib/compliance');
+
+// Each rule against the examples it lists (the `npm run compliance` suite)
+test('every rule flags and passes its own examples', () => {
+  assert.deepEqual(checkRuleExamples(), []);
+});
+
+// Records what the guard reports, without waiting on the log itself
+function recording() {
+  const rows = [];
+  return { rows, record: (row) => { rows.push(row); }, settled: () => new Promise(resolve => setImmediate(resolve)) };
+}
+
+test('markdown and year problems are rewritten in place', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { rows, record, settled } = recording();
+  const { enforceSections } = createComplianceGuard({ record });
+
+  const { sections, violations } = await enforceSections([
+    { key: 'overview', content: 'Demand is **strong**. Revenue peaked in 2021. Margins are stable.', items: null },
+    { key: 'risks', content: null, items: ['Supplier concentration', 'Watch the `RSI` reading'] }
+  ], { context: { task: 'detailed', ticker: 'AAPL' } });
+
+  assert.equal(sections[0].content, 'Demand is strong. Margins are stable.');
+  assert.deepEqual(sections[1].items, ['Supplier concentration', 'Watch the RSI reading']);
+  assert.equal(sections[1].content, '• Supplier concentration\n• Watch the RSI reading');
+  assert.deepEqual(violations, [
+    { section: 'overview', rule: 'year', action: 'rewritten' },
+    { section: 'overview', rule: 'markdown', action: 'rewritten' },
+    { section: 'risks', rule: 'markdown', action: 'rewritten' }
+  ]);
+
+  await settled();
+  assert.equal(rows.length, 3);
+  assert.deepEqual(
+    { task: rows[0].task, ticker: rows[0].ticker, section: rows[0].section, rule: rows[0].rule, action: rows[0].action },
+    { task: 'detailed', ticker: 'AAPL', section: 'overview', rule: 'year', action: 'rewritten' }
+  );
+  assert.match(rows[0].excerpt, /2021/);
+});
+
+test('years given to the model as data are allowed', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { enforceSections } = createComplianceGuard();
+
+  const section = { key: 'summary', content: 'The fiscal 2025 report showed higher sales.', items: null };
+  const { sections, violations } = await enforceSections([section], { allowedYears: ['2025'] });
+  assert.deepEqual(sections, [section]);
+  assert.deepEqual(violations, []);
+});
+
+test('advice is regenerated once with the broken rules spelled out', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { rows, record, settled } = recording();
+  const { enforceSections } = createComplianceGuard({ record });
+  const feedback = [];
+
+  const { sections, violations } = await enforceSections(
+    [{ key: 'outlook', content: 'Investors should buy before earnings.', items: null }],
+    {
+      regenerate: async (text) => {
+        feedback.push(text);
+        return [{ key: 'outlook', content: 'Earnings are due next week.', items: null }];
+      }
+    }
+  );
+
+  assert.equal(feedback.length, 1);
+  assert.match(feedback[0], /Imperative buy\/sell advice/);
+  assert.equal(sections[0].content, 'Earnings are due next week.');
+  assert.deepEqual(violations, [{ section: 'outlook', rule: 'advice', action: 'regenerated' }]);
+  await settled();
+  assert.deepEqual(rows.map(r => r.action), ['regenerated']);
+});
+
+test('a section still breaking a rule after regenerating is redacted', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { enforceSections } = createComplianceGuard();
+  let calls = 0;
+
+  const { sections, violations } = await enforceSections(
+    [
+      { key: 'outlook', content: 'Shares are poised to double.', items: null },
+      { key: 'overview', content: 'Sales rose 5%.', items: null }
+    ],
+    {
+      regenerate: async () => {
+        calls += 1;
+        return [
+          { key: 'outlook', content: 'The price will reach $250.', items: null },
+          { key: 'overview', content: 'Sales rose 5%.', items: null }
+        ];
+      }
+    }
+  );
+
+  assert.equal(calls, 1);
+  assert.equal(sections[0].content, REDACTED_NOTICE);
+  assert.equal(sections[0].redacted, true);
+  assert.equal(sections[1].content, 'Sales rose 5%.');
+  assert.deepEqual(violations, [
+    { section: 'outlook', rule: 'prediction', action: 'regenerated' },
+    { section: 'outlook', rule: 'prediction', action: 'redacted' }
+  ]);
+});
+
+test('without a way to regenerate, advice is redacted', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { enforceText } = createComplianceGuard();
+
+  const result = await enforceText('Now is a great time to buy.');
+  assert.deepEqual(result, {
+    text: REDACTED_NOTICE,
+    redacted: true,
+    violations: [{ rule: 'advice', action: 'redacted' }]
+  });
+});
+
+test('a section left empty by its rewrite is redacted', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { enforceSections } = createComplianceGuard();
+
+  const { sections, violations } = await enforceSections([{ key: 'history', content: 'Revenue peaked in 2021.', items: null }]);
+  assert.equal(sections[0].redacted, true);
+  assert.deepEqual(violations, [{ section: 'history', rule: 'year', action: 'redacted' }]);
+});
+
+test('a failing log does not fail the check', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const { enforceText } = createComplianceGuard({ record: async () => { throw new Error('db down'); } });
+
+  const result = await enforceText('**Strong** demand.');
+  assert.equal(result.text, 'Strong demand.');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(errors.mock.calls.some(call => call.arguments.join(' ').includes('Compliance log error: db down')));
+});
+
+test('the violation log stores each entry in compliance_violations', async () => {
+  const queries = [];
+  const log = createComplianceLog({ pool: { query: async (sql, params) => { queries.push({ sql, params }); return { rows: [] }; } } });
+
+  await log.record({ task: 'chat', ticker: 'BTC', model: 'm1', section: null, rule: 'advice', action: 'redacted', excerpt: 'buy now' });
+  assert.match(queries[0].sql, /^INSERT INTO compliance_violations/);
+  assert.deepEqual(queries[0].params, ['chat', 'BTC', 'm1', null, null, 'advice', 'redacted', 'buy now']);
+});
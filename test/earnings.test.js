@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceMoveAround, summarizeEarnings } = require('../lib/earnings');
+
+const CANDLES = [
+  { date: '2026-07-24', close: 98 },
+  { date: '2026-07-27', close: 100 },
+  { date: '2026-07-28', close: 104 },
+  { date: '2026-07-29', close: 110 },
+  { date: '2026-07-30', close: 99 },
+  { date: '2026-07-31', close: 97 }
+];
+
+test('a pre-market report is measured from the previous close to the same day', () => {
+  assert.deepEqual(priceMoveAround(CANDLES, '2026-07-28', 'pre-market'),
+    { from: '2026-07-27', to: '2026-07-28', fromClose: 100, toClose: 104, movePercent: 4 });
+});
+
+test('a post-market report is measured from that close to the next one', () => {
+  assert.deepEqual(priceMoveAround(CANDLES, '2026-07-28', 'post-market'),
+    { from: '2026-07-28', to: '2026-07-29', fromClose: 104, toClose: 110, movePercent: 5.77 });
+});
+
+test('an unknown report time spans the close before to the close after', () => {
+  assert.deepEqual(priceMoveAround(CANDLES, '2026-07-28', null),
+    { from: '2026-07-27', to: '2026-07-29', fromClose: 100, toClose: 110, movePercent: 10 });
+});
+
+test('weekends and intraday timestamps use the nearest trading days', () => {
+  const candles = CANDLES.map(c => ({ ...c, date: `${c.date}T20:00:00.000Z` }));
+  // Friday after the close: the next close is Monday's
+  assert.deepEqual(priceMoveAround(candles, '2026-07-24', 'post-market'),
+    { from: '2026-07-24', to: '2026-07-27', fromClose: 98, toClose: 100, movePercent: 2.04 });
+});
+
+test('no move without candles on both sides of the report', () => {
+  assert.equal(priceMoveAround(CANDLES, '2026-07-31', 'post-market'), null);
+  assert.equal(priceMoveAround(CANDLES, '2026-07-24', 'pre-market'), null);
+  assert.equal(priceMoveAround([], '2026-07-28', 'pre-market'), null);
+  assert.equal(priceMoveAround(CANDLES, null, 'pre-market'), null);
+});
+
+const quarter = (reportedDate, epsEstimate, epsActual, reportTime = 'post-market') =>
+  ({ fiscalDateEnding: reportedDate, reportedDate, reportTime, epsEstimate, epsActual });
+
+test('surprises against a zero estimate have no percent but still beat or miss', () => {
+  const { history, stats } = summarizeEarnings({
+    history: [
+      quarter('2026-07-28', 0, 0.05),
+      quarter('2026-04-28', 0, 0),
+      quarter('2026-01-28', 0, -0.02),
+      quarter('2025-10-28', 1, 1.1)
+    ]
+  });
+
+  assert.deepEqual(history.map(q => [q.surprise, q.surprisePercent, q.result]), [
+    [0.05, null, 'beat'],
+    [0, null, 'inline'],
+    [-0.02, null, 'miss'],
+    [0.1, 10, 'beat']
+  ]);
+  assert.equal(stats.beatRate, 50);
+  // Only quarters with a percent count towards the average
+  assert.equal(stats.averageSurprisePercent, 10);
+});
+
+test('small surprises are in line, and negative estimates compare by size', () => {
+  const { history } = summarizeEarnings({
+    history: [quarter('2026-07-28', 2, 2.01), quarter('2026-04-28', -0.5, -0.4), quarter('2026-01-28', 1, null)]
+  });
+
+  // The unreported quarter is left out
+  assert.deepEqual(history.map(q => [q.surprisePercent, q.result]), [[0.5, 'inline'], [20, 'beat']]);
+});
+
+test('the summary measures moves and counts only upcoming dates ahead of today', () => {
+  const now = Date.parse('2026-08-01T12:00:00Z');
+  const earnings = {
+    upcoming: { date: '2026-10-27', estimate: 1.2 },
+    history: [quarter('2026-07-28', 1, 1.1, 'pre-market'), quarter('2026-07-29', 1, 0.9, 'post-market')]
+  };
+
+  const summary = summarizeEarnings(earnings, { candles: CANDLES, now });
+  assert.deepEqual(summary.upcoming, { date: '2026-10-27', estimate: 1.2, daysUntil: 87 });
+  assert.deepEqual(summary.history.map(q => q.priceMove.movePercent), [-10, 4]);
+  assert.equal(summary.stats.averageMovePercent, -3);
+  assert.equal(summary.stats.averageAbsoluteMovePercent, 7);
+
+  const past = summarizeEarnings({ ...earnings, upcoming: { date: '2026-07-31' } }, { now });
+  assert.equal(past.upcoming, null);
+});
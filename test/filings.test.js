@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { extractSections } = require('../lib/filings');
+
+const s1 = fs.readFileSync(path.join(__dirname, 'fixtures', 'filings', 's1.html'), 'utf8');
+const paragraph = (text) => `<p>${text.repeat(12)}</p>`;
+
+test('S-1 risk factors start at the section heading, not the cover, contents or summary', () => {
+  const risk = extractSections(s1, 'S-1').find(s => s.key === 'riskFactors');
+
+  assert.match(risk.text, /^RISK FACTORS\n/);
+  assert.doesNotMatch(risk.text, /Summary Risk Factors|PROSPECTUS SUMMARY/);
+  // Mentions of "use of proceeds" inside a risk factor do not end the section
+  assert.match(risk.text, /broad discretion over the use of proceeds/);
+  assert.match(risk.text, /pass all energy cost increases on to customers\.\s*$/);
+  assert.equal(risk.truncated, false);
+});
+
+test('S-1 use of proceeds runs from its heading to the next section', () => {
+  const proceeds = extractSections(s1, 'S-1').find(s => s.key === 'useOfProceeds');
+
+  assert.match(proceeds.text, /^USE OF PROCEEDS\n/);
+  assert.match(proceeds.text, /repay all outstanding borrowings under our term loan/);
+  assert.doesNotMatch(proceeds.text, /DIVIDEND POLICY|The Offering/);
+});
+
+test('10-K items skip the table of contents', () => {
+  const html = `
+    <table><tr><td>Item 1A.</td><td>Risk Factors</td><td>12</td></tr>
+    <tr><td>Item 1B.</td><td>Unresolved Staff Comments</td><td>30</td></tr></table>
+    <p><b>Item 1A. Risk Factors</b></p>
+    ${paragraph('Our suppliers are concentrated in a single region. ')}
+    <p><b>Item 1B. Unresolved Staff Comments</b></p>
+    <p>None.</p>`;
+
+  const [risk] = extractSections(html, '10-K');
+  assert.equal(risk.key, 'riskFactors');
+  assert.match(risk.text, /^Item 1A\. Risk Factors\nOur suppliers/);
+  assert.doesNotMatch(risk.text, /Unresolved/);
+});
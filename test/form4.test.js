@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseForm4, rawForm4Document, summarizeInsiderActivity } = require('../lib/form4');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'form4', name), 'utf8');
+
+const officerSale = parseForm4(fixture('officer-sale.xml'));
+const jointPurchase = parseForm4(fixture('joint-purchase.xml'));
+const amendment = parseForm4(fixture('amendment.xml'));
+
+const filing = (accessionNumber, filingDate, form4) => ({
+  accessionNumber,
+  filingDate,
+  url: `https://www.sec.gov/Archives/edgar/data/1234567/${accessionNumber.replace(/-/g, '')}/form4.xml`,
+  form4
+});
+
+test('the issuer and owner are read, with entities decoded', () => {
+  assert.equal(officerSale.documentType, '4');
+  assert.equal(officerSale.periodOfReport, '2026-08-14');
+  assert.deepEqual(officerSale.issuer, { cik: '0001234567', name: 'Harbor & Pine Holdings, Inc.', ticker: 'HPH' });
+  assert.equal(officerSale.owners.length, 1);
+  assert.equal(officerSale.owners[0].name, 'Reyes Dana M.');
+  assert.equal(officerSale.owners[0].relationship.officerTitle, 'EVP, Chief Financial Officer');
+  assert.equal(officerSale.owners[0].role, 'CFO');
+});
+
+test('footnoted values keep their value and an unpriced row has a null price', () => {
+  const [exercise, firstSale, secondSale, withholding] = officerSale.transactions;
+
+  assert.deepEqual(firstSale, {
+    security: 'Common Stock',
+    date: '2026-08-14',
+    code: 'S',
+    codeLabel: 'Open market sale',
+    acquiredDisposed: 'D',
+    shares: 6500,
+    price: 118.2431,
+    value: 768580.15,
+    sharesOwnedAfter: 51710,
+    ownership: 'D',
+    derivative: false
+  });
+  assert.equal(secondSale.shares, 3500);
+  assert.equal(secondSale.price, 119.87);
+  assert.equal(exercise.code, 'M');
+  assert.equal(withholding.code, 'F');
+  assert.equal(withholding.price, null);
+  assert.equal(withholding.value, null);
+});
+
+test('derivative rows are parsed after the non-derivative ones and marked', () => {
+  assert.deepEqual(officerSale.transactions.map(t => [t.code, t.derivative]), [
+    ['M', false], ['S', false], ['S', false], ['F', false], ['M', true]
+  ]);
+  const option = officerSale.transactions[4];
+  assert.equal(option.security, 'Employee Stock Option (right to buy)');
+  assert.equal(option.shares, 10000);
+  assert.equal(option.sharesOwnedAfter, 20000);
+});
+
+test('every reporting owner of a joint filing is listed, and holdings are not transactions', () => {
+  assert.deepEqual(jointPurchase.owners.map(o => [o.name, o.role]), [
+    ['Cedar Ridge Capital Partners, L.P.', '10% Owner'],
+    ['Okafor Samuel', 'Director']
+  ]);
+  assert.equal(jointPurchase.transactions.length, 1);
+  assert.equal(jointPurchase.transactions[0].ownership, 'I');
+  assert.equal(jointPurchase.transactions[0].value, 25275000);
+});
+
+test('a 4/A amendment parses like a Form 4', () => {
+  assert.equal(amendment.documentType, '4/A');
+  assert.equal(amendment.owners[0].role, 'Director');
+  assert.equal(amendment.transactions.length, 1);
+  assert.equal(amendment.transactions[0].date, '2026-07-30');
+  assert.equal(amendment.transactions[0].price, 97.35);
+  assert.equal(amendment.transactions[0].value, 194700);
+});
+
+test('a document that is not an ownership document is rejected', () => {
+  assert.throws(() => parseForm4('<html><body>Not found</body></html>'), /Not a Form 4 ownership document/);
+});
+
+test('the raw XML name drops the XSL rendering prefix', () => {
+  assert.equal(rawForm4Document('xslF345X05/wk-form4_1723500000.xml'), 'wk-form4_1723500000.xml');
+  assert.equal(rawForm4Document('form4.xml'), 'form4.xml');
+});
+
+test('only open-market sales count toward a seller summary', () => {
+  const summary = summarizeInsiderActivity([filing('0001765432-26-000011', '2026-08-18', officerSale)], {
+    now: Date.parse('2026-08-20T00:00:00Z')
+  });
+
+  assert.equal(summary.totalBuys, 0);
+  assert.equal(summary.totalSells, 2);
+  assert.equal(summary.sellValue, 1188125.15);
+  assert.equal(summary.netValue, -1188125.15);
+  assert.equal(summary.sentiment, 'Bearish');
+  assert.deepEqual(summary.byCode, { M: 2, S: 2, F: 1 });
+  assert.deepEqual(summary.transactions.map(t => [t.date, t.daysAgo]), [['2026-08-15', 5], ['2026-08-14', 6]]);
+  assert.equal(summary.transactions[1].title, 'Reyes Dana M. (CFO) sold 6,500 shares at $118.24');
+});
+
+test('buys and sells across filings are netted by dollar value', () => {
+  const summary = summarizeInsiderActivity([
+    filing('0001765432-26-000011', '2026-08-18', officerSale),
+    filing('0001598321-26-000004', '2026-09-04', jointPurchase),
+    filing('0001811209-26-000002', '2026-08-06', amendment)
+  ], { now: Date.parse('2026-09-05T00:00:00Z'), limit: 10 });
+
+  assert.equal(summary.totalBuys, 2);
+  assert.equal(summary.totalSells, 2);
+  assert.equal(summary.netFlow, 0);
+  assert.equal(summary.buyValue, 25469700);
+  assert.equal(summary.sellValue, 1188125.15);
+  assert.equal(summary.netValue, 24281574.85);
+  assert.equal(summary.sentiment, 'Bullish');
+  assert.equal(summary.filingsParsed, 3);
+  assert.deepEqual(summary.transactions.map(t => [t.date, t.type, t.owner]), [
+    ['2026-09-02', 'BUY', 'Cedar Ridge Capital Partners, L.P.'],
+    ['2026-08-15', 'SELL', 'Reyes Dana M.'],
+    ['2026-08-14', 'SELL', 'Reyes Dana M.'],
+    ['2026-07-30', 'BUY', 'Lindqvist Maria']
+  ]);
+  assert.equal(summary.transactions[0].title, 'Cedar Ridge Capital Partners, L.P. (10% Owner) bought 250,000 shares at $101.10');
+  assert.equal(summary.transactions[3].accessionNumber, '0001811209-26-000002');
+});
+
+test('filings without open-market trades give no summary', () => {
+  const grantOnly = { ...officerSale, transactions: officerSale.transactions.filter(t => t.code !== 'S') };
+  assert.equal(summarizeInsiderActivity([filing('0001765432-26-000012', '2026-08-18', grantOnly)]), null);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeFundamentals, formatMoney, formatFundamentalsForPrompt } = require('../lib/fundamentals');
+
+// Eight quarters, newest first: the latest four sum to revenue 120, net
+// income 12; the four before them to 100 and 8
+const QUARTER_ENDS = ['2026-06-30', '2026-03-31', '2025-12-31', '2025-09-30', '2025-06-30', '2025-03-31', '2024-12-31', '2024-09-30'];
+const quarters = (count = 8) => QUARTER_ENDS.slice(0, count).map((periodEnd, i) => ({
+  periodEnd,
+  revenue: i < 4 ? 30 : 25,
+  grossProfit: 12,
+  operatingIncome: 6,
+  netIncome: i < 4 ? 3 : 2,
+  freeCashFlow: 4,
+  totalDebt: 50,
+  totalEquity: 100,
+  currentAssets: 60,
+  currentLiabilities: 40
+}));
+
+// Three fiscal years, newest first
+const YEARS = [
+  { periodEnd: '2025-12-31', revenue: 110, grossProfit: 44, operatingIncome: 22, netIncome: 11, freeCashFlow: 15, totalDebt: 50, totalEquity: 100 },
+  { periodEnd: '2024-12-31', revenue: 100, grossProfit: 40, operatingIncome: 18, netIncome: 9, freeCashFlow: 12, totalDebt: 70, totalEquity: 100 },
+  { periodEnd: '2023-12-31', revenue: 90, grossProfit: 36, operatingIncome: 15.3, netIncome: 8, freeCashFlow: 10, totalDebt: 80, totalEquity: 100 }
+];
+
+test('headline ratios use the trailing twelve months', () => {
+  const result = computeFundamentals({ annual: YEARS, quarterly: quarters() }, { marketCap: 800 });
+
+  assert.equal(result.basis, 'ttm');
+  assert.equal(result.periodEnd, '2026-06-30');
+  assert.equal(result.revenue, 120);
+  assert.equal(result.netIncome, 12);
+  assert.deepEqual(result.ratios, {
+    grossMargin: 40,
+    operatingMargin: 20,
+    netMargin: 10,
+    revenueGrowth: 20,
+    netIncomeGrowth: 50,
+    debtToEquity: 0.5,
+    currentRatio: 1.5,
+    returnOnEquity: 12,
+    freeCashFlowYield: 2
+  });
+});
+
+test('with fewer than eight quarters, growth comes from the latest fiscal year', () => {
+  const result = computeFundamentals({ annual: YEARS, quarterly: quarters(5) });
+
+  assert.equal(result.basis, 'ttm');
+  assert.equal(result.ratios.revenueGrowth, 10);
+  assert.equal(result.ratios.netIncomeGrowth, 22.22);
+});
+
+test('with fewer than four quarters, or one missing a flow, the fiscal year is used', () => {
+  const gap = quarters();
+  gap[2] = { ...gap[2], revenue: null };
+
+  for (const quarterly of [quarters(3), gap]) {
+    const result = computeFundamentals({ annual: YEARS, quarterly });
+    assert.equal(result.basis, 'annual');
+    assert.equal(result.periodEnd, '2025-12-31');
+    assert.equal(result.revenue, 110);
+    assert.equal(result.ratios.operatingMargin, 20);
+    // The balance sheet still comes from the newer quarter
+    assert.equal(result.balanceSheetDate, '2026-06-30');
+  }
+});
+
+test('trends compare the latest fiscal year with the two before it', () => {
+  const { trends } = computeFundamentals({ annual: YEARS, quarterly: [] });
+
+  assert.equal(trends.grossMargin, 'flat');
+  // 20% against a mean of 18% and 17%
+  assert.equal(trends.operatingMargin, 'up');
+  // 0.5 against a mean of 0.7 and 0.8
+  assert.equal(trends.debtToEquity, 'down');
+  // Growth is known for two years only: 10% against 11.11%
+  assert.equal(trends.revenueGrowth, 'down');
+});
+
+test('one fiscal year has no trends, and no statements no fundamentals', () => {
+  const { trends, basis } = computeFundamentals({ annual: YEARS.slice(0, 1), quarterly: [] });
+  assert.equal(basis, 'annual');
+  assert.ok(Object.values(trends).every(trend => trend === null));
+
+  assert.equal(computeFundamentals({ annual: [], quarterly: [] }), null);
+  assert.equal(computeFundamentals(null), null);
+});
+
+test('money is shortened and small amounts are whole dollars', () => {
+  assert.equal(formatMoney(2.5e12), '$2.50T');
+  assert.equal(formatMoney(1234567890), '$1.23B');
+  assert.equal(formatMoney(-12.04e6), '-$12.0M');
+  assert.equal(formatMoney(845210.4567), '$845,210');
+  assert.equal(formatMoney(-999.5), '-$1,000');
+  assert.equal(formatMoney(null), 'n/a');
+});
+
+test('the prompt block names the basis and trends', () => {
+  const text = formatFundamentalsForPrompt(computeFundamentals({ annual: YEARS, quarterly: quarters() }, { marketCap: 800 }));
+
+  assert.match(text, /^- Period: trailing twelve months ending 2026-06-30$/m);
+  assert.match(text, /^- Revenue: \$120 \(20\.0% year over year\)$/m);
+  assert.match(text, /Net Margin: 40\.0% \/ 20\.0% \/ 10\.0% \(up vs prior years\)$/m);
+  assert.match(text, /^- Free Cash Flow: \$16 \(yield 2\.0%\)$/m);
+});
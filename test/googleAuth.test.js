@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createGoogleVerifier } = require('../lib/googleAuth');
+
+const CLIENT_ID = 'client-123.apps.googleusercontent.com';
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+const nowSeconds = Math.floor(NOW / 1000);
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+const segment = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+function sign(claims, { header = { alg: 'RS256', kid: 'key-1', typ: 'JWT' }, key = privateKey } = {}) {
+  const signed = `${segment(header)}.${segment(claims)}`;
+  return `${signed}.${crypto.sign('RSA-SHA256', Buffer.from(signed), key).toString('base64url')}`;
+}
+
+const claims = (overrides = {}) => ({
+  iss: 'https://accounts.google.com',
+  aud: CLIENT_ID,
+  sub: '1098765432',
+  email: 'ada@example.com',
+  email_verified: true,
+  iat: nowSeconds - 60,
+  exp: nowSeconds + 3540,
+  ...overrides
+});
+
+const verifier = (options = {}) => createGoogleVerifier({ clientId: CLIENT_ID, keys: [jwk], now: () => NOW, ...options });
+
+const rejects = (promise, message) => assert.rejects(promise, (err) => {
+  assert.equal(err.code, 'invalid_token');
+  if (message) assert.match(err.message, message);
+  return true;
+});
+
+test('a token signed with a key from the set is accepted', async () => {
+  const result = await verifier().verify(sign(claims()));
+  assert.equal(result.email, 'ada@example.com');
+  assert.equal(result.sub, '1098765432');
+});
+
+test('claims that do not match are rejected', async () => {
+  const { verify } = verifier();
+  await rejects(verify(sign(claims({ aud: 'someone-else' }))), /different client/);
+  await rejects(verify(sign(claims({ iss: 'https://evil.example.com' }))), /issuer/);
+  await rejects(verify(sign(claims({ exp: nowSeconds - 120 }))), /expired/);
+  await rejects(verify(sign(claims({ iat: nowSeconds + 600 }))), /future/);
+  await rejects(verify(sign(claims({ email_verified: false }))), /Email not verified/);
+});
+
+test('a wrong signature, key id or algorithm is rejected', async () => {
+  const { verify } = verifier();
+  await rejects(verify(sign(claims(), { key: other.privateKey })), /Invalid signature/);
+  await rejects(verify(sign(claims(), { header: { alg: 'RS256', kid: 'key-2' } })), /Unknown signing key/);
+  await rejects(verify(sign(claims(), { header: { alg: 'none', kid: 'key-1' } })), /Unsupported algorithm/);
+});
+
+test('segments that are not JSON objects are rejected as invalid tokens', async () => {
+  const { verify } = verifier();
+  await rejects(verify('bnVsbA.bnVsbA.x'), /Malformed/);
+  await rejects(verify(`${segment('1')}.${segment('{}')}.x`), /Malformed/);
+  await rejects(verify(`${segment('[]')}.${segment('{}')}.x`), /Malformed/);
+  await rejects(verify('not-base64!.x.y'), /Malformed/);
+  await rejects(verify('only.two'), /Malformed/);
+  await rejects(verify({ token: 'x' }), /Malformed/);
+  // A correctly signed payload of "null"
+  await rejects(verify(sign('null')), /Malformed/);
+});
+
+test('a malformed or non-RSA key in the set is rejected as an invalid token', async () => {
+  const broken = verifier({ keys: [{ kty: 'RSA', kid: 'key-1', n: 'abc' }] });
+  await rejects(broken.verify(sign(claims())), /Unusable signing key/);
+
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const ecVerifier = verifier({ keys: [{ ...ec.publicKey.export({ format: 'jwk' }), kid: 'key-1' }] });
+  await rejects(ecVerifier.verify(sign(claims())), /not an RSA key/);
+});
+
+test('keys are fetched once, and again for an unknown key id', async () => {
+  let fetches = 0;
+  let keys = [];
+  let clock = NOW;
+  const { verify } = createGoogleVerifier({
+    clientId: CLIENT_ID,
+    now: () => clock,
+    fetchKeys: async () => {
+      fetches++;
+      return { keys, maxAgeSeconds: 3600 };
+    }
+  });
+
+  await rejects(verify(sign(claims())), /Unknown signing key/);
+  assert.equal(fetches, 1);
+
+  // Rotated in, but a refetch waits out minRefetchIntervalMs
+  keys = [jwk];
+  await rejects(verify(sign(claims())), /Unknown signing key/);
+  assert.equal(fetches, 1);
+
+  clock += 61 * 1000;
+  await verify(sign(claims()));
+  await verify(sign(claims()));
+  assert.equal(fetches, 2);
+});
+
+test('a key fetch failure is not an invalid token', async () => {
+  const { verify } = createGoogleVerifier({
+    clientId: CLIENT_ID,
+    fetchKeys: async () => { throw new Error('Google JWKS request failed (503)'); }
+  });
+  await assert.rejects(verify(sign(claims())), (err) => err.code === undefined && /503/.test(err.message));
+});
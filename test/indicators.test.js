@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sma, ema, rsi, atr, describeInterval, summarizeIndicators } = require('../lib/indicators');
+
+const candle = (date, high, low, close) => ({ date, open: close, high, low, close, volume: 1000 });
+
+// Daily candles Monday to Friday, skipping weekends
+function weekdays(count, price = (i) => 100 + i) {
+  const candles = [];
+  for (let day = Date.parse('2026-01-05T00:00:00Z'); candles.length < count; day += 86400000) {
+    if ([0, 6].includes(new Date(day).getUTCDay())) continue;
+    const close = price(candles.length);
+    candles.push(candle(new Date(day).toISOString().slice(0, 10), close + 1, close - 1, close));
+  }
+  return candles;
+}
+
+test('moving averages stay aligned with their input and are null while warming up', () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  // Seeded with the SMA of the first three, then k = 0.5
+  assert.deepEqual(ema([1, 2, 3, 4], 3), [null, null, 2, 3]);
+  assert.deepEqual(ema([1, 2], 3), [null, null]);
+});
+
+test('RSI is 100 when every close is higher than the last', () => {
+  const result = rsi([1, 2, 3, 4, 5, 6], 3);
+  assert.deepEqual(result, [null, null, null, 100, 100, 100]);
+});
+
+const ATR_CANDLES = [
+  candle('2026-01-05', 10, 8, 9),
+  candle('2026-01-06', 11, 9, 10),
+  candle('2026-01-07', 12, 10, 11),
+  candle('2026-01-08', 14, 10, 13),
+  candle('2026-01-09', 13, 12, 12)
+];
+
+test('ATR averages true ranges from the second candle with Wilder smoothing', () => {
+  // True ranges 2, 2, 4, then 1 (the gap down from 13)
+  assert.deepEqual(atr(ATR_CANDLES, 3), [null, null, null, 8 / 3, (8 / 3 * 2 + 1) / 3]);
+});
+
+test('a candle missing its high or low repeats the ATR before it', () => {
+  const candles = [...ATR_CANDLES.slice(0, 4), candle('2026-01-09', null, 11, 12), candle('2026-01-12', 13, 12, 12)];
+
+  const result = atr(candles, 3);
+  assert.equal(result[4], 8 / 3);
+  // The next candle is measured against the last complete close (13)
+  assert.equal(result[5], (8 / 3 * 2 + 1) / 3);
+  assert.ok(result.every(v => v === null || Number.isFinite(v)));
+});
+
+test('ATR in the summary stays a number when a candle lacks high and low', () => {
+  const candles = weekdays(30);
+  candles[20] = { ...candles[20], high: undefined, low: undefined };
+
+  const summary = summarizeIndicators(candles);
+  assert.ok(Number.isFinite(summary.atr));
+  assert.ok(Number.isFinite(summary.atrPercent));
+});
+
+test('the interval is the median spacing between candles', () => {
+  assert.equal(describeInterval(weekdays(15)), '1d');
+  assert.equal(describeInterval([candle('2026-01-05', 1, 1, 1), candle('2026-01-12', 1, 1, 1), candle('2026-01-19', 1, 1, 1)]), '1wk');
+  assert.equal(describeInterval([
+    { date: '2026-01-05T00:00:00Z' }, { date: '2026-01-05T04:00:00Z' }, { date: '2026-01-05T08:00:00Z' }
+  ]), '4h');
+  assert.equal(describeInterval([candle('2026-01-05', 1, 1, 1)]), null);
+});
+
+test('the summary describes where the price sits without buy or sell calls', () => {
+  const summary = summarizeIndicators(weekdays(60));
+
+  assert.equal(summary.candles, 60);
+  assert.equal(summary.sma[200], null);
+  assert.equal(summary.rsi, 100);
+  assert.ok(summary.signals.includes('Price is above its 20-period SMA'));
+  assert.ok(summary.signals.includes('RSI(14) is 100.0, in the overbought zone (70+)'));
+  assert.ok(summary.signals.every(s => !/\b(?:buy|sell)\b/i.test(s)));
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLlmClient, createFakeTransport } = require('../lib/llm');
+
+// Usage is recorded after complete() settles
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const client = (options = {}) => {
+  const sleeps = [];
+  const usage = [];
+  const llm = createLlmClient({
+    provider: 'fake',
+    model: 'base-model',
+    recordUsage: (entry) => usage.push(entry),
+    sleep: async (ms) => sleeps.push(ms),
+    ...options
+  });
+  return { llm, sleeps, usage };
+};
+
+test('each task uses its own model and the default otherwise', async () => {
+  const transport = createFakeTransport();
+  const { llm, usage } = client({ transport, models: { chat: 'chat-model' } });
+
+  const chat = await llm.complete({ task: 'chat', prompt: 'hello' });
+  const filing = await llm.complete({ task: 'filing', prompt: 'hello' });
+  await flush();
+
+  assert.equal(chat.model, 'chat-model');
+  assert.match(chat.text, /^\[chat-model\] [0-9a-f]{12}$/);
+  assert.equal(filing.model, 'base-model');
+  assert.deepEqual(transport.calls.map(c => c.messages), [
+    [{ role: 'user', content: 'hello' }],
+    [{ role: 'user', content: 'hello' }]
+  ]);
+  assert.deepEqual(usage.map(u => [u.task, u.model, u.status, u.attempts]), [
+    ['chat', 'chat-model', 'ok', 1],
+    ['filing', 'base-model', 'ok', 1]
+  ]);
+  assert.deepEqual(usage[0].usage, { promptTokens: 1, completionTokens: 2, totalTokens: 3 });
+});
+
+test('a failing model is retried with backoff, then the fallback answers', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const transport = createFakeTransport({
+    reply: ({ model }) => {
+      if (model === 'base-model') throw Object.assign(new Error('503'), { retryable: true });
+      return 'fallback answer';
+    }
+  });
+  const { llm, sleeps, usage } = client({ transport, fallbackModel: 'backup-model', maxRetries: 2, backoffMs: 100 });
+
+  const result = await llm.complete({ task: 'detailed', prompt: 'explain' });
+  await flush();
+
+  assert.equal(result.text, 'fallback answer');
+  assert.equal(result.model, 'backup-model');
+  assert.equal(result.attempts, 4);
+  assert.deepEqual(transport.calls.map(c => c.model), ['base-model', 'base-model', 'base-model', 'backup-model']);
+  assert.deepEqual(sleeps, [100, 200]);
+  assert.equal(usage[0].status, 'ok');
+  assert.equal(usage[0].attempts, 4);
+});
+
+test('a non-retryable error moves straight to the fallback', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const transport = createFakeTransport({
+    reply: ({ model }) => {
+      if (model === 'base-model') throw Object.assign(new Error('400 unknown model'), { retryable: false });
+      return 'ok';
+    }
+  });
+  const { llm, sleeps } = client({ transport, fallbackModel: 'backup-model' });
+
+  await llm.complete({ task: 'crypto', prompt: 'x' });
+
+  assert.deepEqual(transport.calls.map(c => c.model), ['base-model', 'backup-model']);
+  assert.deepEqual(sleeps, []);
+});
+
+test('when every model fails complete() rejects with each attempt and records the failure', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const transport = createFakeTransport({ reply: () => { throw new Error('down'); } });
+  const { llm, usage } = client({ transport, fallbackModel: 'backup-model', maxRetries: 1 });
+
+  await assert.rejects(llm.complete({ task: 'sentiment', prompt: 'x' }), (err) => {
+    assert.equal(err.message, 'AI unavailable: down');
+    assert.deepEqual(err.attempts.map(a => a.model), ['base-model', 'base-model', 'backup-model', 'backup-model']);
+    return true;
+  });
+  await flush();
+
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].status, 'failed');
+  assert.equal(usage[0].model, 'backup-model');
+  assert.equal(usage[0].attempts, 4);
+  assert.equal(usage[0].error, 'down');
+});
+
+test('an empty completion is not retried on the same model', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const transport = createFakeTransport({ reply: ({ model }) => model === 'base-model' ? '' : 'filled in' });
+  const { llm } = client({ transport, fallbackModel: 'backup-model' });
+
+  const result = await llm.complete({ task: 'simplified', prompt: 'x' });
+
+  assert.equal(result.text, 'filled in');
+  assert.deepEqual(transport.calls.map(c => c.model), ['base-model', 'backup-model']);
+});
+
+test('a schema gets a JSON sample of that schema', async () => {
+  const { llm } = client();
+  const schema = {
+    type: 'object',
+    properties: { summary: { type: 'string' }, score: { type: 'number' } },
+    required: ['summary', 'score']
+  };
+
+  const result = await llm.complete({ task: 'filing', prompt: 'x', schema });
+  const parsed = JSON.parse(result.text);
+
+  assert.equal(typeof parsed.summary, 'string');
+  assert.equal(typeof parsed.score, 'number');
+});
+
+test('onToken receives the reply as it streams', async () => {
+  const transport = createFakeTransport({ reply: () => 'one two three' });
+  const { llm } = client({ transport });
+  const tokens = [];
+
+  const result = await llm.complete({ task: 'chat', prompt: 'x', onToken: (text) => tokens.push(text) });
+
+  assert.deepEqual(tokens, ['one ', 'two ', 'three']);
+  assert.equal(tokens.join(''), result.text);
+});
+
+test('a stream that fails after its first token is not retried', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const transport = async ({ onToken }) => {
+    onToken('partial ');
+    throw new Error('connection reset');
+  };
+  const { llm, sleeps } = client({ transport, fallbackModel: 'backup-model' });
+
+  await assert.rejects(llm.complete({ task: 'chat', prompt: 'x', onToken: () => {} }), /connection reset/);
+  assert.deepEqual(sleeps, []);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMarketData } = require('../lib/marketData');
+
+// A provider answering from fixed data. `calls` records every request.
+function fakeProvider(name, data, { assetTypes = ['stock'], enabled = true, batch = false } = {}) {
+  const calls = [];
+  const answer = (capability) => async (ticker) => {
+    calls.push(`${capability}:${ticker}`);
+    const value = data[capability]?.[ticker];
+    if (value instanceof Error) throw value;
+    return value ?? null;
+  };
+
+  const provider = {
+    name,
+    assetTypes,
+    calls,
+    isEnabled: () => enabled,
+    quote: answer('quote'),
+    overview: answer('overview')
+  };
+  if (batch) {
+    provider.quotes = async (tickers) => {
+      calls.push(`quotes:${tickers.join(',')}`);
+      return new Map(tickers.filter(t => data.quote?.[t]).map(t => [t, data.quote[t]]));
+    };
+  }
+  return provider;
+}
+
+const order = { quote: ['primary', 'backup'], overview: ['primary', 'backup'] };
+
+test('a healthy primary answers alone', async () => {
+  const primary = fakeProvider('primary', { quote: { AAPL: { price: 190, marketCap: 3e12 } } });
+  const backup = fakeProvider('backup', { quote: { AAPL: { price: 191, beta: 1.2 } } });
+  const marketData = createMarketData({ providers: [primary, backup], order });
+
+  const quote = await marketData.quote('AAPL');
+
+  assert.deepEqual(quote, { price: 190, marketCap: 3e12, sources: { price: 'primary', marketCap: 'primary' } });
+  assert.deepEqual(backup.calls, []);
+});
+
+test('the next provider fills in while the primary field is missing, without overriding fields', async () => {
+  const primary = fakeProvider('primary', { overview: { AAPL: { description: null, sector: 'Technology' } } });
+  const backup = fakeProvider('backup', { overview: { AAPL: { description: 'Makes phones', sector: 'Tech' } } });
+  const marketData = createMarketData({ providers: [primary, backup], order });
+
+  const overview = await marketData.overview('AAPL');
+
+  assert.deepEqual(overview, {
+    sector: 'Technology',
+    description: 'Makes phones',
+    sources: { sector: 'primary', description: 'backup' }
+  });
+});
+
+test('a failing provider is skipped and null comes back when nobody has data', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const primary = fakeProvider('primary', { quote: { AAPL: new Error('rate limited') } });
+  const backup = fakeProvider('backup', { quote: { AAPL: { price: 189 } } });
+  const marketData = createMarketData({ providers: [primary, backup], order });
+
+  assert.deepEqual(await marketData.quote('AAPL'), { price: 189, sources: { price: 'backup' } });
+  assert.equal(await marketData.quote('ZZZZ'), null);
+  assert.deepEqual(backup.calls, ['quote:AAPL', 'quote:ZZZZ']);
+});
+
+test('disabled providers and ones without the asset type are not asked', async () => {
+  const disabled = fakeProvider('primary', { quote: { BTC: { price: 1 } } }, { enabled: false, assetTypes: ['crypto'] });
+  const stocksOnly = fakeProvider('backup', { quote: { BTC: { price: 2 } } });
+  const coins = fakeProvider('coins', { quote: { BTC: { price: 60000 } } }, { assetTypes: ['crypto'] });
+  const marketData = createMarketData({ providers: [disabled, stocksOnly, coins], order: { quote: ['primary', 'backup', 'coins'] } });
+
+  assert.deepEqual(marketData.providers('quote', 'crypto'), ['coins']);
+  assert.deepEqual(await marketData.quote('BTC', { assetType: 'crypto' }), { price: 60000, sources: { price: 'coins' } });
+  assert.deepEqual(disabled.calls, []);
+  assert.deepEqual(stocksOnly.calls, []);
+});
+
+test('batch quotes ask later providers only for tickers still missing a price', async () => {
+  const primary = fakeProvider('primary', { quote: { AAPL: { price: 190 }, MSFT: { price: null } } }, { batch: true });
+  const backup = fakeProvider('backup', { quote: { MSFT: { price: 410 }, ZZZZ: null } });
+  const marketData = createMarketData({ providers: [primary, backup], order });
+
+  const quotes = await marketData.quotes(['aapl', 'msft', 'zzzz']);
+
+  assert.deepEqual([...quotes.keys()].sort(), ['AAPL', 'MSFT']);
+  assert.deepEqual(quotes.get('MSFT'), { price: 410, sources: { price: 'backup' } });
+  assert.deepEqual(primary.calls, ['quotes:AAPL,MSFT,ZZZZ']);
+  assert.deepEqual(backup.calls, ['quote:MSFT', 'quote:ZZZZ']);
+});
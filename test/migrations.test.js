@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadMigrations, createMigrator } = require('../lib/migrations');
+
+// A migrations directory with `files` (name -> SQL), removed after the test
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([name, sql]) => fs.writeFileSync(path.join(dir, name), sql));
+  return dir;
+}
+
+// schema_migrations as a Map; migration SQL is recorded, and a statement
+// containing FAIL throws like a broken migration would
+function createFakePool() {
+  const applied = new Map();
+  const executed = [];
+  let pending = null;
+
+  const query = async (sql, params = []) => {
+    if (sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations') || sql.includes('pg_advisory')) return { rows: [] };
+    if (sql.startsWith('SELECT version, name, checksum')) {
+      return { rows: [...applied.values()].sort((a, b) => a.version - b.version) };
+    }
+    if (sql.startsWith('SELECT version, name FROM schema_migrations')) {
+      return { rows: [...applied.values()].sort((a, b) => b.version - a.version).slice(0, params[0]) };
+    }
+    if (sql === 'BEGIN') {
+      pending = { executed: [], applied: new Map(applied) };
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+      if (sql === 'COMMIT') {
+        executed.push(...pending.executed);
+      } else {
+        applied.clear();
+        pending.applied.forEach((row, version) => applied.set(version, row));
+      }
+      pending = null;
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      const [version, name, checksum] = params;
+      applied.set(version, { version, name, checksum, applied_at: new Date('2026-10-01T00:00:00Z') });
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM schema_migrations')) {
+      applied.delete(params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes('FAIL')) throw new Error('syntax error at or near "FAIL"');
+    pending.executed.push(sql.trim());
+    return { rows: [] };
+  };
+
+  return {
+    applied,
+    executed,
+    query,
+    connect: async () => ({ query, release: () => {} })
+  };
+}
+
+const FILES = {
+  '0001_create_users.up.sql': 'CREATE TABLE users (id SERIAL);',
+  '0001_create_users.down.sql': 'DROP TABLE users;',
+  '0002_create_alerts.up.sql': 'CREATE TABLE alerts (id SERIAL);',
+  '0002_create_alerts.down.sql': 'DROP TABLE alerts;'
+};
+
+const migrator = (t, files = FILES, pool = createFakePool()) =>
+  ({ pool, dir: migrationsDir(t, files), create: (dir) => createMigrator({ pool, dir, log: () => {} }) });
+
+test('up applies pending migrations in order and records them', async (t) => {
+  const { pool, dir, create } = migrator(t);
+  const { up, status, assertUpToDate } = create(dir);
+
+  assert.deepEqual(await up(), [1, 2]);
+  assert.deepEqual(pool.executed, ['CREATE TABLE users (id SERIAL);', 'CREATE TABLE alerts (id SERIAL);']);
+  assert.deepEqual((await status()).map(s => s.state), ['applied', 'applied']);
+  await assertUpToDate();
+  assert.deepEqual(await up(), []);
+});
+
+test('a migration edited after it was applied stops up and the server start', async (t) => {
+  const { dir, create } = migrator(t);
+  const { up, status, assertUpToDate } = create(dir);
+  await up();
+
+  fs.writeFileSync(path.join(dir, '0001_create_users.up.sql'), 'CREATE TABLE users (id SERIAL, email TEXT);');
+  fs.writeFileSync(path.join(dir, '0003_create_quotas.up.sql'), 'CREATE TABLE quotas (id SERIAL);');
+
+  assert.deepEqual((await status()).map(s => [s.version, s.state]), [[1, 'modified'], [2, 'applied'], [3, 'pending']]);
+  await assert.rejects(assertUpToDate(), /not up to date: 0001_create_users \(modified\), 0003_create_quotas \(pending\)/);
+  await assert.rejects(up(), /Migration 0001_create_users was modified after it was applied/);
+});
+
+test('line endings do not change the checksum', async (t) => {
+  const sql = 'CREATE TABLE alerts (\n  id SERIAL\n);\n';
+  const { dir, create } = migrator(t, { ...FILES, '0002_create_alerts.up.sql': sql });
+  const { up, assertUpToDate } = create(dir);
+  await up();
+
+  fs.writeFileSync(path.join(dir, '0002_create_alerts.up.sql'), sql.replace(/\n/g, '\r\n'));
+  await assertUpToDate();
+});
+
+test('an applied migration without a file is reported as missing', async (t) => {
+  const { dir, create } = migrator(t);
+  await create(dir).up();
+  fs.rmSync(path.join(dir, '0002_create_alerts.up.sql'));
+
+  const { status, assertUpToDate } = create(dir);
+  assert.deepEqual((await status()).map(s => [s.version, s.state]), [[1, 'applied'], [2, 'missing']]);
+  await assert.rejects(assertUpToDate(), /0002_create_alerts \(missing\)/);
+});
+
+test('a failing migration is rolled back and stops the run', async (t) => {
+  const { pool, dir, create } = migrator(t, { ...FILES, '0002_create_alerts.up.sql': 'FAIL;', '0003_later.up.sql': 'SELECT 1;' });
+
+  await assert.rejects(create(dir).up(), /syntax error/);
+  assert.deepEqual([...pool.applied.keys()], [1]);
+  assert.deepEqual(pool.executed, ['CREATE TABLE users (id SERIAL);']);
+});
+
+test('down reverts the newest migrations first', async (t) => {
+  const { pool, dir, create } = migrator(t);
+  const { up, down } = create(dir);
+  await up();
+
+  assert.deepEqual(await down({ steps: 2 }), [2, 1]);
+  assert.deepEqual(pool.executed.slice(-2), ['DROP TABLE alerts;', 'DROP TABLE users;']);
+  assert.equal(pool.applied.size, 0);
+});
+
+test('duplicate versions are refused', (t) => {
+  const dir = migrationsDir(t, { ...FILES, '0002_other.up.sql': 'SELECT 1;' });
+  assert.throws(() => loadMigrations(dir), /Duplicate migration version 2/);
+});
+
+test('the shipped migrations load with unique versions and down files', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  assert.ok(migrations.every(m => m.down), 'every migration has a down file');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTemplate, renderTemplate, createPromptRegistry } = require('../lib/prompts');
+
+const BODY = 'Describe {{ticker}}.\n{{replyFormat}}';
+
+// A registry over in-memory templates instead of prompts/
+const registry = (templates, rollouts = {}, options = {}) => createPromptRegistry({
+  loadFiles: () => ({ templates: templates.map(t => ({ task: 'crypto', body: BODY, source: 'file', ...t })), rollouts }),
+  ...options
+});
+
+test('missing variables render as nothing and drop their sections', () => {
+  const body = [
+    'Analyze {{ticker}} at ${{price}}.',
+    '{{#news}}',
+    'Recent news:',
+    '{{news}}',
+    '{{/news}}',
+    '{{^news}}',
+    'No recent news.',
+    '{{/news}}',
+    'Volume: {{volume}}',
+    '{{replyFormat}}'
+  ].join('\n');
+
+  assert.equal(renderTemplate(body, { ticker: 'BTC', price: '64000.00', news: '', replyFormat: 'Reply in JSON.' }),
+    'Analyze BTC at $64000.00.\nNo recent news.\nVolume: \nReply in JSON.');
+  assert.equal(renderTemplate(body, { ticker: 'BTC', news: '• Reuters: ETF inflows rise', volume: 0, replyFormat: 'Reply in JSON.' }),
+    'Analyze BTC at $.\nRecent news:\n• Reuters: ETF inflows rise\nVolume: 0\nReply in JSON.');
+});
+
+test('empty lists, null and false count as missing', () => {
+  const body = '{{#items}}has{{/items}}{{^items}}none{{/items}}';
+  assert.equal(renderTemplate(body, { items: [] }), 'none');
+  assert.equal(renderTemplate(body, { items: null }), 'none');
+  assert.equal(renderTemplate(body, { items: false }), 'none');
+  assert.equal(renderTemplate(body, { items: ['a'] }), 'has');
+});
+
+test('templates are checked against the variables their task accepts', () => {
+  assert.deepEqual(checkTemplate('crypto', BODY), []);
+  assert.deepEqual(checkTemplate('crypto', 'Describe {{ticker}} in {{sector}}.'), ['unknown variable {{sector}}', 'missing {{replyFormat}}']);
+  assert.deepEqual(checkTemplate('crypto', '{{#news}}{{news}}\n{{replyFormat}}'), ['{{#news}} is never closed']);
+  assert.deepEqual(checkTemplate('chart', BODY), ['unknown task "chart"']);
+});
+
+test('a cohort always gets the same version, in any registry instance', () => {
+  const templates = [{ version: 'v1' }, { version: 'v2' }];
+  const rollouts = { crypto: { v1: 50, v2: 50 } };
+  const first = registry(templates, rollouts);
+  const second = registry(templates, rollouts);
+
+  for (let user = 1; user <= 50; user++) {
+    const version = first.pick('crypto', user).version;
+    assert.equal(first.pick('crypto', user).version, version);
+    assert.equal(second.pick('crypto', String(user)).version, version);
+  }
+});
+
+test('cohorts split by rollout weight', () => {
+  const split = registry([{ version: 'v1' }, { version: 'v2' }], { crypto: { v1: 80, v2: 20 } });
+
+  const counts = { v1: 0, v2: 0 };
+  for (let user = 1; user <= 1000; user++) counts[split.pick('crypto', user).version] += 1;
+  assert.ok(counts.v1 > 740 && counts.v1 < 860, `v1 got ${counts.v1} of 1000`);
+});
+
+test('requests without a user get the heaviest version', () => {
+  const split = registry([{ version: 'v1' }, { version: 'v2' }], { crypto: { v1: 10, v2: 90 } });
+  assert.equal(split.pick('crypto', null).version, 'v2');
+});
+
+test('invalid templates are never picked and forcing one fails', async () => {
+  const broken = registry([{ version: 'v1' }, { version: 'v2', body: 'Describe {{ticker}}.' }], { crypto: { v1: 50, v2: 50 } });
+
+  assert.equal(broken.list('crypto')[1].errors[0], 'missing {{replyFormat}}');
+  for (let user = 1; user <= 20; user++) assert.equal(broken.pick('crypto', user).version, 'v1');
+  await assert.rejects(broken.render('crypto', {}, { version: 'v2' }), /crypto@v2 is invalid/);
+});
+
+test('published rollouts win over the file rollout', async () => {
+  const store = {
+    list: async () => [{ task: 'crypto', version: 'v2', body: BODY, source: 'database' }],
+    rollouts: async () => ({ crypto: { v2: 100 } })
+  };
+  const withStore = registry([{ version: 'v1' }], { crypto: { v1: 100 } }, { store });
+
+  const prompt = await withStore.render('crypto', { ticker: 'ETH', replyFormat: 'Reply in JSON.' }, { cohort: 7 });
+  assert.deepEqual(prompt, { text: 'Describe ETH.\nReply in JSON.', version: 'v2' });
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createDailyQuota, dailyQuota } = require('../lib/rateLimit');
+
+// usage_quotas as a Map of "user:day" -> used
+function createFakePool() {
+  const used = new Map();
+  return {
+    used,
+    query: async (sql, [userId, day, limit]) => {
+      const key = `${userId}:${day}`;
+      if (sql.startsWith('INSERT INTO usage_quotas')) {
+        const current = used.get(key) || 0;
+        if (current >= limit) return { rows: [] };
+        used.set(key, current + 1);
+        return { rows: [{ used: current + 1 }] };
+      }
+      if (sql.startsWith('UPDATE usage_quotas')) {
+        if (used.get(key) > 0) used.set(key, used.get(key) - 1);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.set = (headers, value) => Object.assign(res.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.emit('finish'); return res; };
+  return res;
+}
+
+// Runs the middleware, then `handler` in its place as the route
+async function run(quota, handler) {
+  const req = { user: { id: 7 } };
+  const res = fakeResponse();
+  let reached = false;
+  await dailyQuota(quota)(req, res, () => { reached = true; });
+  if (reached) handler(req, res);
+  // Refunds are not awaited by the middleware
+  await new Promise(resolve => setImmediate(resolve));
+  return res;
+}
+
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+
+test('a successful analysis keeps its unit', async () => {
+  const pool = createFakePool();
+  const quota = createDailyQuota({ pool, limit: 2, now: () => NOW });
+
+  const res = await run(quota, (req, res) => res.json({ ok: true }));
+  assert.equal(res.headers['X-Quota-Remaining'], '1');
+  assert.equal(pool.used.get('7:2026-10-01'), 1);
+});
+
+test('an error response gives the unit back', async () => {
+  const pool = createFakePool();
+  const quota = createDailyQuota({ pool, limit: 2, now: () => NOW });
+
+  await run(quota, (req, res) => res.status(502).json({ error: 'Analysis unavailable' }));
+  assert.equal(pool.used.get('7:2026-10-01'), 0);
+});
+
+test('a route answering 200 on failure refunds once, even when asked twice', async () => {
+  const pool = createFakePool();
+  const quota = createDailyQuota({ pool, limit: 2, now: () => NOW });
+  await run(quota, (req, res) => res.json({ ok: true }));
+
+  await run(quota, (req, res) => {
+    req.refundQuota();
+    req.refundQuota();
+    res.json({ result: 'error widget' });
+  });
+  assert.equal(pool.used.get('7:2026-10-01'), 1);
+});
+
+test('the refund goes to the day that was charged', async () => {
+  const pool = createFakePool();
+  let now = Date.parse('2026-10-01T23:59:59Z');
+  const quota = createDailyQuota({ pool, limit: 2, now: () => now });
+
+  await run(quota, (req, res) => {
+    now = Date.parse('2026-10-02T00:00:05Z');
+    res.status(500).json({ error: 'failed' });
+  });
+  assert.equal(pool.used.get('7:2026-10-01'), 0);
+  assert.equal(pool.used.has('7:2026-10-02'), false);
+});
+
+test('an exhausted quota answers 429 without reaching the route', async () => {
+  const pool = createFakePool();
+  const quota = createDailyQuota({ pool, limit: 1, now: () => NOW });
+  await run(quota, (req, res) => res.json({ ok: true }));
+
+  const res = await run(quota, () => assert.fail('route should not run'));
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.error, 'Daily quota exceeded');
+  assert.equal(pool.used.get('7:2026-10-01'), 1);
+});
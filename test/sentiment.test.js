@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreText, evaluateSentiment } = require('../lib/sentiment');
+const headlines = require('./fixtures/sentiment-headlines.json');
+
+// The word list misses some headlines only context explains ("falls less
+// than feared"); a change that drops below this is a regression
+const MIN_ACCURACY = 0.9;
+
+test(`the word list labels at least ${MIN_ACCURACY * 100}% of the headlines correctly`, async () => {
+  const result = await evaluateSentiment(headlines);
+  assert.ok(result.accuracy >= MIN_ACCURACY,
+    `accuracy ${result.accuracy} (${result.correct}/${result.total}), confusion ${JSON.stringify(result.confusion)}`);
+});
+
+for (const kind of ['negation', 'boundary']) {
+  test(`every ${kind} headline is labeled correctly`, async () => {
+    const cases = headlines.filter(h => h.case === kind);
+    const result = await evaluateSentiment(cases);
+    assert.equal(result.correct, cases.length, `confusion ${JSON.stringify(result.confusion)}`);
+  });
+}
+
+test('words inside longer words do not match', () => {
+  assert.deepEqual(scoreText('update shortcut upstart downtown dropbox').matches, []);
+});
+
+test('a negator flips only the few words right after it', () => {
+  assert.deepEqual(scoreText('not expected to beat, shares drop').matches, [
+    { term: 'beat', weight: -2, negated: true },
+    { term: 'drop', weight: -1, negated: false }
+  ]);
+});
+
+test('evaluateSentiment reports a confusion matrix for any analyzer', async () => {
+  const alwaysNeutral = async (news) => ({ news: news.map(n => ({ ...n, sentiment: { label: 'neutral' } })) });
+  const result = await evaluateSentiment([
+    { title: 'a', label: 'neutral' },
+    { title: 'b', label: 'positive' }
+  ], alwaysNeutral);
+
+  assert.deepEqual(result, { total: 2, correct: 1, accuracy: 0.5, confusion: { neutral: { neutral: 1 }, positive: { neutral: 1 } } });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionStore } = require('../lib/sessions');
+
+// Records queries; answers with no rows
+function createFakePool() {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+test('tokens that are not strings are invalid without a query', async () => {
+  const pool = createFakePool();
+  const sessions = createSessionStore({ pool });
+
+  for (const token of [undefined, '', 42, {}, ['abc'], null]) {
+    assert.deepEqual(await sessions.authenticate(token), { status: 'invalid' });
+    assert.equal(await sessions.refresh(token), null);
+  }
+  assert.equal(pool.queries.length, 0);
+});
+
+test('an unknown refresh token is refused', async () => {
+  const pool = createFakePool();
+  const sessions = createSessionStore({ pool });
+
+  assert.equal(await sessions.refresh('f'.repeat(64)), null);
+  assert.equal(pool.queries.length, 1);
+  assert.notEqual(pool.queries[0].params[0], 'f'.repeat(64), 'only the hash is sent to the database');
+});
+
+test('a numeric device id is stored as text', async () => {
+  const pool = createFakePool();
+  pool.query = async (sql, params) => {
+    pool.queries.push({ sql, params });
+    return { rows: [{ id: 1 }], rowCount: 1 };
+  };
+  const sessions = createSessionStore({ pool });
+
+  await sessions.create(7, { deviceId: 12345 });
+  assert.equal(pool.queries[1].params[1], '12345');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSnapshots, createSnapshotStore } = require('../lib/snapshots');
+
+const section = (title, content) => ({ key: title.toLowerCase(), title, type: 'text', content, items: null });
+
+const stockDoc = (overrides = {}) => ({
+  ticker: 'AAPL',
+  assetType: 'stock',
+  schemaVersion: 3,
+  price: { realtimePrice: 180, marketCap: 2.8e12, peRatio: 29.1 },
+  sentiment: { score: 0, label: 'Neutral' },
+  insiderData: { netFlow: 0 },
+  news: [
+    { title: 'Apple opens new store', url: 'https://example.com/store' },
+    { title: 'Supplier update' }
+  ],
+  analysis: {
+    model: 'model-a',
+    prompts: { simplified: 'v1', detailed: 'v1' },
+    simplified: [section('Summary', 'Shares were flat.')],
+    detailed: [section('Valuation', 'P/E is 29.')]
+  },
+  ...overrides
+});
+
+test('numeric fields report the change and percent change', () => {
+  const after = stockDoc({ price: { realtimePrice: 198, marketCap: 2.8e12, peRatio: 31.95 } });
+  const { changes } = diffSnapshots(stockDoc(), after);
+
+  assert.deepEqual(changes, [
+    { field: 'price.realtimePrice', label: 'Price', from: 180, to: 198, change: 18, changePercent: 10 },
+    { field: 'price.peRatio', label: 'P/E ratio', from: 29.1, to: 31.95, change: 2.85, changePercent: 9.79 }
+  ]);
+});
+
+test('a change from zero has no percent, and text or missing values only from/to', () => {
+  const after = stockDoc({ sentiment: { score: 2, label: 'Positive' }, insiderData: { netFlow: -3 }, riskScore: { score: 40 } });
+  const { changes } = diffSnapshots(stockDoc(), after);
+
+  assert.deepEqual(changes, [
+    { field: 'sentiment.score', label: 'News sentiment score', from: 0, to: 2, change: 2, changePercent: null },
+    { field: 'sentiment.label', label: 'News sentiment', from: 'Neutral', to: 'Positive' },
+    { field: 'riskScore.score', label: 'Risk score', from: null, to: 40 },
+    { field: 'insiderData.netFlow', label: 'Insider net flow', from: 0, to: -3, change: -3, changePercent: null }
+  ]);
+});
+
+test('news is matched by URL, or by title when there is none', () => {
+  const after = stockDoc({
+    news: [
+      { title: 'Apple opens new store (updated headline)', url: 'https://example.com/store' },
+      { title: 'Earnings date set', url: 'https://example.com/earnings' }
+    ]
+  });
+  const { news } = diffSnapshots(stockDoc(), after);
+
+  assert.deepEqual(news.added, [{ title: 'Earnings date set', url: 'https://example.com/earnings' }]);
+  assert.deepEqual(news.removed, [{ title: 'Supplier update' }]);
+});
+
+test('AI changes list the model, prompt versions and rewritten sections', () => {
+  const before = stockDoc();
+  const same = diffSnapshots(before, stockDoc());
+  assert.deepEqual(same.analysis, { modelChanged: false, promptsChanged: false, changedSections: [] });
+  assert.deepEqual(same.changes, []);
+
+  const after = stockDoc({
+    analysis: {
+      model: 'model-b',
+      prompts: { simplified: 'v2', detailed: 'v1' },
+      simplified: [section('Summary', 'Shares rose 10%.')],
+      detailed: [section('Valuation', 'P/E is 29.'), section('Risks', 'Supplier concentration.')]
+    }
+  });
+  assert.deepEqual(diffSnapshots(before, after).analysis, {
+    modelChanged: true,
+    promptsChanged: true,
+    changedSections: ['Summary', 'Risks']
+  });
+});
+
+test('crypto snapshots compare crypto fields and sections', () => {
+  const coin = (price, content) => ({
+    ticker: 'BTC',
+    assetType: 'crypto',
+    price: { price, marketCap: 1.2e12, volume: 3e10 },
+    marketInterest: { score: 60, level: 'High' },
+    analysis: { model: 'model-a', prompts: { crypto: 'v1' }, sections: [section('Overview', content)] }
+  });
+
+  const diff = diffSnapshots(coin(60000, 'Price is steady.'), coin(66000, 'Price rose.'));
+  assert.deepEqual(diff.changes.map(c => [c.label, c.changePercent]), [['Price', 10]]);
+  assert.deepEqual(diff.analysis.changedSections, ['Overview']);
+  assert.deepEqual(diff.news, { added: [], removed: [] });
+});
+
+test('saving drops the request cache report and uppercases the ticker', async () => {
+  const queries = [];
+  const store = createSnapshotStore({
+    pool: {
+      query: async (sql, params) => {
+        queries.push({ sql, params });
+        return { rows: [{ id: 12, created_at: '2026-10-01T12:00:00Z' }] };
+      }
+    }
+  });
+
+  const saved = await store.save(7, { ...stockDoc(), ticker: 'aapl', cache: { quote: { hit: true } } });
+  assert.deepEqual(saved, { id: 12, created_at: '2026-10-01T12:00:00Z' });
+
+  const [userId, ticker, assetType, schemaVersion, model, document] = queries[0].params;
+  assert.deepEqual([userId, ticker, assetType, schemaVersion, model], [7, 'AAPL', 'stock', 3, 'model-a']);
+  assert.equal(JSON.parse(document).cache, undefined);
+  assert.equal(JSON.parse(document).price.realtimePrice, 180);
+});
+
+test('listed prices come back as numbers', async () => {
+  const store = createSnapshotStore({
+    pool: { query: async () => ({ rows: [{ id: 2, ticker: 'AAPL', price: '198.25' }, { id: 1, ticker: 'AAPL', price: null }] }) }
+  });
+
+  const rows = await store.list(7, { ticker: 'aapl' });
+  assert.deepEqual(rows.map(r => r.price), [198.25, null]);
+});
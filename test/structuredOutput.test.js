@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLlmClient, createFakeTransport } = require('../lib/llm');
+const { defineOutput, sectionsFrom, completeStructured } = require('../lib/structuredOutput');
+
+const OUTPUT = defineOutput([
+  { key: 'summary', title: 'Summary', type: 'text' },
+  { key: 'risks', title: 'Risks', type: 'list' }
+]);
+
+const VALID = JSON.stringify({ summary: 'Sales rose 5%.', risks: ['• Supplier concentration'] });
+
+// A client whose replies come from `replies` in order
+function scripted(replies) {
+  const transport = createFakeTransport({ reply: async () => replies.shift() });
+  const llm = createLlmClient({ provider: 'fake', model: 'base-model', transport, sleep: async () => {} });
+  return { llm, transport };
+}
+
+const request = { task: 'crypto', prompt: 'Describe BTC', schema: OUTPUT.schema, maxTokens: 400 };
+
+test('a valid reply is used as it is', async () => {
+  const { llm, transport } = scripted([VALID]);
+
+  const result = await completeStructured(llm, request);
+  assert.equal(result.repaired, false);
+  assert.equal(result.model, 'base-model');
+  assert.equal(transport.calls.length, 1);
+  assert.deepEqual(sectionsFrom(OUTPUT, result.data), [
+    { key: 'summary', title: 'Summary', type: 'text', content: 'Sales rose 5%.', items: null },
+    { key: 'risks', title: 'Risks', type: 'list', content: '• Supplier concentration', items: ['Supplier concentration'] }
+  ]);
+});
+
+test('an invalid reply gets one repair request showing what was wrong', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bad = JSON.stringify({ summary: 'Sales rose 5%.' });
+  const { llm, transport } = scripted([bad, VALID]);
+
+  const result = await completeStructured(llm, request);
+  assert.equal(result.repaired, true);
+  assert.equal(result.data.risks.length, 1);
+  assert.equal(transport.calls.length, 2);
+
+  const [prompt, echo, repair] = transport.calls[1].messages;
+  assert.deepEqual(prompt, { role: 'user', content: 'Describe BTC' });
+  assert.deepEqual(echo, { role: 'assistant', content: bad });
+  assert.equal(repair.role, 'user');
+  assert.match(repair.content, /\$\.risks/);
+  // Both requests count towards usage (the fake transport counts words)
+  const words = (text) => text.split(/\s+/).filter(Boolean).length;
+  const prompts = transport.calls.map(call => call.messages.map(m => m.content).join('\n'));
+  assert.equal(result.usage.promptTokens, words(prompts[0]) + words(prompts[1]));
+  assert.equal(result.usage.completionTokens, words(bad) + words(VALID));
+});
+
+test('a second invalid reply rejects, which the analysis reports as a section-error', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { llm, transport } = scripted(['Bitcoin looks fine.', '{"summary": ""}']);
+
+  await assert.rejects(completeStructured(llm, request), /^Error: AI returned invalid crypto output: .*\$\.summary/);
+  assert.equal(transport.calls.length, 2);
+});